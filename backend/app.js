@@ -30,6 +30,18 @@ import userDashboardRoutes from "./routes/userDashboardRoutes.js";
 import adminDashboardRoutes from "./routes/adminDashboardRoutes.js";
 import discoverRoutes from "./routes/discoverRoutes.js";
 import streamRoutes from "./routes/streamRoutes.js";
+import internalMediaRoutes from "./routes/internalMediaRoutes.js";
+import mockGatewayRoutes from "./routes/mockGatewayRoutes.js";
+import adminTransactionRoutes from "./routes/adminTransactionRoutes.js";
+import adminCouponRoutes from "./routes/adminCouponRoutes.js";
+import adminReconciliationRoutes from "./routes/adminReconciliationRoutes.js";
+import adminWebhookRoutes from "./routes/adminWebhookRoutes.js";
+import adminPayoutRoutes from "./routes/adminPayoutRoutes.js";
+import adminTaxRoutes from "./routes/adminTaxRoutes.js";
+import adminInvoiceRoutes from "./routes/adminInvoiceRoutes.js";
+import adminFxRoutes from "./routes/adminFxRoutes.js";
+import adminPricingRoutes from "./routes/adminPricingRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
 import { stripeWebhook } from './controllers/webhookController.js';
 import { razorpayWebhook } from './controllers/webhookController.js';
 
@@ -38,11 +50,14 @@ import passport from "./middleware/passport.js";
 import notFoundMiddleware from "./middleware/not-found.js";
 import errorHandlerMiddleware from "./middleware/errorhandler.js";
 import { paypalWebhook } from './controllers/webhookController.js';
-// import { registerPaymentEventHandlers } from "./payment/events/paymentEventHandlers.js";
-// import { registerPaymentSubscribers } from "./features/payment/subscribers/index.js";
-//    registerPaymentSubscribers();
+import { mockWebhook } from './controllers/webhookController.js';
+import { isMockGatewayEnabled } from './providers/mockPaymentProvider.js';
+import { registerPaymentSubscribers } from "./features/payment/subscribers/index.js";
+import { registerLedgerSubscribers } from "./services/ledgerService.js";
 
-// registerPaymentEventHandlers();
+// Outbox subscribers – delivered by the relay in queue/outboxQueue.js
+registerPaymentSubscribers();
+registerLedgerSubscribers();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -79,8 +94,8 @@ app.use(
 
 app.set('trust proxy', 1);
 app.use(rateLimit({ windowMs: 5 * 60 * 1000, max: 300 }));
-// app.use("/api/webhooks/stripe",express.raw({ type: "application/json" }), stripeWebhook); // Before JSON parsing if needed
 // app.use("/api/webhooks/razorpay",express.raw({ type: "application/json" }), razorpayWebhook); // Before JSON parsing if needed
+app.post("/api/webhooks/stripe", express.raw({ type: "application/json" }), stripeWebhook);
 app.post(
   "/api/webhooks/razorpay",
   express.raw({ type: "application/json" }), // ✅ this is what Razorpay needs
@@ -91,6 +106,16 @@ app.post(
   express.raw({ type: "application/json" }), // ✅ this is what Razorpay needs
   paypalWebhook
 );
+// 🧪 Local mock gateway (PAYMENT_MOCK_ENABLED=true, never in production)
+if (isMockGatewayEnabled()) {
+  app.post("/api/webhooks/mock", express.raw({ type: "application/json" }), mockWebhook);
+}
+// 🔐 HMAC-signed media pipeline callbacks (raw body needed for the signature)
+app.use(
+  "/api/internal/media",
+  express.raw({ type: "application/json" }),
+  internalMediaRoutes
+);
 app.use(cookieParser());
 app.use(express.json());
 
@@ -112,10 +137,21 @@ app.use("/api/genre", genreRoutes);
 app.use("/api/discover", discoverRoutes);
 app.use("/api/adminPlaylist", adminplaylistRoutes);
 app.use("/api/payments", paymentLimiter, paymentRoutes);
+app.use("/api/cart", cartRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
 app.use("/api/stream", streamRoutes);
 app.use("/api/user/dashboard", userDashboardRoutes);
 app.use("/api/admin/dashboard", adminDashboardRoutes);
+app.use("/api/admin/transactions", adminTransactionRoutes);
+app.use("/api/admin/coupons", adminCouponRoutes);
+app.use("/api/admin/reconciliation", adminReconciliationRoutes);
+app.use("/api/admin/webhooks", adminWebhookRoutes);
+app.use("/api/admin/payouts", adminPayoutRoutes);
+app.use("/api/admin/tax", adminTaxRoutes);
+app.use("/api/admin/invoices", adminInvoiceRoutes);
+app.use("/api/admin/fx", adminFxRoutes);
+app.use("/api/admin/pricing", adminPricingRoutes);
+if (isMockGatewayEnabled()) app.use("/api/mock-gateway", mockGatewayRoutes);
 
 // 404 and Error Middleware
 app.use(notFoundMiddleware);
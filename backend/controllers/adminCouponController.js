@@ -0,0 +1,43 @@
+import { StatusCodes } from "http-status-codes";
+import { createCoupon, listCoupons, getCouponWithStats, updateCoupon } from "../services/couponService.js";
+
+// ===================================================================
+// @desc    Create a promo code
+// @route   POST /api/admin/coupons
+// @access  Admin
+// ===================================================================
+export const createCouponHandler = async (req, res) => {
+  const coupon = await createCoupon(req.body, req.user._id);
+  res.status(StatusCodes.CREATED).json({ success: true, coupon });
+};
+
+// ===================================================================
+// @desc    List coupons (filter by active / artistId)
+// @route   GET /api/admin/coupons
+// @access  Admin
+// ===================================================================
+export const listCouponsHandler = async (req, res) => {
+  const { active, artistId, page, limit } = req.query;
+  const result = await listCoupons({ active, artistId, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    Coupon details with redemption stats
+// @route   GET /api/admin/coupons/:id
+// @access  Admin
+// ===================================================================
+export const getCouponHandler = async (req, res) => {
+  const coupon = await getCouponWithStats(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, coupon });
+};
+
+// ===================================================================
+// @desc    Update limits / validity / activation of a coupon
+// @route   PATCH /api/admin/coupons/:id
+// @access  Admin
+// ===================================================================
+export const updateCouponHandler = async (req, res) => {
+  const coupon = await updateCoupon(req.params.id, req.body);
+  res.status(StatusCodes.OK).json({ success: true, coupon });
+};
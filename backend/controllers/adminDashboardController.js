@@ -4,9 +4,13 @@ import { Song } from "../models/Song.js";
 import { Album } from "../models/Album.js";
 import { Subscription } from "../models/Subscription.js";
 import { Artist } from "../models/Artist.js";
-import { BadRequestError, NotFoundError } from "../errors/index.js";
-
-import { EXCHANGE_RATES } from "../utils/priceInUSD.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/index.js";
+import { canViewArtistAnalytics } from "../helpers/accessControl.js";
+import { GRACE_PERIOD_DAYS, listAtRiskSubscribers } from "../services/dunningService.js";
+import { getArtistRevenue, PLATFORM_COMMISSION_PERCENT } from "../services/ledgerService.js";
+import { listPayoutStatements, exportPayoutStatement } from "../services/payoutService.js";
+import { sendFileDownload } from "../utils/sendFileDownload.js";
+import { toBaseAmount } from "../services/fxService.js";
 
 
 // ✅ 1. Get all transactions for a specific artist (with optional filters)
@@ -27,16 +31,13 @@ export const getAllTransactionsByArtist = async (req, res) => {
   }
 
   const transactions = await Transaction.find(query).sort({ createdAt: -1 }).lean();;
-    // Add USD amount
-  const enriched = transactions.map((txn) => {
-    const rate = EXCHANGE_RATES[txn.currency] ?? 1; // default 1 if USD or missing
-    const amountInUSD = txn.amount ? Number((txn.amount * rate).toFixed(2)) : 0;
-
-    return {
+    // Add USD amount – at the rate locked at payment, so old reports don't move with today's rates
+  const enriched = await Promise.all(
+    transactions.map(async (txn) => ({
       ...txn,
-      amountInUSD,
-    };
-  });
+      amountInUSD: await toBaseAmount(txn.amount, txn.currency, { fx: txn.fx, at: txn.createdAt }),
+    }))
+  );
   console.log("enriched transactions:", enriched);
 
   res
@@ -109,45 +110,56 @@ export const getSubscriberCount = async (req, res) => {
 };
 
 
+// ✅ 5. Artist revenue from the ledger – after gateway fees, tax, platform share and refunds, per currency
 export const getArtistRevenueSummary = async (req, res) => {
   const { artistId } = req.params;
-
-  // 1. Get all paid transactions for this artist
-  const transactions = await Transaction.find({
-    artistId,
-    status: "paid",
-  });
-  
-
-  let songRevenue = 0;
-  let albumRevenue = 0;
-  let subscriptionRevenue = 0;
-
-  for (const txn of transactions) {
-    if (txn.itemType === "song") {
-      songRevenue += txn.amount ? EXCHANGE_RATES[txn.currency] * txn.amount : 0;
-    } else if (txn.itemType === "album") {
-      albumRevenue += txn.amount ?  EXCHANGE_RATES[txn.currency] * txn.amount : 0;
-    } else if (txn.itemType === "artist-subscription") {
-      subscriptionRevenue += txn.amount?  EXCHANGE_RATES[txn.currency] * txn.amount : 0;
-    }
+  if (!(await canViewArtistAnalytics(req.user, artistId))) {
+    throw new UnauthorizedError("You are not allowed to view this artist's revenue");
   }
 
-  const totalRevenue = songRevenue + albumRevenue + subscriptionRevenue;
-  
- 
-
+  const { from, to } = req.query;
+  const revenue = await getArtistRevenue(artistId, { from, to });
 
   return res.status(StatusCodes.OK).json({
     success: true,
     artistId,
-    revenue: {
-      songRevenue,
-      albumRevenue,
-      subscriptionRevenue,
-      totalRevenue,
-    },
+    platformCommissionPercent: PLATFORM_COMMISSION_PERCENT,
+    revenue,
   });
 };
 
+// ✅ Monthly payout statements for an artist
+export const getArtistPayoutStatements = async (req, res) => {
+  const { artistId } = req.params;
+  if (!(await canViewArtistAnalytics(req.user, artistId))) {
+    throw new UnauthorizedError("You are not allowed to view this artist's payouts");
+  }
 
+  const { status, page, limit } = req.query;
+  const result = await listPayoutStatements({ artistId, status, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ✅ Download one of them (?format=csv|pdf, default pdf)
+export const downloadArtistPayoutStatement = async (req, res) => {
+  const { artistId, statementId } = req.params;
+  if (!(await canViewArtistAnalytics(req.user, artistId))) {
+    throw new UnauthorizedError("You are not allowed to view this artist's payouts");
+  }
+
+  const file = await exportPayoutStatement(statementId, req.query.format || "pdf", { artistId });
+  sendFileDownload(res, file);
+};
+
+// ✅ Subscribers whose renewal failed and who are in their grace period
+export const getAtRiskSubscribers = async (req, res) => {
+  const { artistId } = req.params;
+  if (!(await canViewArtistAnalytics(req.user, artistId))) {
+    throw new UnauthorizedError("You are not allowed to view this artist's subscribers");
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const result = await listAtRiskSubscribers(artistId, { page, limit });
+
+  res.status(StatusCodes.OK).json({ success: true, gracePeriodDays: GRACE_PERIOD_DAYS, ...result });
+};
@@ -0,0 +1,51 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  listRates,
+  getRateHistory,
+  overrideRate,
+  importRatesFile,
+  snapshotDailyRates,
+} from "../services/fxService.js";
+
+// ===================================================================
+// @desc    Exchange rates in force on a day (default: today), against USD
+// @route   GET /api/admin/fx/rates
+// @access  Admin
+// ===================================================================
+export const listRatesHandler = async (req, res) => {
+  const result = await listRates({ date: req.query.date });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    Daily snapshots of one currency's rate
+// @route   GET /api/admin/fx/rates/:currency/history
+// @access  Admin
+// ===================================================================
+export const rateHistoryHandler = async (req, res) => {
+  const { from, to } = req.query;
+  const result = await getRateHistory(req.params.currency, { from, to });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    Override a currency's rate for a day (default: today)
+// @route   PUT /api/admin/fx/rates/:currency
+// @access  Admin
+// ===================================================================
+export const overrideRateHandler = async (req, res) => {
+  const { rate, date, note } = req.body;
+  const override = await overrideRate({ currency: req.params.currency, rate, date, note }, req.user._id);
+  res.status(StatusCodes.OK).json({ success: true, rate: override });
+};
+
+// ===================================================================
+// @desc    Import the configured rates file now and complete today's snapshot
+// @route   POST /api/admin/fx/import
+// @access  Admin
+// ===================================================================
+export const importRatesHandler = async (req, res) => {
+  const result = await importRatesFile();
+  const snapshot = await snapshotDailyRates();
+  res.status(StatusCodes.OK).json({ success: true, ...result, carriedForward: snapshot.carried });
+};
@@ -0,0 +1,59 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  listAllInvoices,
+  getInvoiceDetail,
+  exportInvoicePdf,
+  resendInvoice,
+  issueTransactionDocuments,
+} from "../services/invoiceService.js";
+import { sendFileDownload } from "../utils/sendFileDownload.js";
+
+// ===================================================================
+// @desc    List issued invoices and credit notes
+// @route   GET /api/admin/invoices
+// @access  Admin
+// ===================================================================
+export const listInvoicesHandler = async (req, res) => {
+  const { userId, transactionId, orderId, kind, number, page, limit } = req.query;
+  const result = await listAllInvoices({ userId, transactionId, orderId, kind, number, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    One invoice / credit note with its deliveries and credit notes
+// @route   GET /api/admin/invoices/:id
+// @access  Admin
+// ===================================================================
+export const getInvoiceHandler = async (req, res) => {
+  const { invoice, creditNotes } = await getInvoiceDetail(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, invoice, creditNotes });
+};
+
+// ===================================================================
+// @desc    Download the archived PDF
+// @route   GET /api/admin/invoices/:id/download
+// @access  Admin
+// ===================================================================
+export const downloadInvoiceHandler = async (req, res) => {
+  sendFileDownload(res, await exportInvoicePdf(req.params.id));
+};
+
+// ===================================================================
+// @desc    Email the document again (to the customer, or to `email`)
+// @route   POST /api/admin/invoices/:id/resend
+// @access  Admin
+// ===================================================================
+export const resendInvoiceHandler = async (req, res) => {
+  const delivery = await resendInvoice(req.params.id, { adminId: req.user._id, email: req.body.email });
+  res.status(StatusCodes.OK).json({ success: true, delivery });
+};
+
+// ===================================================================
+// @desc    Issue a transaction's missing invoice and refund credit notes
+// @route   POST /api/admin/invoices/transactions/:transactionId/issue
+// @access  Admin
+// ===================================================================
+export const issueTransactionDocumentsHandler = async (req, res) => {
+  const { invoice, creditNotes } = await issueTransactionDocuments(req.params.transactionId);
+  res.status(StatusCodes.OK).json({ success: true, invoice, creditNotes });
+};
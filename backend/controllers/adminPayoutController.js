@@ -0,0 +1,67 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  generatePayoutStatements,
+  listPayoutStatements,
+  getPayoutStatement,
+  exportPayoutStatement,
+  settlePayoutStatement,
+} from "../services/payoutService.js";
+import { sendFileDownload } from "../utils/sendFileDownload.js";
+
+// ===================================================================
+// @desc    Generate payout statements for a month (default: last month)
+// @route   POST /api/admin/payouts/statements/generate
+// @access  Admin
+// ===================================================================
+export const generatePayoutStatementsHandler = async (req, res) => {
+  const { period, generated, skipped, statements } = await generatePayoutStatements({ period: req.body.period });
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    period,
+    generated,
+    skipped,
+    statementIds: statements.map((s) => s._id),
+  });
+};
+
+// ===================================================================
+// @desc    List payout statements
+// @route   GET /api/admin/payouts/statements
+// @access  Admin
+// ===================================================================
+export const listPayoutStatementsHandler = async (req, res) => {
+  const { artistId, status, period, currency, page, limit } = req.query;
+  const result = await listPayoutStatements({ artistId, status, period, currency, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    One payout statement with its ledger entries
+// @route   GET /api/admin/payouts/statements/:id
+// @access  Admin
+// ===================================================================
+export const getPayoutStatementHandler = async (req, res) => {
+  const { statement, entries } = await getPayoutStatement(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, statement, entries });
+};
+
+// ===================================================================
+// @desc    Download a payout statement (?format=csv|pdf, default pdf)
+// @route   GET /api/admin/payouts/statements/:id/download
+// @access  Admin
+// ===================================================================
+export const downloadPayoutStatementHandler = async (req, res) => {
+  const file = await exportPayoutStatement(req.params.id, req.query.format || "pdf");
+  sendFileDownload(res, file);
+};
+
+// ===================================================================
+// @desc    Mark a pending statement as paid out
+// @route   POST /api/admin/payouts/statements/:id/settle
+// @access  Admin
+// ===================================================================
+export const settlePayoutStatementHandler = async (req, res) => {
+  const { reference, note } = req.body;
+  const statement = await settlePayoutStatement(req.params.id, { adminId: req.user._id, reference, note });
+  res.status(StatusCodes.OK).json({ success: true, statement });
+};
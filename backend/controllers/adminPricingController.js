@@ -0,0 +1,21 @@
+import { StatusCodes } from "http-status-codes";
+import { setRegionalPrices } from "../services/pricingService.js";
+
+const regionalPricesHandler = (itemType) => async (req, res) => {
+  const item = await setRegionalPrices(itemType, req.params.id, req.body.prices);
+  res.status(StatusCodes.OK).json({ success: true, [itemType]: item });
+};
+
+// ===================================================================
+// @desc    Replace a song's per-country price overrides
+// @route   PUT /api/admin/pricing/songs/:id/regional-prices
+// @access  Admin
+// ===================================================================
+export const setSongRegionalPricesHandler = regionalPricesHandler("song");
+
+// ===================================================================
+// @desc    Replace an album's per-country price overrides
+// @route   PUT /api/admin/pricing/albums/:id/regional-prices
+// @access  Admin
+// ===================================================================
+export const setAlbumRegionalPricesHandler = regionalPricesHandler("album");
@@ -0,0 +1,34 @@
+import { StatusCodes } from "http-status-codes";
+import { listReconciliationReports, getReconciliationReport } from "../services/reconciliationService.js";
+import { enqueueReconciliation } from "../queue/reconciliationQueue.js";
+
+// ===================================================================
+// @desc    Start a subscription reconciliation run now
+// @route   POST /api/admin/reconciliation/run
+// @access  Admin
+// ===================================================================
+export const runReconciliationHandler = async (req, res) => {
+  const job = await enqueueReconciliation(req.user._id);
+  res.status(StatusCodes.ACCEPTED).json({ success: true, jobId: job.id });
+};
+
+// ===================================================================
+// @desc    List reconciliation reports (newest first, without details)
+// @route   GET /api/admin/reconciliation/reports
+// @access  Admin
+// ===================================================================
+export const listReconciliationReportsHandler = async (req, res) => {
+  const { status, trigger, page, limit } = req.query;
+  const result = await listReconciliationReports({ status, trigger, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    One reconciliation report with every correction it made
+// @route   GET /api/admin/reconciliation/reports/:id
+// @access  Admin
+// ===================================================================
+export const getReconciliationReportHandler = async (req, res) => {
+  const report = await getReconciliationReport(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, report });
+};
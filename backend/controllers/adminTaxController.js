@@ -0,0 +1,61 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  getTaxReport,
+} from "../services/taxService.js";
+
+// ===================================================================
+// @desc    Tax rules (admin overrides) plus the built-in GST / EU VAT settings
+// @route   GET /api/admin/tax/rules
+// @access  Admin
+// ===================================================================
+export const listTaxRulesHandler = async (req, res) => {
+  const { country, active } = req.query;
+  const result = await listTaxRules({ country, active });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    Add a tax rule for a country or one of its states
+// @route   POST /api/admin/tax/rules
+// @access  Admin
+// ===================================================================
+export const createTaxRuleHandler = async (req, res) => {
+  const { country, state, name, regime, components, active, notes } = req.body;
+  const rule = await createTaxRule({ country, state, name, regime, components, active, notes }, req.user._id);
+  res.status(StatusCodes.CREATED).json({ success: true, rule });
+};
+
+// ===================================================================
+// @desc    Change a tax rule's name, components or status
+// @route   PATCH /api/admin/tax/rules/:id
+// @access  Admin
+// ===================================================================
+export const updateTaxRuleHandler = async (req, res) => {
+  const rule = await updateTaxRule(req.params.id, req.body, req.user._id);
+  res.status(StatusCodes.OK).json({ success: true, rule });
+};
+
+// ===================================================================
+// @desc    Remove a tax rule (the built-in rule applies again, if any)
+// @route   DELETE /api/admin/tax/rules/:id
+// @access  Admin
+// ===================================================================
+export const deleteTaxRuleHandler = async (req, res) => {
+  await deleteTaxRule(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, message: "Tax rule deleted" });
+};
+
+// ===================================================================
+// @desc    Tax collected per country and component, net of refunds
+// @route   GET /api/admin/tax/report
+// @access  Admin
+// ===================================================================
+export const getTaxReportHandler = async (req, res) => {
+  const { from, to } = req.query;
+  const rows = await getTaxReport({ from, to });
+  res.status(StatusCodes.OK).json({ success: true, from, to, rows });
+};
@@ -0,0 +1,31 @@
+import { StatusCodes } from "http-status-codes";
+import { issueRefund } from "../services/refundService.js";
+
+// ===================================================================
+// @desc    Refund a transaction (full, or partial with body.amount)
+// @route   POST /api/admin/transactions/:id/refund
+// @access  Admin
+// ===================================================================
+export const refundTransaction = async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const { transaction, refund } = await issueRefund({
+    transactionId: req.params.id,
+    amount,
+    reason,
+    adminId: req.user._id,
+  });
+
+  // 202 while the gateway is still settling – the refund webhook completes it
+  res.status(refund.status === "pending" ? StatusCodes.ACCEPTED : StatusCodes.OK).json({
+    success: refund.status !== "failed",
+    refund,
+    transaction: {
+      _id: transaction._id,
+      status: transaction.status,
+      amount: transaction.amount,
+      refundedAmount: transaction.refundedAmount,
+      currency: transaction.currency,
+    },
+  });
+};
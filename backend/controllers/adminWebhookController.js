@@ -0,0 +1,35 @@
+import { StatusCodes } from "http-status-codes";
+import { listWebhookEvents, getWebhookEvent, replayWebhookEvent } from "../services/webhookInboxService.js";
+import { enqueueWebhookEvent } from "../queue/webhookQueue.js";
+
+// ===================================================================
+// @desc    List inbox events (filter by gateway / status / type) with per-status counts
+// @route   GET /api/admin/webhooks
+// @access  Admin
+// ===================================================================
+export const listWebhookEventsHandler = async (req, res) => {
+  const { gateway, status, type, page, limit } = req.query;
+  const result = await listWebhookEvents({ gateway, status, type, page, limit });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    One inbox event with its raw payload, failures and replays
+// @route   GET /api/admin/webhooks/:id
+// @access  Admin
+// ===================================================================
+export const getWebhookEventHandler = async (req, res) => {
+  const event = await getWebhookEvent(req.params.id);
+  res.status(StatusCodes.OK).json({ success: true, event });
+};
+
+// ===================================================================
+// @desc    Replay a failed / dead-lettered event (processed ones need force: true)
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Admin
+// ===================================================================
+export const replayWebhookEventHandler = async (req, res) => {
+  const event = await replayWebhookEvent(req.params.id, { adminId: req.user._id, force: req.body.force });
+  await enqueueWebhookEvent(event._id);
+  res.status(StatusCodes.ACCEPTED).json({ success: true, event: { _id: event._id, status: event.status } });
+};
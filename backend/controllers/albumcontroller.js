@@ -13,7 +13,8 @@ import { uploadToS3 } from "../utils/s3Uploader.js";
 import { Artist } from "../models/Artist.js";
 import { shapeAlbumResponse } from "../dto/album.dto.js";
 import { hasAccessToSong } from "../utils/accessControl.js";
-import { convertCurrencies } from "../utils/convertCurrencies.js";
+import { convertCurrencies } from "../services/fxService.js";
+import { resolveUserLocale } from "../services/localeService.js";
 
 // Album Controllers
 
@@ -95,7 +96,7 @@ export const getAllAlbums = async (req, res) => {
   ]);
 
   // 🧠 Transform using DTO
-  const shapedAlbums = albums.map(shapeAlbumResponse);
+  const shapedAlbums = albums.map((album) => shapeAlbumResponse(album, resolveUserLocale(req)));
 
   res.status(StatusCodes.OK).json({
     success: true,
@@ -173,7 +174,7 @@ export const getAlbumById = async (req, res) => {
   );
 
   // Return shaped album
-  const shapedAlbum = shapeAlbumResponse({ ...album, songs: shapedSongs });
+  const shapedAlbum = shapeAlbumResponse({ ...album, songs: shapedSongs }, resolveUserLocale(req));
 
   res.status(StatusCodes.OK).json({ success: true, album: shapedAlbum });
 };
@@ -256,14 +257,14 @@ export const getAlbumsByArtist = async (req, res) => {
       .sort({ releaseDate: -1 })
       .skip(skip)
       .limit(limit)
-      .select("title slug coverImage releaseDate accessType basePrice convertedPrices")
+      .select("title slug coverImage releaseDate accessType basePrice convertedPrices regionalPrices")
       .lean(),
     Album.countDocuments({ artist: artist._id }),
   ]);
  console.log("Albums for artist:", albums);
   // 🧠 Shape albums for frontend + inject artist info into each album
   const shapedAlbums = albums.map((album) => ({
-    ...shapeAlbumResponse(album),
+    ...shapeAlbumResponse(album, resolveUserLocale(req)),
     artist: {
       name: artist.name,
       slug: artist.slug,
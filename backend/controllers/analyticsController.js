@@ -0,0 +1,130 @@
+import { StatusCodes } from "http-status-codes";
+import { Song } from "../models/Song.js";
+import { Album } from "../models/Album.js";
+import { NotFoundError, UnauthorizedError } from "../errors/index.js";
+import { canViewArtistAnalytics } from "../helpers/accessControl.js";
+import {
+  parseRange,
+  getArtistOverview as getArtistOverviewService,
+  getSongBreakdown,
+  getAlbumBreakdown,
+  getItemAnalytics,
+  getTopSongs as getTopSongsService,
+  getSkipRates as getSkipRatesService,
+  getGeography as getGeographyService,
+} from "../services/analyticsService.js";
+
+const authorize = async (req) => {
+  const allowed = await canViewArtistAnalytics(req.user, req.params.artistId);
+  if (!allowed) throw new UnauthorizedError("You are not allowed to view this artist's analytics");
+  return parseRange(req.query);
+};
+
+const rangeInfo = ({ from, to, granularity }) => ({ from, to, granularity });
+
+// ===================================================================
+// @desc    Plays, unique listeners and listening time for an artist
+// @route   GET /api/admin/dashboard/analytics/:artistId/overview
+// @access  Admin / artist owner
+// ===================================================================
+export const getArtistOverview = async (req, res) => {
+  const range = await authorize(req);
+  const { totals, series } = await getArtistOverviewService(req.params.artistId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), totals, series });
+};
+
+// ===================================================================
+// @desc    Per-song totals for an artist
+// @route   GET /api/admin/dashboard/analytics/:artistId/songs
+// @access  Admin / artist owner
+// ===================================================================
+export const getSongsAnalytics = async (req, res) => {
+  const range = await authorize(req);
+  const songs = await getSongBreakdown(req.params.artistId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), count: songs.length, songs });
+};
+
+// ===================================================================
+// @desc    Totals and time series for a single song
+// @route   GET /api/admin/dashboard/analytics/:artistId/songs/:songId
+// @access  Admin / artist owner
+// ===================================================================
+export const getSongAnalytics = async (req, res) => {
+  const range = await authorize(req);
+  const { artistId, songId } = req.params;
+
+  const song = await Song.findOne({ _id: songId, artist: artistId }).select("title slug").lean();
+  if (!song) throw new NotFoundError("Song not found for this artist");
+
+  const { totals, series } = await getItemAnalytics("song", songId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), song, totals, series });
+};
+
+// ===================================================================
+// @desc    Per-album totals for an artist
+// @route   GET /api/admin/dashboard/analytics/:artistId/albums
+// @access  Admin / artist owner
+// ===================================================================
+export const getAlbumsAnalytics = async (req, res) => {
+  const range = await authorize(req);
+  const albums = await getAlbumBreakdown(req.params.artistId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), count: albums.length, albums });
+};
+
+// ===================================================================
+// @desc    Totals and time series for a single album
+// @route   GET /api/admin/dashboard/analytics/:artistId/albums/:albumId
+// @access  Admin / artist owner
+// ===================================================================
+export const getAlbumAnalytics = async (req, res) => {
+  const range = await authorize(req);
+  const { artistId, albumId } = req.params;
+
+  const album = await Album.findOne({ _id: albumId, artist: artistId }).select("title slug").lean();
+  if (!album) throw new NotFoundError("Album not found for this artist");
+
+  const { totals, series } = await getItemAnalytics("album", albumId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), album, totals, series });
+};
+
+// ===================================================================
+// @desc    Most played songs
+// @route   GET /api/admin/dashboard/analytics/:artistId/top-songs
+// @access  Admin / artist owner
+// ===================================================================
+export const getTopSongs = async (req, res) => {
+  const range = await authorize(req);
+  const songs = await getTopSongsService(req.params.artistId, range, req.query.limit || 10);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), songs });
+};
+
+// ===================================================================
+// @desc    Skip rate (skips / starts) per song
+// @route   GET /api/admin/dashboard/analytics/:artistId/skip-rates
+// @access  Admin / artist owner
+// ===================================================================
+export const getSkipRates = async (req, res) => {
+  const range = await authorize(req);
+  const minStarts = req.query.minStarts ?? 10;
+  const songs = await getSkipRatesService(req.params.artistId, range, minStarts);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), minStarts, songs });
+};
+
+// ===================================================================
+// @desc    Listener geography (from session IP at ingest)
+// @route   GET /api/admin/dashboard/analytics/:artistId/geography
+// @access  Admin / artist owner
+// ===================================================================
+export const getGeography = async (req, res) => {
+  const range = await authorize(req);
+  const countries = await getGeographyService(req.params.artistId, range);
+
+  res.status(StatusCodes.OK).json({ success: true, range: rangeInfo(range), countries });
+};
@@ -12,6 +12,7 @@ import { log } from "console";
 import { createArtistStripeSubscriptionPrice } from "../utils/stripe.js";
 import { createRazorpayPlan } from "../utils/razorpay.js";
 import { createPayPalProduct, createPayPalPlan } from "../utils/getPaypalAccessToken.js";
+import { resolveUserLocale } from "../services/localeService.js";
 
 const cycleToInterval = (cycle) => {
   switch (cycle) {
@@ -247,7 +248,7 @@ export const getAllArtists = async (req, res) => {
         ...artist,
         songCount,
         albumCount,
-      });
+      }, resolveUserLocale(req));
     })
   );
 
@@ -282,7 +283,7 @@ export const getAllArtistsWithoutPagination = async (req, res) => {
         ...artist,
         songCount,
         albumCount,
-      });
+      }, resolveUserLocale(req));
     })
   );
 
@@ -322,7 +323,7 @@ export const getArtistById = async (req, res) => {
     ...artist,
     songCount,
     albumCount,
-  });
+  }, resolveUserLocale(req));
 
   res.status(StatusCodes.OK).json({ success: true, artist: shaped });
 };
\ No newline at end of file
@@ -7,11 +7,12 @@ import { cycleToInterval } from "../utils/cycleToInterval.js";
 import { fetchArtistsWithCounts, fetchArtistById } from '../services/artistService.js';
 import { shapeArtistResponse } from "../dto/artist.dto.js";
 import { getCached, setCached } from "../utils/redisClient.js";
+import { resolveUserLocale } from "../services/localeService.js";
 
 export const createArtist = async (req, res) => {
   if (!isAdmin(req.user)) throw new UnauthorizedError("Access denied. Admins only.");
 
-  const { name, bio, location, subscriptionPrice, cycle } = req.body;
+  const { name, bio, location, subscriptionPrice, cycle, trialDays } = req.body;
   if (!name) throw new BadRequestError("Artist name is required.");
   if (!cycle) throw new BadRequestError("Subscription cycle is required (1m, 3m, 6m, 12m).");
 
@@ -28,6 +29,7 @@ export const createArtist = async (req, res) => {
     imageUrl,
     basePrice,
     cycle: intervals,
+    trialDays,
     createdBy: req.user._id
   });
 
@@ -40,7 +42,7 @@ export const updateArtist = async (req, res) => {
   const { id } = req.params;
 //   if (!mongoose.Types.ObjectId.isValid(id)) throw new BadRequestError("Invalid artist ID.");
 
-  const { name, bio, location, subscriptionPrice, cycle } = req.body;
+  const { name, bio, location, subscriptionPrice, cycle, trialDays } = req.body;
 
   const intervals = cycle ? cycleToInterval(cycle) : null;
   if (intervals) intervals.cycleLabel = cycle;
@@ -56,7 +58,8 @@ export const updateArtist = async (req, res) => {
     intervals,
     imageFile,
     updatedBy: req.user._id,
-    cycle
+    cycle,
+    trialDays
   });
 
   res.status(StatusCodes.OK).json({ success: true, artist: updatedArtist });
@@ -105,7 +108,9 @@ export const getAllArtists = async (req, res) => {
   const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
   const limit = parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 10;
 
-  const cacheKey = `artists:page=${page}:limit=${limit}`;
+  // Plan display prices depend on the caller's currency – cache per currency
+  const { currency } = resolveUserLocale(req);
+  const cacheKey = `artists:page=${page}:limit=${limit}:currency=${currency}`;
 
   try {
     // 1. Try cache first
@@ -117,7 +122,7 @@ export const getAllArtists = async (req, res) => {
     // 2. Fallback → DB
     const { artists, total } = await fetchArtistsWithCounts({ page, limit });
 
-    const shapedArtists = artists.map(shapeArtistResponse);
+    const shapedArtists = artists.map((artist) => shapeArtistResponse(artist, { currency }));
 
     const response = {
       success: true,
@@ -144,7 +149,8 @@ export const getAllArtists = async (req, res) => {
 
 export const getArtistById = async (req, res) => {
   const identifier = req.params.id;
-  const cacheKey = `artist:${identifier}`;
+  const { currency } = resolveUserLocale(req);
+  const cacheKey = `artist:${identifier}:currency=${currency}`;
   console.log("cacheKey:", cacheKey);
 
   try {
@@ -157,7 +163,7 @@ export const getArtistById = async (req, res) => {
     
 
     // 3. Shape DTO
-    const shaped = shapeArtistResponse(artist);
+    const shaped = shapeArtistResponse(artist, { currency });
     const response = { success: true, artist: shaped };
 
     // 4. Cache result for 10 min
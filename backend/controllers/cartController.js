@@ -0,0 +1,45 @@
+import { StatusCodes } from "http-status-codes";
+import { getCart, addCartItem, removeCartItem, clearCart } from "../services/cartService.js";
+import { resolveUserLocale } from "../services/localeService.js";
+
+// ===================================================================
+// @desc    The user's cart, priced for their locale
+// @route   GET /api/cart
+// @access  Private
+// ===================================================================
+export const getMyCart = async (req, res) => {
+  const cart = await getCart(req.user._id, resolveUserLocale(req));
+  res.status(StatusCodes.OK).json({ success: true, cart });
+};
+
+// ===================================================================
+// @desc    Add a song or album (rejected when the user already owns it)
+// @route   POST /api/cart/items
+// @access  Private
+// ===================================================================
+export const addToCart = async (req, res) => {
+  const { itemType, itemId } = req.body;
+  const cart = await addCartItem(req.user._id, { itemType, itemId }, resolveUserLocale(req));
+  res.status(StatusCodes.CREATED).json({ success: true, cart });
+};
+
+// ===================================================================
+// @desc    Remove one line
+// @route   DELETE /api/cart/items/:itemType/:itemId
+// @access  Private
+// ===================================================================
+export const removeFromCart = async (req, res) => {
+  const { itemType, itemId } = req.params;
+  const cart = await removeCartItem(req.user._id, { itemType, itemId }, resolveUserLocale(req));
+  res.status(StatusCodes.OK).json({ success: true, cart });
+};
+
+// ===================================================================
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private
+// ===================================================================
+export const emptyCart = async (req, res) => {
+  await clearCart(req.user._id);
+  res.status(StatusCodes.OK).json({ success: true, message: "Cart cleared" });
+};
@@ -0,0 +1,41 @@
+import { StatusCodes } from "http-status-codes";
+import { handleTranscodeResult } from "../services/transcodeService.js";
+
+// ===================================================================
+// @desc    Transcoding finished (or failed) for an uploaded song
+// @route   POST /api/internal/media/transcode-complete
+// @access  Media pipeline (HMAC signed)
+// ===================================================================
+export const transcodeComplete = async (req, res) => {
+  const { song, job, status } = await handleTranscodeResult(req.body);
+
+  // A preview re-render superseded by a newer window – the song was left as it is
+  if (!song) {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      songId: job?.songId || null,
+      jobId: job?._id || null,
+      status,
+      superseded: true,
+    });
+  }
+
+  if (status === "failed" && req.body.kind !== "preview") {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      songId: song._id,
+      jobId: job?._id || null,
+      status: "failed",
+      retry: { method: "POST", url: `/api/songs/${song._id}/transcode/retry` },
+    });
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    songId: song._id,
+    jobId: job?._id || null,
+    status: song.transcode.status,
+    renditions: song.renditions.map((r) => r.quality),
+    previewReady: song.preview?.ready || false,
+  });
+};
@@ -0,0 +1,35 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  getMockCheckout,
+  completeMockCheckout,
+  chargeMockSubscription,
+} from "../providers/mockPaymentProvider.js";
+
+// ===================================================================
+// @desc    Inspect a mock checkout (the "hosted payment page")
+// @route   GET /api/mock-gateway/checkout/:id
+// @access  Public (only mounted when PAYMENT_MOCK_ENABLED=true)
+// ===================================================================
+export const getCheckout = async (req, res) => {
+  res.status(StatusCodes.OK).json({ success: true, checkout: getMockCheckout(req.params.id) });
+};
+
+// ===================================================================
+// @desc    Pay (or decline) a mock order / subscription checkout
+// @route   POST /api/mock-gateway/checkout/:id/complete
+// @access  Public (only mounted when PAYMENT_MOCK_ENABLED=true)
+// ===================================================================
+export const completeCheckout = async (req, res) => {
+  const { checkout, event } = completeMockCheckout(req.params.id, req.body.outcome);
+  res.status(StatusCodes.OK).json({ success: true, checkout, webhook: { id: event.id, type: event.type } });
+};
+
+// ===================================================================
+// @desc    Simulate the next billing cycle of a mock subscription
+// @route   POST /api/mock-gateway/subscriptions/:id/charge
+// @access  Public (only mounted when PAYMENT_MOCK_ENABLED=true)
+// ===================================================================
+export const chargeSubscription = async (req, res) => {
+  const { checkout, event } = chargeMockSubscription(req.params.id, req.body.outcome);
+  res.status(StatusCodes.OK).json({ success: true, checkout, webhook: { id: event.id, type: event.type } });
+};
@@ -0,0 +1,74 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  issueOfflineLicense as issueOfflineLicenseService,
+  checkInDevice,
+  listOfflineLicenses,
+  removeOfflineLicense,
+  OFFLINE_MAX_DEVICES,
+  OFFLINE_MAX_TRACKS_PER_DEVICE,
+} from "../services/offlineLicenseService.js";
+
+// ===================================================================
+// @desc    Issue a device-bound offline license for a song
+// @route   POST /api/stream/song/:id/offline-license
+// @access  Private
+// ===================================================================
+export const issueOfflineLicense = async (req, res) => {
+  const { deviceId, deviceName } = req.body;
+
+  const { license, downloadUrl } = await issueOfflineLicenseService({
+    userId: req.user._id,
+    songId: req.params.id,
+    deviceId,
+    deviceName,
+  });
+
+  res.status(StatusCodes.CREATED).json({ success: true, license, downloadUrl });
+};
+
+// ===================================================================
+// @desc    Renew or revoke a device's offline licenses
+// @route   POST /api/stream/offline/check-in
+// @access  Private
+// ===================================================================
+export const offlineCheckIn = async (req, res) => {
+  const { renewed, revoked } = await checkInDevice({
+    userId: req.user._id,
+    deviceId: req.body.deviceId,
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, renewed, revoked });
+};
+
+// ===================================================================
+// @desc    List active offline licenses
+// @route   GET /api/stream/offline/licenses?deviceId=
+// @access  Private
+// ===================================================================
+export const getOfflineLicenses = async (req, res) => {
+  const licenses = await listOfflineLicenses({
+    userId: req.user._id,
+    deviceId: req.query.deviceId,
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: licenses.length,
+    limits: { devices: OFFLINE_MAX_DEVICES, tracksPerDevice: OFFLINE_MAX_TRACKS_PER_DEVICE },
+    licenses,
+  });
+};
+
+// ===================================================================
+// @desc    Remove a downloaded song from a device
+// @route   DELETE /api/stream/offline/licenses/:licenseId
+// @access  Private
+// ===================================================================
+export const deleteOfflineLicense = async (req, res) => {
+  const revoked = await removeOfflineLicense({
+    userId: req.user._id,
+    licenseId: req.params.licenseId,
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, revoked });
+};
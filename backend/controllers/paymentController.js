@@ -1,179 +1,125 @@
 import { StatusCodes } from "http-status-codes";
-import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/index.js";
 import { Transaction } from "../models/Transaction.js";
-import { Song } from "../models/Song.js";
-import { Album } from "../models/Album.js";
-import { createStripePaymentIntent } from "../utils/stripe.js";
-import { createRazorpayOrder as createRazorpayOrderUtil } from "../utils/razorpay.js";
-import { log } from "console";
-import { Subscription } from "../models/Subscription.js";
 import paypal from "@paypal/checkout-server-sdk";
 import  {paypalClient}  from "../utils/paypalClient.js";
-// ✅ Stripe: Purchase song, album, or artist-subscription
-export const createStripePayment = async (req, res) => {
-const { itemType, itemId, amount, currency = "INR" } = req.body;
-const userId = req.user._id;
-
-if (!["song", "album", "artist-subscription"].includes(itemType)) {
-throw new BadRequestError("Invalid item type. Must be 'song', 'album', or 'artist-subscription'.");
-}
-
-// ✅ Get artistId depending on item type
-let artistId;
-
-if (itemType === "song") {
-const song = await Song.findById(itemId).select("artist");
-if (!song) throw new NotFoundError("Song not found");
-artistId = song.artist;
-} else if (itemType === "album") {
-const album = await Album.findById(itemId).select("artist");
-if (!album) throw new NotFoundError("Album not found");
-artistId = album.artist;
-} else if (itemType === "artist-subscription") {
-artistId = itemId; // already artistId
-}
-
-// ✅ Create Transaction
-const transaction = await Transaction.create({
-userId,
-itemType,
-itemId,
-artistId,
-amount,
-currency,
-gateway: "stripe",
-status: "pending",
-});
-
-// ✅ Create Stripe PaymentIntent
-const stripePayment = await createStripePaymentIntent(amount, userId, {
-itemType,
-itemId,
-transactionId: transaction._id,
-});
-
-// ✅ Save PaymentIntent ID
-transaction.paymentIntentId = stripePayment.id;
-await transaction.save();
-
-return res.status(StatusCodes.CREATED).json({
-success: true,
-clientSecret: stripePayment.client_secret,
-});
-};
-
-
-
-// ✅ Razorpay One-Time Payment (Song/Album)
-export const createRazorpayOrder = async (req, res) => {
-  const { itemType, itemId, amount, currency = "INR" } = req.body;
-  const userId = req.user._id;
-
-  if (!["song", "album"].includes(itemType)) {
-    throw new BadRequestError("Invalid item type. Must be 'song' or 'album'.");
-  }
-
-  // ✅ Get artistId (optional but useful for records)
-  let artistId;
-  if (itemType === "song") {
-    const song = await Song.findById(itemId).select("artist");
-    if (!song) throw new NotFoundError("Song not found");
-    artistId = song.artist;
-  } else if (itemType === "album") {
-    const album = await Album.findById(itemId).select("artist");
-    if (!album) throw new NotFoundError("Album not found");
-    artistId = album.artist;
-  }
-    const subscription = await Subscription.findOne({
-        userId,
-        artistId,
-        status: { $in: ["active", "cancelled"] }, 
-      });
-  
-      // if (!subscription) 
-      //    return res.status(400).json({ "message" : "No active subscription found for this artist.", artistId });
-
-  // ✅ Create Razorpay Order
-const razorpayOrder = await createRazorpayOrderUtil(amount, userId, itemType, itemId, {}, currency);
-  
-  
-  
-  // ✅ Save Transaction in DB
-  await Transaction.create({
-    userId,
+import { markTransactionPaid, markOrderPaid } from "../services/paymentService.js";
+import { processAndSendOrderInvoice } from "../services/invoiceService.js";
+import { startOrderCheckout, startCartCheckout, previewCheckoutPrice } from "../services/checkoutService.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { isAdmin } from "../utils/authHelper.js";
+import { resolveBuyerLocation } from "../utils/geoIp.js";
+import { resolveUserLocale } from "../services/localeService.js";
+
+// ===================================================================
+// @desc    One-time purchase (song, album or one subscription period)
+// @route   POST /api/payments/:gateway/create-order
+// @route   POST /api/payments/stripe/create-payment (legacy alias)
+// @access  Private
+// ===================================================================
+export const createPaymentOrder = async (req, res) => {
+  const { itemType, itemId, currency, cycle, couponCode } = req.body;
+
+  // ✅ Price is resolved server-side (never trust client amount)
+  const { transaction, checkout } = await startOrderCheckout({
+    user: req.user,
+    gateway: req.params.gateway,
     itemType,
     itemId,
-    artistId,
-    amount,
     currency,
-    gateway: "razorpay",
-    status: "pending",
-    razorpayOrderId: razorpayOrder.id,
+    cycle,
+    couponCode,
+    buyerLocation: resolveBuyerLocation(req),
+    locale: resolveUserLocale(req),
   });
-  
-  return res.status(201).json({ success: true, order: razorpayOrder });
-};
-
-
-
-
 
-// ✅ Create PayPal Order
-export const createPaypalOrder = async (req, res) => {
-  const { itemType, itemId, amount, currency = "USD" } = req.body;
-  const userId = req.user._id;
-
-  if (!["song", "album"].includes(itemType)) {
-    throw new BadRequestError("Invalid item type. Must be 'song' or 'album'.");
-  }
-
-  let artistId;
-  if (itemType === "song") {
-    const song = await Song.findById(itemId).select("artist");
-    if (!song) throw new NotFoundError("Song not found");
-    artistId = song.artist;
-  } else {
-    const album = await Album.findById(itemId).select("artist");
-    if (!album) throw new NotFoundError("Album not found");
-    artistId = album.artist;
-  }
+  return res.status(StatusCodes.CREATED).json({
+    success: true,
+    gateway: transaction.gateway,
+    transactionId: transaction._id,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    discount: transaction.discount?.couponId ? transaction.discount : undefined,
+    tax: { rate: transaction.tax.rate, amount: transaction.tax.amount, lines: transaction.tax.lines },
+    ...checkout,
+  });
+};
 
-  // ✅ Create PayPal order with metadata in custom_id
-  const request = new paypal.orders.OrdersCreateRequest();
-  request.requestBody({
-    intent: "CAPTURE",
-    purchase_units: [{
-      amount: { currency_code: currency, value: amount.toFixed(2) },
-      description: `${itemType} purchase`,
-      custom_id: JSON.stringify({ type: itemType, itemId, userId }), // 👈 embed metadata
-    }],
-    application_context: {
-      brand_name: "YourApp",
-      user_action: "PAY_NOW",
-      return_url: `${process.env.FRONTEND_URL}/paypal/success`,
-      cancel_url: `${process.env.FRONTEND_URL}/paypal/cancel`,
-    },
+// ===================================================================
+// @desc    Check out the whole cart as one order (one payment, one invoice)
+// @route   POST /api/payments/:gateway/cart-checkout
+// @access  Private
+// ===================================================================
+export const checkoutCart = async (req, res) => {
+  const { order, checkout } = await startCartCheckout({
+    user: req.user,
+    gateway: req.params.gateway,
+    currency: req.body.currency,
+    buyerLocation: resolveBuyerLocation(req),
+    locale: resolveUserLocale(req),
   });
 
-  const order = await paypalClient().execute(request);
+  return res.status(StatusCodes.CREATED).json({
+    success: true,
+    gateway: order.gateway,
+    orderId: order._id,
+    amount: order.amount,
+    currency: order.currency,
+    taxAmount: order.taxAmount,
+    items: order.items.map(({ itemType, itemId, title, amount, transactionId }) => ({
+      itemType,
+      itemId,
+      title,
+      amount,
+      transactionId,
+    })),
+    ...checkout,
+  });
+};
 
-  // ✅ Save Transaction in DB
-  await Transaction.create({
-    userId,
+// ===================================================================
+// @desc    Price an item with a coupon before checkout
+// @route   POST /api/payments/coupons/preview          (body.gateway, default razorpay)
+// @access  Private
+// ===================================================================
+export const previewCoupon = async (req, res) => {
+  const { itemType, itemId, currency, cycle, couponCode, gateway = "razorpay" } = req.body;
+
+  const pricing = await previewCheckoutPrice({
+    user: req.user,
+    gateway,
     itemType,
     itemId,
-    artistId,
-    amount,
     currency,
-    gateway: "paypal",
-    status: "pending",
-    paypalOrderId: order.result.id,
+    cycle,
+    couponCode,
+    buyerLocation: resolveBuyerLocation(req),
+    locale: resolveUserLocale(req),
   });
+  res.status(StatusCodes.OK).json({ success: true, ...pricing });
+};
+
+// ===================================================================
+// @desc    Local vs gateway status of a transaction
+// @route   GET /api/payments/transactions/:id/status
+// @access  Private (owner or admin)
+// ===================================================================
+export const getPaymentStatus = async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id);
+  if (!transaction) throw new NotFoundError("Transaction not found");
+
+  if (!isAdmin(req.user) && transaction.userId.toString() !== req.user._id.toString()) {
+    throw new UnauthorizedError("You cannot view this transaction");
+  }
 
-  return res.status(201).json({
+  const gatewayStatus = await getPaymentProvider(transaction.gateway).fetchStatus(transaction);
+
+  res.status(StatusCodes.OK).json({
     success: true,
-    id: order.result.id,
-    links: order.result.links,
+    transactionId: transaction._id,
+    gateway: transaction.gateway,
+    status: transaction.status,
+    gatewayStatus,
   });
 };
 
@@ -186,15 +132,42 @@ export const capturePaypalOrder = async (req, res) => {
     const request = new paypal.orders.OrdersCaptureRequest(orderId);
     request.requestBody({});
     const response = await paypalClient().execute(request);
+    const capture = response.result.purchase_units?.[0]?.payments?.captures?.[0];
+    const captureId = capture?.id;
+
+    // Held captures (e.g. eCheck, review) are settled by PAYMENT.CAPTURE.COMPLETED once the money moves
+    if (capture?.status !== "COMPLETED") {
+      return res.status(StatusCodes.ACCEPTED).json({ success: true, pending: true, data: response.result });
+    }
+
+    // 🛒 Cart order – every line is settled together
+    const order = await markOrderPaid({
+      gateway: "paypal",
+      paymentId: orderId,
+      chargeId: captureId,
+      ...(capture?.amount && { amount: Number(capture.amount.value), currency: capture.amount.currency_code }),
+    });
+    if (order && order.status !== "paid") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "The captured amount doesn't match this order – it has been flagged for review",
+      });
+    }
+    if (order) {
+      await processAndSendOrderInvoice(order).catch((err) =>
+        console.error(`❌ Failed to send invoice for order ${order._id}:`, err.message)
+      );
+      return res.status(200).json({ success: true, orderId: order._id, data: response.result });
+    }
 
     // ✅ Mark transaction as paid
     const transaction = await markTransactionPaid({
       gateway: "paypal",
-      paymentId: response.result.id, // capture ID
+      paymentId: orderId,
+      chargeId: captureId,
     });
 
     if (transaction) {
-      await updateUserAfterPurchase(transaction, response.result.id);
       console.log("✅ PayPal one-time purchase completed:", transaction.itemType, transaction.itemId);
     } else {
       console.warn("⚠️ No matching transaction found for capture:", response.result.id);
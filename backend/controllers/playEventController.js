@@ -0,0 +1,63 @@
+import { StatusCodes } from "http-status-codes";
+import {
+  recordPlayEvents as recordPlayEventsService,
+  getListeningHistory as getListeningHistoryService,
+  clearListeningHistory as clearListeningHistoryService,
+} from "../services/playEventService.js";
+import { resolveCountry, lookupIpCountry } from "../utils/geoIp.js";
+
+// ===================================================================
+// @desc    Ingest a batch of playback events (start/progress/skip/complete)
+// @route   POST /api/stream/events
+// @access  Private
+// ===================================================================
+export const recordPlayEvents = async (req, res) => {
+  const result = await recordPlayEventsService({
+    userId: req.user._id,
+    events: req.body.events,
+    ip: req.ip, // client address – trust proxy is set in app.js
+    userAgent: req.headers["user-agent"],
+    // Geography comes from the listener's IP; the CDN country header only fills in unknown addresses
+    country: lookupIpCountry(req.ip) || resolveCountry(req),
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({ success: true, ...result });
+};
+
+// ===================================================================
+// @desc    Recently played songs
+// @route   GET /api/users/me/history
+// @access  Private
+// ===================================================================
+export const getListeningHistory = async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const { history, total } = await getListeningHistoryService(req.user._id, { page, limit });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    history,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+};
+
+// ===================================================================
+// @desc    Clear listening history
+// @route   DELETE /api/users/me/history
+// @access  Private
+// ===================================================================
+export const clearListeningHistory = async (req, res) => {
+  const clearedAt = await clearListeningHistoryService(req.user._id);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Listening history cleared",
+    clearedAt,
+  });
+};
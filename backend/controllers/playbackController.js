@@ -0,0 +1,40 @@
+import { StatusCodes } from "http-status-codes";
+import { BadRequestError } from "../errors/index.js";
+import { getPlaybackState, savePlaybackState } from "../services/playbackStateService.js";
+
+// If-Match: "3" (or W/"3") wins over body.version
+const readExpectedVersion = (req) => {
+  const header = req.header("If-Match");
+  const raw = header ? header.replace(/^W\//, "").replace(/"/g, "") : req.body.version;
+  const version = Number(raw);
+  if (raw === undefined || raw === null || !Number.isInteger(version) || version < 0) {
+    throw new BadRequestError("Send the version you last read via If-Match or body.version (0 for a new state)");
+  }
+  return version;
+};
+
+// ===================================================================
+// @desc    Current playback state (queue, track, position, modes)
+// @route   GET /api/users/me/playback
+// @access  Private
+// ===================================================================
+export const getPlayback = async (req, res) => {
+  const state = await getPlaybackState(req.user._id);
+  const version = state?.version ?? 0;
+
+  res.set("ETag", `"${version}"`);
+  res.status(StatusCodes.OK).json({ success: true, version, playback: state });
+};
+
+// ===================================================================
+// @desc    Save playback state (optimistic concurrency on version)
+// @route   PUT /api/users/me/playback
+// @access  Private
+// ===================================================================
+export const updatePlayback = async (req, res) => {
+  const expectedVersion = readExpectedVersion(req);
+  const state = await savePlaybackState(req.user._id, req.body, expectedVersion);
+
+  res.set("ETag", `"${state.version}"`);
+  res.status(StatusCodes.OK).json({ success: true, version: state.version, playback: state });
+};
@@ -6,6 +6,7 @@ import { shapeSongResponse } from "../dto/song.dto.js";
 import { shapeArtistResponse } from "../dto/artist.dto.js";
 import { shapeAlbumResponse} from "../dto/album.dto.js";
 import  { hasAccessToSong } from "../utils/accessControl.js";
+import { resolveUserLocale } from "../services/localeService.js";
 
 /**
  * Unified search across artists, songs, and albums.
@@ -42,10 +43,11 @@ export const unifiedSearch = async (req, res) => {
   ]);
 
   
+const locale = resolveUserLocale(req);
 const [shapedArtists, shapedSongs, shapedAlbums] = await Promise.all([
-  Promise.all(artists.map(shapeArtistResponse)),
-  Promise.all(songs.map(shapeSongResponse)),
-  Promise.all(albums.map(shapeAlbumResponse)),
+  Promise.all(artists.map((artist) => shapeArtistResponse(artist, locale))),
+  Promise.all(songs.map((song) => shapeSongResponse(song, false, null, locale))),
+  Promise.all(albums.map((album) => shapeAlbumResponse(album, locale))),
 ]);
 
   
@@ -90,7 +92,7 @@ export const searchSongs = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(req.user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -125,7 +127,7 @@ export const searchArtists = async (req, res) => {
   ]);
 
   const shapedArtists = await Promise.all(
-    artists.map(async (artist) => await shapeArtistResponse(artist))
+    artists.map(async (artist) => await shapeArtistResponse(artist, resolveUserLocale(req)))
   );
 
   res.status(StatusCodes.OK).json({
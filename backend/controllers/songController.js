@@ -12,6 +12,7 @@ import { isAdmin } from "../utils/authHelper.js";
 import { log } from "console";
 import { shapeSongResponse } from "../dto/song.dto.js";
 import { streamSong } from "./streamController.js";
+import { resolveUserLocale } from "../services/localeService.js";
 
 
 
@@ -292,7 +293,7 @@ export const getAllSongs = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -334,7 +335,7 @@ export const getSongById = async (req, res) => {
   // Check user access to song
   const hasAccess = await hasAccessToSong(req.user, song);
 
-  const shaped = shapeSongResponse(song, hasAccess);
+  const shaped = shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
 
   
    
@@ -403,7 +404,7 @@ export const getSongsMatchingUserGenres = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -458,7 +459,7 @@ export const getSongsByGenre = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -514,7 +515,7 @@ export const getSongsByArtist = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(req.user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -577,7 +578,7 @@ export const getSongsByAlbum = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(req.user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -631,7 +632,7 @@ export const getPurchasedSongs = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(req.user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -675,7 +676,7 @@ export const getPremiumSongs = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
@@ -722,7 +723,7 @@ export const getLikedSongs = async (req, res) => {
   const shapedSongs = await Promise.all(
     songs.map(async (song) => {
       const hasAccess = await hasAccessToSong(req.user, song);
-      return shapeSongResponse(song, hasAccess);
+      return shapeSongResponse(song, hasAccess, null, resolveUserLocale(req));
     })
   );
 
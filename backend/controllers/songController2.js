@@ -1,10 +1,16 @@
 import { StatusCodes } from "http-status-codes";
 import { UnauthorizedError } from "../errors/index.js";
 import { isAdmin } from "../utils/authHelper.js";
-import { createSong as createSongService } from "../services/songService.js";
+import {
+  createSong as createSongService,
+  updateSongPreview as updateSongPreviewService,
+} from "../services/songService.js";
 import { uploadAudioFile, getCoverImage } from "../services/fileService.js";
 import { shapeSongResponse } from "../dto/song.dto.js";
-import { convertCurrencies } from "../utils/convertCurrencies.js";
+import { convertCurrencies } from "../services/fxService.js";
+import { startTranscode, retryTranscode, getTranscodeStatus } from "../services/transcodeService.js";
+import eventDispatcher from "../core/events/eventDispatcher.js";
+import { MEDIA_EVENTS } from "../core/events/eventTypes.js";
 
 
 export const createSong = async (req, res) => {
@@ -19,7 +25,9 @@ export const createSong = async (req, res) => {
     accessType,
     releaseDate,
     albumOnly,
-    album
+    album,
+    previewStart,
+    previewDuration
   } = req.body;
 
 
@@ -36,6 +44,11 @@ export const createSong = async (req, res) => {
   const coverImageUrl = await getCoverImage(req.files?.coverImage?.[0], album);
   
 
+  // Optional preview window (defaults: first 30 seconds)
+  const preview = {};
+  if (previewStart !== undefined) preview.startOffset = Number(previewStart);
+  if (previewDuration !== undefined) preview.duration = Number(previewDuration);
+
   const convertedPrices = basePrice ? await convertCurrencies(basePrice.currency, basePrice.amount) : [];
 
   // Create song
@@ -50,16 +63,24 @@ export const createSong = async (req, res) => {
       releaseDate,
       albumOnly: albumOnlyBool,
       album,
-      convertedPrices
+      convertedPrices,
+      preview: Object.keys(preview).length ? preview : undefined
     },
     audioUrl,
     coverImageUrl
   });
 
+  // ⚙️ Kick off HLS transcoding (failures are recorded on the song, not thrown)
+  const transcodeJob = await startTranscode(newSong);
+
   // Response shaping
   const response = shapeSongResponse(newSong, false);
 
-  res.status(StatusCodes.CREATED).json({ success: true, song: response });
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    song: response,
+    transcode: { jobId: transcodeJob._id, status: transcodeJob.status },
+  });
 };
 
 export const updateSong = async (req, res) => {
@@ -93,4 +114,53 @@ export const updateSong = async (req, res) => {
   const shaped = shapeSongResponse(updatedSong, false);
 
   res.status(StatusCodes.OK).json({ success: true, song: shaped });
-};
\ No newline at end of file
+};
+
+// ===================================================================
+// @desc    Configure the preview clip window of a song
+// @route   PATCH /api/songs/:id/preview
+// @access  Admin
+// ===================================================================
+export const updateSongPreview = async (req, res) => {
+  if (!isAdmin(req.user)) throw new UnauthorizedError("Admins only");
+
+  const { startOffset, duration } = req.body;
+  const song = await updateSongPreviewService(req.params.id, { startOffset, duration });
+
+  res.status(StatusCodes.OK).json({ success: true, preview: song.preview });
+};
+
+// ===================================================================
+// @desc    Retry a failed HLS transcode
+// @route   POST /api/songs/:id/transcode/retry
+// @access  Admin
+// ===================================================================
+export const retrySongTranscode = async (req, res) => {
+  if (!isAdmin(req.user)) throw new UnauthorizedError("Admins only");
+
+  const { song, job } = await retryTranscode(req.params.id);
+
+  eventDispatcher.dispatch(MEDIA_EVENTS.SONG_TRANSCODE_RETRY_REQUESTED, {
+    songId: song._id,
+    audioKey: song.audioKey,
+    attempt: song.transcode.attempts,
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({
+    success: true,
+    transcode: { jobId: job._id, status: job.status, attempt: job.attempt },
+  });
+};
+
+// ===================================================================
+// @desc    Transcode status and recent jobs of a song
+// @route   GET /api/songs/:id/transcode
+// @access  Admin
+// ===================================================================
+export const getSongTranscodeStatus = async (req, res) => {
+  if (!isAdmin(req.user)) throw new UnauthorizedError("Admins only");
+
+  const status = await getTranscodeStatus(req.params.id);
+
+  res.status(StatusCodes.OK).json({ success: true, ...status });
+};
@@ -1,8 +1,17 @@
 import { Song } from "../models/Song.js";
 import { Album } from "../models/Album.js";
-import { getSignedCloudFrontUrl as getSignedUrl } from "../utils/cloudfront.js";
+import { getSignedCloudFrontUrl as getSignedUrl, getSignedPreviewUrl } from "../utils/cloudfront.js";
 import { canStreamSong, canStreamAlbum } from "../helpers/accessControl.js";
 import { UnauthorizedError, NotFoundError } from "../errors/index.js";
+import {
+  acquireStreamLease,
+  listActiveStreams,
+  releaseCurrentStreamLease,
+  kickDevice,
+} from "../services/streamLeaseService.js";
+import { findSessionByToken } from "../services/sessionService.js";
+import { getResumePoint } from "../services/playbackStateService.js";
+import { getMasterPlaylistPath } from "../services/hlsService.js";
 
 // ✅ Stream a single song
 export const streamSong = async (req, res) => {
@@ -10,13 +19,38 @@ export const streamSong = async (req, res) => {
   const userId = req.user._id;
 
   const allowed = await canStreamSong(userId, songId);
-  if (!allowed) throw new UnauthorizedError("You do not have access to stream this song.");
 
   const song = await Song.findById(songId).lean();
   if (!song || !song.audioKey) throw new NotFoundError("Song not found or missing audio key.");
 
-  const signedUrl = await getSignedUrl(song.audioKey); // e.g., songs-hls/{key}.m3u8
-  res.json({ url: signedUrl });
+  // 🎧 No full access – fall back to the preview clip when one has been rendered
+  if (!allowed) {
+    if (!song.preview?.ready) {
+      throw new UnauthorizedError("You do not have access to stream this song.");
+    }
+
+    const previewUrl = await getSignedPreviewUrl(song.audioKey, song.preview.key);
+    return res.json({
+      mode: "preview",
+      url: previewUrl,
+      // The window of the clip being served – a new one may still be rendering
+      preview: {
+        startOffset: song.preview.rendered?.startOffset ?? song.preview.startOffset,
+        duration: song.preview.rendered?.duration ?? song.preview.duration,
+      },
+    });
+  }
+
+  // 🔒 One lease per device; throws 409 with active devices when over the limit
+  const lease = await acquireStreamLease({ user: req.user, token: req.token, songId });
+
+  // 📶 With renditions, the tier-capped master – the default one lists every rendition
+  const signedUrl = song.renditions?.length
+    ? getMasterPlaylistPath(songId)
+    : await getSignedUrl(song.audioKey); // e.g., songs-hls/{key}.m3u8
+  // ⏯️ Pick up where another device left off
+  const resume = await getResumePoint(userId, { songId });
+  res.json({ mode: "full", url: signedUrl, lease, resume });
 };
 
 // ✅ Stream all songs in an album
@@ -30,9 +64,41 @@ export const streamAlbum = async (req, res) => {
   const album = await Album.findById(albumId).populate("songs").lean();
   if (!album || !album.songs?.length) throw new NotFoundError("Album not found or has no songs.");
 
+  const lease = await acquireStreamLease({ user: req.user, token: req.token, albumId });
+
   const urls = await Promise.all(
-    album.songs.map((song) => getSignedUrl(song.audioKey))
+    album.songs.map((song) => (song.renditions?.length ? getMasterPlaylistPath(song._id) : getSignedUrl(song.audioKey)))
   );
 
-  res.json({ urls });
+  const resume = await getResumePoint(userId, { albumId });
+  res.json({ urls, lease, resume });
+};
+
+// ✅ Keep this device's stream lease alive while playing
+export const streamHeartbeat = async (req, res) => {
+  const lease = await acquireStreamLease({
+    user: req.user,
+    token: req.token,
+    songId: req.body.songId,
+  });
+  res.json({ lease });
+};
+
+// ✅ Release this device's lease when playback stops
+export const releaseStream = async (req, res) => {
+  await releaseCurrentStreamLease(req.user, req.token);
+  res.json({ success: true });
+};
+
+// ✅ Devices currently streaming on this account
+export const getStreamDevices = async (req, res) => {
+  const session = await findSessionByToken(req.user._id, req.token);
+  const devices = await listActiveStreams(req.user._id, session?._id);
+  res.json({ devices });
+};
+
+// ✅ Stop streaming on another device (ends that device's session)
+export const kickStreamDevice = async (req, res) => {
+  await kickDevice(req.user, req.params.sessionId);
+  res.json({ success: true, message: "Device signed out" });
 };
@@ -1,4 +1,4 @@
-import { getSignedCloudFrontCookies } from "../utils/cloudfront2.js";
+import { getSignedCloudFrontCookies, getSignedCookiesForPath } from "../utils/cloudfront2.js";
 
 import { Song } from "../models/Song.js";
 // import { getSignedUrl } from "../utils/s3.js";
@@ -7,6 +7,28 @@ import { canStreamSong } from "../helpers/accessControl.js";
 import { UnauthorizedError, NotFoundError } from "../errors/index.js";
 import { Album } from "../models/Album.js";
 import { canStreamAlbum } from "../helpers/accessControl.js";
+import { resolveUserTier } from "../services/userTierService.js";
+import { acquireStreamLease } from "../services/streamLeaseService.js";
+import { getResumePoint } from "../services/playbackStateService.js";
+import {
+  selectRenditions,
+  detectDevice,
+  getRenditionFolders,
+  getMasterPlaylistPath,
+  buildMasterPlaylist,
+} from "../services/hlsService.js";
+
+// `path` scopes the cookies to one folder, so several sets (one per rendition) can live side by side
+const setCloudFrontCookies = (res, signedCookies, path = "/") => {
+  for (const name of ["CloudFront-Policy", "CloudFront-Signature", "CloudFront-Key-Pair-Id"]) {
+    res.cookie(name, signedCookies[name], {
+      httpOnly: true,
+      secure: true,
+      domain: process.env.COOKIE_DOMAIN, // e.g., ".yourdomain.com"
+      path,
+    });
+  }
+};
 
 export const streamSong2 = async (req, res) => {
   const { id: songId } = req.params;
@@ -18,29 +40,59 @@ export const streamSong2 = async (req, res) => {
   const song = await Song.findById(songId);
   if (!song || !song.audioKey) throw new NotFoundError("Song not found or missing audioKey");
 
+  // 🔒 No cookies until this device holds a lease; over the limit it's a 409 listing the active devices
+  const lease = await acquireStreamLease({ user: req.user, token: req.token, songId });
+  const resume = await getResumePoint(userId, { songId });
+
+  // 📶 Renditions are only reachable through the tier-capped master, which signs each allowed one
+  if (song.renditions?.length) {
+    const masterPlaylistUrl = getMasterPlaylistPath(songId);
+    return res.json({ url: masterPlaylistUrl, masterPlaylistUrl, lease, resume });
+  }
+
   const baseUrl = `https://${process.env.CLOUDFRONT_DOMAIN}/${song.audioKey}/${song.audioKey}_hls.m3u8`;
 
   const signedCookies = getSignedCloudFrontCookies(song.audioKey);
 
   // Set CloudFront cookies
-  res.cookie("CloudFront-Policy", signedCookies["CloudFront-Policy"], {
-    httpOnly: true,
-    secure: true,
-    domain: process.env.COOKIE_DOMAIN, // e.g., ".yourdomain.com"
-    path: "/",
-  });
-  res.cookie("CloudFront-Signature", signedCookies["CloudFront-Signature"], {
-    httpOnly: true,
-    secure: true,
-    domain: process.env.COOKIE_DOMAIN,
-    path: "/",
-  });
-  res.cookie("CloudFront-Key-Pair-Id", signedCookies["CloudFront-Key-Pair-Id"], {
-    httpOnly: true,
-    secure: true,
-    domain: process.env.COOKIE_DOMAIN,
-    path: "/",
-  });
+  setCloudFrontCookies(res, signedCookies);
+
+  res.json({ url: baseUrl, masterPlaylistUrl: null, lease, resume });
+};
 
-  res.json({ url: baseUrl });
+// ===================================================================
+// @desc    HLS master playlist limited to the renditions this listener may play
+// @route   GET /api/stream/song/:id/master.m3u8?maxQuality=256&device=mobile
+// @access  Private
+// ===================================================================
+export const getMasterPlaylist = async (req, res) => {
+  const { id: songId } = req.params;
+  const { maxQuality } = req.query;
+
+  const allowed = await canStreamSong(req.user._id, songId);
+  if (!allowed) throw new UnauthorizedError("You do not have access to stream this song.");
+
+  const song = await Song.findById(songId).select("audioKey renditions").lean();
+  if (!song) throw new NotFoundError("Song not found");
+  if (!song.renditions?.length) throw new NotFoundError("No adaptive renditions available for this song yet.");
+
+  const tier = await resolveUserTier(req.user);
+  const device = req.query.device || detectDevice(req.headers["user-agent"]);
+  const selection = selectRenditions(song.renditions, { tier, device, maxQuality });
+  if (!selection.renditions.length) {
+    throw new UnauthorizedError(`No rendition of this song is available at or below ${selection.maxQuality}.`);
+  }
+
+  await acquireStreamLease({ user: req.user, token: req.token, songId });
+
+  for (const folder of getRenditionFolders(selection.renditions)) {
+    setCloudFrontCookies(res, getSignedCookiesForPath(folder), `/${folder}/`);
+  }
+
+  res.set({
+    "Content-Type": "application/vnd.apple.mpegurl",
+    "Cache-Control": "private, no-store",
+    "X-Max-Quality": selection.maxQuality,
+  });
+  res.send(buildMasterPlaylist(selection.renditions, `https://${process.env.CLOUDFRONT_DOMAIN}`));
 };
@@ -7,6 +7,10 @@ import { StatusCodes } from 'http-status-codes';
 import { BadRequestError, UnauthorizedError, } from "../errors/index.js";
 import { shapeUserResponse } from "../dto/user.dto.js";
 import Session from "../models/Session.js";
+import { createSession, findSessionByToken } from "../services/sessionService.js";
+import { releaseStreamLease } from "../services/streamLeaseService.js";
+import { resolveUserLocale, updateUserLocale } from "../services/localeService.js";
+import { SUPPORTED_CURRENCIES } from "../utils/convertCurrencies.js";
 import { log } from "console";
 
 // ===================================================================
@@ -39,22 +43,13 @@ export const registerUser = async (req, res) => {
   // 6. ✅ Generate JWT
   const rawToken = generateToken(createdUser._id, res);
 
-  // 7. ✅ Hash token before saving (use SHA256 here for performance vs bcrypt)
-  const hashedToken = crypto.createHash("sha256").update(rawToken).digest("hex");
+  // 7. ✅ Save session (token stored as SHA256 hash)
+  await createSession({ userId: createdUser._id, rawToken, req });
 
-  // 8. ✅ Save session
-  await Session.create({
-    userId: createdUser._id,
-    token: hashedToken,
-    expiresAt: new Date(Date.now() + 1000 * 60 * 60 * 24 * 7), // 7d expiry
-    userAgent: req.headers["user-agent"],
-    ip: req.headers["x-forwarded-for"] || req.ip,
-  });
-
-  // 9. 🧩 Shape user response
+  // 8. 🧩 Shape user response
   const shapedUser = shapeUserResponse(createdUser.toObject());
 
-  // 10. 📤 Send response
+  // 9. 📤 Send response
   res.status(StatusCodes.CREATED).json({
     user: shapedUser,
     token: rawToken,
@@ -101,17 +96,8 @@ export const loginUser = async (req, res) => {
   // ✅ Generate JWT
   const rawToken = generateToken(user._id, res);
 
-  // ✅ Hash token before saving
-  const hashedToken = await bcrypt.hash(rawToken, 10);
-
-  // ✅ Save session
-  await Session.create({
-    userId: user._id,
-    token: hashedToken,
-    expiresAt: new Date(Date.now() + 1000 * 60 * 60 * 24 * 7), // 7d expiry
-    userAgent: req.headers["user-agent"],
-    ip: req.headers["x-forwarded-for"] || req.ip,
-  });
+  // ✅ Save session (SHA256 so stream leases can resolve it from the token)
+  await createSession({ userId: user._id, rawToken, req });
 
   // 🧩 Shape user response (remove sensitive fields)
   const shapedUser = shapeUserResponse(user.toObject());
@@ -156,6 +142,8 @@ export const myProfile = async (req, res) => {
     purchasedAlbums: user.purchasedAlbums || [],
     likedsong: user.likedsong || [],
     preferredGenres: user.preferredGenres || [],
+    billingCountry: user.billingCountry || null,
+    preferredCurrency: user.preferredCurrency || null,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt
   };
@@ -182,12 +170,12 @@ export const logoutUser = async (req, res) => {
     // Clean up expired sessions
     await Session.deleteMany({ expiresAt: { $lt: new Date() } });
 
-    // ⚠️ FIXED: Find session by userId and token directly
-    // Don't hash tokens for session storage - store them as-is or use JWT IDs
-    const sessionToDelete = await Session.findOneAndDelete({ 
-      userId: req.user._id,
-      token: rawToken  // Store raw token or JWT ID in sessions
-    });
+    // Find the session this token belongs to and end it
+    const sessionToDelete = await findSessionByToken(req.user._id, rawToken);
+    if (sessionToDelete) {
+      await Session.deleteOne({ _id: sessionToDelete._id });
+      await releaseStreamLease(req.user._id, sessionToDelete._id);
+    }
 
     if (!sessionToDelete) {
       // Don't throw error - user might already be logged out
@@ -287,6 +275,42 @@ export const updatePreferredGenres = async (req, res) => {
 
 
 
+// ===================================================================
+// @desc    Pricing locale – the country and currency catalog prices are shown in
+// @route   GET /api/users/me/locale
+// @access  Private
+// ===================================================================
+export const getMyLocale = async (req, res) => {
+  res.status(StatusCodes.OK).json({
+    success: true,
+    locale: resolveUserLocale(req),
+    billingCountry: req.user.billingCountry || null,
+    preferredCurrency: req.user.preferredCurrency || null,
+    supportedCurrencies: SUPPORTED_CURRENCIES,
+  });
+};
+
+// ===================================================================
+// @desc    Set (or clear with null) billing country and preferred currency
+// @route   PUT /api/users/me/locale
+// @access  Private
+// ===================================================================
+export const updateMyLocale = async (req, res) => {
+  const { billingCountry, preferredCurrency } = req.body;
+  const user = await updateUserLocale(req.user._id, { billingCountry, preferredCurrency });
+
+  req.user = user;
+  req.pricingLocale = undefined;
+  res.status(StatusCodes.OK).json({
+    success: true,
+    locale: resolveUserLocale(req),
+    billingCountry: user.billingCountry || null,
+    preferredCurrency: user.preferredCurrency || null,
+  });
+};
+
+
+
 // ===================================================================
 // @desc    Send password reset link to user email
 // @route   POST /api/auth/forgot-password
@@ -355,7 +379,7 @@ export const resetPassword = async (req, res) => {
 // @route   GET /api/auth/google/callback
 // @access  Public (OAuth)
 // ===================================================================
-export const googleAuthCallback = (req, res) => {
+export const googleAuthCallback = async (req, res) => {
   try {
     // 🔥 NEW: Extract user and isNewUser from req.user (updated passport strategy)
     const { user, isNewUser } = req.user || {};
@@ -368,6 +392,7 @@ export const googleAuthCallback = (req, res) => {
     
     // 🔥 NEW: Use same generateToken pattern as login/register
     const token = generateToken(user._id, res);
+    await createSession({ userId: user._id, rawToken: token, req });
     
     
     // 🔥 NEW: Redirect to frontend callback with newUser parameter
@@ -7,6 +7,19 @@ import { StatusCodes } from "http-status-codes";
 import { NotFoundError } from "../errors/index.js";
 import { Subscription } from "../models/Subscription.js";
 import { Artist } from "../models/Artist.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import { listUserInvoices, exportInvoicePdf } from "../services/invoiceService.js";
+import { sendFileDownload } from "../utils/sendFileDownload.js";
+
+// Subscriptions the user still has: paid, trialing, or past due within the grace window
+const liveSubscriptionFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ["active", "trialing"] }, validUntil: { $gt: now } },
+    { status: "past_due", graceUntil: { $gt: now } },
+  ],
+});
 
 /**
  * @desc Fetch user purchases: songs, albums, and purchase history
@@ -92,11 +105,10 @@ export const getUserPurchases = async (req, res) => {
 export const getUserSubscriptions = async (req, res) => {
   const userId = req.user._id;
 
-  // 1. Fetch active subscriptions
+  // 1. Fetch active subscriptions (free trials and past-due ones in their grace window included)
   const subscriptions = await Subscription.find({
     userId,
-    status: "active",
-    validUntil: { $gt: new Date() },
+    ...liveSubscriptionFilter(),
   }).lean();
 
   if (subscriptions.length === 0) {
@@ -140,8 +152,7 @@ export const cancelArtistSubscription = async (req, res) => {
   const subscription = await Subscription.findOne({
     userId,
     artistId,
-    status: "active",
-    validUntil: { $gt: new Date() },
+    ...liveSubscriptionFilter(),
   });
 
   if (!subscription) {
@@ -151,10 +162,39 @@ export const cancelArtistSubscription = async (req, res) => {
   // Mark it as cancelled (soft cancel)
   subscription.status = "cancelled";
   subscription.validUntil = new Date(); // expire immediately
-  await subscription.save();
+  await withTransaction(async (session) => {
+    await subscription.save({ session });
+    await publishEvent(
+      PAYMENT_EVENTS.SUBSCRIPTION_CANCELLED,
+      { subscriptionId: subscription._id, userId, artistId, atPeriodEnd: false, validUntil: subscription.validUntil },
+      { session }
+    );
+  });
 
   return res.status(StatusCodes.OK).json({
     success: true,
     message: "Subscription cancelled successfully.",
   });
 };
+
+
+/**
+ * @desc Invoices and credit notes issued to the user
+ * @route GET /api/user/dashboard/invoices
+ * @access Private
+ */
+export const getUserInvoices = async (req, res) => {
+  const { kind, page, limit } = req.query;
+  const result = await listUserInvoices(req.user._id, { kind, page, limit });
+  return res.status(StatusCodes.OK).json({ success: true, ...result });
+};
+
+/**
+ * @desc Download one of the user's invoices / credit notes as PDF
+ * @route GET /api/user/dashboard/invoices/:invoiceId/download
+ * @access Private
+ */
+export const downloadUserInvoice = async (req, res) => {
+  const file = await exportInvoicePdf(req.params.invoiceId, { userId: req.user._id });
+  sendFileDownload(res, file);
+};
@@ -5,6 +5,10 @@ export const PAYMENT_EVENTS = {
   PAYMENT_FAILED: "payment.failed",
 
   SUBSCRIPTION_CREATED: "subscription.created",
+  SUBSCRIPTION_TRIAL_STARTED: "subscription.trial_started",
+  SUBSCRIPTION_PLAN_CHANGED: "subscription.plan_changed",
+  SUBSCRIPTION_PAST_DUE: "subscription.past_due",
+  SUBSCRIPTION_RECOVERED: "subscription.recovered",
   SUBSCRIPTION_CANCELLED: "subscription.cancelled",
   SUBSCRIPTION_EXPIRED: "subscription.expired",
 
@@ -13,3 +17,9 @@ export const PAYMENT_EVENTS = {
 
   REFUND_ISSUED: "refund.issued",
 };
+
+export const MEDIA_EVENTS = {
+  SONG_READY: "song.ready",
+  SONG_TRANSCODE_FAILED: "song.transcode_failed",
+  SONG_TRANSCODE_RETRY_REQUESTED: "song.transcode_retry_requested",
+};
@@ -0,0 +1,128 @@
+import { OutboxEvent } from "../../models/OutboxEvent.js";
+import logger from "../../utils/logger.js";
+
+// ---------------------------
+// 📤 Transactional outbox: events are written in the same Mongo transaction as the
+// state change, then relayed to subscribers (queue/outboxQueue.js) at least once.
+// Delivery is tracked per subscriber, so one failing handler doesn't re-run the others.
+// Handlers must be idempotent and throw to get the event again.
+// ---------------------------
+
+// Attempts per subscriber before its delivery is given up on
+export const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+
+const SECOND_MS = 1000;
+// A relay that claimed an event this long ago has died
+const LOCK_MS = 5 * 60 * SECOND_MS;
+const MAX_BACKOFF_MS = 60 * 60 * SECOND_MS;
+const CLOSED_DELIVERY_STATUSES = ["delivered", "dead", "skipped"];
+
+// eventType → Map(subscriberName → handler)
+const subscribers = new Map();
+
+/**
+ * Register a handler for an outbox event type. The name identifies the subscriber's
+ * deliveries across restarts, so don't rename it once events have been written.
+ * @param {string} eventType - one of PAYMENT_EVENTS
+ * @param {string} subscriberName
+ * @param {(payload: object, meta: { eventId, type, occurredAt }) => Promise<void>} handler
+ */
+export const subscribeToOutbox = (eventType, subscriberName, handler) => {
+  if (!eventType) throw new Error(`Outbox subscriber "${subscriberName}" has no event type`);
+  const handlers = subscribers.get(eventType) || new Map();
+  if (handlers.has(subscriberName)) {
+    throw new Error(`Outbox subscriber "${subscriberName}" is already registered for ${eventType}`);
+  }
+  handlers.set(subscriberName, handler);
+  subscribers.set(eventType, handlers);
+};
+
+/**
+ * Write an event to the outbox. Pass the session of the transaction that makes the
+ * state change, so the event exists if and only if the change committed.
+ * @param {string} type
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {import("mongoose").ClientSession} [options.session]
+ */
+export const publishEvent = async (type, payload, { session } = {}) => {
+  const [event] = await OutboxEvent.create([{ type, payload }], { session });
+  return event;
+};
+
+// 30s, 1m, 2m, … capped at an hour
+const backoffMs = (attempts) => Math.min(30 * SECOND_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+
+const claimNextEvent = (now) =>
+  OutboxEvent.findOneAndUpdate(
+    {
+      status: "pending",
+      availableAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { availableAt: 1 }, new: true }
+  );
+
+const deliverEvent = async (event) => {
+  const handlers = subscribers.get(event.type) || new Map();
+
+  // Subscribers registered after the event was written get it too
+  for (const name of handlers.keys()) {
+    if (!event.deliveries.some((d) => d.subscriber === name)) event.deliveries.push({ subscriber: name });
+  }
+
+  for (const delivery of event.deliveries) {
+    if (CLOSED_DELIVERY_STATUSES.includes(delivery.status)) continue;
+
+    const handler = handlers.get(delivery.subscriber);
+    if (!handler) {
+      delivery.status = "skipped";
+      delivery.lastError = "Subscriber is no longer registered";
+      continue;
+    }
+
+    delivery.attempts += 1;
+    try {
+      await handler(event.payload, { eventId: event._id, type: event.type, occurredAt: event.createdAt });
+      delivery.status = "delivered";
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+    } catch (err) {
+      const gaveUp = delivery.attempts >= OUTBOX_MAX_ATTEMPTS;
+      delivery.status = gaveUp ? "dead" : "failed";
+      delivery.lastError = err.message;
+      const summary = `${event.type} ${event._id} → ${delivery.subscriber} attempt ${delivery.attempts}: ${err.message}`;
+      if (gaveUp) logger.error(`☠️ Gave up on outbox delivery ${summary}`);
+      else logger.warn(`⚠️ Retrying outbox delivery ${summary}`);
+    }
+  }
+
+  const open = event.deliveries.filter((d) => !CLOSED_DELIVERY_STATUSES.includes(d.status));
+  if (open.length) {
+    const attempts = Math.max(...open.map((d) => d.attempts));
+    event.availableAt = new Date(Date.now() + backoffMs(attempts));
+  } else {
+    event.status = event.deliveries.some((d) => d.status === "dead") ? "dead" : "delivered";
+    event.completedAt = new Date();
+  }
+  event.lockedUntil = null;
+  await event.save();
+};
+
+/**
+ * Deliver due outbox events to their subscribers, oldest first.
+ * @param {object} [options]
+ * @param {number} [options.limit] - events per run
+ * @returns {Promise<number>} events handled in this run
+ */
+export const relayOutboxEvents = async ({ limit = 100 } = {}) => {
+  let handled = 0;
+  while (handled < limit) {
+    const event = await claimNextEvent(new Date());
+    if (!event) break;
+    await deliverEvent(event);
+    handled += 1;
+  }
+  return handled;
+};
@@ -44,7 +44,7 @@ export function registerPaymentEvents() {
   eventDispatcher.subscribe(PAYMENT_EVENTS.PURCHASE_REFUNDED, async ({ userId, transactionId }) => {
     try {
       logger.info(`Purchase refunded for user ${userId}, tx ${transactionId}`);
-      // TODO: reverse access (remove song/album/sub)
+      // Access is already revoked by services/refundService.js before this fires
     } catch (err) {
       logger.error(`Error handling PURCHASE_REFUNDED: ${err.message}`);
     }
@@ -3,6 +3,20 @@ import mongoose from "mongoose";
 
 mongoose.set("strictQuery", true); // Recommended for Mongoose v7+
 
+// Payments, refunds and the event outbox write through multi-document transactions
+// (database/withTransaction.js), which MongoDB only runs on a replica set or sharded cluster.
+// A single-node replica set is enough locally: `mongod --replSet rs0` then `rs.initiate()`.
+const warnIfNoTransactions = async (connection) => {
+  try {
+    const hello = await connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.error("⚠️ MongoDB is not a replica set – transactions will fail, so checkouts, refunds and webhooks will error");
+    }
+  } catch (error) {
+    console.error("⚠️ Could not check MongoDB replica set status:", error.message);
+  }
+};
+
 const connectDb = async () => {
   const maxRetries = 5;
   let retries = 0;
@@ -14,6 +28,7 @@ const connectDb = async () => {
       });
 
       console.log(`✅ MongoDB connected: ${conn.connection.host} / DB: ${conn.connection.name}`);
+      await warnIfNoTransactions(conn.connection);
 
       // Gracefully close on process termination
       process.on("SIGINT", async () => {
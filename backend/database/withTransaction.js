@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+/**
+ * Run `work(session)` inside a MongoDB transaction and return its result.
+ * Everything written with the session commits or rolls back together; transient
+ * errors (write conflicts, failovers) re-run `work`, so keep it free of side effects
+ * outside the database. Transactions need a replica set – a single-node one is enough locally.
+ * @param {(session: mongoose.ClientSession) => Promise<any>} work
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -1,4 +1,6 @@
-export const shapeAlbumResponse = (album) => ({
+import { getDisplayPrice } from "../services/pricingService.js";
+
+export const shapeAlbumResponse = (album, locale) => ({
   _id: album._id,
   title: album.title,
   slug: album.slug,
@@ -8,6 +10,7 @@ export const shapeAlbumResponse = (album) => ({
   accessType: album.accessType,
   basePrice: album.basePrice,
   convertedPrices: album.convertedPrices || [],
+  displayPrice: album.accessType === "free" ? null : getDisplayPrice(album, locale),
   artist: album.artist
     ? {
         _id: album.artist._id,
@@ -1,21 +1,25 @@
 import { Song } from "../models/Song.js";
 import { Album } from "../models/Album.js";
+import { getDisplayPrice } from "../services/pricingService.js";
 
-export const shapeArtistResponse = (artist) => {
+export const shapeArtistResponse = (artist, locale) => {
   const plans = Array.isArray(artist.subscriptionPlans)
     ? artist.subscriptionPlans.map((p) => ({
         cycle: p.cycle,
         basePrice: p.basePrice,
         price: p.price,
+        trialDays: p.trialDays || 0,
         razorpayPlanId: p.razorpayPlanId,
         stripePriceId: p.stripePriceId,
         paypalPlans: Array.isArray(p.paypalPlans)
           ? p.paypalPlans.map((pp) => ({
               currency: pp.currency,
               paypalPlanId: pp.paypalPlanId,
+              paypalTrialPlanId: pp.paypalTrialPlanId || null,
             }))
           : [],
-        convertedPrices: p.convertedPrices || {}
+        convertedPrices: p.convertedPrices || {},
+        displayPrice: getDisplayPrice(p, locale),
       }))
     : [];
 
@@ -27,6 +31,7 @@ export const shapeArtistResponse = (artist) => {
     location: artist.location,
     bio: artist.bio,
     subscriptionPlans: plans,
+    displayPrice: plans[0]?.displayPrice ?? null, // default plan, as charged when no cycle is picked
     songCount: artist.songCount ?? 0,   // use precomputed counts if available
     albumCount: artist.albumCount ?? 0,
     createdAt: artist.createdAt,
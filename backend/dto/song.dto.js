@@ -1,4 +1,7 @@
-export const shapeSongResponse = (song, hasAccess, signedUrl = null) => {
+import { getDisplayPrice } from "../services/pricingService.js";
+
+// `locale` (services/localeService.js#resolveUserLocale) picks the currency of displayPrice
+export const shapeSongResponse = (song, hasAccess, signedUrl = null, locale) => {
   return {
     _id: song._id,
     title: song.title,
@@ -9,11 +12,13 @@ export const shapeSongResponse = (song, hasAccess, signedUrl = null) => {
     accessType: song.accessType,
     basePrice: song.basePrice,
     convertedPrices: song.convertedPrices || [],
+    displayPrice: song.accessType === "free" ? null : getDisplayPrice(song, locale),
     hlsReady: song.hlsReady,
     artist: song.artist,
     album: song.album || null,
     slug: song.slug,
     audioUrl: hasAccess ? signedUrl : null, // ✅ Only signed URL if access is allowed
+    previewAvailable: !hasAccess && !!song.preview?.ready, // 🎧 fetch via /api/stream/song/:id
     
   };
 };
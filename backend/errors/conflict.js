@@ -0,0 +1,13 @@
+import CustomAPIError from "./custom-api.js";
+
+class ConflictError extends CustomAPIError {
+  constructor(message, details) {
+    super(message);
+    this.name = "ConflictError";
+    this.statusCode = 409;
+    this.details = details; // optional structured payload returned to the client
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+export default ConflictError;
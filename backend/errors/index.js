@@ -3,6 +3,7 @@ import UnauthenticatedError from "./unauthenticated.js";
 import NotFoundError from "./not-found.js";
 import BadRequestError from "./bad-request.js";
 import UnauthorizedError from "./unauthorized.js";
+import ConflictError from "./conflict.js";
 
 export {
   CustomAPIError,
@@ -10,4 +11,5 @@ export {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
 };
\ No newline at end of file
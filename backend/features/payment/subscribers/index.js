@@ -1,25 +1,25 @@
-import eventDispatcher from "../../../core/events/eventDispatcher.js";
-import { PAYMENT_EVENTS } from "../events/eventTypes.js";
+import { subscribeToOutbox } from "../../../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../../../core/events/eventTypes.js";
 
 import { onSubscriptionCreated } from "./onSubscriptionCreated.js";
 import { onSubscriptionCancelled } from "./onSubscriptionCancelled.js";
 import { onPurchaseCompleted } from "./onPurchaseCompleted.js";
 import { onPurchaseRefunded } from "./onPurchaseRefunded.js";
-import { onPaymentSucceeded } from "./onPaymentSucceeded.js";
-import { onPaymentFailed } from "./onPaymentFailed.js";
-import { onRefundIssued } from "./onRefundIssued.js";
+import { cancelRefundedSubscription } from "../../../services/refundService.js";
 
 /**
- * Register all payment-related event listeners
+ * Register all payment-related event listeners with the outbox relay.
+ * Subscriber names key the per-subscriber delivery records – don't rename them.
+ *
+ * onPaymentSucceeded / onPaymentSuccess / onPaymentFailed / onRefundIssued are not registered:
+ * services/paymentService.js and services/refundService.js write that state themselves,
+ * in the same transaction that publishes the event.
  */
 export function registerPaymentSubscribers() {
-  eventDispatcher.subscribe(PAYMENT_EVENTS.SUBSCRIPTION_CREATED, onSubscriptionCreated);
-  eventDispatcher.subscribe(PAYMENT_EVENTS.SUBSCRIPTION_CANCELLED, onSubscriptionCancelled);
+  subscribeToOutbox(PAYMENT_EVENTS.SUBSCRIPTION_CREATED, "subscription-email", onSubscriptionCreated);
+  subscribeToOutbox(PAYMENT_EVENTS.SUBSCRIPTION_CANCELLED, "subscription-cancelled-log", onSubscriptionCancelled);
 
-  eventDispatcher.subscribe(PAYMENT_EVENTS.PURCHASE_COMPLETED, onPurchaseCompleted);
-  eventDispatcher.subscribe(PAYMENT_EVENTS.PURCHASE_REFUNDED, onPurchaseRefunded);
-
-  eventDispatcher.subscribe(PAYMENT_EVENTS.PAYMENT_SUCCESS, onPaymentSucceeded);
-  eventDispatcher.subscribe(PAYMENT_EVENTS.PAYMENT_FAILED, onPaymentFailed);
-  eventDispatcher.subscribe(PAYMENT_EVENTS.REFUND_ISSUED, onRefundIssued);
+  subscribeToOutbox(PAYMENT_EVENTS.PURCHASE_COMPLETED, "purchase-history", onPurchaseCompleted);
+  subscribeToOutbox(PAYMENT_EVENTS.PURCHASE_REFUNDED, "purchase-refunded-log", onPurchaseRefunded);
+  subscribeToOutbox(PAYMENT_EVENTS.PURCHASE_REFUNDED, "refunded-subscription-cancel", cancelRefundedSubscription);
 }
@@ -1,5 +1,5 @@
 // src/features/payment/subscribers/onPurchaseCompleted.js
-import { updatePurchaseHistory } from "../handlers/purchaseHandler.js";
+import { updatePurchaseHistory } from "../handler/purchaseHandler.js";
 import logger from "../../../core/logger.js";
 
 export async function onPurchaseCompleted({ userId, itemId, itemType }) {
@@ -8,5 +8,6 @@ export async function onPurchaseCompleted({ userId, itemId, itemType }) {
     logger.info(`Purchase completed for user ${userId}, item ${itemId}`);
   } catch (err) {
     logger.error(`Error in onPurchaseCompleted: ${err.message}`);
+    throw err; // the outbox relay retries it
   }
 }
@@ -7,6 +7,7 @@ export async function onPurchaseRefunded({ userId, transactionId }) {
     // TODO: reverse access (remove song/album/subscription)
   } catch (err) {
     logger.error(`Error in onPurchaseRefunded: ${err.message}`);
+    throw err; // the outbox relay retries it
   }
 }
 
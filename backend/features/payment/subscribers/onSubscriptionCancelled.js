@@ -7,5 +7,6 @@ export async function onSubscriptionCancelled({ userId, subscriptionId }) {
     // TODO: remove access or notify user
   } catch (err) {
     logger.error(`Error in onSubscriptionCancelled: ${err.message}`);
+    throw err; // the outbox relay retries it
   }
 }
@@ -1,5 +1,5 @@
 // src/features/payment/subscribers/onSubscriptionCreated.js
-import { sendSubscriptionEmail } from "../handlers/subscriptionHandler.js";
+import { sendSubscriptionEmail } from "../handler/subscriptionHandler.js";
 import logger from "../../../core/logger.js";
 
 export async function onSubscriptionCreated({ userId, artistId }) {
@@ -8,5 +8,6 @@ export async function onSubscriptionCreated({ userId, artistId }) {
     logger.info(`Subscription email sent to user ${userId} for artist ${artistId}`);
   } catch (err) {
     logger.error(`Error in onSubscriptionCreated: ${err.message}`);
+    throw err; // the outbox relay retries it
   }
 }
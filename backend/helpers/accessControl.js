@@ -2,8 +2,18 @@ import { Song } from "../models/Song.js";
 import { Subscription } from "../models/Subscription.js";
 import { User } from "../models/User.js";
 import { Album } from "../models/Album.js";
+import { Artist } from "../models/Artist.js";
 import { isAdmin } from "../utils/authHelper.js";
 
+// 🎟️ Subscription still grants access: within the paid period (trials and cancelled-but-paid too),
+// or past due while the grace window is open
+export const subscriptionAccessFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ["active", "trialing", "cancelled"] }, validUntil: { $gt: now } },
+    { status: "past_due", graceUntil: { $gt: now } },
+  ],
+});
+
 export const canStreamSong = async (userId, songId) => {
   console.log(`Checking stream access for user ${userId} on song ${songId}`);
   const user = await User.findById(userId).lean();
@@ -21,8 +31,7 @@ export const canStreamSong = async (userId, songId) => {
     const subscription = await Subscription.findOne({
       userId,
       artistId: song.artist?._id || song.artist, // 🔥 fix here
-      status: { $in: ["active", "cancelled"] }, // ✅ Allow cancelled too
-      validUntil: { $gt: new Date() }, // ✅ Still within access period
+      ...subscriptionAccessFilter(), // ✅ Still within access period or grace window
     });
 
     if (subscription) return true;
@@ -86,8 +95,7 @@ export const canStreamAlbum = async (userId, albumId) => {
     const sub = await Subscription.findOne({
       userId,
       artistId: album.artist._id,
-      status: "active",
-      validUntil: { $gte: new Date() },
+      ...subscriptionAccessFilter(),
     });
 
     return !!sub;
@@ -100,3 +108,10 @@ export const canStreamAlbum = async (userId, albumId) => {
   return false;
 };
 
+
+// 📊 Streaming analytics are visible to admins and the user who manages the artist
+export const canViewArtistAnalytics = async (user, artistId) => {
+  if (isAdmin(user)) return true;
+  const artist = await Artist.findById(artistId).select("createdBy").lean();
+  return !!artist && artist.createdBy?.toString() === user?._id?.toString();
+};
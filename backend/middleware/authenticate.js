@@ -39,6 +39,7 @@ export const authenticateUser = async (req, res, next) => {
     }
 
     req.user = user;
+    req.token = token; // raw token, used to resolve the login Session
     next();
   } catch (error) {
     logger.error("Authentication middleware error:", error);
@@ -36,7 +36,13 @@ const errorHandlerMiddleware = (err, req, res, next) => {
     customError.msg = err.message;
   }
 
-  return res.status(customError.statusCode).json({ msg: customError.msg });
+  // Structured details (e.g. active devices on a stream limit conflict)
+  if (err.details) customError.details = err.details;
+
+  return res.status(customError.statusCode).json({
+    msg: customError.msg,
+    ...(customError.details && { details: customError.details }),
+  });
 };
 
 export default errorHandlerMiddleware;
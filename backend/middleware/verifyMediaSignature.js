@@ -0,0 +1,43 @@
+import crypto from "crypto";
+import { BadRequestError, UnauthenticatedError } from "../errors/index.js";
+
+// Reject callbacks signed more than this long ago (replay protection)
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+/**
+ * Verify HMAC-signed callbacks from the media pipeline.
+ * Expects a raw JSON body and headers:
+ *   X-Media-Timestamp: unix seconds
+ *   X-Media-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}` with MEDIA_CALLBACK_SECRET
+ * On success the parsed JSON replaces req.body.
+ */
+export const verifyMediaSignature = (req, res, next) => {
+  const secret = process.env.MEDIA_CALLBACK_SECRET;
+  if (!secret) throw new Error("MEDIA_CALLBACK_SECRET is not configured");
+
+  const timestamp = req.header("X-Media-Timestamp");
+  const signature = req.header("X-Media-Signature");
+  if (!timestamp || !signature) throw new UnauthenticatedError("Missing media signature");
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_SIGNATURE_AGE_SECONDS) {
+    throw new UnauthenticatedError("Media signature expired");
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+  const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+  const expectedBuf = Buffer.from(expected, "hex");
+  const signatureBuf = Buffer.from(signature, "hex");
+  if (expectedBuf.length !== signatureBuf.length || !crypto.timingSafeEqual(expectedBuf, signatureBuf)) {
+    throw new UnauthenticatedError("Invalid media signature");
+  }
+
+  try {
+    req.body = JSON.parse(rawBody);
+  } catch {
+    throw new BadRequestError("Invalid JSON payload");
+  }
+
+  next();
+};
@@ -62,7 +62,16 @@ const albumSchema = new mongoose.Schema(
       _id:false,
       currency: { type: String },
       amount: { type: Number },
-    },]
+    },],
+  // 🌍 Regional overrides – used instead of the converted price for buyers in that country
+  regionalPrices: [
+    {
+      _id: false,
+      country: { type: String, uppercase: true },
+      currency: { type: String, uppercase: true },
+      amount: { type: Number },
+    },
+  ]
   },
   { timestamps: true, versionKey: false }
 );
@@ -52,6 +52,14 @@ const subscriptionPlanSchema = new mongoose.Schema(
       },
     },
 
+    // 🎁 Free trial before the first charge (0 = no trial) – one per user per artist
+    trialDays: {
+      type: Number,
+      min: 0,
+      max: 90,
+      default: 0,
+    },
+
     // 🔗 Gateway references
     razorpayPlanId: {
       type: String,
@@ -67,6 +75,8 @@ const subscriptionPlanSchema = new mongoose.Schema(
       {
         currency: { type: String, required: true, uppercase: true },
         paypalPlanId: { type: String, required: true },
+        // Same plan with a leading free TRIAL billing cycle (PayPal bakes trials into the plan)
+        paypalTrialPlanId: { type: String, default: null },
       },
     ],
   },
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// 🛒 One server-side cart per user. Lines hold references only – prices are resolved at checkout.
+const cartItemSchema = new mongoose.Schema(
+  {
+    itemType: { type: String, enum: ["song", "album"], required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    items: { type: [cartItemSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+export const Cart = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    // 🏷️ What the customer types at checkout (stored upper-case)
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    // Percent off (1-100) or a fixed amount in `currency`
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Required for fixed discounts – the coupon only works in this currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Optional allow-list for percent discounts (empty = every currency)
+    currencies: {
+      type: [String],
+      default: [],
+    },
+    // Minimum price (in the checkout currency) before the discount applies
+    minAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // 🎯 Scope – every set field must match
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      default: null,
+    },
+    itemTypes: {
+      type: [String],
+      enum: ["song", "album", "artist-subscription"],
+      default: [],
+    },
+    itemIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+
+    // ⏳ Limits
+    startsAt: Date,
+    expiresAt: Date,
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+      default: null, // unlimited
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Written by every reservation, so concurrent checkouts can't both take the last slot
+    lastReservedAt: Date,
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    // 🔗 Gateway-side offers for recurring subscriptions (Razorpay has no API-created coupons)
+    razorpayOfferId: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.discountType === "percent" && (this.value <= 0 || this.value > 100)) {
+    return next(new Error("Percent discounts must be between 0 and 100"));
+  }
+  if (this.discountType === "fixed" && !this.currency) {
+    return next(new Error("Fixed discounts need a currency"));
+  }
+  next();
+});
+
+export const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
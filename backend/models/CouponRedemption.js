@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+      unique: true,
+    },
+    code: String,
+    discountAmount: Number,
+    currency: String,
+
+    // pending = checkout started, redeemed = paid, void = checkout failed
+    status: {
+      type: String,
+      enum: ["pending", "redeemed", "void"],
+      default: "pending",
+    },
+    redeemedAt: Date,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+couponRedemptionSchema.index({ couponId: 1, status: 1, createdAt: -1 });
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+export const CouponRedemption =
+  mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// 💱 One currency's rate on one day: how many units of `currency` buy one unit of the base (USD).
+// Every day gets a full snapshot, so any past date resolves to the rates in force then.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String, // YYYY-MM-DD (UTC)
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "date must be YYYY-MM-DD"],
+    },
+    base: {
+      type: String,
+      default: "USD",
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "currency must be a 3-letter code"],
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, "rate must be positive"],
+    },
+    // file = rates file import, carried_forward = yesterday's rate (no import that day), admin = manual override
+    source: {
+      type: String,
+      enum: ["file", "carried_forward", "admin"],
+      required: true,
+    },
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: String,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+exchangeRateSchema.index({ date: 1, currency: 1 }, { unique: true });
+exchangeRateSchema.index({ currency: 1, date: -1 });
+
+export const ExchangeRate = mongoose.models.ExchangeRate || mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Artist-level plays and listening time per listener country and period
+const geoRollupSchema = new mongoose.Schema(
+  {
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    granularity: {
+      type: String,
+      enum: ["day", "week", "month"],
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    country: {
+      type: String, // ISO alpha-2, "ZZ" when unknown
+      required: true,
+      uppercase: true,
+    },
+
+    plays: { type: Number, default: 0 },
+    listenSeconds: { type: Number, default: 0 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+geoRollupSchema.index(
+  { artistId: 1, granularity: 1, periodStart: 1, country: 1 },
+  { unique: true }
+);
+
+export const GeoRollup =
+  mongoose.models.GeoRollup || mongoose.model("GeoRollup", geoRollupSchema);
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// 🧾 An issued invoice or credit note. Number and contents are fixed at issue time –
+// corrections are made with a credit note, never by editing the document.
+const invoiceDeliverySchema = new mongoose.Schema(
+  {
+    to: String,
+    trigger: { type: String, enum: ["issued", "resend"] },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // admin, for re-sends
+    status: { type: String, enum: ["sent", "failed"] },
+    error: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+      immutable: true,
+    },
+    // From utils/invoiceNumber.js – INV-YYYY-NNNNNN / CN-YYYY-NNNNNN
+    number: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: function () {
+        return !this.orderId;
+      },
+      immutable: true,
+    },
+    // Cart checkouts get one combined invoice for the order instead of one per line
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", immutable: true },
+    // Credit notes: the refund they document and the invoice they correct
+    refundEntryId: { type: mongoose.Schema.Types.ObjectId, immutable: true },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", immutable: true },
+
+    currency: String,
+    total: Number,
+    taxAmount: { type: Number, default: 0 },
+    issuedAt: { type: Date, default: Date.now, immutable: true },
+
+    // Exactly what was rendered – re-renders and re-sends reproduce the original
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+    // Archived PDF (providers/documentStorageProvider.js); empty until the first upload succeeds
+    storage: {
+      provider: String,
+      key: String,
+      archivedAt: Date,
+    },
+    deliveries: { type: [invoiceDeliverySchema], default: [] },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+invoiceSchema.index({ number: 1 }, { unique: true });
+// One invoice per transaction or order, and one credit note per refund
+invoiceSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { kind: "invoice", transactionId: { $exists: true } } }
+);
+invoiceSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { kind: "invoice", orderId: { $exists: true } } }
+);
+invoiceSchema.index(
+  { refundEntryId: 1 },
+  { unique: true, partialFilterExpression: { kind: "credit_note" } }
+);
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ invoiceId: 1 });
+
+export const Invoice = mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
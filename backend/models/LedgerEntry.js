@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+export const LEDGER_ACCOUNTS = [
+  "gateway_clearing", // money held by (or withheld at) the gateway
+  "gateway_fees", // expense – what the gateway kept
+  "tax_payable", // collected for the tax authority
+  "platform_revenue",
+  "artist_payable", // owed to the artist until a payout settles it
+  "bank", // payouts leave from here
+];
+
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// 📒 One balanced journal entry: a sale, a refund reversing part of one, or an artist payout
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["sale", "refund", "payout"],
+      required: true,
+    },
+    // sale:<transactionId>, refund:<transactionId>:<refundId>, payout:<statementId> – posting twice is a no-op
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    artistId: { type: mongoose.Schema.Types.ObjectId, ref: "Artist" },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    refundEntryId: mongoose.Schema.Types.ObjectId, // Transaction.refunds[]._id
+    itemType: String,
+    gateway: String,
+    currency: {
+      type: String,
+      required: true,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Payout statement that reported this entry (or that this payout settled)
+    statementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutStatement",
+      default: null,
+    },
+    // The split in plain numbers – negative on refunds, so sums give net figures
+    breakdown: {
+      gross: { type: Number, default: 0 },
+      gatewayFee: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      platformShare: { type: Number, default: 0 },
+      artistShare: { type: Number, default: 0 },
+    },
+    // Tax components behind breakdown.tax, for tax reports (negative on refunds)
+    tax: {
+      country: String,
+      state: String,
+      regime: String,
+      lines: [{ _id: false, name: String, rate: Number, amount: Number }],
+    },
+    lines: {
+      type: [ledgerLineSchema],
+      validate: {
+        validator: (lines) => lines.length >= 2,
+        message: "A ledger entry needs at least two lines",
+      },
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Double entry: debits and credits must match (to the cent, allowing float noise)
+ledgerEntrySchema.pre("validate", function (next) {
+  const debits = this.lines.reduce((sum, l) => sum + l.debit, 0);
+  const credits = this.lines.reduce((sum, l) => sum + l.credit, 0);
+  if (Math.abs(debits - credits) > 0.005) {
+    this.invalidate("lines", `Unbalanced ledger entry: debits ${debits} ≠ credits ${credits}`);
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ artistId: 1, currency: 1, statementId: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+
+export const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", ledgerEntrySchema);
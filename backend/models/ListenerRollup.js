@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One row per listener per scope and period – lets unique listener counts be
+// incremented exactly once without scanning raw play events
+const listenerRollupSchema = new mongoose.Schema(
+  {
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["song", "album", "artist"],
+      required: true,
+    },
+    scopeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    granularity: {
+      type: String,
+      enum: ["day", "week", "month"],
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+listenerRollupSchema.index(
+  { scope: 1, scopeId: 1, granularity: 1, periodStart: 1, userId: 1 },
+  { unique: true }
+);
+
+export const ListenerRollup =
+  mongoose.models.ListenerRollup || mongoose.model("ListenerRollup", listenerRollupSchema);
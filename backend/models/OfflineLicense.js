@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const offlineLicenseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+    },
+    // 📱 Client-generated, stable per installation
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "revoked", "expired"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastCheckInAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["access_lapsed", "removed_by_user", "expired", "song_unavailable"],
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// One live license per song per device
+offlineLicenseSchema.index(
+  { userId: 1, deviceId: 1, songId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+offlineLicenseSchema.index({ userId: 1, status: 1, deviceId: 1 });
+
+export const OfflineLicense =
+  mongoose.models.OfflineLicense || mongoose.model("OfflineLicense", offlineLicenseSchema);
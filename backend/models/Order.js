@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// 📦 A cart checkout: one gateway payment for several items. Each line is its own
+// child Transaction (orderId) so ledger, refunds and access work per item as usual.
+const orderItemSchema = new mongoose.Schema(
+  {
+    itemType: { type: String, enum: ["song", "album"], required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    artistId: { type: mongoose.Schema.Types.ObjectId, ref: "Artist" },
+    title: String,
+    amount: Number,
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    gateway: { type: String, enum: ["stripe", "razorpay", "paypal", "mock"], required: true },
+    items: { type: [orderItemSchema], default: [] },
+    amount: Number,      // sum of the lines – what the gateway charges
+    currency: String,
+    taxAmount: { type: Number, default: 0 },
+    status: { type: String, enum: ["pending", "paid", "failed"], default: "pending" },
+    // Gateway references – same names as on Transaction, and copied onto every line
+    paymentIntentId: String,
+    razorpayOrderId: String,
+    paypalOrderId: String,
+    paymentId: String,
+    invoiceNumber: String, // one combined invoice for the whole order
+    paidAt: Date,
+    metadata: { type: Object, default: {} },
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ paymentIntentId: 1 });
+orderSchema.index({ razorpayOrderId: 1 });
+orderSchema.index({ paypalOrderId: 1 });
+orderSchema.index({ "metadata.mockOrderId": 1 });
+
+export const Order = mongoose.model("Order", orderSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// 📨 One subscriber's copy of an outbox event
+const deliverySchema = new mongoose.Schema(
+  {
+    subscriber: {
+      type: String,
+      required: true,
+    },
+    // failed = retry pending, dead = gave up, skipped = subscriber no longer registered
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed", "dead", "skipped"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    deliveredAt: Date,
+  },
+  { _id: false }
+);
+
+// 📤 Domain event written in the same transaction as the state change it describes
+const outboxEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // pending until every subscriber has it (delivered), or some gave up (dead)
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "dead"],
+      default: "pending",
+    },
+    availableAt: {
+      type: Date,
+      default: Date.now, // pushed back while a subscriber is retrying
+    },
+    lockedUntil: Date, // claimed by a relay run until then
+    completedAt: Date,
+    deliveries: {
+      type: [deliverySchema],
+      default: [],
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+outboxEventSchema.index({ status: 1, availableAt: 1 });
+outboxEventSchema.index({ type: 1, createdAt: -1 });
+// Delivered events are only kept for a month; dead ones stay until someone looks at them
+outboxEventSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: "delivered" } }
+);
+
+export const OutboxEvent = mongoose.models.OutboxEvent || mongoose.model("OutboxEvent", outboxEventSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// 🧾 What an artist earned in one month and currency, and whether it has been paid out
+const payoutStatementSchema = new mongoose.Schema(
+  {
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    period: {
+      type: String, // YYYY-MM
+      required: true,
+    },
+    periodStart: Date,
+    periodEnd: Date, // exclusive
+    currency: {
+      type: String,
+      required: true,
+    },
+    // pending = awaiting payout, settled = paid, carried_forward = nothing due (balance moves to next month)
+    status: {
+      type: String,
+      enum: ["pending", "settled", "carried_forward"],
+      default: "pending",
+    },
+
+    // Ledger entries reported here – includes late entries from earlier months
+    totals: {
+      sales: { type: Number, default: 0 },
+      refunds: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+      gatewayFees: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      platformShare: { type: Number, default: 0 },
+      artistShare: { type: Number, default: 0 },
+    },
+    openingBalance: { type: Number, default: 0 }, // negative balance carried from the previous statement
+    closingBalance: { type: Number, default: 0 }, // openingBalance + totals.artistShare
+    amountDue: { type: Number, default: 0 },
+    carriedInto: { type: mongoose.Schema.Types.ObjectId, ref: "PayoutStatement" },
+
+    settlement: {
+      settledAt: Date,
+      settledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reference: String, // bank / payout provider reference
+      note: String,
+      ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" },
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+payoutStatementSchema.index({ artistId: 1, period: 1, currency: 1 }, { unique: true });
+payoutStatementSchema.index({ status: 1, period: -1 });
+
+export const PayoutStatement =
+  mongoose.models.PayoutStatement || mongoose.model("PayoutStatement", payoutStatementSchema);
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+const playEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+    },
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+    },
+    albumId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Album",
+      default: null,
+    },
+
+    // 🔑 Client-generated ids: eventId dedupes retries, playId groups one playback
+    eventId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    playId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["start", "progress", "skip", "complete"],
+      required: true,
+    },
+    position: {
+      type: Number, // seconds into the track when the event fired
+      default: 0,
+      min: 0,
+    },
+    listened: {
+      type: Number, // seconds actually listened since the previous event of this play
+      default: 0,
+      min: 0,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+
+    // ✅ Set on the single event that pushed this play over the listen threshold
+    counted: {
+      type: Boolean,
+      default: false,
+    },
+
+    ip: String,
+    userAgent: String,
+    country: {
+      type: String, // ISO alpha-2 resolved from the listener's IP at ingest
+      uppercase: true,
+      default: null,
+    },
+
+    // 📊 Set once the event has been folded into the analytics rollups
+    rolledUp: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Dedupe client retries
+playEventSchema.index({ userId: 1, eventId: 1 }, { unique: true });
+// At most one counted play per playback
+playEventSchema.index(
+  { userId: 1, playId: 1 },
+  { unique: true, partialFilterExpression: { counted: true } }
+);
+// Recently played
+playEventSchema.index({ userId: 1, counted: 1, occurredAt: -1 });
+// Rollup sweep
+playEventSchema.index({ rolledUp: 1, createdAt: 1 });
+
+export const PlayEvent =
+  mongoose.models.PlayEvent || mongoose.model("PlayEvent", playEventSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Pre-aggregated listening stats per song / album / artist and period
+const playRollupSchema = new mongoose.Schema(
+  {
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["song", "album", "artist"],
+      required: true,
+    },
+    scopeId: {
+      type: mongoose.Schema.Types.ObjectId, // songId, albumId or artistId
+      required: true,
+    },
+    granularity: {
+      type: String,
+      enum: ["day", "week", "month"],
+      required: true,
+    },
+    periodStart: {
+      type: Date, // UTC start of the day / ISO week / month
+      required: true,
+    },
+
+    plays: { type: Number, default: 0 },
+    starts: { type: Number, default: 0 },
+    skips: { type: Number, default: 0 },
+    completes: { type: Number, default: 0 },
+    listenSeconds: { type: Number, default: 0 },
+    uniqueListeners: { type: Number, default: 0 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+playRollupSchema.index(
+  { scope: 1, scopeId: 1, granularity: 1, periodStart: 1 },
+  { unique: true }
+);
+playRollupSchema.index({ artistId: 1, scope: 1, granularity: 1, periodStart: 1 });
+
+export const PlayRollup =
+  mongoose.models.PlayRollup || mongoose.model("PlayRollup", playRollupSchema);
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const playbackStateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+
+    // 🎶 What is playing and where it came from
+    queue: [{ type: mongoose.Schema.Types.ObjectId, ref: "Song" }],
+    currentIndex: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      default: null,
+    },
+    context: {
+      type: {
+        type: String,
+        enum: ["album", "playlist", "artist", "queue"],
+        default: "queue",
+      },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+
+    position: {
+      type: Number, // seconds into the current track
+      default: 0,
+      min: 0,
+    },
+    shuffle: {
+      type: Boolean,
+      default: false,
+    },
+    repeat: {
+      type: String,
+      enum: ["off", "one", "all"],
+      default: "off",
+    },
+    isPlaying: {
+      type: Boolean,
+      default: false,
+    },
+
+    // 📱 Device that wrote the latest state
+    deviceId: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // 🔁 Optimistic concurrency – every write must name the version it read
+    version: {
+      type: Number,
+      default: 1,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+export const PlaybackState =
+  mongoose.models.PlaybackState || mongoose.model("PlaybackState", playbackStateSchema);
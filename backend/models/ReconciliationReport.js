@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+const subscriptionStateSchema = new mongoose.Schema(
+  {
+    status: String,
+    validUntil: Date,
+  },
+  { _id: false }
+);
+
+// 🔧 One change the reconciliation job made to a local subscription
+const correctionSchema = new mongoose.Schema(
+  {
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    artistId: { type: mongoose.Schema.Types.ObjectId, ref: "Artist" },
+    gateway: String,
+    externalSubscriptionId: String,
+    // expired = access ended, period_extended = missed renewal, past_due = missed failure,
+    // unresolved = gateway and local state disagree but nothing safe to change
+    action: {
+      type: String,
+      enum: ["expired", "period_extended", "past_due", "unresolved"],
+      required: true,
+    },
+    before: subscriptionStateSchema,
+    after: subscriptionStateSchema,
+    gatewayStatus: String, // raw gateway status, when the gateway was asked
+    note: String,
+  },
+  { _id: false }
+);
+
+// 📋 Result of one subscription reconciliation run
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      default: "scheduled",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+
+    summary: {
+      checked: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
+      corrected: { type: Number, default: 0 },
+      unresolved: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    corrections: {
+      type: [correctionSchema],
+      default: [],
+    },
+    // Subscriptions the gateway couldn't be asked about – retried on the next run
+    failures: {
+      type: [
+        new mongoose.Schema(
+          {
+            subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+            gateway: String,
+            externalSubscriptionId: String,
+            message: String,
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    error: String, // the run itself failed
+  },
+  { timestamps: true, versionKey: false }
+);
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+export const ReconciliationReport =
+  mongoose.models.ReconciliationReport || mongoose.model("ReconciliationReport", reconciliationReportSchema);
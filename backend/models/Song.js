@@ -64,6 +64,15 @@ const songSchema = new mongoose.Schema(
       currency: { type: String },
       amount: { type: Number },
     },],
+  // 🌍 Regional overrides – used instead of the converted price for buyers in that country
+  regionalPrices: [
+    {
+      _id: false,
+      country: { type: String, uppercase: true },
+      currency: { type: String, uppercase: true },
+      amount: { type: Number },
+    },
+  ],
     audioUrl: {
       type: String,
       required: [true, "Audio URL is required"],
@@ -89,6 +98,43 @@ const songSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // ⚙️ Transcoding state, updated by the media completion callback
+    transcode: {
+      status: {
+        type: String,
+        enum: ["pending", "processing", "ready", "failed"],
+        default: "pending",
+      },
+      attempts: { type: Number, default: 0 },
+      error: { type: String, default: "" },
+      failedAt: { type: Date },
+      completedAt: { type: Date },
+    },
+    // 📶 Adaptive bitrate variants, registered as each transcode output finishes
+    renditions: [
+      {
+        _id: false,
+        quality: { type: String, enum: ["64", "128", "256", "lossless"], required: true },
+        bitrate: { type: Number }, // kbps, null for lossless
+        bandwidth: { type: Number, required: true }, // peak bits/s for EXT-X-STREAM-INF
+        codec: { type: String, default: "mp4a.40.2" }, // RFC 6381 codec string
+        playlistKey: { type: String, required: true, trim: true }, // variant playlist path on CloudFront
+        registeredAt: { type: Date, default: Date.now },
+      },
+    ],
+    // 🎧 Preview clip served to users without full access
+    preview: {
+      startOffset: { type: Number, default: 0, min: 0 }, // seconds into the track
+      duration: { type: Number, default: 30, min: 5, max: 60 },
+      ready: { type: Boolean, default: false }, // set by the HLS completion flow
+      key: { type: String, default: "", trim: true }, // preview playlist path in the HLS bucket
+      // Window of the clip at `key` – differs from the one above while a new clip renders
+      rendered: {
+        startOffset: { type: Number },
+        duration: { type: Number },
+      },
+      pendingJobId: { type: mongoose.Schema.Types.ObjectId, ref: "TranscodeJob" }, // preview re-render in flight
+    },
   },
   { timestamps: true, versionKey: false }
 );
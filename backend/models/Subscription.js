@@ -1,5 +1,31 @@
 import mongoose from "mongoose";
 
+// 🔀 One cycle switch (upgrade / downgrade) – kept as history on the subscription
+const planChangeSchema = new mongoose.Schema(
+  {
+    fromCycle: { type: String, enum: ["1m", "3m", "6m", "12m"], required: true },
+    toCycle: { type: String, enum: ["1m", "3m", "6m", "12m"], required: true },
+    // immediate = prorated now, period_end = switch when the current period renews
+    timing: { type: String, enum: ["immediate", "period_end"], required: true },
+    status: {
+      type: String,
+      enum: ["processing", "pending_approval", "scheduled", "applied", "failed"],
+      default: "processing",
+    },
+    planPrice: Number, // price of the new cycle
+    credit: { type: Number, default: 0 }, // unused part of the current period
+    amountCharged: Number,
+    currency: String,
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    effectiveAt: Date,
+    appliedAt: Date,
+    approveUrl: String, // PayPal: the customer has to approve the revised plan
+    error: String,
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
 const subscriptionSchema = new mongoose.Schema(
   {
     userId: {
@@ -34,16 +60,21 @@ const subscriptionSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["active", "expired", "cancelled"],
+      enum: ["trialing", "active", "past_due", "expired", "cancelled"],
       default: "active",
     },
+    // 🎁 Set when the subscription started with a free trial
+    trialEndsAt: {
+      type: Date,
+      default: null,
+    },
     isRecurring: {
       type: Boolean,
       default: true, // set to false if user cancels auto-renew
     },
     gateway: {
       type: String,
-      enum: ["stripe", "razorpay", "paypal"],
+      enum: ["stripe", "razorpay", "paypal", "mock"],
       required: true,
     },
     externalSubscriptionId: {
@@ -58,6 +89,33 @@ const subscriptionSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    planChanges: {
+      type: [planChangeSchema],
+      default: [],
+    },
+
+    // 💳 Renewal failed – access continues until graceUntil while the gateway retries
+    pastDueSince: {
+      type: Date,
+      default: null,
+    },
+    graceUntil: {
+      type: Date,
+      default: null,
+    },
+    dunning: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailureAt: Date,
+      lastFailureReason: String,
+      nextRetryAt: Date, // gateway's next automatic retry, when it tells us
+      remindersSent: { type: Number, default: 0 },
+      nextReminderAt: Date,
+    },
+    // Last renewal charge applied – webhook redeliveries must not extend twice
+    lastRenewalChargeId: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -67,6 +125,8 @@ const subscriptionSchema = new mongoose.Schema(
 
 // ✅ Ensure one active subscription per artist per user
 subscriptionSchema.index({ userId: 1, artistId: 1 }, { unique: true });
+subscriptionSchema.index({ status: 1, graceUntil: 1 });
+subscriptionSchema.index({ artistId: 1, status: 1 });
 
 export const Subscription =
   mongoose.models.Subscription ||
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// 🧮 Admin-managed tax rule for a country (or one state / province of it).
+// Overrides the built-in India GST and EU VAT rules in services/taxService.js.
+const taxRuleSchema = new mongoose.Schema(
+  {
+    country: {
+      type: String, // ISO 3166-1 alpha-2
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, "country must be a 2-letter ISO code"],
+    },
+    // Empty = the whole country; otherwise a state / province code (e.g. "WA", "ON")
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    name: {
+      type: String, // shown on invoices, e.g. "Washington sales tax"
+      required: true,
+      trim: true,
+    },
+    regime: {
+      type: String,
+      enum: ["gst", "vat", "sales_tax", "other"],
+      default: "other",
+    },
+    // Each component is its own invoice line, e.g. GST + PST
+    components: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: { type: String, required: true, trim: true },
+            rate: { type: Number, required: true, min: 0, max: 100 }, // percent
+          },
+          { _id: false }
+        ),
+      ],
+      validate: {
+        validator: (components) => components.length > 0,
+        message: "A tax rule needs at least one component",
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+taxRuleSchema.index({ country: 1, state: 1 }, { unique: true });
+
+export const TaxRule = mongoose.models.TaxRule || mongoose.model("TaxRule", taxRuleSchema);
@@ -1,19 +1,81 @@
 import mongoose from "mongoose";
 
+const refundSchema = new mongoose.Schema({
+  refundId: String,                // Gateway refund ID (empty until the gateway accepted it)
+  amount: { type: Number, required: true },
+  currency: String,
+  status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+  reason: String,
+  source: { type: String, enum: ["admin", "gateway"], default: "admin" }, // gateway = issued from the gateway dashboard
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  creditNoteNumber: String,
+  error: String,
+  completedAt: Date,
+  ledgerPostedAt: Date,            // Reversal posted to the revenue ledger
+}, { timestamps: true });
+
 const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   itemType: { type: String, enum: ["song", "album", "artist-subscription"], required: true },
   itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
   artistId: { type: mongoose.Schema.Types.ObjectId, ref: "Artist" },
-  gateway: { type: String, enum: ["stripe", "razorpay", "paypal"], required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // line of a cart checkout (models/Order.js)
+  gateway: { type: String, enum: ["stripe", "razorpay", "paypal", "mock"], required: true },
   amount: Number,
   currency: String,
-  status: { type: String, enum: ["pending", "paid", "failed"], default: "pending" },
+  status: { type: String, enum: ["pending", "paid", "failed", "partially_refunded", "refunded"], default: "pending" },
   paymentIntentId: String,         // Stripe
   razorpayOrderId: String,         // Razorpay
   stripeSubscriptionId: String,    // For Stripe recurring subs
   paypalOrderId: String,
+  paymentId: String,               // Gateway charge / capture ID (needed for refunds)
   invoiceNumber: String,      // ✅ Store generated invoice number
+  // 🏷️ Coupon applied at checkout – `amount` above is what was charged
+  discount: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: String,
+    discountType: { type: String, enum: ["percent", "fixed"] },
+    value: Number,
+    amount: Number,
+    originalAmount: Number,
+  },
+  // Mid-period plan switch: new plan price minus credit for the unused part of the old one
+  proration: {
+    fromCycle: String,
+    toCycle: String,
+    planPrice: Number,
+    credit: Number,
+    unusedDays: Number,
+  },
+  // 🧮 Tax included in `amount`, worked out at checkout from where the buyer is (services/taxService.js)
+  tax: {
+    country: String,
+    state: String,
+    locationSource: { type: String, enum: ["billing", "ip", "seller"] },
+    regime: { type: String, enum: ["gst", "vat", "sales_tax", "other", "none"] },
+    rule: String,                  // which rule applied, e.g. "builtin:in-gst" or "rule:<TaxRule id>"
+    rate: Number,                  // total percent
+    taxableAmount: Number,         // amount minus tax
+    amount: Number,
+    lines: [{ _id: false, name: String, rate: Number, amount: Number }],
+  },
+  refundedAmount: { type: Number, default: 0 }, // Sum of succeeded refunds
+  refunds: { type: [refundSchema], default: [] },
+  ledgerPostedAt: Date, // Sale posted to the revenue ledger (services/ledgerService.js)
+  accessGrantedAt: Date, // Purchase unlocked for the buyer (services/paymentService.js) – set once
+  // 💱 Exchange rate locked at checkout (services/fxService.js) – reports convert with it forever
+  fx: {
+    base: String,        // USD
+    rate: Number,        // units of `currency` per 1 base unit
+    date: String,        // YYYY-MM-DD snapshot the rate came from
+    source: String,      // file | carried_forward | admin | base
+  },
   metadata: { type: Object, default: {} }, // ✅ Flexible key-value storage
 }, { timestamps: true }); // ✅ adds createdAt & updatedAt
+
+transactionSchema.index({ paymentId: 1 });
+transactionSchema.index({ "refunds.refundId": 1 });
+transactionSchema.index({ status: 1, ledgerPostedAt: 1 });
+transactionSchema.index({ orderId: 1 }, { sparse: true });
+
 export const Transaction =  mongoose.model("Transaction", transactionSchema);
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+const renditionOutputSchema = new mongoose.Schema(
+  {
+    quality: { type: String, required: true },
+    bitrate: { type: Number },
+    codec: { type: String },
+    playlistKey: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const transcodeJobSchema = new mongoose.Schema(
+  {
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+    },
+    audioKey: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sourceKey: {
+      type: String, // S3 key of the uploaded original
+      required: true,
+    },
+    provider: {
+      type: String,
+      enum: ["mediaconvert", "local"],
+      required: true,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    // full = renditions + preview, preview = the preview clip only (its window changed)
+    kind: {
+      type: String,
+      enum: ["full", "preview"],
+      default: "full",
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "processing", "complete", "failed"],
+      default: "queued",
+    },
+    previewStatus: {
+      type: String,
+      enum: ["pending", "complete", "failed", "skipped"],
+      default: "pending",
+    },
+    externalJobIds: [{ type: String }], // MediaConvert job ids / BullMQ job id
+    error: { type: String, default: "" },
+    previewError: { type: String, default: "" },
+
+    // 📁 Where the provider writes its output (relative to the HLS bucket / CDN root)
+    outputs: {
+      hlsKey: { type: String },
+      previewKey: { type: String },
+      renditions: [renditionOutputSchema],
+    },
+    preview: {
+      startOffset: { type: Number, default: 0 },
+      duration: { type: Number, default: 30 },
+    },
+
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+transcodeJobSchema.index({ songId: 1, createdAt: -1 });
+transcodeJobSchema.index({ audioKey: 1, createdAt: -1 });
+
+export const TranscodeJob =
+  mongoose.models.TranscodeJob || mongoose.model("TranscodeJob", transcodeJobSchema);
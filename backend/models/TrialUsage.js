@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// 🎁 One free trial per user per artist – the unique index is the guard
+const trialUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    // Checkout that claimed the trial
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+      index: true,
+    },
+    gateway: {
+      type: String,
+      enum: ["stripe", "razorpay", "paypal", "mock"],
+    },
+    trialDays: {
+      type: Number,
+      required: true,
+    },
+
+    // pending = checkout started, used = the gateway started the trial
+    status: {
+      type: String,
+      enum: ["pending", "used"],
+      default: "pending",
+    },
+    startedAt: Date,
+    endsAt: Date,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+trialUsageSchema.index({ userId: 1, artistId: 1 }, { unique: true });
+
+export const TrialUsage = mongoose.models.TrialUsage || mongoose.model("TrialUsage", trialUsageSchema);
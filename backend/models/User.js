@@ -87,6 +87,20 @@ const schema = new mongoose.Schema({
     },
   ],
   stripeCustomerId: { type: String },
+  // 🌍 Display currency chosen by the user – regional prices still follow the IP (services/localeService.js)
+  billingCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, "billingCountry must be a 2-letter ISO code"],
+  },
+  preferredCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  historyClearedAt: { type: Date }, // listening history only shows plays after this
+  offlineLicensesChangedAt: { type: Date }, // written with every new offline license, serializes the device cap
 
   purchasedSongs: [
     {
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// 📬 Verified gateway webhook, stored before processing so nothing is lost if a handler fails
+const webhookInboxEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: ["stripe", "razorpay", "paypal", "mock"],
+      required: true,
+    },
+    // Gateway's event ID – redeliveries of the same event are dropped by the unique index
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed, // verified, parsed event handed to the processor
+      required: true,
+    },
+    rawBody: String, // exactly what the gateway sent
+
+    // received → processing → processed, or failed (retry pending) → dead after the last attempt
+    status: {
+      type: String,
+      enum: ["received", "processing", "processed", "failed", "dead"],
+      default: "received",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedAt: Date, // processing started – a stale lock means the worker died
+    processedAt: Date,
+    deadAt: Date,
+    durationMs: Number,
+    result: String, // processor outcome, e.g. "ignored"
+    lastError: String,
+    failures: [
+      {
+        _id: false,
+        attempt: Number,
+        message: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    replays: [
+      {
+        _id: false,
+        replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        previousStatus: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+webhookInboxEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookInboxEventSchema.index({ status: 1, receivedAt: -1 });
+
+export const WebhookInboxEvent =
+  mongoose.models.WebhookInboxEvent || mongoose.model("WebhookInboxEvent", webhookInboxEventSchema);
@@ -0,0 +1,22 @@
+import { s3DocumentStorage } from "./s3DocumentStorage.js";
+import { localDocumentStorage } from "./localDocumentStorage.js";
+
+/**
+ * A DocumentStorage archives generated documents (invoice and credit note PDFs).
+ *
+ *   name: "s3" | "local"
+ *   put({ key, body, contentType }) => Promise<void>
+ *   get(key)                        => Promise<Buffer|null>   (null when nothing is stored under key)
+ *
+ * Keys are relative paths, e.g. "invoices/2025/INV-2025-001001.pdf".
+ */
+const adapters = {
+  s3: s3DocumentStorage,
+  local: localDocumentStorage,
+};
+
+export const getDocumentStorage = (name = process.env.DOCUMENT_STORAGE || "s3") => {
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown document storage: ${name}`);
+  return adapter;
+};
@@ -0,0 +1,30 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Local development – documents are written under DOCUMENT_LOCAL_DIR
+const ROOT = path.resolve(process.env.DOCUMENT_LOCAL_DIR || "documents");
+
+const resolveKey = (key) => {
+  const file = path.resolve(ROOT, key);
+  if (!file.startsWith(ROOT + path.sep)) throw new Error(`Invalid document key: ${key}`);
+  return file;
+};
+
+export const localDocumentStorage = {
+  name: "local",
+
+  async put({ key, body }) {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(resolveKey(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+};
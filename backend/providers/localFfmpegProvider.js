@@ -0,0 +1,191 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { enqueueLocalTranscode } from "../queue/transcodeQueue.js";
+import { getSignedUrl } from "../utils/s3.js";
+import { getOutputLayout } from "../utils/transcodeLayout.js";
+import logger from "../utils/logger.js";
+
+const QUALITIES = ["64", "128", "256", "lossless"];
+
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+const OUTPUT_DIR = path.resolve(process.env.TRANSCODE_LOCAL_OUTPUT_DIR || "media-out");
+const SEGMENT_SECONDS = 6;
+
+const CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".m4s": "audio/mp4",
+  ".mp4": "audio/mp4",
+};
+
+const run = (bin, args) =>
+  new Promise((resolve, reject) => {
+    const proc = spawn(bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    proc.stdout.on("data", (d) => (stdout += d));
+    proc.stderr.on("data", (d) => (stderr = (stderr + d).slice(-4000)));
+    proc.on("error", reject);
+    proc.on("close", (code) =>
+      code === 0
+        ? resolve(stdout)
+        : reject(new Error(`${path.basename(bin)} exited with ${code}: ${stderr.slice(-500)}`))
+    );
+  });
+
+// Offline: read originals from TRANSCODE_LOCAL_INPUT_DIR, otherwise stream them from S3
+const resolveInput = async (sourceKey) =>
+  process.env.TRANSCODE_LOCAL_INPUT_DIR
+    ? path.join(process.env.TRANSCODE_LOCAL_INPUT_DIR, sourceKey)
+    : getSignedUrl(sourceKey);
+
+const probeDuration = async (input) => {
+  const out = await run(FFPROBE, ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", input]);
+  const duration = parseFloat(out);
+  return Number.isFinite(duration) ? Math.round(duration) : null;
+};
+
+const hlsArgs = (playlistPath, segmentPattern, { lossless = false } = {}) => [
+  ...(lossless
+    ? ["-c:a", "flac", "-strict", "-2", "-hls_segment_type", "fmp4",
+       "-hls_fmp4_init_filename", `${path.basename(playlistPath, ".m3u8")}_init.mp4`]
+    : []),
+  "-f", "hls",
+  "-hls_time", String(SEGMENT_SECONDS),
+  "-hls_playlist_type", "vod",
+  "-hls_segment_filename", segmentPattern,
+  playlistPath,
+];
+
+const transcodeRendition = async (input, rendition) => {
+  const playlistPath = path.join(OUTPUT_DIR, rendition.playlistKey);
+  const stem = playlistPath.replace(/\.m3u8$/, "");
+  const lossless = rendition.quality === "lossless";
+  await fs.mkdir(path.dirname(playlistPath), { recursive: true });
+
+  await run(FFMPEG, [
+    "-y", "-i", input, "-vn", "-map", "0:a:0",
+    ...(lossless ? [] : ["-c:a", "aac", "-b:a", `${rendition.bitrate}k`, "-ar", "48000"]),
+    ...hlsArgs(playlistPath, `${stem}_%04d.${lossless ? "m4s" : "ts"}`, { lossless }),
+  ]);
+};
+
+const transcodePreview = async (input, previewKey, { startOffset, duration }) => {
+  const playlistPath = path.join(OUTPUT_DIR, previewKey);
+  await fs.mkdir(path.dirname(playlistPath), { recursive: true });
+
+  await run(FFMPEG, [
+    "-y", "-ss", String(startOffset), "-t", String(duration), "-i", input,
+    "-vn", "-map", "0:a:0", "-c:a", "aac", "-b:a", "128k", "-ar", "48000",
+    ...hlsArgs(playlistPath, playlistPath.replace(/\.m3u8$/, "_%04d.ts")),
+  ]);
+};
+
+const writeMasterPlaylist = async (hlsKey, renditions) => {
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:7"];
+  for (const r of renditions) {
+    const bandwidth = r.quality === "lossless" ? 1411000 : r.bitrate * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},CODECS="${r.codec}"`);
+    lines.push(path.posix.relative(path.posix.dirname(hlsKey), r.playlistKey)); // e.g. 128k/{audioKey}_hls_128k.m3u8
+  }
+  await fs.writeFile(path.join(OUTPUT_DIR, hlsKey), `${lines.join("\n")}\n`);
+};
+
+// Optional: push the local output to the HLS bucket so CloudFront can serve it
+const uploadOutput = async (audioKey) => {
+  const s3 = new S3Client({ region: process.env.AWS_REGION });
+  const root = path.join(OUTPUT_DIR, "songs-hls", audioKey);
+  const entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+
+  for (const entry of entries.filter((e) => e.isFile())) {
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: path.relative(OUTPUT_DIR, filePath).split(path.sep).join("/"),
+        Body: await fs.readFile(filePath),
+        ContentType: CONTENT_TYPES[path.extname(entry.name)] || "application/octet-stream",
+      })
+    );
+  }
+};
+
+export const localFfmpegProvider = {
+  name: "local",
+  qualities: QUALITIES,
+
+  async submit({ job }) {
+    const queued = await enqueueLocalTranscode(job._id);
+    return { externalJobIds: [queued.id], status: "queued" };
+  },
+
+  // Same queue – runLocalTranscode picks renderPreview for preview-only jobs
+  async submitPreview({ job }) {
+    return this.submit({ job });
+  },
+
+  /**
+   * Run ffmpeg for every rendition and the preview clip of a TranscodeJob.
+   * Output lands in TRANSCODE_LOCAL_OUTPUT_DIR using the shared key layout;
+   * set TRANSCODE_LOCAL_UPLOAD=true to also upload it to S3.
+   * @returns {Promise<object>} payload for handleTranscodeResult
+   */
+  async transcode(job) {
+    const input = await resolveInput(job.sourceKey);
+    const layout = getOutputLayout(job.audioKey, QUALITIES);
+
+    await fs.mkdir(path.dirname(path.join(OUTPUT_DIR, layout.hlsKey)), { recursive: true });
+
+    const duration = await probeDuration(input);
+    for (const rendition of layout.renditions) {
+      await transcodeRendition(input, rendition);
+    }
+    await writeMasterPlaylist(layout.hlsKey, layout.renditions);
+
+    let previewKey = null;
+    let previewError;
+    try {
+      await transcodePreview(input, job.outputs?.previewKey || layout.previewKey, job.preview);
+      previewKey = job.outputs?.previewKey || layout.previewKey;
+    } catch (err) {
+      // Track shorter than the preview window etc. – the song is still playable
+      logger.error(`❌ Preview render failed for ${job.audioKey}: ${err.message}`);
+      previewError = err.message;
+    }
+
+    if (process.env.TRANSCODE_LOCAL_UPLOAD === "true") await uploadOutput(job.audioKey);
+
+    return {
+      jobId: job._id,
+      audioKey: job.audioKey,
+      status: "complete",
+      hlsUrl: `https://${process.env.CLOUDFRONT_DOMAIN}/${layout.hlsKey}`,
+      duration,
+      renditions: layout.renditions,
+      previewKey,
+      previewError,
+    };
+  },
+
+  /**
+   * Render only the preview clip of a preview-only TranscodeJob (window changed).
+   * @returns {Promise<object>} payload for handleTranscodeResult
+   */
+  async renderPreview(job) {
+    const input = await resolveInput(job.sourceKey);
+    await transcodePreview(input, job.outputs.previewKey, job.preview);
+
+    if (process.env.TRANSCODE_LOCAL_UPLOAD === "true") await uploadOutput(job.audioKey);
+
+    return {
+      jobId: job._id,
+      audioKey: job.audioKey,
+      kind: "preview",
+      status: "complete",
+      previewKey: job.outputs.previewKey,
+    };
+  },
+};
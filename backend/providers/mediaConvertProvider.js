@@ -0,0 +1,129 @@
+import { MediaConvertClient, CreateJobCommand } from "@aws-sdk/client-mediaconvert";
+
+// MediaConvert can't write lossless HLS, so it stops at 256k AAC
+const QUALITIES = ["64", "128", "256"];
+
+let client;
+const getClient = () => {
+  client ??= new MediaConvertClient({
+    region: process.env.AWS_REGION,
+    endpoint: process.env.MEDIACONVERT_ENDPOINT,
+  });
+  return client;
+};
+
+// HH:MM:SS:FF, zero-based – frames are meaningless for audio
+const toTimecode = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}:00`;
+};
+
+const aacOutput = (nameModifier, kbps) => ({
+  NameModifier: nameModifier,
+  ContainerSettings: { Container: "M3U8", M3u8Settings: {} },
+  AudioDescriptions: [
+    {
+      AudioSourceName: "Audio Selector 1",
+      CodecSettings: {
+        Codec: "AAC",
+        AacSettings: {
+          Bitrate: kbps * 1000,
+          CodingMode: "CODING_MODE_2_0",
+          SampleRate: 48000,
+        },
+      },
+    },
+  ],
+});
+
+const hlsGroup = (destination, outputs) => ({
+  Name: "Apple HLS",
+  OutputGroupSettings: {
+    Type: "HLS_GROUP_SETTINGS",
+    HlsGroupSettings: {
+      Destination: destination,
+      SegmentLength: 6,
+      MinSegmentLength: 0,
+    },
+  },
+  Outputs: outputs,
+});
+
+const createJob = async ({ job, input, outputGroups, kind }) => {
+  const { Job } = await getClient().send(
+    new CreateJobCommand({
+      Role: process.env.MEDIACONVERT_ROLE,
+      // The completion lambda reads these back to call /api/internal/media/transcode-complete
+      UserMetadata: {
+        jobId: job._id.toString(),
+        songId: job.songId.toString(),
+        audioKey: job.audioKey,
+        kind,
+      },
+      Settings: {
+        TimecodeConfig: { Source: "ZEROBASED" },
+        Inputs: [
+          {
+            FileInput: `s3://${process.env.AWS_S3_BUCKET}/${job.sourceKey}`,
+            TimecodeSource: "ZEROBASED",
+            AudioSelectors: { "Audio Selector 1": { DefaultSelection: "DEFAULT" } },
+            ...input,
+          },
+        ],
+        OutputGroups: outputGroups,
+      },
+    })
+  );
+  return Job.Id;
+};
+
+// MediaConvert appends ".m3u8" to the destination itself
+const previewJob = (job) => {
+  const { startOffset, duration } = job.preview;
+  return createJob({
+    job,
+    kind: "preview",
+    input: {
+      InputClippings: [
+        { StartTimecode: toTimecode(startOffset), EndTimecode: toTimecode(startOffset + duration) },
+      ],
+    },
+    outputGroups: [
+      hlsGroup(`s3://${process.env.AWS_S3_BUCKET}/${job.outputs.previewKey.replace(/\.m3u8$/, "")}`, [
+        aacOutput("_128k", 128),
+      ]),
+    ],
+  });
+};
+
+export const mediaConvertProvider = {
+  name: "mediaconvert",
+  qualities: QUALITIES,
+
+  /**
+   * Submit one job for the renditions and one clipped job for the preview.
+   * Both report back through the HLS completion lambda.
+   */
+  async submit({ job }) {
+    const bucket = process.env.AWS_S3_BUCKET;
+    const base = `s3://${bucket}/songs-hls/${job.audioKey}`;
+
+    // An output group writes into a single folder, so one group per quality keeps each in its own
+    // (every group also gets a one-variant master there; playback uses the API's filtered master)
+    const mainJobId = await createJob({
+      job,
+      kind: "full",
+      input: {},
+      outputGroups: QUALITIES.map((q) => hlsGroup(`${base}/${q}k/${job.audioKey}_hls`, [aacOutput(`_${q}k`, Number(q))])),
+    });
+    const previewJobId = await previewJob(job);
+
+    return { externalJobIds: [mainJobId, previewJobId], status: "processing" };
+  },
+
+  // Clipped job only, after the preview window changed
+  async submitPreview({ job }) {
+    return { externalJobIds: [await previewJob(job)], status: "processing" };
+  },
+};
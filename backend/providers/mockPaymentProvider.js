@@ -0,0 +1,318 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { BadRequestError, NotFoundError, UnauthenticatedError } from "../errors/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Fully local gateway for development and end-to-end tests.
+ * Checkouts are completed through /api/mock-gateway and every state change
+ * is delivered back to /api/webhooks/mock as an HMAC-signed webhook.
+ * State is kept in memory – it lives and dies with this process.
+ */
+
+// Reject webhooks signed more than this long ago (replay protection)
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+const CYCLE_MONTHS = { "1m": 1, "3m": 3, "6m": 6, "12m": 12 };
+
+const checkouts = new Map(); // orderId | subscriptionId -> checkout
+const payments = new Map(); // paymentId -> { checkoutId, amount, currency, refunded }
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const mockSecret = () => process.env.MOCK_GATEWAY_SECRET || "mock_gateway_dev_secret";
+
+const webhookUrl = () =>
+  process.env.MOCK_GATEWAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 4000}/api/webhooks/mock`;
+
+export const isMockGatewayEnabled = () =>
+  process.env.PAYMENT_MOCK_ENABLED === "true" && process.env.NODE_ENV !== "production";
+
+export const signMockPayload = (timestamp, rawBody) =>
+  crypto.createHmac("sha256", mockSecret()).update(`${timestamp}.${rawBody}`).digest("hex");
+
+// Like a real gateway: the webhook arrives after the API call has returned
+const emitWebhook = (type, data) => {
+  const event = { id: newId("evt"), type, created: Math.floor(Date.now() / 1000), data };
+  const rawBody = JSON.stringify(event);
+  const timestamp = String(event.created);
+
+  setImmediate(async () => {
+    try {
+      const response = await fetch(webhookUrl(), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Mock-Timestamp": timestamp,
+          "X-Mock-Signature": signMockPayload(timestamp, rawBody),
+        },
+        body: rawBody,
+      });
+      if (!response.ok) logger.warn(`⚠️ Mock webhook ${type} answered ${response.status}`);
+    } catch (err) {
+      logger.error(`❌ Mock webhook ${type} delivery failed: ${err.message}`);
+    }
+  });
+
+  return event;
+};
+
+const getCheckout = (id) => {
+  const checkout = checkouts.get(id);
+  if (!checkout) throw new NotFoundError(`Mock checkout ${id} not found`);
+  return checkout;
+};
+
+const checkoutUrl = (id) => `/api/mock-gateway/checkout/${id}`;
+
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + months);
+  return next;
+};
+
+const recordPayment = (checkout, amount = checkout.amount) => {
+  const paymentId = newId("pay");
+  payments.set(paymentId, {
+    checkoutId: checkout.id,
+    amount,
+    currency: checkout.currency,
+    refunded: 0,
+  });
+  checkout.paymentIds.push(paymentId);
+  return paymentId;
+};
+
+/**
+ * Snapshot of a mock checkout (what a hosted payment page would show).
+ */
+export const getMockCheckout = (id) => {
+  const { paymentIds, ...checkout } = getCheckout(id);
+  return { ...checkout, payments: paymentIds.map((paymentId) => ({ paymentId, ...payments.get(paymentId) })) };
+};
+
+/**
+ * The "customer" finishes (or abandons) a mock checkout.
+ * @param {string} id - mock order or subscription ID
+ * @param {"success"|"failure"} outcome
+ */
+export const completeMockCheckout = (id, outcome = "success") => {
+  const checkout = getCheckout(id);
+  if (checkout.status !== "pending") {
+    throw new BadRequestError(`Mock checkout ${id} is already ${checkout.status}`);
+  }
+
+  if (outcome === "failure") {
+    checkout.status = "failed";
+    const type = checkout.kind === "order" ? "order.failed" : "subscription.payment_failed";
+    return { checkout: getMockCheckout(id), event: emitWebhook(type, { [`${checkout.kind}Id`]: id, reason: "card_declined" }) };
+  }
+
+  if (checkout.kind === "order") {
+    checkout.status = "paid";
+    const paymentId = recordPayment(checkout);
+    const event = emitWebhook("order.paid", {
+      orderId: id,
+      paymentId,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      metadata: checkout.metadata,
+    });
+    return { checkout: getMockCheckout(id), event };
+  }
+
+  // Free trial: nothing is charged until chargeMockSubscription simulates the trial ending
+  if (checkout.trialDays) {
+    checkout.status = "trialing";
+    checkout.currentPeriodEnd = new Date(Date.now() + checkout.trialDays * 24 * 60 * 60 * 1000);
+    const event = emitWebhook("subscription.trial_started", {
+      subscriptionId: id,
+      trialEndsAt: checkout.currentPeriodEnd,
+      metadata: checkout.metadata,
+    });
+    return { checkout: getMockCheckout(id), event };
+  }
+
+  checkout.status = "active";
+  return chargeMockSubscription(id);
+};
+
+/**
+ * Simulate a billing cycle on an active mock subscription (renewal or failed renewal).
+ */
+export const chargeMockSubscription = (id, outcome = "success") => {
+  const checkout = getCheckout(id);
+  if (checkout.kind !== "subscription") throw new BadRequestError(`${id} is not a mock subscription`);
+  if (!["trialing", "active", "past_due"].includes(checkout.status)) {
+    throw new BadRequestError(`Mock subscription ${id} is ${checkout.status}`);
+  }
+
+  if (outcome === "failure") {
+    checkout.status = "past_due";
+    const event = emitWebhook("subscription.payment_failed", { subscriptionId: id, reason: "card_declined" });
+    return { checkout: getMockCheckout(id), event };
+  }
+
+  // A deferred plan change takes over from this renewal
+  if (checkout.pendingPlan) {
+    checkout.cycle = checkout.pendingPlan.cycle;
+    checkout.amount = checkout.recurringAmount = checkout.pendingPlan.amount;
+    delete checkout.pendingPlan;
+  }
+
+  checkout.status = "active";
+  checkout.currentPeriodEnd = addMonths(checkout.currentPeriodEnd || new Date(), CYCLE_MONTHS[checkout.cycle] || 1);
+  const paymentId = recordPayment(checkout);
+  const event = emitWebhook("subscription.charged", {
+    subscriptionId: id,
+    paymentId,
+    amount: checkout.amount,
+    currency: checkout.currency,
+    cycle: checkout.cycle,
+    currentPeriodEnd: checkout.currentPeriodEnd,
+    metadata: checkout.metadata,
+  });
+  // A coupon only discounts the first period
+  if (checkout.recurringAmount) checkout.amount = checkout.recurringAmount;
+  return { checkout: getMockCheckout(id), event };
+};
+
+const createCheckout = (kind, transaction) => {
+  const checkout = {
+    id: newId(kind === "order" ? "order" : "sub"),
+    kind,
+    status: "pending",
+    amount: transaction.amount,
+    currency: transaction.currency,
+    cycle: transaction.metadata?.cycle || null,
+    metadata: {
+      transactionId: transaction._id.toString(),
+      userId: transaction.userId.toString(),
+      itemType: transaction.itemType,
+      itemId: transaction.itemId.toString(),
+    },
+    paymentIds: [],
+    createdAt: new Date(),
+  };
+  checkouts.set(checkout.id, checkout);
+  return checkout;
+};
+
+const ORDER_STATUS = { pending: "pending", paid: "paid", failed: "failed" };
+
+export const mockPaymentProvider = {
+  name: "mock",
+  defaultCurrency: "INR",
+  orderItemTypes: ["song", "album", "artist-subscription"],
+  planChangeTimings: ["immediate", "period_end"],
+
+  async createOrder({ transaction }) {
+    const checkout = createCheckout("order", transaction);
+    return {
+      fields: { metadata: { mockOrderId: checkout.id } },
+      checkout: { orderId: checkout.id, checkoutUrl: checkoutUrl(checkout.id) },
+    };
+  },
+
+  async createSubscription({ transaction }) {
+    const checkout = createCheckout("subscription", transaction);
+    checkout.recurringAmount = transaction.discount?.originalAmount ?? transaction.amount;
+    checkout.trialDays = transaction.metadata?.trialDays || 0;
+    return {
+      fields: { metadata: { mockSubscriptionId: checkout.id } },
+      checkout: { subscriptionId: checkout.id, approveUrl: checkoutUrl(checkout.id) },
+    };
+  },
+
+  async changePlan({ subscription, toPlan, timing, proration }) {
+    const checkout = getCheckout(subscription.externalSubscriptionId);
+    if (checkout.status !== "active") throw new BadRequestError(`Mock subscription ${checkout.id} is ${checkout.status}`);
+
+    if (timing === "period_end") {
+      checkout.pendingPlan = { cycle: toPlan.cycle, amount: proration.planPrice };
+      return { status: "scheduled", effectiveAt: checkout.currentPeriodEnd };
+    }
+
+    // Immediate: charge the prorated difference and start a new period now
+    checkout.cycle = toPlan.cycle;
+    checkout.amount = checkout.recurringAmount = proration.planPrice;
+    checkout.currentPeriodEnd = addMonths(new Date(), CYCLE_MONTHS[toPlan.cycle] || 1);
+    const paymentId = recordPayment(checkout, proration.amountDue);
+    emitWebhook("subscription.plan_changed", {
+      subscriptionId: checkout.id,
+      cycle: checkout.cycle,
+      paymentId,
+      amount: proration.amountDue,
+      currency: checkout.currency,
+      currentPeriodEnd: checkout.currentPeriodEnd,
+    });
+    return {
+      status: "applied",
+      chargeId: paymentId,
+      amountCharged: proration.amountDue,
+      periodEnd: checkout.currentPeriodEnd,
+    };
+  },
+
+  async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const checkout = getCheckout(subscriptionId);
+    checkout.status = "cancelled";
+    emitWebhook("subscription.cancelled", { subscriptionId, atPeriodEnd });
+    return { status: "cancelled", atPeriodEnd };
+  },
+
+  async refund({ transaction, amount, reason = "" }) {
+    const payment = payments.get(transaction.paymentId);
+    if (!payment) throw new BadRequestError("No mock payment on record to refund");
+
+    const refundAmount = amount ?? payment.amount - payment.refunded;
+    if (refundAmount <= 0 || payment.refunded + refundAmount > payment.amount + 1e-9) {
+      throw new BadRequestError("Refund exceeds the captured amount");
+    }
+    payment.refunded += refundAmount;
+
+    const refundId = newId("rfnd");
+    emitWebhook("refund.succeeded", {
+      refundId,
+      paymentId: transaction.paymentId,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      metadata: { transactionId: transaction._id.toString() },
+    });
+    return { refundId, status: "succeeded", amount: refundAmount };
+  },
+
+  async verifyWebhook({ headers, rawBody }) {
+    const timestamp = headers["x-mock-timestamp"];
+    const signature = headers["x-mock-signature"];
+    if (!timestamp || !signature) throw new UnauthenticatedError("Missing mock gateway signature");
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > MAX_SIGNATURE_AGE_SECONDS) {
+      throw new UnauthenticatedError("Mock gateway signature expired");
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+    const expectedBuf = Buffer.from(signMockPayload(timestamp, body), "hex");
+    const signatureBuf = Buffer.from(signature, "hex");
+    if (expectedBuf.length !== signatureBuf.length || !crypto.timingSafeEqual(expectedBuf, signatureBuf)) {
+      throw new UnauthenticatedError("Invalid mock gateway signature");
+    }
+
+    return JSON.parse(body);
+  },
+
+  async fetchSubscription(subscriptionId) {
+    const checkout = getCheckout(subscriptionId);
+    return { status: checkout.status, currentPeriodEnd: checkout.currentPeriodEnd || null, raw: checkout.status };
+  },
+
+  async fetchStatus(transaction) {
+    const id = transaction.metadata?.mockSubscriptionId || transaction.metadata?.mockOrderId;
+    if (!id) throw new BadRequestError("Transaction has no mock gateway reference yet");
+
+    const checkout = getCheckout(id);
+    const status = checkout.kind === "order" ? ORDER_STATUS[checkout.status] : checkout.status;
+    return { status, raw: checkout.status };
+  },
+};
@@ -0,0 +1,44 @@
+import { stripeProvider } from "./stripeProvider.js";
+import { razorpayProvider } from "./razorpayProvider.js";
+import { paypalProvider } from "./paypalProvider.js";
+import { mockPaymentProvider, isMockGatewayEnabled } from "./mockPaymentProvider.js";
+import { BadRequestError } from "../errors/index.js";
+
+/**
+ * A PaymentProvider wraps one gateway behind a common contract:
+ *
+ *   name, defaultCurrency, orderItemTypes, planChangeTimings
+ *   createOrder({ transaction, user })                          => { fields, checkout }
+ *   createSubscription({ transaction, user, artist, plan, coupon, input }) => { fields, checkout }
+ *   cancelSubscription(externalSubscriptionId, { atPeriodEnd }) => { status, atPeriodEnd }
+ *   changePlan({ subscription, toPlan, currency, timing, proration })
+ *                                                               => { status: "applied"|"scheduled"|"pending_approval",
+ *                                                                    chargeId?, amountCharged?, periodEnd?, effectiveAt?, approveUrl? }
+ *   refund({ transaction, amount, reason })                     => { refundId, status: "pending"|"succeeded"|"failed", amount }
+ *   verifyWebhook({ headers, rawBody })                         => parsed gateway event (throws UnauthenticatedError)
+ *   fetchStatus(transaction)                                    => { status, raw }
+ *   fetchSubscription(externalSubscriptionId)                   => { status, currentPeriodEnd, raw }
+ *
+ * `fields` are gateway references to store on the Transaction (`metadata` is merged),
+ * `checkout` is what the client needs to finish paying. Amounts are in major units.
+ * fetchStatus normalizes to pending | paid | failed for orders and
+ * pending | trialing | active | past_due | cancelled | failed for subscriptions (fetchSubscription too).
+ * planChangeTimings lists what changePlan supports: "immediate" (prorated now) and/or "period_end".
+ */
+const providers = {
+  stripe: stripeProvider,
+  razorpay: razorpayProvider,
+  paypal: paypalProvider,
+  mock: mockPaymentProvider,
+};
+
+export const PAYMENT_GATEWAYS = Object.keys(providers);
+
+export const getPaymentProvider = (gateway) => {
+  const provider = providers[gateway];
+  if (!provider) throw new BadRequestError(`Unsupported gateway: ${gateway}`);
+  if (gateway === "mock" && !isMockGatewayEnabled()) {
+    throw new BadRequestError("The mock payment gateway is disabled");
+  }
+  return provider;
+};
@@ -1,9 +1,52 @@
-import { createPayPalProduct, createPayPalPlan } from "../utils/getPaypalAccessToken.js";
+import fetch from "node-fetch";
+import paypal from "@paypal/checkout-server-sdk";
+import { paypalClient } from "../utils/paypalClient.js";
+import {
+  PAYPAL_API,
+  getPayPalAccessToken,
+  createPayPalProduct,
+  createPayPalPlan,
+} from "../utils/getPaypalAccessToken.js";
+import { BadRequestError, UnauthenticatedError } from "../errors/index.js";
 
 // const SUPPORTED_CURRENCIES = process.env.PAYPAL_SUPPORTED_CURRENCIES?.split(",") || ["USD", "EUR"];
 
+const ORDER_STATUS = { COMPLETED: "paid", VOIDED: "failed" };
+const SUBSCRIPTION_STATUS = {
+  APPROVAL_PENDING: "pending",
+  APPROVED: "pending",
+  ACTIVE: "active",
+  SUSPENDED: "past_due",
+  CANCELLED: "cancelled",
+  EXPIRED: "cancelled",
+};
+const REFUND_STATUS = { COMPLETED: "succeeded", FAILED: "failed", CANCELLED: "failed" };
+
+// Authenticated REST call; cancel/refund endpoints answer 204 with no body
+const paypalRequest = async (path, { method = "GET", body } = {}) => {
+  const token = await getPayPalAccessToken();
+  const response = await fetch(`${PAYPAL_API}${path}`, {
+    method,
+    headers: {
+      "Authorization": `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : {};
+  if (!response.ok) throw new Error(`PayPal ${method} ${path} failed: ${text}`);
+  return data;
+};
+
 export const paypalProvider = {
-  async createPlans(artistName, basePrice, convertedPrices, interval_unit, interval_count) {
+  name: "paypal",
+  defaultCurrency: "USD",
+  orderItemTypes: ["song", "album"],
+  planChangeTimings: ["period_end"], // revisions apply from the next billing cycle
+
+  async createPlans(artistName, basePrice, convertedPrices, interval_unit, interval_count, trialDays = 0) {
     const productId = await createPayPalProduct(artistName);
 
     const allCurrencies = [basePrice, ...convertedPrices];
@@ -11,17 +54,176 @@ export const paypalProvider = {
       allCurrencies
       .filter(({ currency }) => currency.toUpperCase() !== "INR")
       .map(async ({ currency, amount }) => {
-        
-        const planId = await createPayPalPlan({
+
+        const planInput = {
           productId,
           price: amount,
           intervalUnit: interval_unit,
           intervalCount: interval_count,
           currency,
-        });
-        return { currency, paypalPlanId: planId };
+        };
+        const [planId, trialPlanId] = await Promise.all([
+          createPayPalPlan(planInput),
+          trialDays > 0 ? createPayPalPlan({ ...planInput, trialDays }) : null,
+        ]);
+        return { currency, paypalPlanId: planId, paypalTrialPlanId: trialPlanId };
       })
     );
     return plans;
   },
+
+  async createOrder({ transaction }) {
+    const request = new paypal.orders.OrdersCreateRequest();
+    request.requestBody({
+      intent: "CAPTURE",
+      purchase_units: [{
+        amount: { currency_code: transaction.currency, value: transaction.amount.toFixed(2) },
+        description: `${transaction.itemType} purchase`,
+        custom_id: JSON.stringify({ type: transaction.itemType, itemId: transaction.itemId, userId: transaction.userId }), // 👈 embed metadata
+      }],
+      application_context: {
+        brand_name: "YourApp",
+        user_action: "PAY_NOW",
+        return_url: `${process.env.FRONTEND_URL}/paypal/success`,
+        cancel_url: `${process.env.FRONTEND_URL}/paypal/cancel`,
+      },
+    });
+
+    const order = await paypalClient().execute(request);
+    return {
+      fields: { paypalOrderId: order.result.id },
+      checkout: { id: order.result.id, links: order.result.links },
+    };
+  },
+
+  async createSubscription({ transaction, artist, plan }) {
+    // Plan pricing is fixed on PayPal's side – a one-off discount can't be applied to the first cycle
+    if (transaction.discount?.couponId) {
+      throw new BadRequestError("Coupons are not supported for PayPal subscriptions");
+    }
+
+    const paypalPlan = plan?.paypalPlans?.find((pp) => pp.currency === transaction.currency);
+    if (!paypalPlan) throw new BadRequestError(`No PayPal plan for ${transaction.currency}`);
+
+    // Trials live on a separate PayPal plan with a free leading TRIAL cycle
+    const planId = transaction.metadata?.trialDays ? paypalPlan.paypalTrialPlanId : paypalPlan.paypalPlanId;
+    if (!planId) throw new BadRequestError(`No PayPal trial plan for ${transaction.currency}`);
+
+    const subscription = await paypalRequest("/v1/billing/subscriptions", {
+      method: "POST",
+      body: {
+        plan_id: planId,
+        custom_id: transaction._id.toString(),
+        application_context: {
+          brand_name: artist.name,
+          user_action: "SUBSCRIBE_NOW",
+          return_url: `${process.env.FRONTEND_URL}/paypal/sub-success`,
+          cancel_url: `${process.env.FRONTEND_URL}/paypal/sub-cancel`,
+        },
+      },
+    });
+
+    return {
+      fields: {
+        metadata: { paypalSubscriptionId: subscription.id, paypalPlanId: planId },
+      },
+      checkout: {
+        subscriptionId: subscription.id,
+        approveUrl: subscription.links?.find((l) => l.rel === "approve")?.href,
+      },
+    };
+  },
+
+  async changePlan({ subscription, toPlan, currency }) {
+    const paypalPlan = toPlan.paypalPlans?.find((pp) => pp.currency === currency);
+    if (!paypalPlan) throw new BadRequestError(`No PayPal plan for ${currency} on the ${toPlan.cycle} plan`);
+
+    // The customer has to approve the revised plan on PayPal before it is scheduled
+    const revision = await paypalRequest(`/v1/billing/subscriptions/${subscription.externalSubscriptionId}/revise`, {
+      method: "POST",
+      body: {
+        plan_id: paypalPlan.paypalPlanId,
+        application_context: {
+          user_action: "CONTINUE",
+          return_url: `${process.env.FRONTEND_URL}/paypal/sub-success`,
+          cancel_url: `${process.env.FRONTEND_URL}/paypal/sub-cancel`,
+        },
+      },
+    });
+    return {
+      status: "pending_approval",
+      approveUrl: revision.links?.find((l) => l.rel === "approve")?.href,
+      effectiveAt: subscription.validUntil,
+    };
+  },
+
+  // PayPal has no cancel-at-period-end – access still runs until validUntil on our side
+  async cancelSubscription(subscriptionId) {
+    await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}/cancel`, {
+      method: "POST",
+      body: { reason: "User requested cancellation" },
+    });
+    return { status: "cancelled", atPeriodEnd: false };
+  },
+
+  async refund({ transaction, amount, reason = "" }) {
+    if (!transaction.paymentId) throw new BadRequestError("No PayPal capture on record to refund");
+
+    const refund = await paypalRequest(`/v2/payments/captures/${transaction.paymentId}/refund`, {
+      method: "POST",
+      body: {
+        amount: {
+          value: (amount ?? transaction.amount).toFixed(2),
+          currency_code: transaction.currency,
+        },
+        invoice_id: transaction.invoiceNumber || undefined,
+        note_to_payer: reason || undefined,
+      },
+    });
+
+    return { refundId: refund.id, status: REFUND_STATUS[refund.status] || "pending", amount: amount ?? transaction.amount };
+  },
+
+  async verifyWebhook({ headers, rawBody }) {
+    const event = JSON.parse(rawBody.toString());
+    const verification = await paypalRequest("/v1/notifications/verify-webhook-signature", {
+      method: "POST",
+      body: {
+        auth_algo: headers["paypal-auth-algo"],
+        cert_url: headers["paypal-cert-url"],
+        transmission_id: headers["paypal-transmission-id"],
+        transmission_sig: headers["paypal-transmission-sig"],
+        transmission_time: headers["paypal-transmission-time"],
+        webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+        webhook_event: event,
+      },
+    });
+
+    if (verification.verification_status !== "SUCCESS") {
+      throw new UnauthenticatedError("Invalid PayPal signature");
+    }
+    return event;
+  },
+
+  async fetchSubscription(subscriptionId) {
+    const subscription = await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}`);
+    const nextBilling = subscription.billing_info?.next_billing_time;
+    return {
+      status: SUBSCRIPTION_STATUS[subscription.status] || "pending",
+      currentPeriodEnd: nextBilling ? new Date(nextBilling) : null,
+      raw: subscription.status,
+    };
+  },
+
+  async fetchStatus(transaction) {
+    const subscriptionId = transaction.metadata?.paypalSubscriptionId;
+    if (subscriptionId) {
+      const subscription = await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}`);
+      return { status: SUBSCRIPTION_STATUS[subscription.status] || "pending", raw: subscription.status };
+    }
+    if (!transaction.paypalOrderId) throw new BadRequestError("Transaction has no PayPal reference yet");
+
+    const order = await paypalRequest(`/v2/checkout/orders/${transaction.paypalOrderId}`);
+    return { status: ORDER_STATUS[order.status] || "pending", raw: order.status };
+  },
 };
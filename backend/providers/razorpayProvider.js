@@ -1,10 +1,146 @@
-import { createRazorpayPlan } from "../utils/razorpay.js";
+import crypto from "crypto";
+import { razorpay, createRazorpayOrder, createRazorpayPlan } from "../utils/razorpay.js";
+import { toMinorUnits } from "../utils/convertCurrencies.js";
+import { BadRequestError, NotFoundError, UnauthenticatedError } from "../errors/index.js";
 
+// Number of billing cycles Razorpay should run before the subscription completes
+const TOTAL_COUNT = { "1m": 12, "3m": 4, "6m": 2, "12m": 12 };
 
+const ORDER_STATUS = { paid: "paid" };
+const SUBSCRIPTION_STATUS = {
+  created: "pending",
+  authenticated: "trialing", // only reached with a future start_at
+  active: "active",
+  pending: "past_due",
+  halted: "past_due",
+  cancelled: "cancelled",
+  completed: "cancelled",
+  expired: "cancelled",
+};
+const REFUND_STATUS = { processed: "succeeded", failed: "failed" };
 
 export const razorpayProvider = {
+  name: "razorpay",
+  defaultCurrency: "INR",
+  orderItemTypes: ["song", "album"],
+  planChangeTimings: ["period_end"], // Razorpay doesn't prorate
+
   async createPlan(artistName, price, interval, period) {
-   
     return await createRazorpayPlan(artistName, price, interval, period);
-  }
+  },
+
+  async createOrder({ transaction }) {
+    const order = await createRazorpayOrder(
+      transaction.amount,
+      transaction.userId.toString(),
+      transaction.itemType,
+      transaction.itemId.toString(),
+      { transactionId: transaction._id.toString() },
+      transaction.currency
+    );
+
+    return { fields: { razorpayOrderId: order.id }, checkout: { order } };
+  },
+
+  async createSubscription({ transaction, plan, coupon }) {
+    const cycle = transaction.metadata?.cycle;
+    if (!plan?.razorpayPlanId) throw new NotFoundError(`No Razorpay plan found for cycle ${cycle}`);
+
+    // Razorpay applies subscription discounts through an Offer set up in its dashboard
+    if (transaction.discount?.couponId && !coupon?.razorpayOfferId) {
+      throw new BadRequestError(`Coupon ${transaction.discount.code} can't be used with Razorpay subscriptions`);
+    }
+
+    const trialDays = transaction.metadata?.trialDays || 0;
+    const trialEndsAt = trialDays ? new Date(Date.now() + trialDays * 24 * 60 * 60 * 1000) : null;
+
+    const subscription = await razorpay.subscriptions.create({
+      plan_id: plan.razorpayPlanId,
+      total_count: TOTAL_COUNT[cycle] || 12,
+      customer_notify: 1,
+      ...(coupon?.razorpayOfferId && { offer_id: coupon.razorpayOfferId }),
+      // Free trial: the card is authorised now, the first charge happens at start_at
+      ...(trialEndsAt && { start_at: Math.floor(trialEndsAt.getTime() / 1000) }),
+      notes: {
+        userId: transaction.userId.toString(),
+        artistId: transaction.artistId.toString(),
+        transactionId: transaction._id.toString(),
+        cycle,
+      },
+    });
+
+    return {
+      fields: { metadata: { razorpaySubscriptionId: subscription.id } },
+      checkout: { subscriptionId: subscription.id, cycle, ...(trialEndsAt && { trialEndsAt }) },
+    };
+  },
+
+  async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const subscription = await razorpay.subscriptions.cancel(subscriptionId, atPeriodEnd);
+    return { status: SUBSCRIPTION_STATUS[subscription.status] || "cancelled", atPeriodEnd };
+  },
+
+  async changePlan({ subscription, toPlan }) {
+    if (!toPlan.razorpayPlanId) throw new NotFoundError(`No Razorpay plan found for cycle ${toPlan.cycle}`);
+
+    const updated = await razorpay.subscriptions.update(subscription.externalSubscriptionId, {
+      plan_id: toPlan.razorpayPlanId,
+      remaining_count: TOTAL_COUNT[toPlan.cycle] || 12,
+      schedule_change_at: "cycle_end",
+    });
+    return {
+      status: "scheduled",
+      effectiveAt: updated.current_end ? new Date(updated.current_end * 1000) : subscription.validUntil,
+    };
+  },
+
+  async refund({ transaction, amount, reason = "" }) {
+    if (!transaction.paymentId) throw new BadRequestError("No Razorpay payment on record to refund");
+
+    const refund = await razorpay.payments.refund(transaction.paymentId, {
+      amount: toMinorUnits(amount ?? transaction.amount, transaction.currency),
+      notes: { transactionId: transaction._id.toString(), reason },
+    });
+
+    return { refundId: refund.id, status: REFUND_STATUS[refund.status] || "pending", amount: amount ?? transaction.amount };
+  },
+
+  async verifyWebhook({ headers, rawBody }) {
+    const signature = headers["x-razorpay-signature"] || "";
+    const expected = crypto
+      .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(rawBody)
+      .digest("hex");
+
+    const expectedBuf = Buffer.from(expected, "hex");
+    const signatureBuf = Buffer.from(signature, "hex");
+    if (expectedBuf.length !== signatureBuf.length || !crypto.timingSafeEqual(expectedBuf, signatureBuf)) {
+      throw new UnauthenticatedError("Invalid Razorpay signature");
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+
+  async fetchSubscription(subscriptionId) {
+    const subscription = await razorpay.subscriptions.fetch(subscriptionId);
+    // A trialing (authenticated) subscription has no period yet – access runs until start_at
+    const periodEnd = subscription.current_end || (subscription.status === "authenticated" ? subscription.start_at : null);
+    return {
+      status: SUBSCRIPTION_STATUS[subscription.status] || "pending",
+      currentPeriodEnd: periodEnd ? new Date(periodEnd * 1000) : null,
+      raw: subscription.status,
+    };
+  },
+
+  async fetchStatus(transaction) {
+    const subscriptionId = transaction.metadata?.razorpaySubscriptionId;
+    if (subscriptionId) {
+      const subscription = await razorpay.subscriptions.fetch(subscriptionId);
+      return { status: SUBSCRIPTION_STATUS[subscription.status] || "pending", raw: subscription.status };
+    }
+    if (!transaction.razorpayOrderId) throw new BadRequestError("Transaction has no Razorpay reference yet");
+
+    const order = await razorpay.orders.fetch(transaction.razorpayOrderId);
+    return { status: ORDER_STATUS[order.status] || "pending", raw: order.status };
+  },
 };
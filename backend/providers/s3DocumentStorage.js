@@ -0,0 +1,41 @@
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+
+// Invoices and credit notes hold billing details – they only go to their own private bucket,
+// never the media bucket
+const bucket = () => {
+  if (!process.env.DOCUMENT_S3_BUCKET) throw new Error("DOCUMENT_S3_BUCKET is not set");
+  return process.env.DOCUMENT_S3_BUCKET;
+};
+const PREFIX = "documents";
+
+let client;
+const getClient = () => {
+  client ??= new S3Client({ region: process.env.AWS_REGION });
+  return client;
+};
+
+export const s3DocumentStorage = {
+  name: "s3",
+
+  async put({ key, body, contentType }) {
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: bucket(),
+        Key: `${PREFIX}/${key}`,
+        Body: body,
+        ContentType: contentType,
+        ServerSideEncryption: "AES256",
+      })
+    );
+  },
+
+  async get(key) {
+    try {
+      const { Body } = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: `${PREFIX}/${key}` }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (err) {
+      if (err.name === "NoSuchKey") return null;
+      throw err;
+    }
+  },
+};
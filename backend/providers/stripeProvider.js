@@ -1,7 +1,223 @@
-import { createArtistStripeSubscriptionPrice } from "../utils/stripe.js";
+import Stripe from "stripe";
+import {
+  createArtistStripeSubscriptionPrice,
+  createStripePaymentIntent,
+  getOrCreateStripeCustomer,
+} from "../utils/stripe.js";
+import { toMinorUnits, fromMinorUnits } from "../utils/convertCurrencies.js";
+import { BadRequestError, UnauthenticatedError } from "../errors/index.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const ORDER_STATUS = { succeeded: "paid", canceled: "failed" };
+const SUBSCRIPTION_STATUS = {
+  active: "active",
+  trialing: "trialing",
+  past_due: "past_due",
+  unpaid: "past_due",
+  paused: "past_due",
+  canceled: "cancelled",
+  incomplete: "pending",
+  incomplete_expired: "failed",
+};
+const REFUND_STATUS = { succeeded: "succeeded", failed: "failed", canceled: "failed" };
+
+// First invoice of a `default_incomplete` subscription – pay it if Stripe didn't attach a PaymentIntent
+const resolveFirstInvoiceSecret = async (subscription, paymentMethodId) => {
+  const invoice = subscription.latest_invoice;
+  if (!invoice) return null;
+  if (invoice.payment_intent) return invoice.payment_intent.client_secret || null;
+
+  if (!invoice.default_payment_method) {
+    await stripe.invoices.update(invoice.id, { default_payment_method: paymentMethodId });
+  }
+  await stripe.invoices.pay(invoice.id);
+  const paid = await stripe.invoices.retrieve(invoice.id, { expand: ["payment_intent"] });
+  return paid.payment_intent?.client_secret || null;
+};
+
+// Single-use Stripe coupon mirroring the discount we already priced, applied to the first invoice only
+const createFirstPeriodCoupon = async (transaction) => {
+  const { code, amount } = transaction.discount;
+  const coupon = await stripe.coupons.create({
+    name: code,
+    duration: "once",
+    max_redemptions: 1,
+    amount_off: toMinorUnits(amount, transaction.currency),
+    currency: transaction.currency.toLowerCase(),
+    metadata: { transactionId: transaction._id.toString(), code },
+  });
+  return coupon.id;
+};
 
 export const stripeProvider = {
+  name: "stripe",
+  defaultCurrency: "INR",
+  orderItemTypes: ["song", "album", "artist-subscription"],
+  planChangeTimings: ["immediate", "period_end"],
+
   async createPlan(artistName, price, interval, interval_count) {
     return await createArtistStripeSubscriptionPrice(artistName, price, interval, interval_count);
-  }
+  },
+
+  async createOrder({ transaction }) {
+    const intent = await createStripePaymentIntent(
+      transaction.amount,
+      transaction.userId,
+      {
+        itemType: transaction.itemType,
+        itemId: transaction.itemId,
+        transactionId: transaction._id,
+      },
+      transaction.currency
+    );
+
+    return {
+      fields: { paymentIntentId: intent.id },
+      checkout: { clientSecret: intent.client_secret },
+    };
+  },
+
+  async createSubscription({ transaction, user, artist, plan, input = {} }) {
+    const { paymentMethodId, line1, city, state, postal_code, country } = input;
+    if (!paymentMethodId) throw new BadRequestError("paymentMethodId is required for Stripe subscriptions");
+
+    const priceId = plan?.stripePriceId || artist.stripePriceId;
+    if (!priceId) throw new BadRequestError("No Stripe price configured for this plan");
+
+    const customerId = await getOrCreateStripeCustomer(user);
+    if (line1 || city || postal_code || country) {
+      await stripe.customers.update(customerId, {
+        name: user.name,
+        address: { line1, city, state, postal_code, country },
+      });
+    }
+
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+    await stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+
+    const trialDays = transaction.metadata?.trialDays || 0;
+    const subscription = await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{ price: priceId }],
+      ...(transaction.discount?.couponId && { discounts: [{ coupon: await createFirstPeriodCoupon(transaction) }] }),
+      ...(trialDays && { trial_period_days: trialDays }),
+      payment_behavior: "default_incomplete", // 👈 first payment must be confirmed
+      expand: ["latest_invoice.payment_intent", "pending_setup_intent"],
+      default_payment_method: paymentMethodId,
+      payment_settings: {
+        payment_method_types: ["card"],
+        save_default_payment_method: "on_subscription",
+      },
+      metadata: {
+        userId: transaction.userId.toString(),
+        artistId: transaction.artistId.toString(),
+        transactionId: transaction._id.toString(),
+      },
+    });
+
+    return {
+      fields: { stripeSubscriptionId: subscription.id },
+      checkout: {
+        subscriptionId: subscription.id,
+        // Trials charge nothing now – the card is only authorised through the setup intent
+        clientSecret: trialDays
+          ? subscription.pending_setup_intent?.client_secret || null
+          : await resolveFirstInvoiceSecret(subscription, paymentMethodId), // null if SCA not required
+        ...(trialDays && { trialEndsAt: new Date(subscription.trial_end * 1000) }),
+      },
+    };
+  },
+
+  async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const subscription = atPeriodEnd
+      ? await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+      : await stripe.subscriptions.cancel(subscriptionId);
+    return { status: SUBSCRIPTION_STATUS[subscription.status] || "cancelled", atPeriodEnd };
+  },
+
+  async changePlan({ subscription, toPlan, timing }) {
+    if (!toPlan.stripePriceId) throw new BadRequestError(`No Stripe price configured for the ${toPlan.cycle} plan`);
+    const current = await stripe.subscriptions.retrieve(subscription.externalSubscriptionId);
+    const item = current.items.data[0];
+
+    if (timing === "immediate") {
+      // Stripe prorates and charges the difference right away; fails if the card is declined
+      const updated = await stripe.subscriptions.update(current.id, {
+        items: [{ id: item.id, price: toPlan.stripePriceId }],
+        proration_behavior: "always_invoice",
+        payment_behavior: "error_if_incomplete",
+        expand: ["latest_invoice"],
+      });
+      const invoice = updated.latest_invoice;
+      return {
+        status: "applied",
+        chargeId: invoice?.payment_intent || null,
+        amountCharged: invoice ? fromMinorUnits(invoice.amount_paid, invoice.currency) : undefined,
+        periodEnd: new Date(updated.current_period_end * 1000),
+      };
+    }
+
+    // Deferred: a schedule keeps the current price until the period ends, then switches
+    const schedule = current.schedule
+      ? await stripe.subscriptionSchedules.retrieve(current.schedule)
+      : await stripe.subscriptionSchedules.create({ from_subscription: current.id });
+    const [phase] = schedule.phases;
+    await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: "release",
+      phases: [
+        {
+          items: [{ price: item.price.id, quantity: item.quantity }],
+          start_date: phase.start_date,
+          end_date: current.current_period_end,
+        },
+        { items: [{ price: toPlan.stripePriceId, quantity: item.quantity }], iterations: 1 },
+      ],
+    });
+    return { status: "scheduled", effectiveAt: new Date(current.current_period_end * 1000) };
+  },
+
+  async refund({ transaction, amount, reason = "" }) {
+    const paymentIntent = transaction.paymentIntentId || transaction.paymentId;
+    if (!paymentIntent) throw new BadRequestError("No Stripe payment on record to refund");
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent,
+      amount: toMinorUnits(amount ?? transaction.amount, transaction.currency),
+      reason: "requested_by_customer",
+      metadata: { transactionId: transaction._id.toString(), reason },
+    });
+
+    return { refundId: refund.id, status: REFUND_STATUS[refund.status] || "pending", amount: amount ?? transaction.amount };
+  },
+
+  async verifyWebhook({ headers, rawBody }) {
+    try {
+      return stripe.webhooks.constructEvent(rawBody, headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      throw new UnauthenticatedError(`Invalid Stripe signature: ${err.message}`);
+    }
+  },
+
+  async fetchSubscription(subscriptionId) {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    return {
+      status: SUBSCRIPTION_STATUS[subscription.status] || "pending",
+      currentPeriodEnd: subscription.current_period_end ? new Date(subscription.current_period_end * 1000) : null,
+      raw: subscription.status,
+    };
+  },
+
+  async fetchStatus(transaction) {
+    if (transaction.stripeSubscriptionId) {
+      const subscription = await stripe.subscriptions.retrieve(transaction.stripeSubscriptionId);
+      return { status: SUBSCRIPTION_STATUS[subscription.status] || "pending", raw: subscription.status };
+    }
+    if (!transaction.paymentIntentId) throw new BadRequestError("Transaction has no Stripe reference yet");
+
+    const intent = await stripe.paymentIntents.retrieve(transaction.paymentIntentId);
+    return { status: ORDER_STATUS[intent.status] || "pending", raw: intent.status };
+  },
 };
@@ -0,0 +1,24 @@
+import { mediaConvertProvider } from "./mediaConvertProvider.js";
+import { localFfmpegProvider } from "./localFfmpegProvider.js";
+
+/**
+ * A TranscodeProvider turns an uploaded original into HLS renditions + a preview clip.
+ *
+ *   name: "mediaconvert" | "local"
+ *   qualities: rendition qualities it produces (see QUALITY_LADDER in services/hlsService.js)
+ *   submit({ job, song }) => Promise<{ externalJobIds: string[], status: "queued" | "processing" }>
+ *   submitPreview({ job, song }) => same, for a preview-only job (job.kind "preview")
+ *
+ * Results are reported back through services/transcodeService.js#handleTranscodeResult –
+ * in-process for the local worker, via the signed media callback for MediaConvert.
+ */
+const providers = {
+  mediaconvert: mediaConvertProvider,
+  local: localFfmpegProvider,
+};
+
+export const getTranscodeProvider = (name = process.env.TRANSCODE_PROVIDER || "mediaconvert") => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown transcode provider: ${name}`);
+  return provider;
+};
@@ -0,0 +1,44 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { rollupEventsByIds, rollupPendingEvents } from "../services/analyticsService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const analyticsQueue = new Queue("analytics-rollup", { connection });
+
+// Fold freshly ingested play events into the rollup collections
+export const enqueuePlayRollup = async (eventIds) => {
+  await analyticsQueue.add(
+    "rollup-events",
+    { eventIds: eventIds.map(String) },
+    {
+      attempts: 5,
+      backoff: { type: "exponential", delay: 2000 },
+      removeOnComplete: 1000,
+      removeOnFail: 5000,
+    }
+  );
+};
+
+// Safety net: periodically pick up events whose rollup job was never enqueued
+export const scheduleAnalyticsJobs = async () => {
+  await analyticsQueue.upsertJobScheduler(
+    "analytics-rollup-sweep",
+    { every: 5 * 60 * 1000 },
+    { name: "rollup-sweep" }
+  );
+};
+
+export const analyticsWorker = new Worker(
+  "analytics-rollup",
+  async (job) => {
+    if (job.name === "rollup-sweep") return rollupPendingEvents();
+    return rollupEventsByIds(job.data.eventIds);
+  },
+  { connection }
+);
+
+analyticsWorker.on("failed", (job, err) => {
+  logger.error(`❌ Analytics job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
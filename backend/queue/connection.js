@@ -0,0 +1,7 @@
+import Redis from "ioredis";
+
+// BullMQ workers use blocking commands, which require maxRetriesPerRequest: null
+export const createQueueConnection = () =>
+  new Redis(process.env.REDIS_URL || "redis://127.0.0.1:6379", {
+    maxRetriesPerRequest: null,
+  });
@@ -0,0 +1,23 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { runDunningSweep } from "../services/dunningService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const dunningQueue = new Queue("subscription-dunning", { connection });
+
+// Reminder emails and end-of-grace expiry for past-due subscriptions
+export const scheduleDunningJobs = async () => {
+  await dunningQueue.upsertJobScheduler(
+    "dunning-sweep",
+    { every: 60 * 60 * 1000 },
+    { name: "dunning-sweep" }
+  );
+};
+
+export const dunningWorker = new Worker("subscription-dunning", async () => runDunningSweep(), { connection });
+
+dunningWorker.on("failed", (job, err) => {
+  logger.error(`❌ Dunning job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
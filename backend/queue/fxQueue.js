@@ -0,0 +1,38 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { importRatesFile, snapshotDailyRates } from "../services/fxService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const fxQueue = new Queue("fx-rates", { connection });
+
+// Import the rates file and snapshot the day just after midnight UTC – and once at startup
+export const scheduleFxJobs = async () => {
+  await fxQueue.upsertJobScheduler(
+    "daily-fx-rates",
+    { pattern: "5 0 * * *", tz: "UTC" },
+    { name: "refresh-rates" }
+  );
+  await fxQueue.add("refresh-rates", {}, { removeOnComplete: true, removeOnFail: 50 });
+};
+
+export const fxWorker = new Worker(
+  "fx-rates",
+  async () => {
+    let imported = 0;
+    try {
+      ({ imported } = await importRatesFile());
+    } catch (err) {
+      // No new file is normal – yesterday's rates carry forward
+      logger.warn(`⚠️ Exchange rate import skipped: ${err.message}`);
+    }
+    const { date, carried } = await snapshotDailyRates();
+    return { date, imported, carried };
+  },
+  { connection }
+);
+
+fxWorker.on("failed", (job, err) => {
+  logger.error(`❌ FX job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
@@ -0,0 +1,35 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { postMissingLedgerEntries } from "../services/ledgerService.js";
+import { generatePayoutStatements } from "../services/payoutService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const ledgerQueue = new Queue("revenue-ledger", { connection });
+
+// Post what the outbox subscribers missed; close last month's payout statements on the 1st
+export const scheduleLedgerJobs = async () => {
+  await ledgerQueue.upsertJobScheduler("ledger-sweep", { every: 15 * 60 * 1000 }, { name: "ledger-sweep" });
+  await ledgerQueue.upsertJobScheduler(
+    "monthly-payout-statements",
+    { pattern: "0 3 1 * *", tz: "UTC" },
+    { name: "payout-statements" }
+  );
+};
+
+export const ledgerWorker = new Worker(
+  "revenue-ledger",
+  async (job) => {
+    if (job.name === "payout-statements") {
+      const { period, generated, skipped } = await generatePayoutStatements();
+      return { period, generated, skipped };
+    }
+    return postMissingLedgerEntries();
+  },
+  { connection }
+);
+
+ledgerWorker.on("failed", (job, err) => {
+  logger.error(`❌ Ledger job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
@@ -0,0 +1,28 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { relayOutboxEvents } from "../core/events/outbox.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const outboxQueue = new Queue("event-outbox", { connection });
+
+// Deliver committed domain events to their subscribers every few seconds
+export const scheduleOutboxJobs = async () => {
+  await outboxQueue.upsertJobScheduler(
+    "event-outbox-relay",
+    { every: 5 * 1000 },
+    { name: "relay-outbox", opts: { removeOnComplete: 100, removeOnFail: 500 } }
+  );
+};
+
+// Claims are atomic, so relays in other instances can run side by side
+export const outboxWorker = new Worker(
+  "event-outbox",
+  async () => ({ relayed: await relayOutboxEvents() }),
+  { connection, concurrency: 1 }
+);
+
+outboxWorker.on("failed", (job, err) => {
+  logger.error(`❌ Outbox relay job ${job?.id} failed: ${err.message}`);
+});
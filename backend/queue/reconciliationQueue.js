@@ -0,0 +1,41 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { runReconciliation } from "../services/reconciliationService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const reconciliationQueue = new Queue("subscription-reconciliation", { connection });
+
+// Expire lapsed subscriptions and check suspicious ones against their gateway
+export const scheduleReconciliationJobs = async () => {
+  await reconciliationQueue.upsertJobScheduler(
+    "subscription-reconciliation",
+    { every: 60 * 60 * 1000 },
+    { name: "reconcile-sweep" }
+  );
+};
+
+// Admin-triggered run outside the schedule
+export const enqueueReconciliation = async (triggeredBy) =>
+  reconciliationQueue.add(
+    "reconcile-manual",
+    { triggeredBy: String(triggeredBy) },
+    { removeOnComplete: 100, removeOnFail: 100 }
+  );
+
+export const reconciliationWorker = new Worker(
+  "subscription-reconciliation",
+  async (job) => {
+    const report =
+      job.name === "reconcile-manual"
+        ? await runReconciliation({ trigger: "manual", triggeredBy: job.data.triggeredBy })
+        : await runReconciliation();
+    return { reportId: String(report._id), status: report.status };
+  },
+  { connection }
+);
+
+reconciliationWorker.on("failed", (job, err) => {
+  logger.error(`❌ Reconciliation job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
@@ -0,0 +1,36 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const transcodeQueue = new Queue("transcode", { connection });
+
+export const enqueueLocalTranscode = async (transcodeJobId) =>
+  transcodeQueue.add(
+    "transcode-song",
+    { transcodeJobId: transcodeJobId.toString() },
+    // No automatic retries – failures are recorded on the song and retried by an admin
+    { attempts: 1, removeOnComplete: 500, removeOnFail: 1000 }
+  );
+
+/**
+ * Start the local ffmpeg worker (TRANSCODE_PROVIDER=local).
+ * One job at a time – ffmpeg already uses every core it can get.
+ */
+export const startLocalTranscodeWorker = async () => {
+  // Imported lazily: the service → provider → queue import chain would otherwise be circular
+  const { runLocalTranscode } = await import("../services/transcodeService.js");
+
+  const worker = new Worker("transcode", (job) => runLocalTranscode(job.data.transcodeJobId), {
+    connection: createQueueConnection(),
+    concurrency: 1,
+    lockDuration: 10 * 60 * 1000,
+  });
+
+  worker.on("failed", (job, err) => {
+    logger.error(`❌ Transcode job ${job?.id} failed: ${err.message}`);
+  });
+
+  return worker;
+};
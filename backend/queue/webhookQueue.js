@@ -0,0 +1,50 @@
+import { Queue, Worker } from "bullmq";
+import { createQueueConnection } from "./connection.js";
+import { processInboxEvent, findStrandedWebhookEvents, WEBHOOK_MAX_ATTEMPTS } from "../services/webhookInboxService.js";
+import logger from "../utils/logger.js";
+
+const connection = createQueueConnection();
+
+export const webhookQueue = new Queue("webhook-inbox", { connection });
+
+// Process one stored gateway event; retried with backoff (30s, 1m, 2m, …) until dead-lettered
+export const enqueueWebhookEvent = async (inboxEventId) => {
+  await webhookQueue.add(
+    "process-event",
+    { inboxEventId: String(inboxEventId) },
+    {
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: { type: "exponential", delay: 30 * 1000 },
+      removeOnComplete: 1000,
+      removeOnFail: 5000,
+    }
+  );
+};
+
+// Safety net: pick up events that never reached the queue or whose worker died
+export const scheduleWebhookJobs = async () => {
+  await webhookQueue.upsertJobScheduler(
+    "webhook-inbox-sweep",
+    { every: 5 * 60 * 1000 },
+    { name: "requeue-stranded" }
+  );
+};
+
+export const webhookWorker = new Worker(
+  "webhook-inbox",
+  async (job) => {
+    if (job.name === "requeue-stranded") {
+      const ids = await findStrandedWebhookEvents();
+      for (const id of ids) await enqueueWebhookEvent(id);
+      return { requeued: ids.length };
+    }
+
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    return processInboxEvent(job.data.inboxEventId, { finalAttempt });
+  },
+  { connection }
+);
+
+webhookWorker.on("failed", (job, err) => {
+  logger.error(`❌ Webhook job ${job?.id} (${job?.name}) failed: ${err.message}`);
+});
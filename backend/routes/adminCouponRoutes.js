@@ -0,0 +1,28 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  createCouponHandler,
+  listCouponsHandler,
+  getCouponHandler,
+  updateCouponHandler,
+} from "../controllers/adminCouponController.js";
+import {
+  createCouponValidator,
+  updateCouponValidator,
+  couponIdValidator,
+  listCouponsValidator,
+} from "../validators/couponValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🏷️ Promo codes
+router.post("/", createCouponValidator, validate, createCouponHandler);
+router.get("/", listCouponsValidator, validate, listCouponsHandler);
+router.get("/:id", couponIdValidator, validate, getCouponHandler);
+router.patch("/:id", updateCouponValidator, validate, updateCouponHandler);
+
+export default router;
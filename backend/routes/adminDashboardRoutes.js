@@ -5,8 +5,35 @@ import {
   getPurchasedAlbumsByArtist,
   getSubscriberCount,
   getArtistRevenueSummary,
+  getAtRiskSubscribers,
+  getArtistPayoutStatements,
+  downloadArtistPayoutStatement,
 } from "../controllers/adminDashboardController.js";
+import {
+  getArtistOverview,
+  getSongsAnalytics,
+  getSongAnalytics,
+  getAlbumsAnalytics,
+  getAlbumAnalytics,
+  getTopSongs,
+  getSkipRates,
+  getGeography,
+} from "../controllers/analyticsController.js";
+import {
+  analyticsRangeValidator,
+  songAnalyticsValidator,
+  albumAnalyticsValidator,
+  topSongsValidator,
+  skipRatesValidator,
+  atRiskSubscribersValidator,
+} from "../validators/analyticsValidators.js";
+import {
+  revenueSummaryValidator,
+  artistPayoutStatementsValidator,
+  artistPayoutStatementDownloadValidator,
+} from "../validators/payoutValidators.js";
 import { authenticateUser } from "../middleware/authenticate.js"
+import validate from "../middleware/validate.js";
 const router = express.Router();
 
 // All routes use isAuth to protect access
@@ -14,6 +41,29 @@ router.get("/transactions", authenticateUser, getAllTransactionsByArtist);
 router.get("/purchased-songs/:artistId", authenticateUser, getPurchasedSongsByArtist);
 router.get("/purchased-albums/:artistId", authenticateUser, getPurchasedAlbumsByArtist);
 router.get("/subscriber-count/:artistId", authenticateUser, getSubscriberCount);
-router.get("/revenue-summary/:artistId", authenticateUser, getArtistRevenueSummary);
+// 📒 Revenue from the ledger, net of fees, tax, platform share and refunds (query: from, to)
+router.get("/revenue-summary/:artistId", authenticateUser, revenueSummaryValidator, validate, getArtistRevenueSummary);
+// 💳 Past-due subscribers in their grace period (query: page, limit)
+router.get("/at-risk-subscribers/:artistId", authenticateUser, atRiskSubscribersValidator, validate, getAtRiskSubscribers);
+
+// 🧾 Monthly payout statements (query: status, page, limit; download: format=csv|pdf)
+router.get("/payout-statements/:artistId", authenticateUser, artistPayoutStatementsValidator, validate, getArtistPayoutStatements);
+router.get(
+  "/payout-statements/:artistId/:statementId/download",
+  authenticateUser,
+  artistPayoutStatementDownloadValidator,
+  validate,
+  downloadArtistPayoutStatement
+);
+
+// 📊 Streaming analytics (query: granularity=day|week|month, from, to)
+router.get("/analytics/:artistId/overview", authenticateUser, analyticsRangeValidator, validate, getArtistOverview);
+router.get("/analytics/:artistId/songs", authenticateUser, analyticsRangeValidator, validate, getSongsAnalytics);
+router.get("/analytics/:artistId/songs/:songId", authenticateUser, songAnalyticsValidator, validate, getSongAnalytics);
+router.get("/analytics/:artistId/albums", authenticateUser, analyticsRangeValidator, validate, getAlbumsAnalytics);
+router.get("/analytics/:artistId/albums/:albumId", authenticateUser, albumAnalyticsValidator, validate, getAlbumAnalytics);
+router.get("/analytics/:artistId/top-songs", authenticateUser, topSongsValidator, validate, getTopSongs);
+router.get("/analytics/:artistId/skip-rates", authenticateUser, skipRatesValidator, validate, getSkipRates);
+router.get("/analytics/:artistId/geography", authenticateUser, analyticsRangeValidator, validate, getGeography);
 
 export default router;
\ No newline at end of file
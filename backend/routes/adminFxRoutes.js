@@ -0,0 +1,23 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  listRatesHandler,
+  rateHistoryHandler,
+  overrideRateHandler,
+  importRatesHandler,
+} from "../controllers/adminFxController.js";
+import { listRatesValidator, rateHistoryValidator, overrideRateValidator } from "../validators/fxValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 💱 Exchange rates
+router.get("/rates", listRatesValidator, validate, listRatesHandler);
+router.get("/rates/:currency/history", rateHistoryValidator, validate, rateHistoryHandler);
+router.put("/rates/:currency", overrideRateValidator, validate, overrideRateHandler);
+router.post("/import", importRatesHandler);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  listInvoicesHandler,
+  getInvoiceHandler,
+  downloadInvoiceHandler,
+  resendInvoiceHandler,
+  issueTransactionDocumentsHandler,
+} from "../controllers/adminInvoiceController.js";
+import {
+  listInvoicesValidator,
+  invoiceIdValidator,
+  resendInvoiceValidator,
+  issueTransactionDocumentsValidator,
+} from "../validators/invoiceValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🧾 Invoices and credit notes
+router.get("/", listInvoicesValidator, validate, listInvoicesHandler);
+router.post(
+  "/transactions/:transactionId/issue",
+  issueTransactionDocumentsValidator,
+  validate,
+  issueTransactionDocumentsHandler
+);
+router.get("/:id", invoiceIdValidator, validate, getInvoiceHandler);
+router.get("/:id/download", invoiceIdValidator, validate, downloadInvoiceHandler);
+router.post("/:id/resend", resendInvoiceValidator, validate, resendInvoiceHandler);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  generatePayoutStatementsHandler,
+  listPayoutStatementsHandler,
+  getPayoutStatementHandler,
+  downloadPayoutStatementHandler,
+  settlePayoutStatementHandler,
+} from "../controllers/adminPayoutController.js";
+import {
+  generatePayoutStatementsValidator,
+  listPayoutStatementsValidator,
+  payoutStatementIdValidator,
+  downloadPayoutStatementValidator,
+  settlePayoutStatementValidator,
+} from "../validators/payoutValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🧾 Artist payout statements
+router.post("/statements/generate", generatePayoutStatementsValidator, validate, generatePayoutStatementsHandler);
+router.get("/statements", listPayoutStatementsValidator, validate, listPayoutStatementsHandler);
+router.get("/statements/:id", payoutStatementIdValidator, validate, getPayoutStatementHandler);
+router.get("/statements/:id/download", downloadPayoutStatementValidator, validate, downloadPayoutStatementHandler);
+router.post("/statements/:id/settle", settlePayoutStatementValidator, validate, settlePayoutStatementHandler);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  setSongRegionalPricesHandler,
+  setAlbumRegionalPricesHandler,
+} from "../controllers/adminPricingController.js";
+import { regionalPricesValidator } from "../validators/pricingValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🌍 Regional price overrides
+router.put("/songs/:id/regional-prices", regionalPricesValidator, validate, setSongRegionalPricesHandler);
+router.put("/albums/:id/regional-prices", regionalPricesValidator, validate, setAlbumRegionalPricesHandler);
+
+export default router;
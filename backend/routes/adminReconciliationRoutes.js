@@ -0,0 +1,24 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  runReconciliationHandler,
+  listReconciliationReportsHandler,
+  getReconciliationReportHandler,
+} from "../controllers/adminReconciliationController.js";
+import {
+  listReconciliationReportsValidator,
+  reconciliationReportIdValidator,
+} from "../validators/reconciliationValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🔧 Subscription state reconciliation
+router.post("/run", runReconciliationHandler);
+router.get("/reports", listReconciliationReportsValidator, validate, listReconciliationReportsHandler);
+router.get("/reports/:id", reconciliationReportIdValidator, validate, getReconciliationReportHandler);
+
+export default router;
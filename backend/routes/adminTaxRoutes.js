@@ -0,0 +1,33 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  listTaxRulesHandler,
+  createTaxRuleHandler,
+  updateTaxRuleHandler,
+  deleteTaxRuleHandler,
+  getTaxReportHandler,
+} from "../controllers/adminTaxController.js";
+import {
+  listTaxRulesValidator,
+  createTaxRuleValidator,
+  updateTaxRuleValidator,
+  taxRuleIdValidator,
+  taxReportValidator,
+} from "../validators/taxValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 🧮 Tax rules by buyer country / state
+router.get("/rules", listTaxRulesValidator, validate, listTaxRulesHandler);
+router.post("/rules", createTaxRuleValidator, validate, createTaxRuleHandler);
+router.patch("/rules/:id", updateTaxRuleValidator, validate, updateTaxRuleHandler);
+router.delete("/rules/:id", taxRuleIdValidator, validate, deleteTaxRuleHandler);
+
+// 📊 Tax collected (query: from, to)
+router.get("/report", taxReportValidator, validate, getTaxReportHandler);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import { refundTransaction } from "../controllers/adminTransactionController.js";
+import { refundValidator } from "../validators/paymentValidators.js";
+
+const router = express.Router();
+
+// 💸 Refund through the originating gateway
+router.post("/:id/refund", authenticateUser, isAdmin, refundValidator, validate, refundTransaction);
+
+export default router;
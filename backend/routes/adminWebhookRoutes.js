@@ -0,0 +1,25 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import { isAdmin } from "../middleware/isAdmin.js";
+import validate from "../middleware/validate.js";
+import {
+  listWebhookEventsHandler,
+  getWebhookEventHandler,
+  replayWebhookEventHandler,
+} from "../controllers/adminWebhookController.js";
+import {
+  listWebhookEventsValidator,
+  webhookEventIdValidator,
+  replayWebhookEventValidator,
+} from "../validators/webhookInboxValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser, isAdmin);
+
+// 📬 Webhook inbox / dead-letter queue
+router.get("/", listWebhookEventsValidator, validate, listWebhookEventsHandler);
+router.get("/:id", webhookEventIdValidator, validate, getWebhookEventHandler);
+router.post("/:id/replay", replayWebhookEventValidator, validate, replayWebhookEventHandler);
+
+export default router;
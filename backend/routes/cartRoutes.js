@@ -0,0 +1,17 @@
+import express from "express";
+import { authenticateUser } from "../middleware/authenticate.js";
+import validate from "../middleware/validate.js";
+import { getMyCart, addToCart, removeFromCart, emptyCart } from "../controllers/cartController.js";
+import { addCartItemValidator, cartItemParamsValidator } from "../validators/cartValidators.js";
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// 🛒 Checkout is POST /api/payments/:gateway/cart-checkout
+router.get("/", getMyCart);
+router.delete("/", emptyCart);
+router.post("/items", addCartItemValidator, validate, addToCart);
+router.delete("/items/:itemType/:itemId", cartItemParamsValidator, validate, removeFromCart);
+
+export default router;
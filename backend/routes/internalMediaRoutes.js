@@ -0,0 +1,18 @@
+import express from "express";
+import { transcodeComplete } from "../controllers/internalMediaController.js";
+import { verifyMediaSignature } from "../middleware/verifyMediaSignature.js";
+import { transcodeCompleteValidator } from "../validators/internalMediaValidators.js";
+import validate from "../middleware/validate.js";
+
+const router = express.Router();
+
+// 🔐 Called by the media pipeline – body arrives raw so the HMAC can be checked
+router.post(
+  "/transcode-complete",
+  verifyMediaSignature,
+  transcodeCompleteValidator,
+  validate,
+  transcodeComplete
+);
+
+export default router;
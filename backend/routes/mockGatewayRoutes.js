@@ -0,0 +1,17 @@
+import express from "express";
+import validate from "../middleware/validate.js";
+import {
+  getCheckout,
+  completeCheckout,
+  chargeSubscription,
+} from "../controllers/mockGatewayController.js";
+import { mockCheckoutValidator } from "../validators/paymentValidators.js";
+
+const router = express.Router();
+
+// 🧪 Local payment simulator – stands in for the gateways' hosted checkout pages
+router.get("/checkout/:id", mockCheckoutValidator, validate, getCheckout);
+router.post("/checkout/:id/complete", mockCheckoutValidator, validate, completeCheckout);
+router.post("/subscriptions/:id/charge", mockCheckoutValidator, validate, chargeSubscription);
+
+export default router;
@@ -1,22 +1,39 @@
 import express from "express";
 import { authenticateUser } from "../middleware/authenticate.js";
+import validate from "../middleware/validate.js";
 import {
-  createStripePayment,
-  createRazorpayOrder,
-  createPaypalOrder,
-  capturePaypalOrder
+  createPaymentOrder,
+  getPaymentStatus,
+  capturePaypalOrder,
+  previewCoupon,
+  checkoutCart
 } from "../controllers/paymentController.js";
+import {
+  createOrderValidator,
+  cartCheckoutValidator,
+  transactionIdValidator,
+  couponPreviewValidator,
+} from "../validators/paymentValidators.js";
 
 const router = express.Router();
 
-// Create Stripe PaymentIntent
-router.post("/stripe/create-payment", authenticateUser, createStripePayment);
-
-// Create Razorpay Order
-router.post("/razorpay/create-order", authenticateUser, createRazorpayOrder);
+// Create an order / PaymentIntent on any gateway (stripe, razorpay, paypal, mock)
+router.post(
+  ["/:gateway/create-order", "/:gateway/create-payment"],
+  authenticateUser,
+  createOrderValidator,
+  validate,
+  createPaymentOrder
+);
 
-router.post("/paypal/create-order", authenticateUser, createPaypalOrder);
+// Pay for the whole cart in one order (routes/cartRoutes.js)
+router.post("/:gateway/cart-checkout", authenticateUser, cartCheckoutValidator, validate, checkoutCart);
 
 router.post("/paypal/capture-order", capturePaypalOrder);
 
+// Discounted price for a coupon code (no transaction is created)
+router.post("/coupons/preview", authenticateUser, couponPreviewValidator, validate, previewCoupon);
+
+router.get("/transactions/:id/status", authenticateUser, transactionIdValidator, validate, getPaymentStatus);
+
 export default router;
@@ -1,6 +1,12 @@
 import express from "express";
 import { authenticateUser } from "../middleware/authenticate.js";
-import {createSong, updateSong} from "../controllers/songController2.js";
+import {
+  createSong,
+  updateSong,
+  updateSongPreview,
+  retrySongTranscode,
+  getSongTranscodeStatus,
+} from "../controllers/songController2.js";
 import {
   deleteSong,
   getAllSongs,
@@ -16,6 +22,7 @@ import {
   createSongValidator,
   updateSongValidator,
   songIdValidator,
+  songPreviewValidator,
 } from "../validators/songValidators.js";
 import validate from "../middleware/validate.js";
 
@@ -33,6 +40,9 @@ router.get("/:id", authenticateUser, songIdValidator, validate, getSongById);
 router.post("/", authenticateUser, songUpload, createSongValidator, validate, createSong);
 router.put("/:id", authenticateUser, songUpload, updateSongValidator, validate, updateSong);
 router.delete("/:id", authenticateUser, songIdValidator, validate, deleteSong);
+router.patch("/:id/preview", authenticateUser, songPreviewValidator, validate, updateSongPreview);
+router.get("/:id/transcode", authenticateUser, songIdValidator, validate, getSongTranscodeStatus);
+router.post("/:id/transcode/retry", authenticateUser, songIdValidator, validate, retrySongTranscode);
 
 // Filtering routes
 router.get("/genre/:genre", authenticateUser, getSongsByGenre);
@@ -1,8 +1,33 @@
 // routes/streamRoutes.js
 import express from "express";
-import { streamSong, streamAlbum } from "../controllers/streamController.js";
+import {
+  streamSong,
+  streamAlbum,
+  streamHeartbeat,
+  releaseStream,
+  getStreamDevices,
+  kickStreamDevice,
+} from "../controllers/streamController.js";
 import { authenticateUser } from "../middleware/authenticate.js";
-import { streamSong2 } from "../controllers/streamController2.js";
+import { streamSong2, getMasterPlaylist } from "../controllers/streamController2.js";
+import { recordPlayEvents } from "../controllers/playEventController.js";
+import {
+  issueOfflineLicense,
+  offlineCheckIn,
+  getOfflineLicenses,
+  deleteOfflineLicense,
+} from "../controllers/offlineLicenseController.js";
+import { recordPlayEventsValidator } from "../validators/playEventValidators.js";
+import {
+  heartbeatValidator,
+  kickDeviceValidator,
+  masterPlaylistValidator,
+  offlineLicenseValidator,
+  offlineCheckInValidator,
+  offlineLicensesValidator,
+  offlineLicenseIdValidator,
+} from "../validators/streamValidators.js";
+import validate from "../middleware/validate.js";
 
 const router = express.Router();
 
@@ -11,8 +36,26 @@ router.get("/song/:id", authenticateUser, streamSong);
 
 router.get("/song2/:id", authenticateUser, streamSong2);
 
+// Adaptive master playlist filtered by tier / device / client max quality
+router.get("/song/:id/master.m3u8", authenticateUser, masterPlaylistValidator, validate, getMasterPlaylist);
+
 
 // Stream a specific album by ID
 router.get("/album/:id", authenticateUser, streamAlbum);
 
+// 📥 Offline downloads
+router.post("/song/:id/offline-license", authenticateUser, offlineLicenseValidator, validate, issueOfflineLicense);
+router.post("/offline/check-in", authenticateUser, offlineCheckInValidator, validate, offlineCheckIn);
+router.get("/offline/licenses", authenticateUser, offlineLicensesValidator, validate, getOfflineLicenses);
+router.delete("/offline/licenses/:licenseId", authenticateUser, offlineLicenseIdValidator, validate, deleteOfflineLicense);
+
+// 🔒 Concurrent stream leases
+router.post("/heartbeat", authenticateUser, heartbeatValidator, validate, streamHeartbeat);
+router.delete("/lease", authenticateUser, releaseStream);
+router.get("/devices", authenticateUser, getStreamDevices);
+router.delete("/devices/:sessionId", authenticateUser, kickDeviceValidator, validate, kickStreamDevice);
+
+// Batched playback events (start/progress/skip/complete)
+router.post("/events", authenticateUser, recordPlayEventsValidator, validate, recordPlayEvents);
+
 export default router;
@@ -1,26 +1,40 @@
 import express from "express";
 import { authenticateUser } from "../middleware/authenticate.js";
-import { initiateArtistSubscription, cancelArtistSubscription } from "../controllers/subscriptionController.js";
-import { artistIdValidator } from "../validators/artistValidators.js";
+import {
+  createArtistSubscription,
+  cancelArtistSubscription,
+  changeArtistSubscriptionPlan,
+} from "../controllers/subscriptionController.js";
 import validate from "../middleware/validate.js";
 import { createSetupIntent } from "../controllers/subscriptionController.js";
-import { createRazorpaySubscription } from "../controllers/subscriptionController.js";
-import {createPaypalSubscription} from "../controllers/subscriptionController.js";
+import { createSubscriptionValidator, changePlanValidator } from "../validators/paymentValidators.js";
 
 const router = express.Router();
 
-// Initiate subscription for an artist
+// Initiate subscription for an artist (gateway from body, defaults to razorpay)
 router.post(
   "/artist/:artistId",
   authenticateUser,
-  createRazorpaySubscription,
+  createSubscriptionValidator,
+  validate,
+  createArtistSubscription,
 );
 router.post("/setup-intent", authenticateUser, createSetupIntent);
 
 // routes/userRoutes.js
 router.delete("/artist/:artistId", authenticateUser, cancelArtistSubscription);
 
-router.post("/paypal/artist/:artistId", authenticateUser, createPaypalSubscription);
+// Switch cycle – prorated now (upgrades) or at the end of the period
+router.patch("/artist/:artistId", authenticateUser, changePlanValidator, validate, changeArtistSubscriptionPlan);
+
+// Gateway in the path, e.g. /paypal/artist/:artistId or /mock/artist/:artistId
+router.post(
+  "/:gateway/artist/:artistId",
+  authenticateUser,
+  createSubscriptionValidator,
+  validate,
+  createArtistSubscription
+);
 
 
 export default router;
@@ -3,9 +3,12 @@ import {
   getUserPurchases,
   getUserSubscriptions,
   cancelArtistSubscription,
+  getUserInvoices,
+  downloadUserInvoice,
 } from "../controllers/userDashboardController.js";
 import { authenticateUser } from "../middleware/authenticate.js";
 import { artistIdValidator } from "../validators/artistValidators.js";
+import { userInvoicesValidator, userInvoiceIdValidator } from "../validators/invoiceValidators.js";
 import validate from "../middleware/validate.js";
 
 const router = express.Router();
@@ -25,4 +28,14 @@ router.delete(
   cancelArtistSubscription
 );
 
+// 🧾 Invoices & credit notes
+router.get("/invoices", authenticateUser, userInvoicesValidator, validate, getUserInvoices);
+router.get(
+  "/invoices/:invoiceId/download",
+  authenticateUser,
+  userInvoiceIdValidator,
+  validate,
+  downloadUserInvoice
+);
+
 export default router;
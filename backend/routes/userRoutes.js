@@ -13,8 +13,11 @@ import {
   forgotPassword,
   resetPassword,
   googleAuthCallback,
-
+  getMyLocale,
+  updateMyLocale,
 } from "../controllers/userControllers.js";
+import { getListeningHistory, clearListeningHistory } from "../controllers/playEventController.js";
+import { getPlayback, updatePlayback } from "../controllers/playbackController.js";
 
 import {
   registerValidation,
@@ -22,7 +25,10 @@ import {
   updateGenresValidation,
   likeSongValidation,
   resetPasswordValidation,
+  updateLocaleValidation,
 } from "../validators/userValidators.js";
+import { listeningHistoryValidator } from "../validators/playEventValidators.js";
+import { updatePlaybackValidator } from "../validators/playbackValidators.js";
 
 const router = express.Router();
 
@@ -32,6 +38,18 @@ router.post("/login", loginValidation, validate, loginUser);
 router.get("/me", authenticateUser, myProfile);
 router.post("/logout", authenticateUser, logoutUser);
 
+// 🌍 Pricing locale (billing country / currency)
+router.get("/me/locale", authenticateUser, getMyLocale);
+router.put("/me/locale", authenticateUser, updateLocaleValidation, validate, updateMyLocale);
+
+// 🎧 Listening History
+router.get("/me/history", authenticateUser, listeningHistoryValidator, validate, getListeningHistory);
+router.delete("/me/history", authenticateUser, clearListeningHistory);
+
+// ⏯️ Playback state synced across devices
+router.get("/me/playback", authenticateUser, getPlayback);
+router.put("/me/playback", authenticateUser, updatePlaybackValidator, validate, updatePlayback);
+
 // 💖 Like Song
 router.put(
   "/likedsong/:id",
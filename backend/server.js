@@ -7,6 +7,15 @@ import connectDb from './database/db.js';
 import app from './app.js';
 import gracefulShutdown from './middleware/gracefulShutdown.js';
 import config from "./config/index.js";
+import { scheduleAnalyticsJobs } from "./queue/analyticsQueue.js";
+import { scheduleDunningJobs } from "./queue/dunningQueue.js";
+import { scheduleReconciliationJobs } from "./queue/reconciliationQueue.js";
+import { scheduleWebhookJobs } from "./queue/webhookQueue.js";
+import { scheduleOutboxJobs } from "./queue/outboxQueue.js";
+import { scheduleLedgerJobs } from "./queue/ledgerQueue.js";
+import { scheduleFxJobs } from "./queue/fxQueue.js";
+import { startLocalTranscodeWorker } from "./queue/transcodeQueue.js";
+import { loadGeoIpDatabase } from "./utils/geoIp.js";
 
 const port = config.PORT || 4000;
 let server;
@@ -19,6 +28,34 @@ const start = async () => {
     }
 
     await connectDb();
+    scheduleAnalyticsJobs().catch((err) =>
+      console.error('❌ Failed to schedule analytics jobs:', err.message)
+    );
+    scheduleDunningJobs().catch((err) =>
+      console.error('❌ Failed to schedule dunning jobs:', err.message)
+    );
+    scheduleReconciliationJobs().catch((err) =>
+      console.error('❌ Failed to schedule reconciliation jobs:', err.message)
+    );
+    scheduleWebhookJobs().catch((err) =>
+      console.error('❌ Failed to schedule webhook jobs:', err.message)
+    );
+    scheduleOutboxJobs().catch((err) =>
+      console.error('❌ Failed to schedule outbox jobs:', err.message)
+    );
+    scheduleLedgerJobs().catch((err) =>
+      console.error('❌ Failed to schedule ledger jobs:', err.message)
+    );
+    scheduleFxJobs().catch((err) =>
+      console.error('❌ Failed to schedule FX jobs:', err.message)
+    );
+    loadGeoIpDatabase().catch((err) =>
+      console.error('❌ Failed to load IP country database:', err.message)
+    );
+    if (process.env.TRANSCODE_PROVIDER === 'local') {
+      await startLocalTranscodeWorker();
+      console.log('🎛️ Local ffmpeg transcode worker started');
+    }
     server = app.listen(port, "0.0.0.0", () => {
       console.log(`🚀 Server running at http://localhosttt:${port}`);
     });
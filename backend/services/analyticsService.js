@@ -0,0 +1,334 @@
+import mongoose from "mongoose";
+import { PlayEvent } from "../models/PlayEvent.js";
+import { PlayRollup } from "../models/PlayRollup.js";
+import { ListenerRollup } from "../models/ListenerRollup.js";
+import { GeoRollup } from "../models/GeoRollup.js";
+import { Song } from "../models/Song.js";
+import { Album } from "../models/Album.js";
+import { BadRequestError } from "../errors/index.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { lookupIpCountry } from "../utils/geoIp.js";
+
+export const GRANULARITIES = ["day", "week", "month"];
+export const UNKNOWN_COUNTRY = "ZZ";
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Leave fresh events to their own rollup job so a sweep never races the ingest request
+const SWEEP_MIN_AGE_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 5000;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// 🗓️ UTC start of the day / ISO week (Monday) / month containing the date
+export const getPeriodStart = (date, granularity) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === "week") {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (granularity === "month") {
+    d.setUTCDate(1);
+  }
+  return d;
+};
+
+/**
+ * Normalize query params into a date range.
+ * Defaults to the last 30 days at daily granularity.
+ */
+export const parseRange = ({ from, to, granularity = "day" } = {}) => {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new BadRequestError(`granularity must be one of: ${GRANULARITIES.join(", ")}`);
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new BadRequestError("from and to must be valid dates");
+  }
+  if (start > end) throw new BadRequestError("from must be before to");
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new BadRequestError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: start, to: end, granularity };
+};
+
+// ===================================================================
+// Rollup writers
+// ===================================================================
+
+const applyEventRollup = async (event, session) => {
+  const scopes = [
+    ["song", event.songId],
+    ["artist", event.artistId],
+  ];
+  if (event.albumId) scopes.push(["album", event.albumId]);
+
+  const inc = {
+    plays: event.counted ? 1 : 0,
+    starts: event.type === "start" ? 1 : 0,
+    skips: event.type === "skip" ? 1 : 0,
+    completes: event.type === "complete" ? 1 : 0,
+    listenSeconds: event.listened || 0,
+  };
+
+  // Listener's IP country; events stored before the IP database loaded are looked up now
+  const country = event.country || lookupIpCountry(event.ip) || UNKNOWN_COUNTRY;
+
+  for (const granularity of GRANULARITIES) {
+    const periodStart = getPeriodStart(event.occurredAt, granularity);
+
+    for (const [scope, scopeId] of scopes) {
+      const key = { scope, scopeId, granularity, periodStart };
+
+      // A listener is unique per scope & period – only the first counted play adds one
+      let uniqueListeners = 0;
+      if (event.counted) {
+        const result = await ListenerRollup.updateOne(
+          { ...key, userId: event.userId },
+          { $setOnInsert: { artistId: event.artistId } },
+          { upsert: true, session }
+        );
+        if (result.upsertedCount) uniqueListeners = 1;
+      }
+
+      await PlayRollup.updateOne(
+        key,
+        { $inc: { ...inc, uniqueListeners }, $setOnInsert: { artistId: event.artistId } },
+        { upsert: true, session }
+      );
+    }
+
+    if (inc.plays || inc.listenSeconds) {
+      await GeoRollup.updateOne(
+        {
+          artistId: event.artistId,
+          granularity,
+          periodStart,
+          country,
+        },
+        { $inc: { plays: inc.plays, listenSeconds: inc.listenSeconds } },
+        { upsert: true, session }
+      );
+    }
+  }
+};
+
+// The claim and the rollup writes commit together: retries and the sweep never count an event
+// twice, and a failure leaves it unclaimed for the next run instead of losing its counts
+const rollupEvents = async (events) => {
+  let processed = 0;
+  for (const event of events) {
+    if (!event.artistId) continue;
+
+    const applied = await withTransaction(async (session) => {
+      const claim = await PlayEvent.updateOne(
+        { _id: event._id, rolledUp: { $ne: true } },
+        { $set: { rolledUp: true } },
+        { session }
+      );
+      if (!claim.modifiedCount) return false;
+
+      await applyEventRollup(event, session);
+      return true;
+    });
+    if (applied) processed++;
+  }
+  return { processed };
+};
+
+/**
+ * Fold specific play events into the rollups (queued right after ingest).
+ */
+export const rollupEventsByIds = async (eventIds = []) => {
+  if (!eventIds.length) return { processed: 0 };
+  const events = await PlayEvent.find({ _id: { $in: eventIds }, rolledUp: { $ne: true } }).lean();
+  return rollupEvents(events);
+};
+
+/**
+ * Fold any events that were never rolled up (queue outage, crashed worker).
+ */
+export const rollupPendingEvents = async () => {
+  const events = await PlayEvent.find({
+    rolledUp: { $ne: true },
+    createdAt: { $lt: new Date(Date.now() - SWEEP_MIN_AGE_MS) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+  return rollupEvents(events);
+};
+
+// ===================================================================
+// Queries
+// ===================================================================
+
+const periodMatch = ({ from, to }, granularity) => ({
+  granularity,
+  periodStart: { $gte: getPeriodStart(from, granularity), $lte: to },
+});
+
+const shapeTotals = (row = {}) => ({
+  plays: row.plays || 0,
+  uniqueListeners: row.uniqueListeners || 0,
+  listenSeconds: row.listenSeconds || 0,
+  starts: row.starts || 0,
+  skips: row.skips || 0,
+  completes: row.completes || 0,
+  skipRate: row.starts ? Number((row.skips / row.starts).toFixed(4)) : 0,
+});
+
+const getTimeseries = async (scope, scopeId, range) => {
+  const rows = await PlayRollup.find({
+    scope,
+    scopeId,
+    ...periodMatch(range, range.granularity),
+  })
+    .sort({ periodStart: 1 })
+    .lean();
+
+  return rows.map((row) => ({ periodStart: row.periodStart, ...shapeTotals(row) }));
+};
+
+// Distinct listeners across the whole range (per-period counts can't simply be summed)
+const countDistinctListeners = async (match) => {
+  const [row] = await ListenerRollup.aggregate([
+    { $match: { ...match, granularity: "day" } },
+    { $group: { _id: "$userId" } },
+    { $count: "listeners" },
+  ]);
+  return row?.listeners || 0;
+};
+
+const getScopeTotals = async (scope, scopeId, range) => {
+  const match = { scope, scopeId: toObjectId(scopeId), ...periodMatch(range, "day") };
+  const [row] = await PlayRollup.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        plays: { $sum: "$plays" },
+        starts: { $sum: "$starts" },
+        skips: { $sum: "$skips" },
+        completes: { $sum: "$completes" },
+        listenSeconds: { $sum: "$listenSeconds" },
+      },
+    },
+  ]);
+  const uniqueListeners = await countDistinctListeners(match);
+  return shapeTotals({ ...row, uniqueListeners });
+};
+
+// Per-song or per-album totals for an artist over the range
+const getBreakdown = async (artistId, scope, range) => {
+  const match = { artistId: toObjectId(artistId), scope, ...periodMatch(range, "day") };
+
+  const [rows, listeners] = await Promise.all([
+    PlayRollup.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$scopeId",
+          plays: { $sum: "$plays" },
+          starts: { $sum: "$starts" },
+          skips: { $sum: "$skips" },
+          completes: { $sum: "$completes" },
+          listenSeconds: { $sum: "$listenSeconds" },
+        },
+      },
+    ]),
+    ListenerRollup.aggregate([
+      { $match: { ...match, granularity: "day" } },
+      { $group: { _id: { scopeId: "$scopeId", userId: "$userId" } } },
+      { $group: { _id: "$_id.scopeId", listeners: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const listenersById = new Map(listeners.map((l) => [l._id.toString(), l.listeners]));
+  const Model = scope === "song" ? Song : Album;
+  const docs = await Model.find({ _id: { $in: rows.map((r) => r._id) } })
+    .select("title slug coverImage")
+    .lean();
+  const docsById = new Map(docs.map((d) => [d._id.toString(), d]));
+
+  return rows.map((row) => {
+    const id = row._id.toString();
+    const doc = docsById.get(id);
+    return {
+      [`${scope}Id`]: row._id,
+      title: doc?.title || null,
+      slug: doc?.slug || null,
+      coverImage: doc?.coverImage || null,
+      ...shapeTotals({ ...row, uniqueListeners: listenersById.get(id) }),
+    };
+  });
+};
+
+/**
+ * Artist-wide totals plus a time series at the requested granularity.
+ */
+export const getArtistOverview = async (artistId, range) => {
+  const [totals, series] = await Promise.all([
+    getScopeTotals("artist", artistId, range),
+    getTimeseries("artist", artistId, range),
+  ]);
+  return { totals, series };
+};
+
+export const getSongBreakdown = async (artistId, range) =>
+  (await getBreakdown(artistId, "song", range)).sort((a, b) => b.plays - a.plays);
+
+export const getAlbumBreakdown = async (artistId, range) =>
+  (await getBreakdown(artistId, "album", range)).sort((a, b) => b.plays - a.plays);
+
+/**
+ * Totals and time series for one song or album of the artist.
+ */
+export const getItemAnalytics = async (scope, itemId, range) => {
+  const [totals, series] = await Promise.all([
+    getScopeTotals(scope, itemId, range),
+    getTimeseries(scope, itemId, range),
+  ]);
+  return { totals, series };
+};
+
+export const getTopSongs = async (artistId, range, limit = 10) =>
+  (await getSongBreakdown(artistId, range)).slice(0, limit);
+
+/**
+ * Songs ordered by skip rate (skips / starts). Songs with fewer than
+ * minStarts starts are left out so one early skip doesn't top the list.
+ */
+export const getSkipRates = async (artistId, range, minStarts = 10) =>
+  (await getBreakdown(artistId, "song", range))
+    .filter((song) => song.starts >= minStarts)
+    .sort((a, b) => b.skipRate - a.skipRate);
+
+/**
+ * Plays and listening time per listener country ("ZZ" = unknown).
+ */
+export const getGeography = async (artistId, range) => {
+  const rows = await GeoRollup.aggregate([
+    { $match: { artistId: toObjectId(artistId), ...periodMatch(range, "day") } },
+    {
+      $group: {
+        _id: "$country",
+        plays: { $sum: "$plays" },
+        listenSeconds: { $sum: "$listenSeconds" },
+      },
+    },
+    { $sort: { plays: -1 } },
+  ]);
+
+  const totalPlays = rows.reduce((sum, row) => sum + row.plays, 0);
+  return rows.map((row) => ({
+    country: row._id,
+    plays: row.plays,
+    listenSeconds: row.listenSeconds,
+    share: totalPlays ? Number((row.plays / totalPlays).toFixed(4)) : 0,
+  }));
+};
@@ -4,9 +4,9 @@ import { createSubscriptionPlans, updateSubscriptionPlans} from "./planService.j
 import mongoose from "mongoose";
 import {Song} from "../models/Song.js";
 import { Album } from "../models/Album.js";
-import { convertCurrencies } from "../utils/convertCurrencies.js";
+import { convertCurrencies } from "../services/fxService.js";
 
-export const createArtistService = async ({ name, bio, location, imageUrl, basePrice, cycle, createdBy }) => {
+export const createArtistService = async ({ name, bio, location, imageUrl, basePrice, cycle, trialDays = 0, createdBy }) => {
   // Initialize artist object but do not save yet
   const artist = new Artist({ name, bio, location, image: imageUrl, subscriptionPlans: [], createdBy });
   // const basePrice = { currency: "USD", amount: 10 }; // default base price
@@ -16,7 +16,7 @@ export const createArtistService = async ({ name, bio, location, imageUrl, baseP
     const intervals = cycle; // cycleToInterval already called in controller
       const convertedPrices = await convertCurrencies(basePrice.currency, basePrice.amount);
     console.log("Converted Prices:", convertedPrices);
-    const plans = await createSubscriptionPlans(name, basePrice, cycle, convertedPrices);
+    const plans = await createSubscriptionPlans(name, basePrice, cycle, convertedPrices, trialDays);
 
     artist.subscriptionPlans.push({
       cycle: intervals.cycleLabel,
@@ -24,6 +24,7 @@ export const createArtistService = async ({ name, bio, location, imageUrl, baseP
       stripePriceId: plans.stripePriceId,
       razorpayPlanId: plans.razorpayPlanId,
       paypalPlans: plans.paypalPlans,
+      trialDays: plans.trialDays,
       convertedPrices
     });
   }
@@ -43,7 +44,8 @@ export const updateArtistService = async ({
   intervals,
   imageFile,
   updatedBy,
-  cycle
+  cycle,
+  trialDays
 }) => {
   const artist = await Artist.findById(artistId);
   if (!artist) throw new Error("Artist not found");
@@ -60,9 +62,9 @@ export const updateArtistService = async ({
   }
 
   // Update subscription plans if subscriptionPrice or cycle changed
-  if ((subscriptionPrice !== undefined || intervals) && artist.subscriptionPlans.length > 0) {
+  if ((subscriptionPrice !== undefined || intervals || trialDays !== undefined) && artist.subscriptionPlans.length > 0) {
   const newCycleLabel = intervals?.cycleLabel || artist.subscriptionPlans[0].cycle;
-  await updateSubscriptionPlans(artist, subscriptionPrice, intervals, newCycleLabel);
+  await updateSubscriptionPlans(artist, subscriptionPrice, intervals, newCycleLabel, trialDays);
 }
 
   // Optional: store audit info (updatedBy)
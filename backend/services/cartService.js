@@ -0,0 +1,186 @@
+import { Cart } from "../models/Cart.js";
+import { Song } from "../models/Song.js";
+import { Album } from "../models/Album.js";
+import { User } from "../models/User.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/index.js";
+import { getDisplayPrice } from "./pricingService.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+
+// ---------------------------
+// 🛒 Cart: songs and albums a user intends to buy in one checkout (services/checkoutService.js).
+// Lines are checked against what the user already owns when added and again at checkout.
+// ---------------------------
+
+export const CART_ITEM_TYPES = ["song", "album"];
+export const MAX_CART_ITEMS = Number(process.env.MAX_CART_ITEMS) || 50;
+
+const CATALOG_FIELDS = "title artist album accessType albumOnly basePrice convertedPrices regionalPrices";
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Catalog documents for cart lines, keyed "<itemType>:<id>"
+const loadCatalogItems = async (items) => {
+  const idsOf = (type) => items.filter((i) => i.itemType === type).map((i) => i.itemId);
+  const [songs, albums] = await Promise.all([
+    Song.find({ _id: { $in: idsOf("song") } }).select(CATALOG_FIELDS).lean(),
+    Album.find({ _id: { $in: idsOf("album") } }).select(CATALOG_FIELDS).lean(),
+  ]);
+  return new Map([
+    ...songs.map((song) => [`song:${song._id}`, song]),
+    ...albums.map((album) => [`album:${album._id}`, album]),
+  ]);
+};
+
+// Why a line can't be bought, or null when it can
+const unavailableReason = (itemType, item) => {
+  if (!item) return `This ${itemType} no longer exists`;
+  if (item.accessType === "free") return `This ${itemType} is free`;
+  if (itemType === "song" && item.albumOnly) return "This song is only available as part of its album";
+  return null;
+};
+
+// Songs count as owned through their album too
+const ownedReason = (itemType, item, owner, items = []) => {
+  const owns = (list, id) => (owner[list] || []).some((owned) => sameId(owned, id));
+  if (itemType === "album") {
+    return owns("purchasedAlbums", item._id) ? "You already own this album" : null;
+  }
+  if (owns("purchasedSongs", item._id)) return "You already own this song";
+  if (item.album && owns("purchasedAlbums", item.album)) return "You already own this song's album";
+  if (item.album && items.some((i) => i.itemType === "album" && sameId(i.itemId, item.album))) {
+    return "This song's album is already in your cart";
+  }
+  return null;
+};
+
+const loadOwner = (userId) => User.findById(userId).select("purchasedSongs purchasedAlbums").lean();
+
+const shapeCart = async (cart, locale) => {
+  const items = cart?.items || [];
+  const catalog = await loadCatalogItems(items);
+
+  const lines = items.map(({ itemType, itemId, addedAt }) => {
+    const item = catalog.get(`${itemType}:${itemId}`);
+    return {
+      itemType,
+      itemId,
+      addedAt,
+      title: item?.title,
+      artistId: item?.artist,
+      displayPrice: item ? getDisplayPrice(item, locale) : null,
+      unavailable: unavailableReason(itemType, item),
+    };
+  });
+
+  // A cart can mix currencies when some items have no price in the buyer's currency
+  const totals = {};
+  for (const { displayPrice, unavailable } of lines) {
+    if (!displayPrice || unavailable) continue;
+    const { currency, amount } = displayPrice;
+    totals[currency] = formatAmount((totals[currency] || 0) + amount, currency);
+  }
+
+  return {
+    items: lines,
+    count: lines.length,
+    totals: Object.entries(totals).map(([currency, amount]) => ({ currency, amount })),
+    updatedAt: cart?.updatedAt || null,
+  };
+};
+
+/**
+ * The user's cart with a display price per line (see services/localeService.js).
+ * @returns {Promise<{ items: object[], count: number, totals: { currency, amount }[], updatedAt }>}
+ */
+export const getCart = async (userId, locale) => shapeCart(await Cart.findOne({ userId }).lean(), locale);
+
+export const addCartItem = async (userId, { itemType, itemId }, locale) => {
+  if (!CART_ITEM_TYPES.includes(itemType)) {
+    throw new BadRequestError(`Only ${CART_ITEM_TYPES.join(" and ")} purchases can go in the cart`);
+  }
+
+  const [catalog, owner, cart] = await Promise.all([
+    loadCatalogItems([{ itemType, itemId }]),
+    loadOwner(userId),
+    Cart.findOne({ userId }).lean(),
+  ]);
+  const item = catalog.get(`${itemType}:${itemId}`);
+  if (!item) throw new NotFoundError(`${itemType === "song" ? "Song" : "Album"} not found`);
+  if (!owner) throw new NotFoundError("User not found");
+
+  const items = cart?.items || [];
+  const problem = unavailableReason(itemType, item) || ownedReason(itemType, item, owner, items);
+  if (problem) throw new BadRequestError(problem);
+  if (items.some((i) => i.itemType === itemType && sameId(i.itemId, itemId))) {
+    throw new ConflictError(`This ${itemType} is already in your cart`);
+  }
+  if (items.length >= MAX_CART_ITEMS) {
+    throw new BadRequestError(`A cart can hold up to ${MAX_CART_ITEMS} items`);
+  }
+
+  // Guarded on the line not being there yet, so a double click adds it once
+  const updated = await Cart.findOneAndUpdate(
+    { userId, items: { $not: { $elemMatch: { itemType, itemId } } } },
+    { $push: { items: { itemType, itemId } } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+    .lean()
+    .catch((err) => {
+      if (err.code === 11000) throw new ConflictError(`This ${itemType} is already in your cart`);
+      throw err;
+    });
+
+  // Buying an album covers its songs – drop them from the cart
+  if (itemType === "album") {
+    const songIds = items.filter((i) => i.itemType === "song").map((i) => i.itemId);
+    const covered = await Song.find({ _id: { $in: songIds }, album: itemId }).distinct("_id");
+    if (covered.length) {
+      const trimmed = await Cart.findOneAndUpdate(
+        { userId },
+        { $pull: { items: { itemType: "song", itemId: { $in: covered } } } },
+        { new: true }
+      ).lean();
+      return shapeCart(trimmed, locale);
+    }
+  }
+  return shapeCart(updated, locale);
+};
+
+export const removeCartItem = async (userId, { itemType, itemId }, locale) => {
+  const cart = await Cart.findOneAndUpdate(
+    { userId },
+    { $pull: { items: { itemType, itemId } } },
+    { new: true }
+  ).lean();
+  return shapeCart(cart, locale);
+};
+
+export const clearCart = async (userId) => {
+  await Cart.updateOne({ userId }, { $set: { items: [] } });
+};
+
+/**
+ * Cart lines ready to be priced, re-checked against what the user owns now.
+ * @returns {Promise<{ itemType, itemId, title, artistId }[]>}
+ * @throws {BadRequestError} when the cart is empty or a line can't be bought – listing every problem
+ */
+export const loadCheckoutItems = async (userId) => {
+  const [cart, owner] = await Promise.all([Cart.findOne({ userId }).lean(), loadOwner(userId)]);
+  const items = cart?.items || [];
+  if (!items.length) throw new BadRequestError("Your cart is empty");
+  if (!owner) throw new NotFoundError("User not found");
+
+  const catalog = await loadCatalogItems(items);
+  const problems = [];
+  const lines = items.map(({ itemType, itemId }) => {
+    const item = catalog.get(`${itemType}:${itemId}`);
+    const problem = unavailableReason(itemType, item) || ownedReason(itemType, item, owner, items);
+    if (problem) problems.push(`${item?.title || itemId}: ${problem}`);
+    return { itemType, itemId, title: item?.title, artistId: item?.artist };
+  });
+
+  if (problems.length) {
+    throw new BadRequestError(`Remove these items from your cart first – ${problems.join("; ")}`);
+  }
+  return lines;
+};
@@ -0,0 +1,334 @@
+import { Transaction } from "../models/Transaction.js";
+import { Subscription } from "../models/Subscription.js";
+import { Artist } from "../models/Artist.js";
+import { Order } from "../models/Order.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { resolvePrice } from "./pricingService.js";
+import { applyCoupon, reserveCouponRedemption, releaseCouponRedemption } from "./couponService.js";
+import { claimTrial, releaseTrial } from "./trialService.js";
+import { calculateTax } from "./taxService.js";
+import { loadCheckoutItems } from "./cartService.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+
+export const SUBSCRIPTION_CYCLES = ["1m", "3m", "6m", "12m"];
+// Access period bought by one billing cycle
+export const CYCLE_DAYS = { "1m": 30, "3m": 90, "6m": 180, "12m": 365 };
+
+// Gateway references returned by the provider; metadata is merged, not replaced
+const applyGatewayFields = (transaction, { metadata, ...fields } = {}) => {
+  Object.assign(transaction, fields);
+  if (metadata) transaction.metadata = { ...transaction.metadata, ...metadata };
+};
+
+// Keep the attempt on record so failed checkouts show up in reports
+const runGatewayCall = async (transaction, call) => {
+  try {
+    const { fields, checkout } = await call();
+    applyGatewayFields(transaction, fields);
+    await transaction.save();
+    return checkout;
+  } catch (err) {
+    transaction.status = "failed";
+    transaction.metadata = { ...transaction.metadata, gatewayError: err.message };
+    await transaction.save();
+    if (transaction.discount?.couponId) await releaseCouponRedemption(transaction._id);
+    if (transaction.metadata?.trialDays) await releaseTrial(transaction._id);
+    throw err;
+  }
+};
+
+// Server-side coupon pricing – `amount` is what the gateway charges
+const priceWithCoupon = async ({ couponCode, user, price }) => {
+  if (!couponCode) return { amount: price.amount, discount: undefined, coupon: null };
+  return applyCoupon({ code: couponCode, userId: user._id, price });
+};
+
+// One-time purchases: no currency in the request → the buyer's locale (what the catalog showed), else the gateway default
+const pricingLocale = (locale, provider) => (locale?.currency ? locale : { currency: provider.defaultCurrency });
+
+const createPendingTransaction = async (data) => {
+  const transaction = await Transaction.create({ ...data, status: "pending" });
+  if (transaction.discount?.couponId) {
+    try {
+      await reserveCouponRedemption(transaction);
+    } catch (err) {
+      // Lost the last slot to another checkout – never send this one to the gateway
+      transaction.status = "failed";
+      transaction.metadata = { ...transaction.metadata, couponError: err.message };
+      await transaction.save();
+      throw err;
+    }
+  }
+  return transaction;
+};
+
+/**
+ * One-time purchase (song, album or a single subscription period) through any gateway.
+ * Price and coupon discount are always resolved server-side.
+ * @returns {Promise<{ transaction, checkout }>}
+ */
+export const startOrderCheckout = async ({
+  user,
+  gateway,
+  itemType,
+  itemId,
+  currency,
+  cycle,
+  couponCode,
+  buyerLocation,
+  locale,
+}) => {
+  const provider = getPaymentProvider(gateway);
+  if (!provider.orderItemTypes.includes(itemType)) {
+    throw new BadRequestError(
+      `Invalid item type for ${provider.name}. Must be one of: ${provider.orderItemTypes.join(", ")}.`
+    );
+  }
+
+  const price = await resolvePrice({
+    itemType,
+    itemId,
+    currency,
+    cycle,
+    locale: pricingLocale(locale, provider),
+  });
+
+  const { amount, discount } = await priceWithCoupon({ couponCode, user, price });
+  const tax = await calculateTax({ amount, currency: price.currency, location: buyerLocation });
+
+  const transaction = await createPendingTransaction({
+    userId: user._id,
+    itemType,
+    itemId,
+    artistId: price.artistId,
+    amount,
+    currency: price.currency,
+    discount,
+    tax,
+    gateway: provider.name,
+    metadata: price.cycle ? { cycle: price.cycle } : {},
+  });
+
+  const checkout = await runGatewayCall(transaction, () => provider.createOrder({ transaction, user }));
+  return { transaction, checkout };
+};
+
+/**
+ * Recurring artist subscription through any gateway.
+ * A plan with trialDays starts with a free trial (transaction.metadata.trialDays) when the user hasn't had one.
+ * @param {string} [couponCode] - discounts the first billing period
+ * @param {object} input - gateway specific extras (e.g. Stripe paymentMethodId + billing address)
+ * @param {object} [buyerLocation] - { country, state, source } for tax
+ * @returns {Promise<{ transaction, checkout }>}
+ */
+export const startSubscriptionCheckout = async ({
+  user,
+  gateway,
+  artistId,
+  cycle,
+  currency,
+  couponCode,
+  input = {},
+  buyerLocation,
+}) => {
+  const provider = getPaymentProvider(gateway);
+  if (!SUBSCRIPTION_CYCLES.includes(cycle)) {
+    throw new BadRequestError("Invalid subscription cycle. Use 1m, 3m, 6m, or 12m.");
+  }
+
+  const existing = await Subscription.findOne({
+    userId: user._id,
+    artistId,
+    status: { $in: ["active", "trialing", "past_due"] },
+  }).select("status validUntil graceUntil").lean();
+  const now = new Date();
+  if (existing?.status === "past_due" && existing.graceUntil > now) {
+    // The gateway is still retrying the old subscription – a second one would double charge
+    throw new BadRequestError("Your last renewal failed. Update your payment method, or cancel before subscribing again.");
+  }
+  if (existing && existing.status !== "past_due" && existing.validUntil > now) {
+    throw new BadRequestError("Subscription already active.");
+  }
+
+  const artist = await Artist.findById(artistId).select("name subscriptionPlans stripePriceId");
+  if (!artist) throw new NotFoundError("Artist not found");
+
+  const plan = artist.subscriptionPlans.find((p) => p.cycle === cycle);
+  if (!plan) throw new NotFoundError(`No plan for cycle ${cycle}`);
+
+  // ✅ Per-cycle price (gateways charge per cycle) – renewals bill the gateway plan's currency,
+  // so the first period is priced in it too unless the buyer picked one
+  const price = await resolvePrice({
+    itemType: "artist-subscription",
+    itemId: artistId,
+    currency: currency || provider.defaultCurrency,
+    cycle,
+  });
+
+  // Coupons on subscriptions discount the first billing period only
+  const { amount, discount, coupon } = await priceWithCoupon({ couponCode, user, price });
+  const tax = await calculateTax({ amount, currency: price.currency, location: buyerLocation });
+
+  const transaction = await createPendingTransaction({
+    userId: user._id,
+    itemType: "artist-subscription",
+    itemId: artistId,
+    artistId,
+    amount,
+    currency: price.currency,
+    discount,
+    tax,
+    gateway: provider.name,
+    metadata: { cycle },
+  });
+
+  // 🎁 Free trial – first subscription with this artist only, and not stacked with a coupon
+  if (plan.trialDays > 0 && !discount) {
+    const trial = await claimTrial({
+      userId: user._id,
+      artistId,
+      transactionId: transaction._id,
+      gateway: provider.name,
+      trialDays: plan.trialDays,
+    });
+    if (trial) transaction.metadata = { ...transaction.metadata, trialDays: plan.trialDays };
+  }
+
+  const checkout = await runGatewayCall(transaction, () =>
+    provider.createSubscription({ transaction, user, artist, plan, coupon, input })
+  );
+  return { transaction, checkout };
+};
+
+// Gateways charge one transaction-shaped payment – for a cart that is the order itself
+const orderCharge = (order) => ({
+  _id: order._id,
+  userId: order.userId,
+  itemType: "order",
+  itemId: order._id,
+  amount: order.amount,
+  currency: order.currency,
+  metadata: {},
+});
+
+// Like runGatewayCall, for an order: the gateway references go on the order and on every line
+const runOrderGatewayCall = async (order, lines, call) => {
+  try {
+    const { fields, checkout } = await call();
+    applyGatewayFields(order, fields);
+    await order.save();
+    for (const line of lines) {
+      applyGatewayFields(line, fields);
+      await line.save();
+    }
+    return checkout;
+  } catch (err) {
+    order.status = "failed";
+    order.metadata = { ...order.metadata, gatewayError: err.message };
+    await order.save();
+    await Transaction.updateMany({ orderId: order._id }, { $set: { status: "failed" } });
+    throw err;
+  }
+};
+
+/**
+ * Check out the user's whole cart as one gateway payment.
+ * Creates a parent Order and one pending child Transaction per line (priced and taxed
+ * per line, all in one currency); the gateway charges the order total.
+ * @returns {Promise<{ order, transactions, checkout }>}
+ */
+export const startCartCheckout = async ({ user, gateway, currency, buyerLocation, locale }) => {
+  const provider = getPaymentProvider(gateway);
+  const items = await loadCheckoutItems(user._id);
+  const unsupported = items.find((item) => !provider.orderItemTypes.includes(item.itemType));
+  if (unsupported) throw new BadRequestError(`${provider.name} can't sell ${unsupported.itemType} purchases`);
+
+  const prices = [];
+  for (const item of items) {
+    prices.push(
+      await resolvePrice({ itemType: item.itemType, itemId: item.itemId, currency, locale: pricingLocale(locale, provider) })
+    );
+  }
+  const currencies = [...new Set(prices.map((p) => p.currency))];
+  if (currencies.length > 1) {
+    throw new BadRequestError(
+      `Items in your cart are priced in different currencies (${currencies.join(", ")}). Choose one to pay in.`
+    );
+  }
+
+  const [chargeCurrency] = currencies;
+  const taxes = [];
+  for (const price of prices) {
+    taxes.push(await calculateTax({ amount: price.amount, currency: chargeCurrency, location: buyerLocation }));
+  }
+  const sum = (values) => formatAmount(values.reduce((total, n) => total + (n || 0), 0), chargeCurrency);
+
+  const order = await Order.create({
+    userId: user._id,
+    gateway: provider.name,
+    currency: chargeCurrency,
+    amount: sum(prices.map((p) => p.amount)),
+    taxAmount: sum(taxes.map((t) => t.amount)),
+    items: items.map((item, i) => ({
+      itemType: item.itemType,
+      itemId: item.itemId,
+      artistId: prices[i].artistId,
+      title: item.title,
+      amount: prices[i].amount,
+    })),
+  });
+
+  const transactions = [];
+  for (const [i, price] of prices.entries()) {
+    const transaction = await createPendingTransaction({
+      userId: user._id,
+      orderId: order._id,
+      itemType: price.itemType,
+      itemId: price.itemId,
+      artistId: price.artistId,
+      amount: price.amount,
+      currency: chargeCurrency,
+      tax: taxes[i],
+      gateway: provider.name,
+    });
+    order.items[i].transactionId = transaction._id;
+    transactions.push(transaction);
+  }
+  await order.save();
+
+  const checkout = await runOrderGatewayCall(order, transactions, () =>
+    provider.createOrder({ transaction: orderCharge(order), user })
+  );
+  return { order, transactions, checkout };
+};
+
+/**
+ * Price a checkout with a coupon without starting it (shown before the customer pays).
+ * Falls back to the same currency as the gateway checkout would, so the preview matches the charge.
+ * @returns {Promise<{ originalAmount, amount, currency, discount, tax }>}
+ */
+export const previewCheckoutPrice = async ({
+  user,
+  gateway,
+  itemType,
+  itemId,
+  currency,
+  cycle,
+  couponCode,
+  buyerLocation,
+  locale,
+}) => {
+  const provider = getPaymentProvider(gateway);
+  const price = await resolvePrice({ itemType, itemId, currency, cycle, locale: pricingLocale(locale, provider) });
+  const { amount, discount } = await priceWithCoupon({ couponCode, user, price });
+  const tax = await calculateTax({ amount, currency: price.currency, location: buyerLocation });
+
+  return {
+    originalAmount: price.amount,
+    amount,
+    currency: price.currency,
+    tax: { rate: tax.rate, amount: tax.amount, lines: tax.lines, country: tax.country },
+    discount: discount ? { code: discount.code, discountType: discount.discountType, value: discount.value, amount: discount.amount } : null,
+  };
+};
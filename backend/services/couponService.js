@@ -0,0 +1,242 @@
+import { Coupon } from "../models/Coupon.js";
+import { CouponRedemption } from "../models/CouponRedemption.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+import logger from "../utils/logger.js";
+
+// Abandoned checkouts stop counting against coupon limits after this long
+export const COUPON_RESERVATION_MINUTES = Number(process.env.COUPON_RESERVATION_MINUTES) || 30;
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+// Redemptions that use up a slot: paid, or a checkout that may still complete
+const liveRedemptionsQuery = (couponId) => ({
+  couponId,
+  $or: [
+    { status: "redeemed" },
+    { status: "pending", createdAt: { $gt: new Date(Date.now() - COUPON_RESERVATION_MINUTES * 60 * 1000) } },
+  ],
+});
+
+const assertInScope = (coupon, price) => {
+  if (coupon.artistId && String(coupon.artistId) !== String(price.artistId)) {
+    throw new BadRequestError("This coupon is not valid for this artist");
+  }
+  if (coupon.itemTypes.length && !coupon.itemTypes.includes(price.itemType)) {
+    throw new BadRequestError(`This coupon is only valid for: ${coupon.itemTypes.join(", ")}`);
+  }
+  if (coupon.itemIds.length && !coupon.itemIds.some((id) => String(id) === String(price.itemId))) {
+    throw new BadRequestError("This coupon is not valid for this item");
+  }
+
+  if (coupon.discountType === "fixed" && coupon.currency !== price.currency) {
+    throw new BadRequestError(`This coupon is only valid for ${coupon.currency} payments`);
+  }
+  if (coupon.currencies.length && !coupon.currencies.includes(price.currency)) {
+    throw new BadRequestError(`This coupon is only valid for ${coupon.currencies.join(", ")} payments`);
+  }
+  if (coupon.minAmount && price.amount < coupon.minAmount) {
+    throw new BadRequestError(`This coupon needs a minimum order of ${coupon.minAmount} ${price.currency}`);
+  }
+};
+
+const assertWithinLimits = async (coupon, userId, session = null) => {
+  const now = new Date();
+  if (!coupon.active) throw new BadRequestError("This coupon is no longer active");
+  if (coupon.startsAt && coupon.startsAt > now) throw new BadRequestError("This coupon is not active yet");
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw new BadRequestError("This coupon has expired");
+
+  if (coupon.maxRedemptions) {
+    const used = await CouponRedemption.countDocuments(liveRedemptionsQuery(coupon._id)).session(session);
+    if (used >= coupon.maxRedemptions) throw new BadRequestError("This coupon has been fully redeemed");
+  }
+
+  // Open checkouts count too, so parallel checkouts can't each pay with the same coupon;
+  // an abandoned one stops counting once its reservation runs out
+  const usedByUser = await CouponRedemption.countDocuments({
+    ...liveRedemptionsQuery(coupon._id),
+    userId,
+  }).session(session);
+  if (usedByUser >= coupon.perUserLimit) {
+    throw new BadRequestError("You have already used this coupon");
+  }
+};
+
+/**
+ * Validate a coupon code against a server-resolved price and compute the discount.
+ * @param {object} params
+ * @param {string} params.code
+ * @param {string} params.userId
+ * @param {object} params.price - result of resolvePrice ({ itemType, itemId, artistId, amount, currency })
+ * @returns {Promise<{ coupon, amount: number, discount: object }>} amount is what the customer pays
+ */
+export const applyCoupon = async ({ code, userId, price }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) throw new BadRequestError("Invalid coupon code");
+
+  assertInScope(coupon, price);
+  await assertWithinLimits(coupon, userId);
+
+  const discountAmount = formatAmount(
+    coupon.discountType === "percent"
+      ? (price.amount * coupon.value) / 100
+      : Math.min(coupon.value, price.amount),
+    price.currency
+  );
+  const amount = formatAmount(price.amount - discountAmount, price.currency);
+  if (amount <= 0) {
+    throw new BadRequestError("This coupon covers the full price – free checkouts are not supported");
+  }
+
+  return {
+    coupon,
+    amount,
+    discount: {
+      couponId: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      amount: discountAmount,
+      originalAmount: price.amount,
+    },
+  };
+};
+
+/**
+ * Hold a redemption slot while the customer pays.
+ * The limits are checked again here: writing the coupon first makes concurrent
+ * reservations conflict, so the retried one counts the slot the other just took.
+ * @throws {BadRequestError} when the coupon ran out (or the user used it) since it was applied
+ */
+export const reserveCouponRedemption = async (transaction) =>
+  withTransaction(async (session) => {
+    const coupon = await Coupon.findByIdAndUpdate(
+      transaction.discount.couponId,
+      { $currentDate: { lastReservedAt: true } },
+      { new: true, session }
+    );
+    if (!coupon) throw new BadRequestError("Invalid coupon code");
+    await assertWithinLimits(coupon, transaction.userId, session);
+
+    const [redemption] = await CouponRedemption.create(
+      [
+        {
+          couponId: coupon._id,
+          userId: transaction.userId,
+          transactionId: transaction._id,
+          code: transaction.discount.code,
+          discountAmount: transaction.discount.amount,
+          currency: transaction.currency,
+        },
+      ],
+      { session }
+    );
+    return redemption;
+  });
+
+/**
+ * The transaction was paid – the redemption becomes permanent.
+ * Pass the session that marks the transaction paid so both commit together.
+ */
+export const confirmCouponRedemption = async (transaction, session = null) => {
+  if (!transaction.discount?.couponId) return;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { transactionId: transaction._id, status: { $ne: "redeemed" } },
+    { $set: { status: "redeemed", redeemedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!redemption) return;
+
+  const coupon = await Coupon.findByIdAndUpdate(
+    transaction.discount.couponId,
+    { $inc: { redemptionCount: 1 } },
+    { new: true, session }
+  );
+  // Limits are checked at checkout; a late payment is still honoured
+  if (coupon?.maxRedemptions && coupon.redemptionCount > coupon.maxRedemptions) {
+    logger.warn(`⚠️ Coupon ${coupon.code} redeemed ${coupon.redemptionCount}/${coupon.maxRedemptions} times`);
+  }
+};
+
+/**
+ * Checkout failed or was declined – free the slot again.
+ */
+export const releaseCouponRedemption = async (transactionId) => {
+  await CouponRedemption.updateOne({ transactionId, status: "pending" }, { $set: { status: "void" } });
+};
+
+// ---------------------------------------------------------------------------
+// Admin
+// ---------------------------------------------------------------------------
+
+export const createCoupon = async (data, adminId) => {
+  const { redemptionCount, createdBy, ...fields } = data; // server-managed
+  const code = normalizeCode(fields.code);
+  if (await Coupon.exists({ code })) throw new BadRequestError(`Coupon ${code} already exists`);
+
+  return Coupon.create({ ...fields, code, createdBy: adminId });
+};
+
+export const listCoupons = async ({ active, artistId, page = 1, limit = 20 }) => {
+  const query = {};
+  if (active !== undefined) query.active = active;
+  if (artistId) query.artistId = artistId;
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    Coupon.countDocuments(query),
+  ]);
+  return { coupons, total, page, pages: Math.ceil(total / limit) };
+};
+
+export const getCouponWithStats = async (couponId) => {
+  const coupon = await Coupon.findById(couponId).lean();
+  if (!coupon) throw new NotFoundError("Coupon not found");
+
+  const stats = await CouponRedemption.aggregate([
+    { $match: { couponId: coupon._id } },
+    {
+      $group: {
+        _id: { status: "$status", currency: "$currency" },
+        count: { $sum: 1 },
+        discountTotal: { $sum: "$discountAmount" },
+      },
+    },
+  ]);
+
+  return {
+    ...coupon,
+    redemptions: stats.map((s) => ({
+      status: s._id.status,
+      currency: s._id.currency,
+      count: s.count,
+      discountTotal: s.discountTotal,
+    })),
+  };
+};
+
+// Code, type and value are frozen once created – issue a new coupon instead
+const UPDATABLE_FIELDS = [
+  "description",
+  "active",
+  "startsAt",
+  "expiresAt",
+  "maxRedemptions",
+  "perUserLimit",
+  "minAmount",
+  "currencies",
+  "razorpayOfferId",
+];
+
+export const updateCoupon = async (couponId, data) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) throw new NotFoundError("Coupon not found");
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (data[field] !== undefined) coupon[field] = data[field];
+  }
+  await coupon.save();
+  return coupon;
+};
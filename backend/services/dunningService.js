@@ -0,0 +1,324 @@
+import { Subscription } from "../models/Subscription.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { CYCLE_DAYS } from "./checkoutService.js";
+import { sendDunningEmail } from "../utils/email.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import logger from "../utils/logger.js";
+
+// Access is kept this long after the renewal should have been paid
+export const GRACE_PERIOD_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+
+// Reminder emails, in days after the first failed renewal (the failure itself is notified right away)
+export const REMINDER_DAYS = (process.env.DUNNING_REMINDER_DAYS || "1,3,6")
+  .split(",")
+  .map(Number)
+  .filter((days) => days > 0)
+  .sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Reminder number `sent` (0-based), or null once the schedule is done or the grace window closes
+const nextReminderAt = ({ pastDueSince, graceUntil, sent }) => {
+  const days = REMINDER_DAYS[sent];
+  if (days === undefined) return null;
+  const at = addDays(pastDueSince, days);
+  return at < graceUntil ? at : null;
+};
+
+// Emails are best-effort – mock subscriptions never reach the mailer
+const notifySubscriber = async (subscription, { subject, heading, message }) => {
+  if (subscription.gateway === "mock") return;
+  try {
+    const populated = await subscription.populate([
+      { path: "userId", select: "name email" },
+      { path: "artistId", select: "name" },
+    ]);
+    if (!populated.userId?.email) return;
+    await sendDunningEmail(populated.userId.email, {
+      subject,
+      heading,
+      message: message(populated.artistId?.name || "this artist"),
+      actionUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/account/subscriptions` : undefined,
+    });
+  } catch (err) {
+    logger.error(`❌ Failed to send dunning email for subscription ${subscription._id}: ${err.message}`);
+  }
+};
+
+const formatDate = (date) => date.toDateString();
+
+/**
+ * A renewal charge failed. The first failure opens the grace window (fixed from then on);
+ * later gateway retries that fail only bump the attempt counter.
+ * @param {object} params
+ * @param {string} params.gateway
+ * @param {string} params.externalSubscriptionId
+ * @param {string} [params.reason] - gateway decline reason / event
+ * @param {Date} [params.nextRetryAt] - when the gateway retries next, if it says
+ * @returns {Promise<object|null>} the subscription, or null if it isn't ours or already lapsed
+ */
+export const markSubscriptionPastDue = async ({ gateway, externalSubscriptionId, reason, nextRetryAt }) => {
+  const subscription = await Subscription.findOne({ gateway, externalSubscriptionId });
+  if (!subscription) {
+    logger.warn(`⚠️ Renewal failure for unknown ${gateway} subscription ${externalSubscriptionId}`);
+    return null;
+  }
+
+  const now = new Date();
+  const failure = {
+    "dunning.lastFailureAt": now,
+    "dunning.lastFailureReason": reason || null,
+    "dunning.nextRetryAt": nextRetryAt || null,
+  };
+
+  // First failure – open the grace window from the end of the paid period
+  const pastDueSince = now;
+  const graceUntil = addDays(new Date(Math.max(subscription.validUntil || now, now)), GRACE_PERIOD_DAYS);
+  const opened = await withTransaction(async (session) => {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: { $in: ["active", "trialing"] } },
+      {
+        $set: {
+          status: "past_due",
+          pastDueSince,
+          graceUntil,
+          ...failure,
+          "dunning.failedAttempts": 1,
+          "dunning.remindersSent": 0,
+          "dunning.nextReminderAt": nextReminderAt({ pastDueSince, graceUntil, sent: 0 }),
+        },
+      },
+      { new: true, session }
+    );
+    if (updated) {
+      await publishEvent(
+        PAYMENT_EVENTS.SUBSCRIPTION_PAST_DUE,
+        { subscriptionId: updated._id, userId: updated.userId, artistId: updated.artistId, gateway, reason, graceUntil },
+        { session }
+      );
+    }
+    return updated;
+  });
+
+  if (opened) {
+    logger.warn(`💳 ${gateway} subscription ${externalSubscriptionId} past due until ${graceUntil.toISOString()}`);
+
+    await notifySubscriber(opened, {
+      subject: "We couldn't renew your subscription",
+      heading: "Your payment didn't go through",
+      message: (artistName) =>
+        `We couldn't charge your renewal for ${artistName}. We'll retry automatically – ` +
+        `please check your payment method. You keep access until ${formatDate(graceUntil)}.`,
+    });
+    return opened;
+  }
+
+  // Retry failed again – the grace window stays where it is
+  const retried = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: "past_due" },
+    { $set: failure, $inc: { "dunning.failedAttempts": 1 } },
+    { new: true }
+  );
+  if (!retried) {
+    logger.info(`ℹ️ Ignoring renewal failure for ${subscription.status} subscription ${externalSubscriptionId}`);
+  }
+  return retried;
+};
+
+/**
+ * A renewal charge went through: extend the paid period and close any open dunning.
+ * Redelivered webhooks for the same charge are ignored.
+ * @param {object} params
+ * @param {string} params.gateway
+ * @param {string} params.externalSubscriptionId
+ * @param {string} [params.chargeId] - gateway payment ID
+ * @param {Date} [params.periodEnd] - gateway's end of the new period, if known
+ * @returns {Promise<object|null>}
+ */
+export const recordSuccessfulRenewal = async ({ gateway, externalSubscriptionId, chargeId, periodEnd }) => {
+  const subscription = await Subscription.findOne({ gateway, externalSubscriptionId });
+  if (!subscription) {
+    logger.warn(`⚠️ Renewal for unknown ${gateway} subscription ${externalSubscriptionId}`);
+    return null;
+  }
+  if (chargeId && subscription.lastRenewalChargeId === chargeId) return subscription;
+
+  // The next period follows the old one (billing anchor), unless that's already behind us
+  const now = new Date();
+  const days = CYCLE_DAYS[subscription.cycle] || 30;
+  let validUntil = periodEnd || addDays(subscription.validUntil || now, days);
+  if (validUntil <= now) validUntil = addDays(now, days);
+
+  const wasPastDue = subscription.status === "past_due";
+  const renewed = await withTransaction(async (session) => {
+    const updated = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        status: { $in: ["active", "trialing", "past_due"] },
+        ...(chargeId && { lastRenewalChargeId: { $ne: chargeId } }),
+      },
+      {
+        $set: {
+          status: "active",
+          validUntil,
+          lastRenewalChargeId: chargeId || null,
+          pastDueSince: null,
+          graceUntil: null,
+        },
+        $unset: { dunning: 1 },
+      },
+      { new: true, session }
+    );
+    if (updated && wasPastDue) {
+      await publishEvent(
+        PAYMENT_EVENTS.SUBSCRIPTION_RECOVERED,
+        { subscriptionId: updated._id, userId: updated.userId, artistId: updated.artistId, gateway },
+        { session }
+      );
+    }
+    return updated;
+  });
+  if (!renewed) return subscription;
+
+  if (wasPastDue) {
+    logger.info(`✅ ${gateway} subscription ${externalSubscriptionId} recovered from past due`);
+  }
+  return renewed;
+};
+
+/**
+ * Send the reminder emails that are due. Each reminder is claimed atomically,
+ * so overlapping sweeps never send one twice.
+ * @returns {Promise<number>} reminders sent
+ */
+export const sendDueDunningReminders = async () => {
+  const now = new Date();
+  const due = await Subscription.find({
+    status: "past_due",
+    graceUntil: { $gt: now },
+    "dunning.nextReminderAt": { $lte: now },
+  }).limit(SWEEP_BATCH_SIZE);
+
+  let sent = 0;
+  for (const subscription of due) {
+    const { pastDueSince, graceUntil, dunning } = subscription;
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: "past_due", "dunning.nextReminderAt": dunning.nextReminderAt },
+      {
+        $set: {
+          "dunning.nextReminderAt": nextReminderAt({ pastDueSince, graceUntil, sent: dunning.remindersSent + 1 }),
+        },
+        $inc: { "dunning.remindersSent": 1 },
+      },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    await notifySubscriber(claimed, {
+      subject: "Action needed: update your payment method",
+      heading: "Your subscription is about to lapse",
+      message: (artistName) =>
+        `Your renewal for ${artistName} is still unpaid. ` +
+        `Update your payment method before ${formatDate(graceUntil)} to keep listening.`,
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+/**
+ * Past-due subscriptions whose grace window closed become expired and are
+ * cancelled at the gateway so it stops retrying.
+ * @returns {Promise<number>} subscriptions expired
+ */
+export const expireLapsedSubscriptions = async () => {
+  const now = new Date();
+  const lapsed = await Subscription.find({ status: "past_due", graceUntil: { $lte: now } }).limit(SWEEP_BATCH_SIZE);
+
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    const subscription = await withTransaction(async (session) => {
+      const updated = await Subscription.findOneAndUpdate(
+        { _id, status: "past_due", graceUntil: { $lte: now } },
+        { $set: { status: "expired", isRecurring: false, "dunning.nextReminderAt": null } },
+        { new: true, session }
+      );
+      if (updated) {
+        await publishEvent(
+          PAYMENT_EVENTS.SUBSCRIPTION_EXPIRED,
+          { subscriptionId: updated._id, userId: updated.userId, artistId: updated.artistId, reason: "payment_failed" },
+          { session }
+        );
+      }
+      return updated;
+    });
+    if (!subscription) continue;
+
+    try {
+      await getPaymentProvider(subscription.gateway).cancelSubscription(subscription.externalSubscriptionId, {
+        atPeriodEnd: false,
+      });
+    } catch (err) {
+      logger.error(`❌ Failed to cancel lapsed ${subscription.gateway} subscription ${subscription.externalSubscriptionId}: ${err.message}`);
+    }
+
+    await notifySubscriber(subscription, {
+      subject: "Your subscription has ended",
+      heading: "Your subscription has ended",
+      message: (artistName) =>
+        `We couldn't collect your renewal for ${artistName}, so your subscription has ended. ` +
+        "You can subscribe again at any time.",
+    });
+    expired += 1;
+  }
+  return expired;
+};
+
+/**
+ * One dunning pass – run periodically by the dunning queue.
+ */
+export const runDunningSweep = async () => {
+  const reminders = await sendDueDunningReminders();
+  const expired = await expireLapsedSubscriptions();
+  if (reminders || expired) logger.info(`💳 Dunning sweep: ${reminders} reminders sent, ${expired} subscriptions expired`);
+  return { reminders, expired };
+};
+
+/**
+ * Subscribers of an artist whose renewal failed and who are inside their grace window.
+ * @returns {Promise<{ subscribers: object[], total: number, page: number, pages: number }>}
+ */
+export const listAtRiskSubscribers = async (artistId, { page = 1, limit = 20 } = {}) => {
+  const query = { artistId, status: "past_due" };
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(query)
+      .sort({ graceUntil: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "name")
+      .lean(),
+    Subscription.countDocuments(query),
+  ]);
+
+  return {
+    subscribers: subscriptions.map((s) => ({
+      subscriptionId: s._id,
+      user: s.userId ? { _id: s.userId._id, name: s.userId.name } : null,
+      cycle: s.cycle,
+      gateway: s.gateway,
+      pastDueSince: s.pastDueSince,
+      graceUntil: s.graceUntil,
+      failedAttempts: s.dunning?.failedAttempts || 0,
+      lastFailureReason: s.dunning?.lastFailureReason || null,
+      nextRetryAt: s.dunning?.nextRetryAt || null,
+    })),
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
+};
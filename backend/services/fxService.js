@@ -0,0 +1,255 @@
+import fs from "fs/promises";
+import path from "path";
+import { ExchangeRate } from "../models/ExchangeRate.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { SUPPORTED_CURRENCIES, formatAmount } from "../utils/convertCurrencies.js";
+import logger from "../utils/logger.js";
+
+// ---------------------------
+// 💱 Exchange rates. Every rate is quoted against FX_BASE (units of the currency per 1 USD);
+// cross rates are rate(to) / rate(from). Each day has its own snapshot, and transactions keep
+// the rate they were charged at (lockRate) so past revenue converts the same way forever.
+// ---------------------------
+
+export const FX_BASE = "USD";
+export const FX_RATES_FILE = path.resolve(process.env.FX_RATES_FILE || "config/fx-rates.json");
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_DATES = 500;
+
+/** YYYY-MM-DD (UTC) snapshot a moment falls in */
+export const toRateDate = (at = new Date()) => new Date(at).toISOString().slice(0, 10);
+
+// Latest rate per currency on or before `date`
+const loadRates = async (date) => {
+  const rows = await ExchangeRate.aggregate([
+    { $match: { date: { $lte: date } } },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: "$currency",
+        rate: { $first: "$rate" },
+        date: { $first: "$date" },
+        source: { $first: "$source" },
+      },
+    },
+  ]);
+  const rates = { [FX_BASE]: { rate: 1, date, source: "base" } };
+  for (const row of rows) rates[row._id] = { rate: row.rate, date: row.date, source: row.source };
+  return rates;
+};
+
+// Rates barely change within a day – checkout and reports shouldn't hit the DB per transaction
+const cache = new Map();
+
+/**
+ * Rates in force at a moment.
+ * @param {Date|string} [at]
+ * @returns {Promise<Object<string, { rate: number, date: string, source: string }>>} keyed by currency
+ */
+export const getRates = async (at = new Date()) => {
+  const date = toRateDate(at);
+  const cached = cache.get(date);
+  if (cached && cached.expiresAt > Date.now()) return cached.rates;
+
+  const rates = await loadRates(date);
+  if (cache.size >= MAX_CACHED_DATES) cache.clear();
+  cache.set(date, { rates, expiresAt: Date.now() + CACHE_TTL_MS });
+  return rates;
+};
+
+/** @returns {Promise<number|null>} units of `to` per unit of `from`, null when either is unknown */
+export const getRate = async (from, to, { at } = {}) => {
+  const rates = await getRates(at);
+  const source = rates[from?.toUpperCase()];
+  const target = rates[to?.toUpperCase()];
+  if (!source || !target) return null;
+  return target.rate / source.rate;
+};
+
+export const convertAmount = async (amount, from, to, { at } = {}) => {
+  if (from === to) return formatAmount(amount, to);
+  const rate = await getRate(from, to, { at });
+  return rate === null ? null : formatAmount(amount * rate, to);
+};
+
+/**
+ * Convert amount from baseCurrency to the other supported currencies (catalog price lists).
+ * Throws BadRequestError while no rate for baseCurrency has been imported yet.
+ */
+export const convertCurrencies = async (baseCurrency, amount) => {
+  const rates = await getRates();
+  if (!rates[baseCurrency]) {
+    throw new BadRequestError(`No exchange rate for ${baseCurrency} yet – price it in ${FX_BASE} or import FX rates first`);
+  }
+
+  return SUPPORTED_CURRENCIES.filter((c) => c !== baseCurrency).map((currency) => ({
+    currency,
+    amount: rates[currency]
+      ? formatAmount((amount * rates[currency].rate) / rates[baseCurrency].rate, currency)
+      : null,
+  }));
+};
+
+/**
+ * The rate a transaction is charged at, stored on it for reproducible reports.
+ * @returns {Promise<{ base: string, rate: number, date: string, source: string }|undefined>}
+ *   undefined when the currency has no rate yet
+ */
+export const lockRate = async (currency, at = new Date()) => {
+  const entry = (await getRates(at))[currency?.toUpperCase()];
+  if (!entry) {
+    logger.warn(`⚠️ No ${FX_BASE} exchange rate for ${currency} – transaction stored without one`);
+    return undefined;
+  }
+  return { base: FX_BASE, rate: entry.rate, date: entry.date, source: entry.source };
+};
+
+/**
+ * Amount in FX_BASE – at the transaction's locked rate when it has one, else the rate on `at`.
+ * @returns {Promise<number|null>} null when no rate is known
+ */
+export const toBaseAmount = async (amount, currency, { fx, at } = {}) => {
+  if (!amount) return 0;
+  const rate = fx?.base === FX_BASE ? fx.rate : (await getRates(at))[currency?.toUpperCase()]?.rate;
+  return rate ? formatAmount(amount / rate, FX_BASE) : null;
+};
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+
+// Files quoted against another currency are rebased to FX_BASE (they must include it)
+const normalizeSnapshot = ({ date, base = FX_BASE, rates } = {}) => {
+  const snapshotDate = date ?? toRateDate();
+  if (!DATE_FORMAT.test(snapshotDate)) throw new BadRequestError(`Invalid snapshot date: ${date}`);
+  if (!rates || typeof rates !== "object") throw new BadRequestError(`Snapshot ${snapshotDate} has no rates`);
+
+  const quoteCurrency = String(base).toUpperCase();
+  const quoted = { [quoteCurrency]: 1 };
+  for (const [currency, rate] of Object.entries(rates)) quoted[currency.toUpperCase()] = Number(rate);
+  const baseRate = quoted[FX_BASE];
+  if (!(baseRate > 0)) {
+    throw new BadRequestError(`Snapshot ${snapshotDate} is quoted in ${quoteCurrency} without a ${FX_BASE} rate`);
+  }
+
+  const normalized = {};
+  for (const [currency, rate] of Object.entries(quoted)) {
+    if (currency === FX_BASE) continue;
+    if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0)) {
+      throw new BadRequestError(`Invalid rate for ${currency} on ${snapshotDate}`);
+    }
+    normalized[currency] = rate / baseRate;
+  }
+  return { date: snapshotDate, rates: normalized };
+};
+
+/**
+ * Import rate snapshots from a local JSON file – one snapshot or an array of them:
+ *   { "date": "2025-06-30", "base": "USD", "rates": { "INR": 85.7, "EUR": 0.85 } }
+ * `date` defaults to today. Admin overrides for the same day are kept.
+ */
+export const importRatesFile = async (filePath = FX_RATES_FILE) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") throw new NotFoundError(`Rates file not found: ${filePath}`);
+    throw new BadRequestError(`Rates file ${filePath} could not be read: ${err.message}`);
+  }
+  const snapshots = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeSnapshot);
+
+  let imported = 0;
+  let keptOverrides = 0;
+  for (const { date, rates } of snapshots) {
+    for (const [currency, rate] of Object.entries(rates)) {
+      try {
+        await ExchangeRate.updateOne(
+          { date, currency, source: { $ne: "admin" } },
+          { $set: { rate, base: FX_BASE, source: "file" }, $unset: { note: 1 } },
+          { upsert: true }
+        );
+        imported += 1;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        keptOverrides += 1; // the unique index hit an admin override for that day
+      }
+    }
+  }
+  cache.clear();
+
+  logger.info(`💱 Imported ${imported} exchange rates from ${filePath} (${keptOverrides} overrides kept)`);
+  return { file: filePath, dates: snapshots.map((s) => s.date), imported, keptOverrides };
+};
+
+/**
+ * Carry the latest known rates into today's snapshot, so every day has a complete set
+ * even when no rates file arrived.
+ */
+export const snapshotDailyRates = async (at = new Date()) => {
+  const date = toRateDate(at);
+  const latest = await loadRates(date);
+
+  let carried = 0;
+  for (const [currency, { rate, date: from }] of Object.entries(latest)) {
+    if (currency === FX_BASE || from === date) continue;
+    const result = await ExchangeRate.updateOne(
+      { date, currency },
+      { $setOnInsert: { rate, base: FX_BASE, source: "carried_forward", note: `Carried from ${from}` } },
+      { upsert: true }
+    );
+    carried += result.upsertedCount;
+  }
+  cache.delete(date);
+  return { date, carried };
+};
+
+// ---------------------------------------------------------------------------
+// Admin
+// ---------------------------------------------------------------------------
+
+export const listRates = async ({ date } = {}) => {
+  const snapshotDate = date || toRateDate();
+  const rates = await loadRates(snapshotDate);
+  return {
+    date: snapshotDate,
+    base: FX_BASE,
+    rates: Object.entries(rates)
+      .filter(([currency]) => currency !== FX_BASE)
+      .map(([currency, entry]) => ({ currency, ...entry }))
+      .sort((a, b) => a.currency.localeCompare(b.currency)),
+  };
+};
+
+export const getRateHistory = async (currency, { from, to } = {}) => {
+  const query = { currency: currency.toUpperCase() };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+  const history = await ExchangeRate.find(query)
+    .sort({ date: -1 })
+    .limit(366)
+    .populate("overriddenBy", "name email")
+    .lean();
+  return { currency: query.currency, base: FX_BASE, history };
+};
+
+/**
+ * Set a currency's rate for one day by hand. Later file imports for that day leave it alone;
+ * transactions already charged keep the rate they locked.
+ */
+export const overrideRate = async ({ currency, rate, date, note }, adminId) => {
+  const code = currency.toUpperCase();
+  if (code === FX_BASE) throw new BadRequestError(`${FX_BASE} is the base currency – its rate is always 1`);
+
+  const override = await ExchangeRate.findOneAndUpdate(
+    { date: date || toRateDate(), currency: code },
+    { $set: { rate, base: FX_BASE, source: "admin", overriddenBy: adminId, note } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  cache.clear();
+  return override;
+};
@@ -0,0 +1,232 @@
+import { Song } from "../models/Song.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+
+// Lowest to highest
+export const QUALITY_LADDER = ["64", "128", "256", "lossless"];
+
+const DEFAULT_CODECS = { lossless: "fLaC" };
+const LOSSLESS_BANDWIDTH = 1411000;
+
+// Highest quality each account tier may stream
+export const TIER_MAX_QUALITY = {
+  free: process.env.STREAM_MAX_QUALITY_FREE || "128",
+  subscriber: process.env.STREAM_MAX_QUALITY_SUBSCRIBER || "256",
+  admin: process.env.STREAM_MAX_QUALITY_ADMIN || "lossless",
+};
+
+// Device classes that can't (or shouldn't) play every variant
+export const DEVICE_MAX_QUALITY = {
+  mobile: "256",
+  web: "256", // browsers can't decode lossless HLS
+  desktop: "lossless",
+  tv: "lossless",
+};
+
+const buildRendition = ({ quality, bitrate, bandwidth, codec, playlistKey }) => {
+  if (!QUALITY_LADDER.includes(quality)) {
+    throw new BadRequestError(`quality must be one of: ${QUALITY_LADDER.join(", ")}`);
+  }
+  if (!playlistKey) throw new BadRequestError(`playlistKey is required for rendition ${quality}`);
+
+  return {
+    quality,
+    bitrate: quality === "lossless" ? null : bitrate ?? Number(quality),
+    bandwidth: bandwidth ?? (quality === "lossless" ? LOSSLESS_BANDWIDTH : Number(quality) * 1000),
+    codec: codec || DEFAULT_CODECS[quality] || "mp4a.40.2",
+    playlistKey,
+    registeredAt: new Date(),
+  };
+};
+
+// Replace renditions of the same quality in one atomic update – outputs finish concurrently
+const upsertRenditions = async (audioKey, renditions, fields = {}) => {
+  const qualities = renditions.map((r) => r.quality);
+  // $literal so callback strings are never read as field paths or operators
+  const literalFields = Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, { $literal: value }])
+  );
+  const song = await Song.findOneAndUpdate(
+    { audioKey },
+    [
+      {
+        $set: {
+          ...literalFields,
+          renditions: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$renditions", []] },
+                  cond: { $not: { $in: ["$$this.quality", qualities] } },
+                },
+              },
+              { $literal: renditions },
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (!song) throw new NotFoundError(`No song found for audioKey ${audioKey}`);
+
+  return song;
+};
+
+// Preview fields; previewKey null = no preview rendition was produced
+const previewFields = (previewKey, window) => ({
+  "preview.ready": !!previewKey,
+  "preview.key": previewKey || "",
+  ...(previewKey &&
+    window && {
+      "preview.rendered": { startOffset: window.startOffset, duration: window.duration },
+    }),
+});
+
+/**
+ * Record the output of a finished HLS transcode for the song matching audioKey.
+ * Every rendition in `renditions` is registered on the song.
+ * `previewKey` is the preview playlist path when a preview rendition was produced,
+ * null when none was; leave it undefined when the preview is reported separately.
+ * `previewWindow` is the { startOffset, duration } the clip was cut with.
+ * @returns {Promise<object>} updated song
+ */
+export const recordHlsCompletion = async ({
+  audioKey,
+  hlsUrl,
+  duration,
+  renditions = [],
+  previewKey,
+  previewWindow,
+}) =>
+  upsertRenditions(audioKey, renditions.map(buildRendition), {
+    hlsUrl,
+    hlsReady: true,
+    ...(duration > 0 && { duration }),
+    ...(previewKey !== undefined && previewFields(previewKey, previewWindow)),
+    "transcode.status": "ready",
+    "transcode.error": "",
+    "transcode.completedAt": new Date(),
+  });
+
+/**
+ * Record the outcome of a separately transcoded preview clip.
+ * @returns {Promise<object>} updated song
+ */
+export const recordPreviewCompletion = async ({ audioKey, previewKey = null, previewWindow }) => {
+  const song = await Song.findOneAndUpdate(
+    { audioKey },
+    { $set: previewFields(previewKey, previewWindow) },
+    { new: true }
+  );
+  if (!song) throw new NotFoundError(`No song found for audioKey ${audioKey}`);
+
+  return song;
+};
+
+/**
+ * Switch the song to a re-rendered preview clip – only when `jobId` is still the pending
+ * re-render, so an older render finishing late never replaces a newer one.
+ * @returns {Promise<object|null>} updated song, null when the render was superseded
+ */
+export const recordPreviewRender = async ({ audioKey, jobId, previewKey, previewWindow }) =>
+  Song.findOneAndUpdate(
+    { audioKey, "preview.pendingJobId": jobId },
+    { $set: previewFields(previewKey, previewWindow), $unset: { "preview.pendingJobId": "" } },
+    { new: true }
+  );
+
+/**
+ * Mark the transcode of the song matching audioKey as failed.
+ * The song stays unplayable until an admin retries it.
+ * @returns {Promise<object>} updated song
+ */
+export const recordTranscodeFailure = async ({ audioKey, error }) => {
+  const song = await Song.findOneAndUpdate(
+    { audioKey },
+    {
+      $set: {
+        hlsReady: false,
+        "transcode.status": "failed",
+        "transcode.error": String(error || "Unknown transcoding error").slice(0, 1000),
+        "transcode.failedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!song) throw new NotFoundError(`No song found for audioKey ${audioKey}`);
+
+  return song;
+};
+
+/**
+ * Put a failed song back into the transcode queue.
+ * @returns {Promise<object>} updated song
+ */
+export const requestTranscodeRetry = async (songId) => {
+  const song = await Song.findOneAndUpdate(
+    { _id: songId, "transcode.status": "failed" },
+    {
+      $set: { "transcode.status": "pending", "transcode.error": "" },
+      $inc: { "transcode.attempts": 1 },
+    },
+    { new: true }
+  );
+  if (!song) {
+    const exists = await Song.exists({ _id: songId });
+    if (!exists) throw new NotFoundError("Song not found");
+    throw new BadRequestError("Only failed transcodes can be retried");
+  }
+
+  return song;
+};
+
+/**
+ * Add or replace one rendition on the song matching audioKey.
+ * Called by the transcoding-completion handler as each output finishes.
+ * @returns {Promise<object>} updated song
+ */
+export const registerRendition = async ({ audioKey, ...rendition }) =>
+  upsertRenditions(audioKey, [buildRendition(rendition)]);
+
+// Guess the device class from the user agent when the client doesn't say
+export const detectDevice = (userAgent = "") =>
+  /Mobi|Android|iPhone|iPad/i.test(userAgent) ? "mobile" : null;
+
+/**
+ * Renditions a listener may receive: capped by tier, device and the client's own maximum.
+ * Empty when every registered rendition is above the cap – never hand out a higher one.
+ * @returns {{ renditions: object[], maxQuality: string }}
+ */
+export const selectRenditions = (renditions = [], { tier, device, maxQuality }) => {
+  const caps = [TIER_MAX_QUALITY[tier] || TIER_MAX_QUALITY.free];
+  if (device && DEVICE_MAX_QUALITY[device]) caps.push(DEVICE_MAX_QUALITY[device]);
+  if (maxQuality) caps.push(maxQuality);
+
+  const ceiling = Math.min(...caps.map((q) => QUALITY_LADDER.indexOf(q)).filter((i) => i >= 0));
+  const sorted = [...renditions].sort(
+    (a, b) => QUALITY_LADDER.indexOf(a.quality) - QUALITY_LADDER.indexOf(b.quality)
+  );
+  const allowed = sorted.filter((r) => QUALITY_LADDER.indexOf(r.quality) <= ceiling);
+
+  return { renditions: allowed, maxQuality: QUALITY_LADDER[ceiling] };
+};
+
+// One folder per variant playlist, each signed on its own – a shared parent would cover the higher renditions too
+export const getRenditionFolders = (renditions) => [
+  ...new Set(renditions.map((r) => r.playlistKey.split("/").slice(0, -1).join("/"))),
+];
+
+// Songs with renditions play only through this tier-capped master, never the default one listing every rendition
+export const getMasterPlaylistPath = (songId) => `/api/stream/song/${songId}/master.m3u8`;
+
+/**
+ * Build an HLS master playlist pointing at the given variant playlists.
+ */
+export const buildMasterPlaylist = (renditions, baseUrl) => {
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3", "#EXT-X-INDEPENDENT-SEGMENTS"];
+  for (const r of renditions) {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${r.bandwidth},CODECS="${r.codec}"`);
+    lines.push(`${baseUrl}/${r.playlistKey}`);
+  }
+  return `${lines.join("\n")}\n`;
+};
@@ -2,10 +2,45 @@
 import PDFDocument from "pdfkit";
 import nodemailer from "nodemailer";
 import { User } from "../models/User.js";
+import { Transaction } from "../models/Transaction.js";
+import { Invoice } from "../models/Invoice.js";
+import { Order } from "../models/Order.js";
+import { NotFoundError, BadRequestError } from "../errors/index.js";
+import { getDocumentStorage } from "../providers/documentStorageProvider.js";
+import { getNextInvoiceNumber, getNextCreditNoteNumber } from "../utils/invoiceNumber.js";
+import { proportionalTax } from "./taxService.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+import logger from "../utils/logger.js";
 
 // Helper: format date
 const formatDate = (date) => new Date(date).toLocaleDateString("en-IN");
 
+// 🔹 Line items – plan switches show the new plan and, when prorated, the credit for unused time
+const buildLineItems = (transaction, listPrice) => {
+  const line = (description, price) => ({ description, quantity: 1, price, total: price });
+  const { proration, metadata = {} } = transaction;
+
+  if (proration?.toCycle) {
+    const items = [line(`Artist subscription – ${proration.toCycle} plan`, proration.planPrice)];
+    if (proration.credit > 0) {
+      items.push(line(`Credit for ${proration.unusedDays} unused days on the ${proration.fromCycle} plan`, -proration.credit));
+    }
+    return items;
+  }
+  if (metadata.planChangeId) {
+    return [line(`Artist subscription – ${metadata.cycle} plan (plan change)`, listPrice)];
+  }
+
+  return [
+    line(
+      transaction.itemType === "subscription"
+        ? `Artist Subscription`
+        : `${transaction.itemType} purchase`,
+      listPrice
+    ),
+  ];
+};
+
 // 🔹 Build invoice data object from transaction
 export const prepareInvoiceData = async (transaction) => {
     if (!transaction) return null;
@@ -14,6 +49,8 @@ export const prepareInvoiceData = async (transaction) => {
   .lean();
     if (!user) return null;
     console.log("Preparing invoice data for user:", user);
+  // Coupon purchases show the list price, then the discount
+  const listPrice = transaction.discount?.originalAmount ?? transaction.amount;
 
   return {
     invoiceNumber: transaction.invoiceNumber, // or a real sequence generator
@@ -25,31 +62,69 @@ export const prepareInvoiceData = async (transaction) => {
 New Delhi, Delhi 110017
 India`, 
       email: "contact@reset9.net",
+      taxId: process.env.SELLER_GSTIN, // GSTIN
     },
     customer: {
       name: user.name || "Valued Customer",
       email: user.email,
     },
-    items: [
-      {
-        description:
-          transaction.itemType === "subscription"
-            ? `Artist Subscription`
-            : `${transaction.itemType} purchase`,
-        quantity: 1,
-        price: transaction.amount,
-        total: transaction.amount,
-      },
-    ],
-    subtotal:  transaction.amount,
+    items: buildLineItems(transaction, listPrice),
+    subtotal: listPrice,
+    discount: transaction.discount?.couponId
+      ? { code: transaction.discount.code, amount: transaction.discount.amount }
+      : null,
     currency: transaction.currency || "INR",
-    taxBreakdown: [], // extend later if GST/VAT
+    // Prices include tax – the breakdown shows what the total contains
+    taxBreakdown: (transaction.tax?.lines || []).map(({ name, rate, amount }) => ({ name, rate, amount })),
+    taxableAmount: transaction.tax?.taxableAmount ?? transaction.amount,
+    taxAmount: transaction.tax?.amount || 0,
+    placeOfSupply: transaction.tax?.country
+      ? [transaction.tax.state, transaction.tax.country].filter(Boolean).join(", ")
+      : null,
     total:  transaction.amount,
     amountPaid: transaction.amount,
     balanceDue: 0,
   };
 };
 
+// 🔹 Combined invoice for a cart order – one row per line, taxes added up by name and rate
+const prepareOrderInvoiceData = async (order, lines) => {
+  const [first] = lines;
+  const invoice = await prepareInvoiceData(first);
+  if (!invoice) return null;
+  const round = (n) => formatAmount(n, order.currency);
+
+  const taxBreakdown = [];
+  for (const { name, rate, amount } of lines.flatMap((t) => t.tax?.lines || [])) {
+    const existing = taxBreakdown.find((t) => t.name === name && t.rate === rate);
+    if (existing) existing.amount = round(existing.amount + amount);
+    else taxBreakdown.push({ name, rate, amount });
+  }
+  const taxAmount = round(lines.reduce((sum, t) => sum + (t.tax?.amount || 0), 0));
+  const titles = new Map(order.items.map((item) => [String(item.transactionId), item.title]));
+
+  return {
+    ...invoice,
+    invoiceNumber: order.invoiceNumber,
+    transactionId: order._id.toString(),
+    reference: `Order ${order._id}`,
+    items: lines.map((t) => ({
+      description: `${t.itemType === "album" ? "Album" : "Song"} – ${titles.get(String(t._id)) || t.itemId}`,
+      quantity: 1,
+      price: t.amount,
+      total: t.amount,
+    })),
+    subtotal: order.amount,
+    discount: null,
+    currency: order.currency,
+    taxBreakdown,
+    taxableAmount: round(order.amount - taxAmount),
+    taxAmount,
+    total: order.amount,
+    amountPaid: order.amount,
+  };
+};
+
 // 🔹 Generate invoice PDF buffer
 const generateInvoiceBuffer = (invoice) => {
   return new Promise((resolve, reject) => {
@@ -82,13 +157,15 @@ const generateInvoiceBuffer = (invoice) => {
       doc.fontSize(10).font("Helvetica").text(invoice.seller.address);
       doc.text(invoice.seller.email || "");
       doc.text(invoice.seller.phone || "");
+      if (invoice.seller.taxId) doc.text(`GSTIN: ${invoice.seller.taxId}`);
       doc.moveDown();
 
       // ------------------- Invoice Header -------------------
       doc.fontSize(14).font("Helvetica-Bold")
-        .text("INVOICE", endX - 100, doc.y - 50, { width: 100, align: "right" });
+        .text(invoice.title || "INVOICE", endX - 100, doc.y - 50, { width: 100, align: "right" });
       doc.fontSize(10).font("Helvetica")
-        .text(`Invoice #${invoice.invoiceNumber}`, { align: "right" });
+        .text(`${invoice.numberLabel || "Invoice"} #${invoice.invoiceNumber}`, { align: "right" });
+      if (invoice.reference) doc.text(invoice.reference, { align: "right" });
       doc.text(`Transaction ID: ${invoice.transactionId}`, { align: "right" });
       doc.text(`Issue Date: ${formatDate(invoice.issueDate)}`, { align: "right" });
       doc.moveDown(2);
@@ -99,7 +176,7 @@ const generateInvoiceBuffer = (invoice) => {
       doc.moveDown();
 
       // ------------------- Customer Info -------------------
-      doc.fontSize(10).font("Helvetica-Bold").text("INVOICE TO:");
+      doc.fontSize(10).font("Helvetica-Bold").text(`${invoice.title || "INVOICE"} TO:`);
       doc.font("Helvetica").text(invoice.customer.name || "");
       doc.text(invoice.customer.email || "");
       doc.text(invoice.customer.phone || "");
@@ -151,10 +228,32 @@ const generateInvoiceBuffer = (invoice) => {
       doc.font("Helvetica-Bold").text("Subtotal:", totalsX, tableY, { width: 100, align: "right" });
       doc.font("Helvetica").text(`${invoice.currency} ${invoice.subtotal.toFixed(2)}`, endX - 100, tableY, { width: 100, align: "right" });
 
+      if (invoice.discount) {
+        tableY += 20;
+        doc.font("Helvetica-Bold").text(`Discount (${invoice.discount.code}):`, totalsX - 50, tableY, { width: 150, align: "right" });
+        doc.font("Helvetica").text(`- ${invoice.currency} ${invoice.discount.amount.toFixed(2)}`, endX - 100, tableY, { width: 100, align: "right" });
+      }
+
       tableY += 20;
-      doc.font("Helvetica-Bold").text("Invoice Total:", totalsX, tableY, { width: 100, align: "right" });
+      doc.font("Helvetica-Bold").text(invoice.totalLabel || "Invoice Total:", totalsX, tableY, { width: 100, align: "right" });
       doc.font("Helvetica").text(`${invoice.currency} ${invoice.total.toFixed(2)}`, endX - 100, tableY, { width: 100, align: "right" });
 
+      // ------------------- Tax (included in the total) -------------------
+      if (invoice.taxBreakdown?.length) {
+        tableY += 20;
+        doc.fontSize(9).text("Taxable value:", totalsX - 50, tableY, { width: 150, align: "right" });
+        doc.text(`${invoice.currency} ${invoice.taxableAmount.toFixed(2)}`, endX - 100, tableY, { width: 100, align: "right" });
+        invoice.taxBreakdown.forEach((t) => {
+          tableY += 15;
+          doc.text(`Includes ${t.name} (${t.rate}%):`, totalsX - 50, tableY, { width: 150, align: "right" });
+          doc.text(`${invoice.currency} ${t.amount.toFixed(2)}`, endX - 100, tableY, { width: 100, align: "right" });
+        });
+      }
+      if (invoice.placeOfSupply) {
+        tableY += 25;
+        doc.fontSize(9).text(`Place of supply: ${invoice.placeOfSupply}`, startX, tableY);
+      }
+
       doc.end();
     } catch (err) {
       reject(err);
@@ -201,18 +300,403 @@ const sendInvoiceEmail = async (to, invoiceBuffer, invoiceNumber, subject) => {
 });
 };
 
-// 🔹 Public function: handles full invoice flow
-  export const processAndSendInvoice = async (transaction) => {
-    console.log("Processing invoice for transaction:", transaction._id);
-  const invoiceData = await prepareInvoiceData(transaction);
-  console.log("Prepared invoice data:", invoiceData);
-  if (!invoiceData) {
+// 🔹 Credit note for a succeeded refund (same layout as the invoice)
+const prepareCreditNoteData = async (transaction, refund) => {
+  const invoice = await prepareInvoiceData(transaction);
+  if (!invoice) return null;
+
+  // Tax is credited in the same proportion as the amount
+  const creditedTax = proportionalTax(transaction.tax, refund.amount / transaction.amount, transaction.currency);
+
+  const item = {
+    description: `Refund – ${invoice.items[0].description}${refund.reason ? ` (${refund.reason})` : ""}`,
+    quantity: 1,
+    price: refund.amount,
+    total: refund.amount,
+  };
+
+  return {
+    ...invoice,
+    title: "CREDIT NOTE",
+    numberLabel: "Credit Note",
+    totalLabel: "Total Credited:",
+    invoiceNumber: refund.creditNoteNumber,
+    reference: transaction.invoiceNumber ? `Against Invoice #${transaction.invoiceNumber}` : "",
+    againstInvoiceNumber: transaction.invoiceNumber || null,
+    issueDate: refund.completedAt || new Date(),
+    items: [item],
+    subtotal: refund.amount,
+    discount: null,
+    taxBreakdown: creditedTax.lines,
+    taxableAmount: refund.amount - creditedTax.amount,
+    taxAmount: creditedTax.amount,
+    total: refund.amount,
+    amountPaid: 0,
+    balanceDue: 0,
+  };
+};
+
+const sendCreditNoteEmail = async (to, buffer, creditNoteNumber, invoiceNumber) => {
+  const transporter = nodemailer.createTransport({
+    service: "gmail", // replace with SES/SMTP in prod
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+
+  await transporter.sendMail({
+    from: `"Reset Music" <${process.env.SMTP_USER}>`,
+    to,
+    subject: `Credit Note #${creditNoteNumber}`,
+    text: `Your refund has been processed. Credit note #${creditNoteNumber}${invoiceNumber ? ` for invoice #${invoiceNumber}` : ""} is attached.`,
+    html: `
+  <div style="font-family: Arial, sans-serif; color: #333;">
+    <h2>🎵 Your refund has been processed</h2>
+    <p>We’ve attached credit note <b>#${creditNoteNumber}</b>${invoiceNumber ? ` for invoice <b>#${invoiceNumber}</b>` : ""}.</p>
+    <p>If you have any questions, contact us at <a href="mailto:support@resetmusic.com">support@resetmusic.com</a>.</p>
+    <br>
+    <p>– Reset Music Team</p>
+  </div>
+`,
+    attachments: [
+      {
+        filename: `credit-note-${creditNoteNumber}.pdf`,
+        content: buffer,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+};
+
+// ---------------------------------------------------------------------------
+// 🗄️ Issued documents – numbered once, archived, downloadable and re-sendable
+// ---------------------------------------------------------------------------
+
+const PDF = "application/pdf";
+const SUMMARY_FIELDS = "kind number userId transactionId orderId refundEntryId invoiceId currency total taxAmount issuedAt";
+
+const storageKeyFor = ({ kind, number, issuedAt }) =>
+  `${kind === "credit_note" ? "credit-notes" : "invoices"}/${new Date(issuedAt).getFullYear()}/${number}.pdf`;
+
+const fileNameFor = ({ kind, number }) => `${kind === "credit_note" ? "credit-note" : "invoice"}-${number}.pdf`;
+
+// Transactions are numbered at payment – older ones get their number when first issued
+const ensureInvoiceNumber = async (transaction) => {
+  if (transaction.invoiceNumber) return transaction.invoiceNumber;
+  const candidate = await getNextInvoiceNumber();
+  await Transaction.updateOne(
+    { _id: transaction._id, invoiceNumber: { $in: [null, ""] } },
+    { $set: { invoiceNumber: candidate } }
+  );
+  // Re-read: a concurrent issuer may have numbered it first (the skipped number is never reused)
+  const { invoiceNumber } = await Transaction.findById(transaction._id).select("invoiceNumber").lean();
+  transaction.invoiceNumber = invoiceNumber;
+  return invoiceNumber;
+};
+
+const ensureCreditNoteNumber = async (transactionId, refund) => {
+  if (refund.creditNoteNumber) return refund.creditNoteNumber;
+  const candidate = await getNextCreditNoteNumber();
+  await Transaction.updateOne(
+    { _id: transactionId, refunds: { $elemMatch: { _id: refund._id, creditNoteNumber: { $in: [null, ""] } } } },
+    { $set: { "refunds.$.creditNoteNumber": candidate } }
+  );
+  const stored = await Transaction.findOne({ _id: transactionId, "refunds._id": refund._id }, { "refunds.$": 1 }).lean();
+  refund.creditNoteNumber = stored.refunds[0].creditNoteNumber;
+  return refund.creditNoteNumber;
+};
+
+// Best-effort – a document without an archived PDF is rendered again from its snapshot
+const archivePdf = async (invoice, buffer) => {
+  const storage = getDocumentStorage();
+  const key = storageKeyFor(invoice);
+  try {
+    await storage.put({ key, body: buffer, contentType: PDF });
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $set: { storage: { provider: storage.name, key, archivedAt: new Date() } } }
+    );
+  } catch (err) {
+    logger.error(`❌ Failed to archive ${invoice.number}: ${err.message}`);
+  }
+};
+
+// Archived copy when there is one, otherwise the snapshot rendered again (and archived)
+const loadDocumentPdf = async (invoice) => {
+  if (invoice.storage?.key) {
+    try {
+      const stored = await getDocumentStorage(invoice.storage.provider).get(invoice.storage.key);
+      if (stored) return stored;
+      logger.warn(`⚠️ Archived PDF for ${invoice.number} is missing – rendering it again`);
+    } catch (err) {
+      logger.error(`❌ Failed to read archived ${invoice.number}: ${err.message}`);
+    }
+  }
+  const buffer = await generateInvoiceBuffer(invoice.data);
+  await archivePdf(invoice, buffer);
+  return buffer;
+};
+
+// Concurrent issuers meet on the unique indexes – the loser gets the winner's document
+const issueDocument = async (fields, existingQuery) => {
+  let invoice;
+  try {
+    invoice = await Invoice.create(fields);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await Invoice.findOne(existingQuery);
+    if (!existing) throw err;
+    return { invoice: existing, buffer: null };
+  }
+  const buffer = await generateInvoiceBuffer(invoice.data);
+  await archivePdf(invoice, buffer);
+  return { invoice, buffer };
+};
+
+/**
+ * Issue the invoice for a paid transaction, or return the one already issued.
+ * @returns {Promise<{ invoice: object, buffer: Buffer|null }|null>} buffer is set when the PDF was just rendered
+ */
+export const issueInvoice = async (transaction) => {
+  if (transaction.orderId) return issueOrderInvoice(transaction.orderId);
+  const existing = await Invoice.findOne({ kind: "invoice", transactionId: transaction._id });
+  if (existing) return { invoice: existing, buffer: null };
+
+  const number = await ensureInvoiceNumber(transaction);
+  const data = await prepareInvoiceData(transaction);
+  if (!data) return null;
+
+  return issueDocument(
+    {
+      kind: "invoice",
+      number,
+      userId: transaction.userId,
+      transactionId: transaction._id,
+      currency: data.currency,
+      total: data.total,
+      taxAmount: data.taxAmount,
+      issuedAt: data.issueDate,
+      data,
+    },
+    { kind: "invoice", transactionId: transaction._id }
+  );
+};
+
+/**
+ * Issue the combined invoice of a paid cart order, or return the one already issued.
+ * Lines of the order share its number, so their credit notes point at this invoice.
+ * @param {object|string} orderOrId
+ * @returns {Promise<{ invoice: object, buffer: Buffer|null }|null>}
+ */
+export const issueOrderInvoice = async (orderOrId) => {
+  const orderId = orderOrId._id || orderOrId;
+  const existing = await Invoice.findOne({ kind: "invoice", orderId });
+  if (existing) return { invoice: existing, buffer: null };
+
+  const order = await Order.findById(orderId);
+  if (!order) throw new NotFoundError("Order not found");
+  if (!order.invoiceNumber) throw new BadRequestError("This order has not been paid");
+
+  const lines = await Transaction.find({ orderId: order._id }).sort({ createdAt: 1 });
+  const data = lines.length ? await prepareOrderInvoiceData(order, lines) : null;
+  if (!data) return null;
+
+  return issueDocument(
+    {
+      kind: "invoice",
+      number: order.invoiceNumber,
+      userId: order.userId,
+      orderId: order._id,
+      currency: data.currency,
+      total: data.total,
+      taxAmount: data.taxAmount,
+      issuedAt: data.issueDate,
+      data,
+    },
+    { kind: "invoice", orderId: order._id }
+  );
+};
+
+/**
+ * Issue the credit note for a succeeded refund, linked to the invoice it corrects.
+ * @returns {Promise<{ invoice: object, buffer: Buffer|null }|null>}
+ */
+export const issueCreditNote = async (transaction, refund) => {
+  const existing = await Invoice.findOne({ kind: "credit_note", refundEntryId: refund._id });
+  if (existing) return { invoice: existing, buffer: null };
+
+  const original = await issueInvoice(transaction);
+  const number = await ensureCreditNoteNumber(transaction._id, refund);
+  const data = await prepareCreditNoteData(transaction, refund);
+  if (!data) return null;
+
+  return issueDocument(
+    {
+      kind: "credit_note",
+      number,
+      userId: transaction.userId,
+      transactionId: transaction._id,
+      refundEntryId: refund._id,
+      invoiceId: original?.invoice._id,
+      currency: data.currency,
+      total: data.total,
+      taxAmount: data.taxAmount,
+      issuedAt: data.issueDate,
+      data,
+    },
+    { kind: "credit_note", refundEntryId: refund._id }
+  );
+};
+
+// Email a document and record the attempt on it; throws when the mail could not be sent
+const deliverDocument = async (invoice, { buffer, to, trigger, sentBy }) => {
+  const recipient = to || invoice.data.customer.email;
+  const pdf = buffer || (await loadDocumentPdf(invoice));
+  const delivery = { to: recipient, trigger, sentBy, status: "sent" };
+  try {
+    if (invoice.kind === "credit_note") {
+      await sendCreditNoteEmail(recipient, pdf, invoice.number, invoice.data.againstInvoiceNumber);
+    } else {
+      await sendInvoiceEmail(recipient, pdf, invoice.number);
+    }
+  } catch (err) {
+    delivery.status = "failed";
+    delivery.error = err.message;
+    throw err;
+  } finally {
+    await Invoice.updateOne({ _id: invoice._id }, { $push: { deliveries: delivery } });
+  }
+  return delivery;
+};
+
+// Replayed webhooks and refunds must not email the customer twice
+const alreadySent = (invoice) => invoice.deliveries.some((d) => d.trigger === "issued" && d.status === "sent");
+
+// 🔹 Public function: issue, archive and email the invoice for a transaction
+export const processAndSendInvoice = async (transaction) => {
+  const issued = await issueInvoice(transaction);
+  if (!issued) {
     console.warn("No invoice data available, skipping invoice generation.");
     return;
   }
-  const invoiceBuffer = await generateInvoiceBuffer(invoiceData);
-  const subjct = `Invoice #${invoiceData.invoiceNumber}`
-  console.log("Generated invoice PDF buffer, size:", invoiceBuffer.length);
-  await sendInvoiceEmail(invoiceData.customer.email, invoiceBuffer, invoiceData.invoiceNumber);
-  console.log("Sent invoice email to:", invoiceData.customer.email);
+  if (alreadySent(issued.invoice)) return;
+  await deliverDocument(issued.invoice, { buffer: issued.buffer, trigger: "issued" });
+  console.log("Sent invoice email to:", issued.invoice.data.customer.email);
+};
+
+// 🔹 Public function: issue, archive and email the combined invoice for a cart order
+export const processAndSendOrderInvoice = async (order) => {
+  const issued = await issueOrderInvoice(order);
+  if (!issued) {
+    console.warn("No invoice data available for order, skipping invoice generation.");
+    return;
+  }
+  if (alreadySent(issued.invoice)) return;
+  await deliverDocument(issued.invoice, { buffer: issued.buffer, trigger: "issued" });
+  console.log("Sent order invoice email to:", issued.invoice.data.customer.email);
+};
+
+// 🔹 Public function: issue, archive and email the credit note for a refund
+export const processAndSendCreditNote = async (transaction, refund) => {
+  const issued = await issueCreditNote(transaction, refund);
+  if (!issued) {
+    console.warn("No credit note data available, skipping credit note.");
+    return;
+  }
+  if (alreadySent(issued.invoice)) return;
+  await deliverDocument(issued.invoice, { buffer: issued.buffer, trigger: "issued" });
+  console.log("Sent credit note email to:", issued.invoice.data.customer.email);
+};
+
+// ---------------------------------------------------------------------------
+// Invoice center
+// ---------------------------------------------------------------------------
+
+const withDescription = ({ data, ...invoice }) => ({ ...invoice, description: data?.items?.[0]?.description });
+
+const listInvoices = async (query, { page = 1, limit = 20, populateUser = false }) => {
+  let find = Invoice.find(query)
+    .select(`${SUMMARY_FIELDS} data.items.description`)
+    .populate("invoiceId", "number")
+    .sort({ issuedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  if (populateUser) find = find.populate("userId", "name email");
+
+  const [invoices, total] = await Promise.all([find.lean(), Invoice.countDocuments(query)]);
+  return { invoices: invoices.map(withDescription), total, page, pages: Math.ceil(total / limit) };
+};
+
+export const listUserInvoices = (userId, { kind, page, limit } = {}) =>
+  listInvoices({ userId, ...(kind && { kind }) }, { page, limit });
+
+export const listAllInvoices = ({ userId, transactionId, orderId, kind, number, page, limit } = {}) => {
+  const query = {};
+  if (userId) query.userId = userId;
+  if (transactionId) query.transactionId = transactionId;
+  if (orderId) query.orderId = orderId;
+  if (kind) query.kind = kind;
+  if (number) query.number = number;
+  return listInvoices(query, { page, limit, populateUser: true });
+};
+
+export const getInvoiceDetail = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId)
+    .populate("userId", "name email")
+    .populate("invoiceId", "number")
+    .populate("deliveries.sentBy", "name email")
+    .lean();
+  if (!invoice) throw new NotFoundError("Invoice not found");
+
+  const creditNotes =
+    invoice.kind === "invoice"
+      ? await Invoice.find({ invoiceId: invoice._id }).select(SUMMARY_FIELDS).sort({ issuedAt: 1 }).lean()
+      : [];
+  return { invoice, creditNotes };
+};
+
+/**
+ * The archived PDF of an invoice or credit note.
+ * @param {string} invoiceId
+ * @param {object} [options]
+ * @param {string} [options.userId] - restrict to the owner's documents
+ * @returns {Promise<{ filename: string, contentType: string, body: Buffer }>}
+ */
+export const exportInvoicePdf = async (invoiceId, { userId } = {}) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, ...(userId && { userId }) });
+  if (!invoice) throw new NotFoundError("Invoice not found");
+  return { filename: fileNameFor(invoice), contentType: PDF, body: await loadDocumentPdf(invoice) };
+};
+
+export const resendInvoice = async (invoiceId, { adminId, email } = {}) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) throw new NotFoundError("Invoice not found");
+  try {
+    return await deliverDocument(invoice, { to: email, trigger: "resend", sentBy: adminId });
+  } catch (err) {
+    throw new BadRequestError(`Could not send ${invoice.number}: ${err.message}`);
+  }
+};
+
+/**
+ * Issue whatever is missing for a transaction – its invoice and a credit note per succeeded refund.
+ * Nothing is emailed; use resendInvoice for that.
+ */
+export const issueTransactionDocuments = async (transactionId) => {
+  const transaction = await Transaction.findById(transactionId);
+  if (!transaction) throw new NotFoundError("Transaction not found");
+  if (!["paid", "partially_refunded", "refunded"].includes(transaction.status)) {
+    throw new BadRequestError(`A ${transaction.status} transaction has no invoice`);
+  }
+
+  const issued = await issueInvoice(transaction);
+  if (!issued) throw new BadRequestError("The customer for this transaction no longer exists");
+
+  const creditNotes = [];
+  for (const refund of transaction.refunds.filter((r) => r.status === "succeeded")) {
+    const note = await issueCreditNote(transaction, refund);
+    if (note) creditNotes.push(note.invoice);
+  }
+  return { invoice: issued.invoice, creditNotes };
 };
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import { Transaction } from "../models/Transaction.js";
+import { LedgerEntry } from "../models/LedgerEntry.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { subscribeToOutbox } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import { proportionalTax } from "./taxService.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+import logger from "../utils/logger.js";
+
+// Platform's cut of what's left after tax and gateway fees
+export const PLATFORM_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 20);
+// Used when the gateway didn't report its fee on the transaction (metadata.gatewayFee)
+export const GATEWAY_FEE_PERCENT = { stripe: 2.9, razorpay: 2, paypal: 3.49, mock: 0 };
+
+const POSTABLE_STATUSES = ["paid", "partially_refunded", "refunded"];
+const SWEEP_BATCH_SIZE = 500;
+
+const line = (account, { debit = 0, credit = 0 }) => ({ account, debit, credit });
+
+/**
+ * Split a paid transaction into tax, gateway fee, platform share and artist share.
+ * The gateway fee comes off before the split, so the artist carries their part of it.
+ */
+export const computeSaleBreakdown = (transaction) => {
+  const { currency } = transaction;
+  const round = (n) => formatAmount(n, currency);
+
+  const gross = round(transaction.amount || 0);
+  const tax = round(transaction.tax?.amount || 0); // worked out at checkout (services/taxService.js)
+  const reportedFee = Number(transaction.metadata?.gatewayFee);
+  const gatewayFee = round(
+    Number.isFinite(reportedFee) ? reportedFee : (gross * (GATEWAY_FEE_PERCENT[transaction.gateway] || 0)) / 100
+  );
+  const net = Math.max(gross - tax - gatewayFee, 0);
+  const platformShare = round((net * PLATFORM_COMMISSION_PERCENT) / 100);
+  const artistShare = round(net - platformShare);
+
+  return { gross, gatewayFee, tax, platformShare, artistShare };
+};
+
+// The platform collects the fee out of the split and pays it: platform_revenue − gateway_fees = its share.
+// platform_revenue takes the rounding remainder so the entry always balances.
+const saleLines = ({ gross, gatewayFee, tax, artistShare }, currency) =>
+  [
+    line("gateway_clearing", { debit: formatAmount(gross - gatewayFee, currency) }),
+    line("gateway_fees", { debit: gatewayFee }),
+    line("tax_payable", { credit: tax }),
+    line("platform_revenue", { credit: formatAmount(gross - tax - artistShare, currency) }),
+    line("artist_payable", { credit: artistShare }),
+  ].filter((l) => l.debit || l.credit);
+
+// Insert the entry and flag its source in one transaction; a duplicate key means it was already posted
+const postEntry = async (entry, markPosted) => {
+  try {
+    return await withTransaction(async (session) => {
+      const [created] = await LedgerEntry.create([entry], { session });
+      await markPosted(session);
+      return created;
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await markPosted(null);
+    return null;
+  }
+};
+
+/**
+ * Post the sale entry for a paid transaction. Safe to call repeatedly.
+ * @param {string|object} transactionOrId
+ * @returns {Promise<object|null>} the LedgerEntry, or null if there was nothing to post
+ */
+export const postSaleEntry = async (transactionOrId) => {
+  const transaction =
+    transactionOrId instanceof mongoose.Model ? transactionOrId : await Transaction.findById(transactionOrId);
+  if (!transaction || !POSTABLE_STATUSES.includes(transaction.status) || transaction.ledgerPostedAt) return null;
+
+  const breakdown = computeSaleBreakdown(transaction);
+  const entry = await postEntry(
+    {
+      kind: "sale",
+      key: `sale:${transaction._id}`,
+      artistId: transaction.artistId,
+      transactionId: transaction._id,
+      itemType: transaction.itemType,
+      gateway: transaction.gateway,
+      currency: transaction.currency,
+      occurredAt: transaction.updatedAt || transaction.createdAt, // when it was marked paid
+      breakdown,
+      tax: transaction.tax?.lines?.length
+        ? {
+            country: transaction.tax.country,
+            state: transaction.tax.state,
+            regime: transaction.tax.regime,
+            lines: transaction.tax.lines,
+          }
+        : undefined,
+      lines: saleLines(breakdown, transaction.currency),
+    },
+    (session) =>
+      Transaction.updateOne({ _id: transaction._id }, { $set: { ledgerPostedAt: new Date() } }, { session })
+  );
+  if (entry) logger.info(`📒 Posted sale ${transaction._id}: artist share ${breakdown.artistShare} ${transaction.currency}`);
+  return entry;
+};
+
+/**
+ * Reverse the refunded part of a sale, in the proportions the sale was split.
+ * Gateways keep their fee on refunds, so the fee expense is not reversed.
+ * @param {string} transactionId
+ * @param {string} refundEntryId - Transaction.refunds[]._id
+ */
+export const postRefundEntry = async (transactionId, refundEntryId) => {
+  const transaction = await Transaction.findById(transactionId);
+  const refund = transaction?.refunds.id(refundEntryId);
+  if (!refund || refund.status !== "succeeded" || refund.ledgerPostedAt) return null;
+
+  // Refunds reverse the sale entry, so that has to exist first
+  await postSaleEntry(transaction);
+  const sale = await LedgerEntry.findOne({ key: `sale:${transaction._id}` }).lean();
+  if (!sale || !sale.breakdown.gross) return null;
+
+  const round = (n) => formatAmount(n, transaction.currency);
+  const ratio = Math.min(refund.amount / sale.breakdown.gross, 1);
+  const amount = round(refund.amount);
+  const { amount: tax, lines: taxLines } = proportionalTax(
+    { amount: sale.breakdown.tax, lines: sale.tax?.lines || [] },
+    ratio,
+    transaction.currency
+  );
+  const artistShare = round(sale.breakdown.artistShare * ratio);
+  const platformReversal = round(amount - tax - artistShare);
+
+  const entry = await postEntry(
+    {
+      kind: "refund",
+      key: `refund:${transaction._id}:${refund._id}`,
+      artistId: transaction.artistId,
+      transactionId: transaction._id,
+      refundEntryId: refund._id,
+      itemType: transaction.itemType,
+      gateway: transaction.gateway,
+      currency: transaction.currency,
+      occurredAt: refund.completedAt || new Date(),
+      breakdown: {
+        gross: -amount,
+        gatewayFee: 0,
+        tax: -tax,
+        platformShare: -round(sale.breakdown.platformShare * ratio),
+        artistShare: -artistShare,
+      },
+      tax: taxLines.length
+        ? { ...sale.tax, lines: taxLines.map((l) => ({ ...l, amount: -l.amount })) }
+        : undefined,
+      lines: [
+        line("tax_payable", { debit: tax }),
+        line("platform_revenue", { debit: platformReversal }),
+        line("artist_payable", { debit: artistShare }),
+        line("gateway_clearing", { credit: amount }),
+      ].filter((l) => l.debit || l.credit),
+    },
+    (session) =>
+      Transaction.updateOne(
+        { _id: transaction._id, "refunds._id": refund._id },
+        { $set: { "refunds.$.ledgerPostedAt": new Date() } },
+        { session }
+      )
+  );
+  if (entry) logger.info(`📒 Posted refund ${refund._id} on ${transaction._id}: ${amount} ${transaction.currency}`);
+  return entry;
+};
+
+/**
+ * Catch-up for anything the outbox subscribers didn't post: sales paid through paths
+ * that publish no event (plan changes), history from before the ledger existed, failures.
+ * @returns {Promise<{ sales: number, refunds: number, failed: number }>}
+ */
+export const postMissingLedgerEntries = async ({ limit = SWEEP_BATCH_SIZE } = {}) => {
+  const result = { sales: 0, refunds: 0, failed: 0 };
+  const attempt = async (label, post) => {
+    try {
+      if (await post()) return true;
+    } catch (err) {
+      result.failed += 1;
+      logger.error(`❌ Ledger posting failed for ${label}: ${err.message}`);
+    }
+    return false;
+  };
+
+  const unposted = await Transaction.find({ status: { $in: POSTABLE_STATUSES }, ledgerPostedAt: null })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+  for (const transaction of unposted) {
+    if (await attempt(`sale ${transaction._id}`, () => postSaleEntry(transaction))) result.sales += 1;
+  }
+
+  const withRefunds = await Transaction.find({
+    refunds: { $elemMatch: { status: "succeeded", ledgerPostedAt: null } },
+  })
+    .select("refunds")
+    .limit(limit)
+    .lean();
+  for (const transaction of withRefunds) {
+    for (const refund of transaction.refunds) {
+      if (refund.status !== "succeeded" || refund.ledgerPostedAt) continue;
+      if (await attempt(`refund ${refund._id}`, () => postRefundEntry(transaction._id, refund._id))) {
+        result.refunds += 1;
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Revenue for one artist from the ledger, per currency and item type, net of refunds.
+ * @param {string} artistId
+ * @param {object} [range] - { from, to } on when the sale / refund happened
+ */
+export const getArtistRevenue = async (artistId, { from, to } = {}) => {
+  const match = { artistId: new mongoose.Types.ObjectId(String(artistId)), kind: { $in: ["sale", "refund"] } };
+  if (from || to) {
+    match.occurredAt = {};
+    if (from) match.occurredAt.$gte = new Date(from);
+    if (to) match.occurredAt.$lt = new Date(to);
+  }
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { currency: "$currency", itemType: "$itemType" },
+        sales: { $sum: { $cond: [{ $eq: ["$kind", "sale"] }, 1, 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ["$kind", "refund"] }, 1, 0] } },
+        gross: { $sum: "$breakdown.gross" },
+        gatewayFees: { $sum: "$breakdown.gatewayFee" },
+        tax: { $sum: "$breakdown.tax" },
+        platformShare: { $sum: "$breakdown.platformShare" },
+        artistShare: { $sum: "$breakdown.artistShare" },
+      },
+    },
+    { $sort: { "_id.currency": 1, "_id.itemType": 1 } },
+  ]);
+
+  const byCurrency = new Map();
+  for (const { _id, ...totals } of rows) {
+    const round = (n) => formatAmount(n, _id.currency);
+    const summary = byCurrency.get(_id.currency) || {
+      currency: _id.currency,
+      sales: 0,
+      refunds: 0,
+      gross: 0,
+      gatewayFees: 0,
+      tax: 0,
+      platformShare: 0,
+      artistShare: 0,
+      byItemType: {},
+    };
+    for (const key of ["sales", "refunds", "gross", "gatewayFees", "tax", "platformShare", "artistShare"]) {
+      summary[key] = round(summary[key] + totals[key]);
+    }
+    summary.byItemType[_id.itemType] = Object.fromEntries(
+      Object.entries(totals).map(([key, value]) => [key, ["sales", "refunds"].includes(key) ? value : round(value)])
+    );
+    byCurrency.set(_id.currency, summary);
+  }
+  return [...byCurrency.values()];
+};
+
+// 📤 Post as soon as the payment / refund commits; the ledger sweep catches the rest
+export const registerLedgerSubscribers = () => {
+  const postSale = async ({ transactionId }) => {
+    if (transactionId) await postSaleEntry(transactionId);
+  };
+  subscribeToOutbox(PAYMENT_EVENTS.PURCHASE_COMPLETED, "ledger", postSale);
+  subscribeToOutbox(PAYMENT_EVENTS.SUBSCRIPTION_CREATED, "ledger", postSale);
+  subscribeToOutbox(PAYMENT_EVENTS.REFUND_ISSUED, "ledger", async ({ transactionId, refundEntryId }) => {
+    if (refundEntryId) await postRefundEntry(transactionId, refundEntryId);
+  });
+};
@@ -0,0 +1,99 @@
+import { User } from "../models/User.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { SUPPORTED_CURRENCIES } from "../utils/convertCurrencies.js";
+import { resolveBuyerLocation } from "../utils/geoIp.js";
+
+// ---------------------------
+// 🌍 Pricing locale: which country a user buys from and which currency they see.
+// Country (regional prices): checkout billing address → CDN header / IP database – never the
+// self-declared profile. Currency: profile preferredCurrency → profile billingCountry's currency
+// → the country's currency → DEFAULT_CURRENCY.
+// ---------------------------
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "USD").toUpperCase();
+
+const EURO_COUNTRIES = [
+  "AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR", "IE",
+  "IT", "LT", "LU", "LV", "MT", "NL", "PT", "SI", "SK",
+];
+
+const COUNTRY_CURRENCIES = {
+  IN: "INR",
+  GB: "GBP",
+  JP: "JPY",
+  US: "USD",
+  ...Object.fromEntries(EURO_COUNTRIES.map((country) => [country, "EUR"])),
+};
+
+/** Supported currency a country pays in – DEFAULT_CURRENCY when we don't sell in its own */
+export const currencyForCountry = (country) => {
+  const currency = COUNTRY_CURRENCIES[country];
+  return currency && SUPPORTED_CURRENCIES.includes(currency) ? currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * The caller's pricing locale, cached on the request.
+ * @param {import("express").Request} req - req.user is used when authenticated
+ * @returns {{ country: string|null, currency: string,
+ *   countrySource: "billing"|"ip"|null, currencySource: "profile"|"country"|"default" }}
+ */
+export const resolveUserLocale = (req) => {
+  if (req.pricingLocale) return req.pricingLocale;
+
+  const { billingCountry, preferredCurrency } = req.user || {};
+  const location = resolveBuyerLocation(req);
+  const country = location?.country || null;
+
+  let currency = DEFAULT_CURRENCY;
+  let currencySource = "default";
+  if (preferredCurrency && SUPPORTED_CURRENCIES.includes(preferredCurrency)) {
+    currency = preferredCurrency;
+    currencySource = "profile";
+  } else if (billingCountry) {
+    currency = currencyForCountry(billingCountry);
+    currencySource = "profile";
+  } else if (country) {
+    currency = currencyForCountry(country);
+    currencySource = "country";
+  }
+
+  req.pricingLocale = {
+    country,
+    currency,
+    countrySource: location?.source || null,
+    currencySource,
+  };
+  return req.pricingLocale;
+};
+
+/**
+ * Save the user's billing country and / or preferred currency; null clears a field.
+ * Both only choose the display currency – regional prices follow the buyer's real location.
+ */
+export const updateUserLocale = async (userId, { billingCountry, preferredCurrency }) => {
+  const $set = {};
+  const $unset = {};
+  if (billingCountry !== undefined) {
+    if (billingCountry === null) $unset.billingCountry = 1;
+    else $set.billingCountry = billingCountry.toUpperCase();
+  }
+  if (preferredCurrency !== undefined) {
+    if (preferredCurrency === null) {
+      $unset.preferredCurrency = 1;
+    } else {
+      const currency = preferredCurrency.toUpperCase();
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw new BadRequestError(`Unsupported currency: ${preferredCurrency}. Supported: ${SUPPORTED_CURRENCIES.join(", ")}`);
+      }
+      $set.preferredCurrency = currency;
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { ...(Object.keys($set).length && { $set }), ...(Object.keys($unset).length && { $unset }) },
+    { new: true, runValidators: true }
+  ).select("billingCountry preferredCurrency");
+  if (!user) throw new NotFoundError("User not found");
+  return user;
+};
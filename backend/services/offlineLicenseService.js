@@ -0,0 +1,172 @@
+import jwt from "jsonwebtoken";
+import { OfflineLicense } from "../models/OfflineLicense.js";
+import { Song } from "../models/Song.js";
+import { User } from "../models/User.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { canStreamSong } from "../helpers/accessControl.js";
+import { getSignedCloudFrontUrl } from "../utils/cloudfront.js";
+import { ConflictError, NotFoundError, UnauthorizedError } from "../errors/index.js";
+
+export const OFFLINE_LICENSE_DAYS = Number(process.env.OFFLINE_LICENSE_DAYS) || 30;
+export const OFFLINE_MAX_DEVICES = Number(process.env.OFFLINE_MAX_DEVICES) || 3;
+export const OFFLINE_MAX_TRACKS_PER_DEVICE = Number(process.env.OFFLINE_MAX_TRACKS_PER_DEVICE) || 500;
+// Download URLs only need to live long enough to fetch the files
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 60;
+
+// A key of its own – a leaked license secret must not be able to mint session tokens, or the reverse
+const licenseSecret = () => {
+  const secret = process.env.OFFLINE_LICENSE_SECRET;
+  if (!secret) throw new Error("OFFLINE_LICENSE_SECRET is not set");
+  if (secret === process.env.jwt_secret) throw new Error("OFFLINE_LICENSE_SECRET must differ from jwt_secret");
+  return secret;
+};
+
+const nextExpiry = () => new Date(Date.now() + OFFLINE_LICENSE_DAYS * 24 * 60 * 60 * 1000);
+
+// Device-bound token the player checks before decrypting / playing the download
+const signLicense = (license) =>
+  jwt.sign(
+    {
+      lid: license._id.toString(),
+      song: license.songId.toString(),
+      dev: license.deviceId,
+    },
+    licenseSecret(),
+    {
+      subject: license.userId.toString(),
+      expiresIn: Math.max(1, Math.floor((license.expiresAt - Date.now()) / 1000)),
+    }
+  );
+
+const shapeLicense = (license) => ({
+  licenseId: license._id,
+  songId: license.songId,
+  deviceId: license.deviceId,
+  expiresAt: license.expiresAt,
+  token: signLicense(license),
+});
+
+// Runs in the issuing transaction; see issueOfflineLicense for why it can't race
+const enforceCaps = async (userId, deviceId, session) => {
+  // Lapsed licenses stay "active" until that device checks in again – they hold no slot
+  const live = { userId, status: "active", expiresAt: { $gt: new Date() } };
+  const devices = await OfflineLicense.distinct("deviceId", live).session(session);
+  if (!devices.includes(deviceId) && devices.length >= OFFLINE_MAX_DEVICES) {
+    throw new ConflictError(
+      `Offline downloads are limited to ${OFFLINE_MAX_DEVICES} devices. Remove downloads from another device first.`,
+      { code: "OFFLINE_DEVICE_LIMIT", limit: OFFLINE_MAX_DEVICES, devices }
+    );
+  }
+
+  const tracks = await OfflineLicense.countDocuments({ ...live, deviceId }).session(session);
+  if (tracks >= OFFLINE_MAX_TRACKS_PER_DEVICE) {
+    throw new ConflictError(
+      `This device already holds ${OFFLINE_MAX_TRACKS_PER_DEVICE} downloaded tracks.`,
+      { code: "OFFLINE_TRACK_LIMIT", limit: OFFLINE_MAX_TRACKS_PER_DEVICE, deviceId }
+    );
+  }
+};
+
+/**
+ * Issue (or re-issue) an offline license for a song on one device.
+ * @returns {Promise<{ license, downloadUrl }>}
+ */
+export const issueOfflineLicense = async ({ userId, songId, deviceId, deviceName = "" }) => {
+  const allowed = await canStreamSong(userId, songId);
+  if (!allowed) throw new UnauthorizedError("You do not have access to download this song.");
+
+  const song = await Song.findById(songId).select("audioKey hlsReady").lean();
+  if (!song || !song.audioKey) throw new NotFoundError("Song not found or missing audio key.");
+
+  let license = await OfflineLicense.findOne({ userId, songId, deviceId, status: "active" });
+  if (license) {
+    license.expiresAt = nextExpiry();
+    license.lastCheckInAt = new Date();
+    await license.save();
+  } else {
+    // Every new license first writes the user document, so two downloads racing on
+    // different devices hit a write conflict and the retried one sees the other's license
+    license = await withTransaction(async (session) => {
+      await User.updateOne({ _id: userId }, { $currentDate: { offlineLicensesChangedAt: true } }, { session });
+      await enforceCaps(userId, deviceId, session);
+      const [created] = await OfflineLicense.create(
+        [{ userId, songId, deviceId, deviceName, expiresAt: nextExpiry() }],
+        { session }
+      );
+      return created;
+    });
+  }
+
+  return {
+    license: shapeLicense(license),
+    downloadUrl: await getSignedCloudFrontUrl(song.audioKey, DOWNLOAD_URL_TTL_SECONDS),
+  };
+};
+
+const revoke = async (license, reason, status = "revoked") => {
+  license.status = status;
+  license.revokedAt = new Date();
+  license.revokedReason = reason;
+  await license.save();
+  return { licenseId: license._id, songId: license.songId, reason };
+};
+
+/**
+ * Periodic device check-in: renew licenses the user still has access to,
+ * revoke the rest (lapsed subscription, refunded purchase, removed song).
+ * Licenses that expired without a check-in are revoked too.
+ * @returns {Promise<{ renewed: object[], revoked: object[] }>}
+ */
+export const checkInDevice = async ({ userId, deviceId }) => {
+  const licenses = await OfflineLicense.find({ userId, deviceId, status: "active" });
+
+  const renewed = [];
+  const revoked = [];
+  for (const license of licenses) {
+    if (license.expiresAt <= new Date()) {
+      revoked.push(await revoke(license, "expired", "expired"));
+      continue;
+    }
+
+    const songExists = await Song.exists({ _id: license.songId });
+    if (!songExists) {
+      revoked.push(await revoke(license, "song_unavailable"));
+      continue;
+    }
+
+    if (!(await canStreamSong(userId, license.songId))) {
+      revoked.push(await revoke(license, "access_lapsed"));
+      continue;
+    }
+
+    license.expiresAt = nextExpiry();
+    license.lastCheckInAt = new Date();
+    await license.save();
+    renewed.push(shapeLicense(license));
+  }
+
+  return { renewed, revoked };
+};
+
+/**
+ * Active licenses of a user, optionally for one device.
+ */
+export const listOfflineLicenses = async ({ userId, deviceId }) => {
+  const query = { userId, status: "active", expiresAt: { $gt: new Date() } };
+  if (deviceId) query.deviceId = deviceId;
+
+  return OfflineLicense.find(query)
+    .sort({ createdAt: -1 })
+    .populate({ path: "songId", select: "title slug coverImage duration" })
+    .lean();
+};
+
+/**
+ * The user deleted a download – frees the slot on that device.
+ */
+export const removeOfflineLicense = async ({ userId, licenseId }) => {
+  const license = await OfflineLicense.findOne({ _id: licenseId, userId, status: "active" });
+  if (!license) throw new NotFoundError("Offline license not found");
+
+  return revoke(license, "removed_by_user");
+};
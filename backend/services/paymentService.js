@@ -1,75 +1,252 @@
 import { Transaction } from "../models/Transaction.js";
 import { User } from "../models/User.js";
 import { Subscription } from "../models/Subscription.js";
+import { Order } from "../models/Order.js";
+import { Cart } from "../models/Cart.js";
 import { getNextInvoiceNumber } from "../utils/invoiceNumber.js";
+import { confirmCouponRedemption } from "./couponService.js";
+import { lockRate } from "./fxService.js";
+import { toMinorUnits } from "../utils/convertCurrencies.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
 
 const subscriptionDuration = {
   "1m": 30,   // 30 days
   "3m": 90,   // 90 days
   "6m": 180   // 180 days
 };
-// ✅ Mark transaction as paid
-export const markTransactionPaid = async ({
+// 🔍 Query on the gateway reference the provider stored at checkout (Transaction and Order use the same fields)
+const gatewayReferenceQuery = ({
   gateway,
   paymentId,
   razorpayOrderId,
   paymentIntentId,
   stripeSubscriptionId,
   subscriptionId,
+  mockOrderId,
 }) => {
-  let query = {};
-  console.log("🔍 Marking transaction as paid:")
-console.log({ gateway, paymentId, razorpayOrderId, paymentIntentId, stripeSubscriptionId, subscriptionId });
-console.log("Searching with query:", query);
+  if (gateway === "stripe") {
+    if (stripeSubscriptionId) return { stripeSubscriptionId };
+    return { paymentIntentId };
+  }
+  if (gateway === "razorpay") {
+    if (subscriptionId) return { "metadata.razorpaySubscriptionId": subscriptionId };
+    if (razorpayOrderId) return { razorpayOrderId };
+    if (paymentId) return { paymentId };
+  }
+  if (gateway === "paypal") {
+    if (subscriptionId) return { "metadata.paypalSubscriptionId": subscriptionId };
+    if (paymentId) return { paypalOrderId: paymentId };
+  }
+  if (gateway === "mock") {
+    if (subscriptionId) return { "metadata.mockSubscriptionId": subscriptionId };
+    if (mockOrderId) return { "metadata.mockOrderId": mockOrderId };
+  }
+  return {};
+};
+
+// ✅ Mark transaction as paid and unlock the purchase – both commit together, so a failed
+// attempt leaves it pending and the webhook retry does the whole thing again
+export const markTransactionPaid = async ({
+  chargeId, // gateway charge / capture ID – kept for refunds
+  ...reference
+}) => {
+  const { gateway } = reference;
+  console.log("🔍 Marking transaction as paid:", reference);
   if (!gateway) {
     console.warn("⚠️ No payment gateway provided. Cannot mark transaction as paid.");
     return null;
   }
-  if (gateway === "stripe") {
-    if (stripeSubscriptionId) {
-      query = { stripeSubscriptionId };
-    } else {
-      query = { paymentIntentId };
-    }
-  } else if(gateway === "razorpay") {
-    if (subscriptionId) {
-      query = { "metadata.razorpaySubscriptionId": subscriptionId };
-    } else if (razorpayOrderId) {
-      query = { razorpayOrderId };
-    } else if (paymentId) {
-      query = { paymentId }; 
-    }
-  }
-  else if (gateway === "paypal") {
-    if (subscriptionId) {
-      query = { "metadata.paypalSubscriptionId": subscriptionId };
-    } else if (paymentId) {
-      query = { paypalOrderId:paymentId };
-    }
+
+  const query = gatewayReferenceQuery(reference);
+  console.log("Final query for transaction:", query);
+  if (!Object.values(query).some(Boolean)) {
+    console.warn("⚠️ No gateway reference provided. Cannot mark transaction as paid.");
+    return null;
   }
-console.log("Final query for transaction:", query);
 
-  const transaction = await Transaction.findOne(query);
+  // Lines of a cart order are only settled together, through markOrderPaid
+  const transaction = await Transaction.findOne({ ...query, orderId: { $exists: false } });
   console.log("Found transaction:", transaction);
   if (!transaction || transaction.status === "paid") {
     console.warn("⚠️ Transaction not found or already marked as paid");
-    
-    
     return null;
   }
 
-  transaction.status = "paid";
-  const invoiceNumber = await getNextInvoiceNumber();
-// Save invoiceNumber in Transaction document
-transaction.invoiceNumber = invoiceNumber;
-  await transaction.save();
-  return transaction;
+  if (chargeId) transaction.paymentId = chargeId;
+  const fx = await lockRate(transaction.currency); // the rate on the day it was paid, not the day checkout began
+  const grant = await prepareAccessGrant(
+    transaction,
+    reference.subscriptionId || reference.stripeSubscriptionId || chargeId || reference.paymentId
+  );
+
+  const settled = await withTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $ne: "paid" } },
+      { $set: { status: "paid", ...(fx && { fx }), ...(chargeId && { paymentId: chargeId }) } },
+      { new: true, session }
+    );
+    if (!claimed) return null; // a concurrent delivery got there first
+
+    // Numbered only once the claim is ours, in the same session – duplicates never burn a number
+    const paid = await Transaction.findByIdAndUpdate(
+      claimed._id,
+      { $set: { invoiceNumber: await getNextInvoiceNumber(session) } },
+      { new: true, session }
+    );
+    await applyAccessGrant(paid, grant, session);
+    await confirmCouponRedemption(paid, session);
+    return paid;
+  });
+  return settled;
 };
 
+/**
+ * First charge of a subscription whose checkout was already marked paid without one
+ * (PayPal activates the subscription before its first sale completes). The charge is kept on
+ * the checkout transaction and as the subscription's last renewal, so it is never taken for
+ * a renewal that extends the period a second time.
+ * @param {object} params - { gateway, subscriptionId, chargeId }
+ * @returns {Promise<object|null>} the transaction, or null when this isn't the first charge
+ */
+export const recordFirstSubscriptionCharge = async ({ gateway, subscriptionId, chargeId }) => {
+  const query = gatewayReferenceQuery({ gateway, subscriptionId });
+  if (!chargeId || !Object.values(query).some(Boolean)) return null;
 
-// ✅ Update user after payment
-export const updateUserAfterPurchase = async (transaction, paymentId) => {
+  const transaction = await Transaction.findOne({ ...query, status: "paid", paymentId: { $in: [null, ""] } });
+  if (!transaction) return null;
+
+  // Only a charge inside the first billing period can be the first one
+  const days = subscriptionDuration[transaction.metadata?.cycle] || 30;
+  if (Date.now() > transaction.createdAt.getTime() + days * 24 * 60 * 60 * 1000) return null;
+
+  return withTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, paymentId: { $in: [null, ""] } },
+      { $set: { paymentId: chargeId } },
+      { new: true, session }
+    );
+    if (!claimed) return null; // a concurrent delivery got there first
+    await Subscription.updateOne(
+      { transactionId: claimed._id },
+      { $set: { lastRenewalChargeId: chargeId } },
+      { session }
+    );
+    return claimed;
+  });
+};
+
+// 🛒 What the gateway says it took must be the order total, in the order's currency
+const matchesOrderTotal = (order, amount, currency) => {
+  if (amount === undefined || amount === null) return true; // gateway didn't say – nothing to compare
+  if (currency && currency.toUpperCase() !== order.currency?.toUpperCase()) return false;
+  return toMinorUnits(Number(amount), order.currency) === toMinorUnits(order.amount, order.currency);
+};
+
+/**
+ * Settle a cart order: one gateway payment pays every line. Each line is marked paid under the
+ * order's invoice number and unlocked for the buyer in one database transaction, and the items
+ * leave their cart. Safe to run again for a replayed webhook – a line paid but never unlocked
+ * (crash mid-way) is finished, lines already unlocked are skipped.
+ * A payment that doesn't cover the order total is flagged on the order and unlocks nothing.
+ * @param {object} reference - same gateway reference as markTransactionPaid
+ * @param {number} [reference.amount] - what the gateway charged, in major units
+ * @param {string} [reference.currency]
+ * @returns {Promise<object|null>} the order (status "paid" once settled), or null when the payment isn't for a cart order
+ */
+export const markOrderPaid = async ({ chargeId, amount, currency, ...reference }) => {
+  const query = gatewayReferenceQuery(reference);
+  if (!Object.values(query).some(Boolean)) return null;
+
+  const order = await Order.findOne({ ...query, gateway: reference.gateway });
+  if (!order) return null;
+
+  if (!matchesOrderTotal(order, amount, currency)) {
+    console.error(
+      `❌ Order ${order._id} charged ${amount} ${currency || ""} but totals ${order.amount} ${order.currency} – not unlocking`
+    );
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "metadata.paymentMismatch": { amount, currency, chargeId, at: new Date() } } }
+    );
+    return order;
+  }
+
+  // Numbered once, even if two deliveries of the same event race
+  if (!order.invoiceNumber) {
+    const candidate = await getNextInvoiceNumber();
+    await Order.updateOne({ _id: order._id, invoiceNumber: { $in: [null, ""] } }, { $set: { invoiceNumber: candidate } });
+  }
+  // A failed order can still be paid (e.g. a Stripe retry with another card); a paid one is only resumed
+  const paid =
+    (await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: ["pending", "failed"] } },
+      { $set: { status: "paid", ...(chargeId && { paymentId: chargeId }) }, $min: { paidAt: new Date() } },
+      { new: true }
+    )) || (await Order.findOne({ _id: order._id, status: "paid" }));
+  if (!paid) return order;
+
+  const fx = await lockRate(paid.currency);
+  const lineFilter = {
+    orderId: paid._id,
+    accessGrantedAt: { $exists: false },
+    status: { $in: ["pending", "failed", "paid"] },
+  };
+  const open = await Transaction.find(lineFilter);
+  let unlocked = 0;
+  for (const line of open) {
+    const grant = await prepareAccessGrant(line, chargeId || paid.paymentId || paid._id.toString());
+    const settled = await withTransaction(async (session) => {
+      const paidLine = await Transaction.findOneAndUpdate(
+        { ...lineFilter, _id: line._id },
+        {
+          $set: {
+            status: "paid",
+            invoiceNumber: paid.invoiceNumber,
+            ...(fx && !line.fx?.rate && { fx }),
+            ...((chargeId || paid.paymentId) && { paymentId: chargeId || paid.paymentId }),
+          },
+        },
+        { new: true, session }
+      );
+      if (!paidLine) return false; // a concurrent delivery got there first
+      await applyAccessGrant(paidLine, grant, session);
+      return true;
+    });
+    if (settled) unlocked += 1;
+  }
+
+  await Cart.updateOne(
+    { userId: paid.userId },
+    { $pull: { items: { itemId: { $in: paid.items.map((item) => item.itemId) } } } }
+  );
+  console.log(`✅ Order ${paid._id} paid – ${unlocked} item(s) unlocked`);
+  return paid;
+};
+
+/**
+ * Mark a pending cart order and its lines failed (the cart is left as it was).
+ * @returns {Promise<object|null>} the order, or null when the payment isn't for a cart order
+ */
+export const markOrderFailed = async (reference) => {
+  const query = gatewayReferenceQuery(reference);
+  if (!Object.values(query).some(Boolean)) return null;
+
+  const order = await Order.findOne({ ...query, gateway: reference.gateway });
+  if (!order || order.status !== "pending") return order;
+
+  order.status = "failed";
+  await order.save();
+  await Transaction.updateMany({ orderId: order._id, status: "pending" }, { $set: { status: "failed" } });
+  return order;
+};
+
+
+// 🔑 What a paid transaction unlocks – built before the database transaction (Stripe lookup)
+const prepareAccessGrant = async (transaction, paymentId) => {
   const updateOps = {};
+  let subscriptionUpdate = null;
 
   // ✅ Push purchaseHistory entry (no duplicates)
   updateOps.$push = {
@@ -100,6 +277,7 @@ export const updateUserAfterPurchase = async (transaction, paymentId) => {
         transaction.metadata?.externalSubscriptionId ??
         transaction.metadata?.razorpaySubscriptionId ??
         transaction.metadata?.paypalSubscriptionId ??
+        transaction.metadata?.mockSubscriptionId ??
         transaction.stripeSubscriptionId ??
         transaction.paymentIntentId ??
         transaction.razorpayOrderId ??
@@ -118,20 +296,16 @@ export const updateUserAfterPurchase = async (transaction, paymentId) => {
         }
       }
 
-      // ✅ Upsert subscription
-      await Subscription.findOneAndUpdate(
-        { userId: transaction.userId, artistId: transaction.artistId },
-        {
-          status: "active",
-          validUntil,
-          gateway: transaction.gateway,
-          externalSubscriptionId: fallbackExternalId,
-          transactionId: transaction._id,
-        },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
-
-      console.log("✅ Subscription created/updated for artist:", transaction.artistId);
+      subscriptionUpdate = {
+        status: "active",
+        validUntil,
+        pastDueSince: null, // a trial's first charge can succeed on a dunning retry
+        graceUntil: null,
+        lastRenewalChargeId: transaction.paymentId || null, // a redelivery is not a renewal
+        gateway: transaction.gateway,
+        externalSubscriptionId: fallbackExternalId,
+        transactionId: transaction._id,
+      };
       break;
     }
 
@@ -139,8 +313,64 @@ export const updateUserAfterPurchase = async (transaction, paymentId) => {
       console.warn("⚠️ Unknown itemType:", transaction.itemType);
   }
 
-  // ✅ Atomic update instead of load+save
-  const user = await User.findByIdAndUpdate(transaction.userId, updateOps, { new: true });
+  return { updateOps, subscriptionUpdate };
+};
+
+// ✅ Access and the outbox event, written with the caller's session.
+// accessGrantedAt is claimed first, so running it twice for one transaction changes nothing.
+const applyAccessGrant = async (transaction, { updateOps, subscriptionUpdate }, session) => {
+  const claim = await Transaction.updateOne(
+    { _id: transaction._id, accessGrantedAt: { $exists: false } },
+    { $set: { accessGrantedAt: new Date() } },
+    { session }
+  );
+  if (!claim.modifiedCount) return { alreadyGranted: true };
+
+  const updatedUser = await User.findByIdAndUpdate(transaction.userId, updateOps, { new: true, session });
+  if (!updatedUser) return { user: null };
+
+  if (subscriptionUpdate) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { userId: transaction.userId, artistId: transaction.artistId },
+      subscriptionUpdate,
+      { upsert: true, new: true, setDefaultsOnInsert: true, session }
+    );
+    await publishEvent(
+      PAYMENT_EVENTS.SUBSCRIPTION_CREATED,
+      {
+        subscriptionId: subscription._id,
+        userId: transaction.userId,
+        artistId: transaction.artistId,
+        transactionId: transaction._id,
+        cycle: transaction.metadata?.cycle,
+        validUntil: subscription.validUntil,
+      },
+      { session }
+    );
+    console.log("✅ Subscription created/updated for artist:", transaction.artistId);
+  } else if (["song", "album"].includes(transaction.itemType)) {
+    await publishEvent(
+      PAYMENT_EVENTS.PURCHASE_COMPLETED,
+      {
+        transactionId: transaction._id,
+        userId: transaction.userId,
+        itemId: transaction.itemId,
+        itemType: transaction.itemType,
+        amount: transaction.amount,
+        currency: transaction.currency,
+      },
+      { session }
+    );
+  }
+  return { user: updatedUser };
+};
+
+// ✅ Update user after payment – for transactions marked paid elsewhere (safe to call again)
+export const updateUserAfterPurchase = async (transaction, paymentId) => {
+  const grant = await prepareAccessGrant(transaction, paymentId);
+  const { user, alreadyGranted } = await withTransaction((session) => applyAccessGrant(transaction, grant, session));
+
+  if (alreadyGranted) return true;
   if (!user) {
     console.warn("❌ User not found for transaction:", transaction._id);
     return false;
@@ -149,4 +379,3 @@ export const updateUserAfterPurchase = async (transaction, paymentId) => {
   console.log("✅ User updated:", user._id);
   return true;
 };
-
@@ -0,0 +1,245 @@
+import { LedgerEntry } from "../models/LedgerEntry.js";
+import { PayoutStatement } from "../models/PayoutStatement.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { postMissingLedgerEntries } from "./ledgerService.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+import {
+  generatePayoutStatementCsv,
+  generatePayoutStatementPdf,
+} from "../utils/payoutStatementGenerator.js";
+import logger from "../utils/logger.js";
+
+const REPORTED_KINDS = ["sale", "refund"];
+const EMPTY_TOTALS = { sales: 0, refunds: 0, gross: 0, gatewayFees: 0, tax: 0, platformShare: 0, artistShare: 0 };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// "2025-09" → [Sep 1, Oct 1) in UTC
+const periodBounds = (period) => {
+  const [year, month] = period.split("-").map(Number);
+  return { periodStart: new Date(Date.UTC(year, month - 1, 1)), periodEnd: new Date(Date.UTC(year, month, 1)) };
+};
+
+// The month before `now`, as YYYY-MM
+export const previousPeriod = (now = new Date()) => {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+};
+
+const totalsFor = async (statementId, session) => {
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { statementId } },
+    {
+      $group: {
+        _id: null,
+        sales: { $sum: { $cond: [{ $eq: ["$kind", "sale"] }, 1, 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ["$kind", "refund"] }, 1, 0] } },
+        gross: { $sum: "$breakdown.gross" },
+        gatewayFees: { $sum: "$breakdown.gatewayFee" },
+        tax: { $sum: "$breakdown.tax" },
+        platformShare: { $sum: "$breakdown.platformShare" },
+        artistShare: { $sum: "$breakdown.artistShare" },
+      },
+    },
+  ]).session(session);
+  return totals;
+};
+
+// One artist + currency: claim every unreported entry up to the period end, total it,
+// and carry over a negative balance from an earlier statement
+const generateStatement = ({ artistId, currency, period, periodStart, periodEnd }) =>
+  withTransaction(async (session) => {
+    const [statement] = await PayoutStatement.create([{ artistId, period, periodStart, periodEnd, currency }], {
+      session,
+    });
+
+    await LedgerEntry.updateMany(
+      { artistId, currency, kind: { $in: REPORTED_KINDS }, statementId: null, occurredAt: { $lt: periodEnd } },
+      { $set: { statementId: statement._id } },
+      { session }
+    );
+
+    const { _id, ...totals } = (await totalsFor(statement._id, session)) || EMPTY_TOTALS;
+    const round = (n) => formatAmount(n, currency);
+    const carried = await PayoutStatement.findOne({
+      artistId,
+      currency,
+      status: "carried_forward",
+      carriedInto: null,
+      _id: { $ne: statement._id },
+    })
+      .sort({ period: -1 })
+      .session(session);
+
+    statement.totals = {
+      ...totals,
+      gross: round(totals.gross),
+      gatewayFees: round(totals.gatewayFees),
+      tax: round(totals.tax),
+      platformShare: round(totals.platformShare),
+      artistShare: round(totals.artistShare),
+    };
+    statement.openingBalance = carried?.closingBalance || 0;
+    statement.closingBalance = round(statement.openingBalance + statement.totals.artistShare);
+    statement.amountDue = Math.max(statement.closingBalance, 0);
+    statement.status = statement.amountDue > 0 ? "pending" : "carried_forward";
+    await statement.save({ session });
+
+    if (carried) {
+      carried.carriedInto = statement._id;
+      await carried.save({ session });
+    }
+    return statement;
+  });
+
+/**
+ * Create the payout statements for one month – one per artist and currency with ledger activity.
+ * Entries posted late for an earlier month land on the next statement generated.
+ * Re-running a month is a no-op for artists that already have their statement.
+ * @param {object} [params]
+ * @param {string} [params.period] - YYYY-MM, defaults to last month
+ * @returns {Promise<{ period, generated: number, skipped: number, statements: object[] }>}
+ */
+export const generatePayoutStatements = async ({ period = previousPeriod() } = {}) => {
+  const { periodStart, periodEnd } = periodBounds(period);
+  if (periodEnd > new Date()) throw new BadRequestError(`${period} hasn't ended yet`);
+
+  // Don't leave anything that the outbox subscribers missed off the statement
+  await postMissingLedgerEntries();
+
+  const groups = await LedgerEntry.aggregate([
+    {
+      $match: {
+        kind: { $in: REPORTED_KINDS },
+        statementId: null,
+        artistId: { $ne: null },
+        occurredAt: { $lt: periodEnd },
+      },
+    },
+    { $group: { _id: { artistId: "$artistId", currency: "$currency" } } },
+  ]);
+
+  const statements = [];
+  let skipped = 0;
+  for (const { _id } of groups) {
+    try {
+      statements.push(await generateStatement({ ..._id, period, periodStart, periodEnd }));
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      skipped += 1; // already generated – its new entries wait for next month's statement
+    }
+  }
+
+  logger.info(`🧾 Payout statements for ${period}: ${statements.length} generated, ${skipped} already existed`);
+  return { period, generated: statements.length, skipped, statements };
+};
+
+export const listPayoutStatements = async ({ artistId, status, period, currency, page = 1, limit = 20 }) => {
+  const query = {};
+  if (artistId) query.artistId = artistId;
+  if (status) query.status = status;
+  if (period) query.period = period;
+  if (currency) query.currency = currency;
+
+  const [statements, total] = await Promise.all([
+    PayoutStatement.find(query)
+      .populate("artistId", "name")
+      .sort({ period: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PayoutStatement.countDocuments(query),
+  ]);
+  return { statements, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * A statement with the ledger entries it reports.
+ * @param {string} statementId
+ * @param {object} [options]
+ * @param {string} [options.artistId] - only return it if it belongs to this artist
+ */
+export const getPayoutStatement = async (statementId, { artistId } = {}) => {
+  const query = { _id: statementId };
+  if (artistId) query.artistId = artistId;
+  const statement = await PayoutStatement.findOne(query)
+    .populate("artistId", "name")
+    .populate("settlement.settledBy", "name email")
+    .lean();
+  if (!statement) throw new NotFoundError("Payout statement not found");
+
+  const entries = await LedgerEntry.find({ statementId: statement._id, kind: { $in: REPORTED_KINDS } })
+    .select("kind transactionId refundEntryId itemType gateway occurredAt breakdown")
+    .sort({ occurredAt: 1 })
+    .lean();
+  return { statement, entries };
+};
+
+/**
+ * Render a statement for download.
+ * @param {"csv"|"pdf"} format
+ * @returns {Promise<{ filename: string, contentType: string, body: Buffer|string }>}
+ */
+export const exportPayoutStatement = async (statementId, format = "pdf", { artistId } = {}) => {
+  const { statement, entries } = await getPayoutStatement(statementId, { artistId });
+  const filename = `payout-statement-${statement.period}-${statement.currency}-${statement._id}.${format}`;
+
+  if (format === "csv") {
+    return { filename, contentType: "text/csv; charset=utf-8", body: generatePayoutStatementCsv(statement, entries) };
+  }
+  return { filename, contentType: "application/pdf", body: await generatePayoutStatementPdf(statement, entries) };
+};
+
+/**
+ * Record that the amount due was paid out: the statement is settled and the payout is
+ * posted to the ledger (artist_payable → bank) together.
+ * @param {string} statementId
+ * @param {object} params - { adminId, reference?, note? }
+ */
+export const settlePayoutStatement = async (statementId, { adminId, reference, note }) => {
+  const existing = await PayoutStatement.findById(statementId).select("status").lean();
+  if (!existing) throw new NotFoundError("Payout statement not found");
+  if (existing.status !== "pending") {
+    throw new BadRequestError(`Only pending statements can be settled (status: ${existing.status})`);
+  }
+
+  return withTransaction(async (session) => {
+    const statement = await PayoutStatement.findOneAndUpdate(
+      { _id: statementId, status: "pending" },
+      {
+        $set: {
+          status: "settled",
+          "settlement.settledAt": new Date(),
+          "settlement.settledBy": adminId,
+          "settlement.reference": reference,
+          "settlement.note": note,
+        },
+      },
+      { new: true, session }
+    );
+    if (!statement) throw new BadRequestError("The statement was settled by someone else");
+
+    const [payout] = await LedgerEntry.create(
+      [
+        {
+          kind: "payout",
+          key: `payout:${statement._id}`,
+          artistId: statement.artistId,
+          currency: statement.currency,
+          statementId: statement._id,
+          lines: [
+            { account: "artist_payable", debit: statement.amountDue },
+            { account: "bank", credit: statement.amountDue },
+          ],
+        },
+      ],
+      { session }
+    );
+
+    statement.settlement.ledgerEntryId = payout._id;
+    await statement.save({ session });
+    return statement;
+  });
+};
+
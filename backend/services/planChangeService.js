@@ -0,0 +1,401 @@
+import { Transaction } from "../models/Transaction.js";
+import { Subscription } from "../models/Subscription.js";
+import { Artist } from "../models/Artist.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/index.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { resolvePrice } from "./pricingService.js";
+import { CYCLE_DAYS } from "./checkoutService.js";
+import { processAndSendInvoice } from "./invoiceService.js";
+import { calculateTax } from "./taxService.js";
+import { lockRate } from "./fxService.js";
+import { getNextInvoiceNumber } from "../utils/invoiceNumber.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import logger from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A change in one of these states blocks another request
+const OPEN_CHANGE_STATUSES = ["processing", "pending_approval", "scheduled"];
+
+// Renewal webhooks can land a little before the period officially ends
+const RENEWAL_TOLERANCE_MS = DAY_MS;
+
+// An immediate switch that is still "processing" after this was cut off mid-way (crash, deploy)
+const PROCESSING_TIMEOUT_MS = (Number(process.env.PLAN_CHANGE_PROCESSING_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Credit for the unused part of the current period against the new plan's price.
+ * @returns {{ planPrice: number, credit: number, unusedDays: number, amountDue: number }}
+ */
+export const quotePlanChange = ({ fromCycle, validUntil, paidAmount, planPrice, currency, now = new Date() }) => {
+  const periodMs = (CYCLE_DAYS[fromCycle] || 30) * DAY_MS;
+  const remainingMs = Math.min(Math.max(validUntil - now, 0), periodMs);
+  const credit = formatAmount((paidAmount * remainingMs) / periodMs, currency);
+
+  return {
+    planPrice,
+    credit,
+    unusedDays: Math.floor(remainingMs / DAY_MS),
+    amountDue: formatAmount(Math.max(planPrice - credit, 0), currency),
+  };
+};
+
+// Positional update of one planChanges entry (plus optional top-level fields)
+const updatePlanChange = (subscriptionId, changeId, fields, subscriptionFields = {}, session = null) =>
+  Subscription.findOneAndUpdate(
+    { _id: subscriptionId, "planChanges._id": changeId },
+    {
+      $set: {
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [`planChanges.$.${key}`, value])),
+        ...subscriptionFields,
+      },
+    },
+    { new: true, session }
+  );
+
+// Invoices are best-effort – the switch already happened at the gateway
+const sendPlanChangeInvoice = async (transaction) => {
+  if (transaction.gateway === "mock") return; // mock flows must run without network access
+  try {
+    await processAndSendInvoice(transaction);
+  } catch (err) {
+    logger.error(`❌ Failed to send plan change invoice ${transaction.invoiceNumber}: ${err.message}`);
+  }
+};
+
+// Plan change charges are taxed where the subscription was bought
+const taxForSubscription = async (subscription, amount, currency) => {
+  const original = subscription.transactionId
+    ? await Transaction.findById(subscription.transactionId).select("tax").lean()
+    : null;
+  const location = original?.tax?.country
+    ? { country: original.tax.country, state: original.tax.state, source: original.tax.locationSource }
+    : null;
+  return calculateTax({ amount, currency, location });
+};
+
+// Written with the session that applies the change, so the event and the switch commit together
+const publishPlanChanged = (subscription, change, session) =>
+  publishEvent(
+    PAYMENT_EVENTS.SUBSCRIPTION_PLAN_CHANGED,
+    {
+      subscriptionId: subscription._id,
+      userId: subscription.userId,
+      artistId: subscription.artistId,
+      fromCycle: change.fromCycle,
+      toCycle: change.toCycle,
+      timing: change.timing,
+    },
+    { session }
+  );
+
+// Fail changes stuck in "processing" so they stop blocking new requests.
+// The gateway call may still have gone through – reconciliation picks that up.
+const expireStuckChanges = async (subscription) => {
+  const cutoff = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+  const stuck = subscription.planChanges.filter((c) => c.status === "processing" && c.createdAt < cutoff);
+
+  for (const change of stuck) {
+    const expired = await Subscription.updateOne(
+      { _id: subscription._id, planChanges: { $elemMatch: { _id: change._id, status: "processing" } } },
+      { $set: { "planChanges.$.status": "failed", "planChanges.$.error": "Timed out before the gateway confirmed" } }
+    );
+    if (!expired.modifiedCount) continue;
+
+    await Transaction.updateMany(
+      { "metadata.planChangeId": change._id, status: "pending" },
+      { $set: { status: "failed" } }
+    );
+    logger.warn(
+      `⚠️ Plan change ${change._id} on subscription ${subscription._id} timed out while processing – check it at ${subscription.gateway}`
+    );
+  }
+};
+
+const applyImmediateChange = async ({ provider, subscription, change, toPlan, quote, currency }) => {
+  const transaction = await Transaction.create({
+    userId: subscription.userId,
+    itemType: "artist-subscription",
+    itemId: subscription.artistId,
+    artistId: subscription.artistId,
+    amount: quote.amountDue,
+    currency,
+    tax: await taxForSubscription(subscription, quote.amountDue, currency),
+    gateway: provider.name,
+    status: "pending",
+    proration: {
+      fromCycle: change.fromCycle,
+      toCycle: change.toCycle,
+      planPrice: quote.planPrice,
+      credit: quote.credit,
+      unusedDays: quote.unusedDays,
+    },
+    metadata: {
+      cycle: change.toCycle,
+      planChangeId: change._id,
+      externalSubscriptionId: subscription.externalSubscriptionId,
+    },
+  });
+
+  let result;
+  try {
+    result = await provider.changePlan({ subscription, toPlan, currency, timing: "immediate", proration: quote });
+  } catch (err) {
+    transaction.status = "failed";
+    transaction.metadata = { ...transaction.metadata, gatewayError: err.message };
+    await transaction.save();
+    await updatePlanChange(subscription._id, change._id, {
+      status: "failed",
+      error: err.message,
+      transactionId: transaction._id,
+    });
+    throw err;
+  }
+
+  // The gateway's own proration wins – keep the invoice lines adding up to what was charged
+  const charged = {};
+  if (result.amountCharged !== undefined && result.amountCharged !== transaction.amount) {
+    charged.amount = result.amountCharged;
+    charged["proration.credit"] = formatAmount(Math.max(quote.planPrice - result.amountCharged, 0), currency);
+    charged.tax = await taxForSubscription(subscription, result.amountCharged, currency);
+  }
+  const fx = await lockRate(currency);
+
+  // The paid charge, the switch and its event commit together
+  const now = new Date();
+  const { paid, updated } = await withTransaction(async (session) => {
+    const paid = await Transaction.findByIdAndUpdate(
+      transaction._id,
+      {
+        $set: {
+          ...charged,
+          status: "paid",
+          invoiceNumber: await getNextInvoiceNumber(session),
+          ...(fx && { fx }), // locked when the charge went through
+          ...(result.chargeId && { paymentId: result.chargeId }),
+        },
+      },
+      { new: true, session }
+    );
+    const updated = await updatePlanChange(
+      subscription._id,
+      change._id,
+      {
+        status: "applied",
+        appliedAt: now,
+        effectiveAt: now,
+        credit: paid.proration.credit,
+        amountCharged: paid.amount,
+        transactionId: paid._id,
+      },
+      {
+        cycle: change.toCycle,
+        validUntil: result.periodEnd || new Date(now.getTime() + CYCLE_DAYS[change.toCycle] * DAY_MS),
+        transactionId: paid._id,
+      },
+      session
+    );
+    await publishPlanChanged(updated, change, session);
+    return { paid, updated };
+  });
+
+  await sendPlanChangeInvoice(paid);
+  return { subscription: updated, change: updated.planChanges.id(change._id), transaction: paid };
+};
+
+const scheduleChange = async ({ provider, subscription, change, toPlan, quote, currency }) => {
+  let result;
+  try {
+    result = await provider.changePlan({ subscription, toPlan, currency, timing: "period_end", proration: quote });
+  } catch (err) {
+    await updatePlanChange(subscription._id, change._id, { status: "failed", error: err.message });
+    throw err;
+  }
+
+  const updated = await updatePlanChange(subscription._id, change._id, {
+    status: result.status,
+    effectiveAt: result.effectiveAt || subscription.validUntil,
+    approveUrl: result.approveUrl,
+  });
+  return { subscription: updated, change: updated.planChanges.id(change._id), transaction: null };
+};
+
+/**
+ * Switch an active artist subscription to another cycle.
+ * Upgrades default to an immediate prorated switch where the gateway supports it;
+ * downgrades always wait for the current period to end (no refunds for unused time).
+ * @param {object} params
+ * @param {object} params.user
+ * @param {string} params.artistId
+ * @param {string} params.cycle - target cycle
+ * @param {"immediate"|"period_end"} [params.timing]
+ * @returns {Promise<{ subscription, change, transaction }>} transaction is set for immediate switches
+ */
+export const changeSubscriptionCycle = async ({ user, artistId, cycle: toCycle, timing }) => {
+  const subscription = await Subscription.findOne({ userId: user._id, artistId });
+  if (subscription?.status === "trialing") {
+    throw new BadRequestError("Plan changes are available once the free trial has ended");
+  }
+  if (!subscription || subscription.status !== "active" || subscription.validUntil <= new Date()) {
+    throw new NotFoundError("No active subscription found for this artist");
+  }
+  if (!subscription.isRecurring) {
+    throw new BadRequestError("This subscription is cancelled – subscribe again to pick a new plan");
+  }
+
+  const current = subscription.transactionId ? await Transaction.findById(subscription.transactionId).lean() : null;
+  if (!current) throw new BadRequestError("No payment on record for the current period");
+
+  const fromCycle = subscription.cycle || current.metadata?.cycle;
+  if (fromCycle === toCycle) throw new BadRequestError(`You are already on the ${toCycle} plan`);
+
+  const artist = await Artist.findById(artistId).select("subscriptionPlans").lean();
+  const toPlan = artist?.subscriptionPlans?.find((p) => p.cycle === toCycle);
+  if (!toPlan) throw new NotFoundError(`No plan for cycle ${toCycle}`);
+
+  const { currency } = current;
+  const [toPrice, fromPrice] = await Promise.all([
+    resolvePrice({ itemType: "artist-subscription", itemId: artistId, currency, cycle: toCycle }),
+    resolvePrice({ itemType: "artist-subscription", itemId: artistId, currency, cycle: fromCycle }).catch(() => null),
+  ]);
+  const isUpgrade = toPrice.amount > (fromPrice?.amount ?? current.amount);
+
+  const provider = getPaymentProvider(subscription.gateway);
+  const chosenTiming =
+    timing || (isUpgrade && provider.planChangeTimings.includes("immediate") ? "immediate" : "period_end");
+  if (chosenTiming === "immediate" && !isUpgrade) {
+    throw new BadRequestError("Downgrades take effect at the end of the current period");
+  }
+  if (!provider.planChangeTimings.includes(chosenTiming)) {
+    throw new BadRequestError(
+      `${provider.name} subscriptions can only switch plans at: ${provider.planChangeTimings.join(", ")}`
+    );
+  }
+
+  const quote = quotePlanChange({
+    fromCycle,
+    validUntil: subscription.validUntil,
+    paidAmount: current.amount - (current.refundedAmount || 0),
+    planPrice: toPrice.amount,
+    currency,
+  });
+
+  await expireStuckChanges(subscription);
+
+  // Reserve the change atomically so two requests can't both switch the plan
+  const reserved = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, planChanges: { $not: { $elemMatch: { status: { $in: OPEN_CHANGE_STATUSES } } } } },
+    {
+      $push: {
+        planChanges: {
+          fromCycle,
+          toCycle,
+          timing: chosenTiming,
+          planPrice: toPrice.amount,
+          credit: chosenTiming === "immediate" ? quote.credit : 0,
+          currency,
+          requestedBy: user._id,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ConflictError("A plan change is already pending for this subscription", { code: "PLAN_CHANGE_PENDING" });
+  }
+  const change = reserved.planChanges[reserved.planChanges.length - 1];
+
+  const args = { provider, subscription: reserved, change, toPlan, quote, currency };
+  return chosenTiming === "immediate" ? applyImmediateChange(args) : scheduleChange(args);
+};
+
+/**
+ * PayPal: the customer approved the plan revision – it now waits for the next billing cycle.
+ */
+export const confirmPlanChangeApproval = async ({ gateway, externalSubscriptionId }) => {
+  await Subscription.updateOne(
+    { gateway, externalSubscriptionId, "planChanges.status": "pending_approval" },
+    { $set: { "planChanges.$.status": "scheduled" } }
+  );
+};
+
+/**
+ * A renewal was charged – if a deferred switch was due, record the renewal on the new plan
+ * (paid transaction + invoice) and move the subscription over.
+ * @param {object} params - { gateway, externalSubscriptionId, chargeId?, amount?, periodEnd? }
+ * @returns {Promise<{ subscription, change, transaction } | null>} null if nothing was due
+ */
+export const applyDuePlanChanges = async ({ gateway, externalSubscriptionId, chargeId, amount, periodEnd }) => {
+  const dueBy = new Date(Date.now() + RENEWAL_TOLERANCE_MS);
+  const subscription = await Subscription.findOne({
+    gateway,
+    externalSubscriptionId,
+    planChanges: { $elemMatch: { status: "scheduled", effectiveAt: { $lte: dueBy } } },
+  });
+  if (!subscription) return null;
+
+  const change = subscription.planChanges.find((c) => c.status === "scheduled" && c.effectiveAt <= dueBy);
+  const now = new Date();
+  const charged = amount ?? change.planPrice;
+  const tax = await taxForSubscription(subscription, charged, change.currency);
+  const fx = await lockRate(change.currency);
+
+  // The claim, the paid renewal, the switch and its event commit together –
+  // duplicate renewal webhooks lose the claim and create nothing
+  const applied = await withTransaction(async (session) => {
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, planChanges: { $elemMatch: { _id: change._id, status: "scheduled" } } },
+      { $set: { "planChanges.$.status": "applied", "planChanges.$.appliedAt": now } },
+      { session }
+    );
+    if (!claimed) return null;
+
+    const invoiceNumber = await getNextInvoiceNumber(session); // only the winning delivery takes a number
+    const [transaction] = await Transaction.create(
+      [
+        {
+          userId: subscription.userId,
+          itemType: "artist-subscription",
+          itemId: subscription.artistId,
+          artistId: subscription.artistId,
+          amount: charged,
+          currency: change.currency,
+          tax,
+          fx,
+          gateway,
+          status: "paid",
+          paymentId: chargeId,
+          invoiceNumber,
+          metadata: { cycle: change.toCycle, planChangeId: change._id, externalSubscriptionId },
+        },
+      ],
+      { session }
+    );
+
+    const periodStart = Math.max(subscription.validUntil?.getTime() || 0, now.getTime());
+    const updated = await updatePlanChange(
+      subscription._id,
+      change._id,
+      { amountCharged: transaction.amount, transactionId: transaction._id },
+      {
+        cycle: change.toCycle,
+        validUntil: periodEnd || new Date(periodStart + CYCLE_DAYS[change.toCycle] * DAY_MS),
+        transactionId: transaction._id,
+        lastRenewalChargeId: chargeId || null, // redeliveries must not renew again
+        // A dunning retry that succeeded closes the grace window
+        ...(subscription.status === "past_due" && { status: "active", pastDueSince: null, graceUntil: null }),
+      },
+      session
+    );
+    await publishPlanChanged(updated, change, session);
+    return { transaction, updated };
+  });
+  if (!applied) return null;
+
+  const { transaction, updated } = applied;
+  await sendPlanChangeInvoice(transaction);
+  return { subscription: updated, change: updated.planChanges.id(change._id), transaction };
+};
@@ -3,24 +3,31 @@ import { razorpayProvider } from "../providers/razorpayProvider.js";
 import { paypalProvider } from "../providers/paypalProvider.js";
 import { getSubscriptionAmount } from "../utils/getSubscriptionAmount.js";
 
-export const createSubscriptionPlans = async (artistName, basePrice, cycle, convertedPrices) => {
+/**
+ * Create gateway plans for one cycle. Trials: PayPal gets an extra plan with a free
+ * TRIAL cycle here; Stripe (trial_period_days) and Razorpay (start_at) apply
+ * plan.trialDays when the subscription is created.
+ */
+export const createSubscriptionPlans = async (artistName, basePrice, cycle, convertedPrices, trialDays = 0) => {
   const { razorpay, paypal } = cycle;
   const INRAmount = getSubscriptionAmount({ price: basePrice, convertedPrices }, "INR");
   // Parallel API calls
   const [razorpayPlanId, paypalPlans] = await Promise.all([
     razorpayProvider.createPlan(artistName, INRAmount, razorpay.interval, razorpay.period, basePrice.currency),
-    paypalProvider.createPlans(artistName, basePrice, convertedPrices, paypal.interval_unit, paypal.interval_count),
+    paypalProvider.createPlans(artistName, basePrice, convertedPrices, paypal.interval_unit, paypal.interval_count, trialDays),
   ]);
 
-  return { stripePriceId: null, razorpayPlanId, paypalPlans };
+  return { stripePriceId: null, razorpayPlanId, paypalPlans, trialDays };
 };
 
 
 /**
  * Update subscription plans across Stripe/Razorpay/PayPal
  */
-export const updateSubscriptionPlans = async (artist, newPrice, intervals, newCycleLabel) => {
+export const updateSubscriptionPlans = async (artist, newPrice, intervals, newCycleLabel, trialDays) => {
   const plan = artist.subscriptionPlans[0]; // single cycle
+  // PayPal trial plans have the trial length baked in
+  const trialChanged = trialDays !== undefined && trialDays !== plan.trialDays;
 
   const cycleIntervals = intervals || {
     stripe: { interval: plan.stripeInterval, interval_count: plan.stripeIntervalCount },
@@ -36,8 +43,15 @@ export const updateSubscriptionPlans = async (artist, newPrice, intervals, newCy
     (newPrice !== undefined || intervals)
       ? razorpayProvider.createPlan(artist.name, newPrice ?? plan.price, cycleIntervals.razorpay.interval, cycleIntervals.razorpay.period)
       : plan.razorpayPlanId,
-    (newPrice !== undefined || intervals)
-      ? paypalProvider.createPlans(artist.name, newPrice ?? plan.price, cycleIntervals.paypal.interval_unit, cycleIntervals.paypal.interval_count)
+    (newPrice !== undefined || intervals || trialChanged)
+      ? paypalProvider.createPlans(
+          artist.name,
+          newPrice !== undefined ? { ...plan.basePrice, amount: newPrice } : plan.basePrice,
+          plan.convertedPrices,
+          cycleIntervals.paypal.interval_unit,
+          cycleIntervals.paypal.interval_count,
+          trialDays ?? plan.trialDays
+        )
       : plan.paypalPlans
   ]);
 
@@ -47,5 +61,6 @@ export const updateSubscriptionPlans = async (artist, newPrice, intervals, newCy
   plan.stripePriceId = stripePriceId;
   plan.razorpayPlanId = razorpayPlanId;
   plan.paypalPlans = paypalPlans;
+  if (trialDays !== undefined) plan.trialDays = trialDays;
 };
 
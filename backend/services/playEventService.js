@@ -0,0 +1,173 @@
+import { PlayEvent } from "../models/PlayEvent.js";
+import { Song } from "../models/Song.js";
+import { User } from "../models/User.js";
+import { enqueuePlayRollup } from "../queue/analyticsQueue.js";
+import logger from "../utils/logger.js";
+
+// A play counts once the listener has heard this many seconds (or half of a shorter track)
+const MIN_LISTEN_SECONDS = Number(process.env.PLAY_MIN_LISTEN_SECONDS) || 30;
+// Client clocks drift; anything further in the future than this is clamped to "now"
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export const getListenThreshold = (song) => {
+  if (!song?.duration) return MIN_LISTEN_SECONDS;
+  return Math.min(MIN_LISTEN_SECONDS, song.duration / 2);
+};
+
+const normalizeOccurredAt = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime()) || date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return new Date();
+  }
+  return date;
+};
+
+// 🧮 Flag one event per playback as the counted play once the threshold is reached
+const countQualifiedPlays = async (userId, insertedDocs, songsById) => {
+  const latestByPlay = new Map();
+  for (const doc of insertedDocs) {
+    const current = latestByPlay.get(doc.playId);
+    if (!current || doc.occurredAt >= current.occurredAt) latestByPlay.set(doc.playId, doc);
+  }
+
+  let counted = 0;
+  for (const [playId, latest] of latestByPlay) {
+    const alreadyCounted = await PlayEvent.exists({ userId, playId, counted: true });
+    if (alreadyCounted) continue;
+
+    const [totals] = await PlayEvent.aggregate([
+      { $match: { userId, playId } },
+      {
+        $group: {
+          _id: null,
+          listened: { $sum: "$listened" },
+        },
+      },
+    ]);
+
+    const threshold = getListenThreshold(songsById.get(latest.songId.toString()));
+    // A "complete" event alone proves nothing – a client can send one after seeking to the end
+    if (!totals || totals.listened < threshold) continue;
+
+    try {
+      await PlayEvent.updateOne({ _id: latest._id }, { $set: { counted: true } });
+      counted++;
+    } catch (err) {
+      // Another batch counted this play concurrently – partial unique index keeps it to one
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return counted;
+};
+
+/**
+ * Store a batch of playback events for a user.
+ * Duplicate eventIds are ignored, unknown songs are rejected.
+ * @returns {Promise<{ accepted: number, duplicates: number, rejected: string[], playsCounted: number }>}
+ */
+export const recordPlayEvents = async ({ userId, events, ip, userAgent, country = null }) => {
+  const songIds = [...new Set(events.map((e) => String(e.songId)))];
+  const songs = await Song.find({ _id: { $in: songIds } })
+    .select("artist album duration")
+    .lean();
+  const songsById = new Map(songs.map((s) => [s._id.toString(), s]));
+
+  const rejected = [];
+  const docs = [];
+  for (const event of events) {
+    const song = songsById.get(String(event.songId));
+    if (!song) {
+      rejected.push(event.eventId);
+      continue;
+    }
+
+    docs.push({
+      userId,
+      songId: song._id,
+      artistId: song.artist,
+      albumId: song.album || null,
+      eventId: event.eventId,
+      playId: event.playId,
+      type: event.type,
+      position: Number(event.position) || 0,
+      listened: Number(event.listened) || 0,
+      occurredAt: normalizeOccurredAt(event.occurredAt),
+      ip,
+      userAgent,
+      country,
+    });
+  }
+
+  let inserted = [];
+  let duplicates = 0;
+  if (docs.length) {
+    try {
+      inserted = await PlayEvent.insertMany(docs, { ordered: false });
+    } catch (err) {
+      const writeErrors = err.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some((e) => (e.code ?? e.err?.code) !== 11000)) {
+        throw err;
+      }
+      inserted = err.insertedDocs || [];
+      duplicates = writeErrors.length;
+    }
+  }
+
+  const playsCounted = await countQualifiedPlays(userId, inserted, songsById);
+
+  if (inserted.length) {
+    // Best effort – the periodic sweep rolls up anything that misses the queue
+    enqueuePlayRollup(inserted.map((doc) => doc._id)).catch((err) =>
+      logger.warn(`⚠️ Failed to enqueue analytics rollup: ${err.message}`)
+    );
+  }
+
+  return { accepted: inserted.length, duplicates, rejected, playsCounted };
+};
+
+/**
+ * Recently played songs (counted plays only), newest first.
+ */
+export const getListeningHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const user = await User.findById(userId).select("historyClearedAt").lean();
+
+  const query = { userId, counted: true };
+  if (user?.historyClearedAt) query.occurredAt = { $gt: user.historyClearedAt };
+
+  const [items, total] = await Promise.all([
+    PlayEvent.find(query)
+      .sort({ occurredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("songId playId occurredAt")
+      .populate({
+        path: "songId",
+        select: "title slug coverImage duration artist album",
+        populate: { path: "artist", select: "name slug" },
+      })
+      .lean(),
+    PlayEvent.countDocuments(query),
+  ]);
+
+  return {
+    history: items
+      .filter((item) => item.songId)
+      .map((item) => ({
+        playId: item.playId,
+        playedAt: item.occurredAt,
+        song: item.songId,
+      })),
+    total,
+  };
+};
+
+/**
+ * Hide everything played so far from the user's history.
+ * Events are kept for analytics; history only shows plays after this point.
+ */
+export const clearListeningHistory = async (userId) => {
+  const clearedAt = new Date();
+  await User.updateOne({ _id: userId }, { $set: { historyClearedAt: clearedAt } });
+  return clearedAt;
+};
@@ -0,0 +1,73 @@
+import { PlaybackState } from "../models/PlaybackState.js";
+import { ConflictError } from "../errors/index.js";
+
+const EDITABLE_FIELDS = [
+  "queue",
+  "currentIndex",
+  "songId",
+  "context",
+  "position",
+  "shuffle",
+  "repeat",
+  "isPlaying",
+  "deviceId",
+];
+
+const pickEditable = (data) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]));
+
+export const getPlaybackState = async (userId) => PlaybackState.findOne({ userId }).lean();
+
+const conflict = (current) =>
+  new ConflictError("Playback state was changed on another device. Reload it and try again.", {
+    code: "PLAYBACK_STATE_CONFLICT",
+    current,
+  });
+
+/**
+ * Write the user's playback state if nobody else has since `expectedVersion`.
+ * Use expectedVersion 0 to create the first state.
+ * @throws {ConflictError} 409 carrying the current state when the version is stale
+ * @returns {Promise<object>} the saved state (with its new version)
+ */
+export const savePlaybackState = async (userId, data, expectedVersion) => {
+  const update = pickEditable(data);
+
+  if (expectedVersion === 0) {
+    try {
+      const created = await PlaybackState.create({ userId, ...update, version: 1 });
+      return created.toObject();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      throw conflict(await getPlaybackState(userId));
+    }
+  }
+
+  const saved = await PlaybackState.findOneAndUpdate(
+    { userId, version: expectedVersion },
+    { $set: update, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!saved) throw conflict(await getPlaybackState(userId));
+  return saved;
+};
+
+/**
+ * Where to resume a song or album from the saved state, if it matches.
+ * @returns {{ songId, position, index? } | null}
+ */
+export const getResumePoint = async (userId, { songId, albumId }) => {
+  const state = await getPlaybackState(userId);
+  if (!state?.songId) return null;
+
+  if (songId && state.songId.toString() === songId.toString()) {
+    return { songId: state.songId, position: state.position };
+  }
+
+  if (albumId && state.context?.type === "album" && state.context.id?.toString() === albumId.toString()) {
+    return { songId: state.songId, index: state.currentIndex, position: state.position };
+  }
+
+  return null;
+};
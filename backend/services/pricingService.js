@@ -0,0 +1,193 @@
+import { Song } from "../models/Song.js";
+import { Album } from "../models/Album.js";
+import { Artist } from "../models/Artist.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { SUPPORTED_CURRENCIES } from "../utils/convertCurrencies.js";
+
+const PURCHASABLE_ITEM_TYPES = ["song", "album", "artist-subscription"];
+
+// 🌍 Override for buyers in `country`, when it is priced in the requested currency
+const findRegionalPrice = ({ regionalPrices = [] }, currency, country) =>
+  country
+    ? regionalPrices.find((p) => p.country === country && p.currency?.toUpperCase() === currency && p.amount > 0)
+    : undefined;
+
+// 🔍 Pick the amount for a currency from regionalPrices / basePrice / convertedPrices
+export const findPriceForCurrency = (item, currency, country) => {
+  const regional = findRegionalPrice(item, currency, country);
+  if (regional) return regional.amount;
+
+  const { basePrice, convertedPrices = [] } = item;
+
+  if (basePrice?.currency?.toUpperCase() === currency && basePrice.amount > 0) {
+    return basePrice.amount;
+  }
+
+  const converted = convertedPrices.find(
+    (p) => p.currency?.toUpperCase() === currency && p.amount > 0
+  );
+  return converted ? converted.amount : null;
+};
+
+/**
+ * The single price shown to a user: in their currency (regional override first),
+ * else the item's base price.
+ * @param {object} item - song, album or subscription plan
+ * @param {{ country?: string|null, currency?: string }} [locale] - see services/localeService.js
+ * @returns {{ currency: string, amount: number, regional: boolean }|null} null when the item has no price
+ */
+export const getDisplayPrice = (item, { country, currency } = {}) => {
+  if (!(item?.basePrice?.amount > 0)) return null;
+  const code = currency?.toUpperCase();
+  if (code) {
+    const amount = findPriceForCurrency(item, code, country);
+    if (amount) return { currency: code, amount, regional: !!findRegionalPrice(item, code, country) };
+  }
+  return { currency: item.basePrice.currency?.toUpperCase(), amount: item.basePrice.amount, regional: false };
+};
+
+const normalizeCurrency = (currency) => {
+  const normalized = String(currency || "").trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(normalized)) {
+    throw new BadRequestError(
+      `Unsupported currency: ${currency}. Supported: ${SUPPORTED_CURRENCIES.join(", ")}`
+    );
+  }
+  return normalized;
+};
+
+const resolveSongPrice = async (songId) => {
+  const song = await Song.findById(songId)
+    .select("artist accessType albumOnly basePrice convertedPrices regionalPrices")
+    .lean();
+  if (!song) throw new NotFoundError("Song not found");
+
+  if (song.albumOnly) {
+    throw new BadRequestError("This song is only available as part of its album.");
+  }
+  if (song.accessType === "free") {
+    throw new BadRequestError("This song is free and cannot be purchased.");
+  }
+
+  return { artistId: song.artist, item: song };
+};
+
+const resolveAlbumPrice = async (albumId) => {
+  const album = await Album.findById(albumId)
+    .select("artist accessType basePrice convertedPrices regionalPrices")
+    .lean();
+  if (!album) throw new NotFoundError("Album not found");
+
+  if (album.accessType === "free") {
+    throw new BadRequestError("This album is free and cannot be purchased.");
+  }
+
+  return { artistId: album.artist, item: album };
+};
+
+// Plans have no regional prices – recurring charges use the gateway plan's fixed price
+const resolveSubscriptionPrice = async (artistId, cycle) => {
+  const artist = await Artist.findById(artistId).select("subscriptionPlans").lean();
+  if (!artist) throw new NotFoundError("Artist not found");
+
+  const plans = artist.subscriptionPlans || [];
+  const plan = cycle ? plans.find((p) => p.cycle === cycle) : plans[0];
+  if (!plan) {
+    throw new BadRequestError(
+      cycle ? `No subscription plan found for cycle ${cycle}` : "Artist has no subscription plans"
+    );
+  }
+
+  return { artistId: artist._id, cycle: plan.cycle, item: plan };
+};
+
+/**
+ * Resolve the authoritative price of an item from the catalog.
+ * Never trust amounts sent by the client – checkout must use this.
+ * @param {object} params
+ * @param {"song"|"album"|"artist-subscription"} params.itemType
+ * @param {string} params.itemId - songId, albumId or artistId (for subscriptions)
+ * @param {string} [params.currency] - ISO currency requested by the user; without it the
+ *   locale's display price is charged (their currency, else the item's base currency)
+ * @param {string} [params.cycle] - subscription cycle (1m, 3m, 6m, 12m)
+ * @param {{ country?: string|null, currency?: string }} [params.locale] - buyer's pricing locale
+ * @returns {Promise<{ itemType, itemId, artistId, amount, currency, cycle? }>}
+ */
+export const resolvePrice = async ({ itemType, itemId, currency, cycle, locale = {} }) => {
+  if (!PURCHASABLE_ITEM_TYPES.includes(itemType)) {
+    throw new BadRequestError("Invalid item type. Must be 'song', 'album', or 'artist-subscription'.");
+  }
+  if (!itemId) throw new BadRequestError("itemId is required");
+
+  // No explicit currency → charge the price the catalog showed for the buyer's locale
+  const useLocale = !currency && !!locale.currency;
+  const requestedCurrency = useLocale ? null : normalizeCurrency(currency);
+
+  let resolved;
+  if (itemType === "song") {
+    resolved = await resolveSongPrice(itemId);
+  } else if (itemType === "album") {
+    resolved = await resolveAlbumPrice(itemId);
+  } else {
+    resolved = await resolveSubscriptionPrice(itemId, cycle);
+  }
+  const { item, ...rest } = resolved;
+
+  let amount;
+  let chargedCurrency = requestedCurrency;
+  if (requestedCurrency) {
+    amount = findPriceForCurrency(item, requestedCurrency, locale.country);
+  } else {
+    ({ amount, currency: chargedCurrency } = getDisplayPrice(item, locale) || {});
+    if (chargedCurrency && !SUPPORTED_CURRENCIES.includes(chargedCurrency)) amount = null;
+  }
+
+  if (!amount) {
+    throw new BadRequestError(`This ${itemType} is not available for purchase in ${chargedCurrency || locale.currency}.`);
+  }
+
+  return {
+    itemType,
+    itemId,
+    ...rest,
+    amount,
+    currency: chargedCurrency,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Admin – regional price overrides
+// ---------------------------------------------------------------------------
+
+const REGIONAL_PRICE_MODELS = { song: Song, album: Album };
+
+/**
+ * Replace the regional price overrides of a song or album.
+ * @param {"song"|"album"} itemType
+ * @param {string} itemId
+ * @param {{ country: string, currency: string, amount: number }[]} prices - one per country
+ */
+export const setRegionalPrices = async (itemType, itemId, prices) => {
+  const Model = REGIONAL_PRICE_MODELS[itemType];
+  if (!Model) throw new BadRequestError("Regional prices can be set on songs and albums only.");
+
+  const regionalPrices = prices.map(({ country, currency, amount }) => ({
+    country: String(country).toUpperCase(),
+    currency: normalizeCurrency(currency),
+    amount,
+  }));
+  const countries = regionalPrices.map((p) => p.country);
+  if (new Set(countries).size !== countries.length) {
+    throw new BadRequestError("Only one regional price per country is allowed.");
+  }
+
+  const item = await Model.findByIdAndUpdate(
+    itemId,
+    { $set: { regionalPrices } },
+    { new: true, runValidators: true }
+  )
+    .select("title basePrice convertedPrices regionalPrices")
+    .lean();
+  if (!item) throw new NotFoundError(`${itemType === "song" ? "Song" : "Album"} not found`);
+  return item;
+};
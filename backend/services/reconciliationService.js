@@ -0,0 +1,257 @@
+import { Subscription } from "../models/Subscription.js";
+import { Transaction } from "../models/Transaction.js";
+import { ReconciliationReport } from "../models/ReconciliationReport.js";
+import { NotFoundError } from "../errors/index.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { markSubscriptionPastDue } from "./dunningService.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import logger from "../utils/logger.js";
+
+// Renewal webhooks can be late – only ask the gateway once a period is this far overdue
+export const LAPSE_TOLERANCE_HOURS = Number(process.env.RECONCILE_TOLERANCE_HOURS) || 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+// Past-due subscriptions with no gateway news for this long are re-checked (missed recovery webhook)
+const STALE_PAST_DUE_MS = 24 * HOUR_MS;
+const RUN_BATCH_SIZE = 500;
+
+const stateOf = (subscription) => ({ status: subscription.status, validUntil: subscription.validUntil });
+
+const correctionFor = (subscription, fields) => ({
+  subscriptionId: subscription._id,
+  userId: subscription.userId,
+  artistId: subscription.artistId,
+  gateway: subscription.gateway,
+  externalSubscriptionId: subscription.externalSubscriptionId,
+  before: stateOf(subscription),
+  ...fields,
+});
+
+// Single-period purchases (one-time orders) have no gateway subscription to ask about
+const hasGatewaySubscription = async (subscription) => {
+  if (!subscription.transactionId) return true;
+  const transaction = await Transaction.findById(subscription.transactionId)
+    .select("stripeSubscriptionId metadata")
+    .lean();
+  if (!transaction) return true;
+  const { metadata = {} } = transaction;
+  return !!(
+    transaction.stripeSubscriptionId ||
+    metadata.razorpaySubscriptionId ||
+    metadata.paypalSubscriptionId ||
+    metadata.mockSubscriptionId ||
+    metadata.externalSubscriptionId
+  );
+};
+
+// Guarded on the status we read, so a webhook landing mid-run wins
+const expireSubscription = async (subscription, reason) =>
+  withTransaction(async (session) => {
+    const expired = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status },
+      { $set: { status: "expired", isRecurring: false } },
+      { new: true, session }
+    );
+    if (!expired) return null;
+
+    await publishEvent(
+      PAYMENT_EVENTS.SUBSCRIPTION_EXPIRED,
+      { subscriptionId: expired._id, userId: expired.userId, artistId: expired.artistId, reason },
+      { session }
+    );
+    return expired;
+  });
+
+const reconcileWithGateway = async (subscription, report, now) => {
+  report.summary.checked += 1;
+
+  if (!(await hasGatewaySubscription(subscription))) {
+    if (subscription.validUntil > now) return;
+    const expired = await expireSubscription(subscription, "period_ended");
+    if (!expired) return;
+    report.summary.expired += 1;
+    report.corrections.push(
+      correctionFor(subscription, { action: "expired", after: stateOf(expired), note: "Single-period purchase ended" })
+    );
+    return;
+  }
+
+  let remote;
+  try {
+    remote = await getPaymentProvider(subscription.gateway).fetchSubscription(subscription.externalSubscriptionId);
+  } catch (err) {
+    report.summary.failed += 1;
+    report.failures.push({
+      subscriptionId: subscription._id,
+      gateway: subscription.gateway,
+      externalSubscriptionId: subscription.externalSubscriptionId,
+      message: err.message,
+    });
+    return;
+  }
+
+  const unresolved = (note) => {
+    report.summary.unresolved += 1;
+    report.corrections.push(correctionFor(subscription, { action: "unresolved", gatewayStatus: remote.raw, note }));
+  };
+
+  switch (remote.status) {
+    // 🔁 Renewed at the gateway but the webhook never arrived
+    case "active":
+    case "trialing": {
+      if (!remote.currentPeriodEnd || remote.currentPeriodEnd <= now) {
+        unresolved(`Gateway reports ${remote.raw} without a current period`);
+        return;
+      }
+      const updated = await withTransaction(async (session) => {
+        const extended = await Subscription.findOneAndUpdate(
+          { _id: subscription._id, status: subscription.status },
+          {
+            $set: { status: remote.status, validUntil: remote.currentPeriodEnd, pastDueSince: null, graceUntil: null },
+            $unset: { dunning: 1 },
+          },
+          { new: true, session }
+        );
+        if (extended && subscription.status === "past_due") {
+          await publishEvent(
+            PAYMENT_EVENTS.SUBSCRIPTION_RECOVERED,
+            { subscriptionId: extended._id, userId: extended.userId, artistId: extended.artistId, gateway: extended.gateway },
+            { session }
+          );
+        }
+        return extended;
+      });
+      if (!updated) return;
+      report.summary.corrected += 1;
+      report.corrections.push(
+        correctionFor(subscription, {
+          action: "period_extended",
+          after: stateOf(updated),
+          gatewayStatus: remote.raw,
+          note: "Renewal webhook missed – no renewal transaction was recorded",
+        })
+      );
+      return;
+    }
+
+    // 💳 Renewal failed at the gateway but the failure webhook never arrived
+    case "past_due": {
+      if (subscription.status === "past_due") return; // dunning is already running
+      const updated = await markSubscriptionPastDue({
+        gateway: subscription.gateway,
+        externalSubscriptionId: subscription.externalSubscriptionId,
+        reason: "reconciliation",
+      });
+      if (!updated) return;
+      report.summary.corrected += 1;
+      report.corrections.push(
+        correctionFor(subscription, { action: "past_due", after: stateOf(updated), gatewayStatus: remote.raw })
+      );
+      return;
+    }
+
+    // 🚫 Ended at the gateway – past-due ones keep their grace window (the dunning job expires them)
+    case "cancelled":
+    case "failed": {
+      if (subscription.status === "past_due") return;
+      const expired = await expireSubscription(subscription, "gateway_cancelled");
+      if (!expired) return;
+      report.summary.expired += 1;
+      report.corrections.push(
+        correctionFor(subscription, {
+          action: "expired",
+          after: stateOf(expired),
+          gatewayStatus: remote.raw,
+          note: "Cancellation webhook missed",
+        })
+      );
+      return;
+    }
+
+    default:
+      if (subscription.status !== "past_due") unresolved(`Gateway reports ${remote.raw}`);
+  }
+};
+
+/**
+ * Expire subscriptions whose access ran out and check suspicious ones against their gateway.
+ * Every change is logged on the returned report.
+ * @param {object} [params]
+ * @param {"scheduled"|"manual"} [params.trigger]
+ * @param {string} [params.triggeredBy] - admin who started a manual run
+ * @returns {Promise<object>} the ReconciliationReport
+ */
+export const runReconciliation = async ({ trigger = "scheduled", triggeredBy } = {}) => {
+  const report = await ReconciliationReport.create({ trigger, triggeredBy });
+  const now = new Date();
+
+  try {
+    // 1. Cancelled subscriptions whose paid period is over – nothing to ask the gateway
+    const ended = await Subscription.find({ status: "cancelled", validUntil: { $lte: now } }).limit(RUN_BATCH_SIZE);
+    for (const subscription of ended) {
+      const expired = await expireSubscription(subscription, "period_ended");
+      if (!expired) continue;
+      report.summary.expired += 1;
+      report.corrections.push(correctionFor(subscription, { action: "expired", after: stateOf(expired) }));
+    }
+
+    // 2. Local state that looks wrong: still active well past the period, or past due with no news
+    const suspects = await Subscription.find({
+      $or: [
+        {
+          status: { $in: ["active", "trialing"] },
+          validUntil: { $lte: new Date(now.getTime() - LAPSE_TOLERANCE_HOURS * HOUR_MS) },
+        },
+        {
+          status: "past_due",
+          graceUntil: { $gt: now },
+          "dunning.lastFailureAt": { $lte: new Date(now.getTime() - STALE_PAST_DUE_MS) },
+        },
+      ],
+    }).limit(RUN_BATCH_SIZE);
+    for (const subscription of suspects) {
+      await reconcileWithGateway(subscription, report, now);
+    }
+
+    report.status = "completed";
+  } catch (err) {
+    report.status = "failed";
+    report.error = err.message;
+    logger.error(`❌ Subscription reconciliation ${report._id} failed: ${err.message}`);
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+
+  const { checked, expired, corrected, unresolved, failed } = report.summary;
+  logger.info(
+    `🔧 Reconciliation ${report._id}: ${checked} checked, ${expired} expired, ${corrected} corrected, ` +
+      `${unresolved} unresolved, ${failed} failed`
+  );
+  return report;
+};
+
+export const listReconciliationReports = async ({ status, trigger, page = 1, limit = 20 }) => {
+  const query = {};
+  if (status) query.status = status;
+  if (trigger) query.trigger = trigger;
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find(query)
+      .select("-corrections -failures")
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments(query),
+  ]);
+  return { reports, total, page, pages: Math.ceil(total / limit) };
+};
+
+export const getReconciliationReport = async (reportId) => {
+  const report = await ReconciliationReport.findById(reportId).populate("triggeredBy", "name email").lean();
+  if (!report) throw new NotFoundError("Reconciliation report not found");
+  return report;
+};
@@ -0,0 +1,350 @@
+import { Transaction } from "../models/Transaction.js";
+import { Order } from "../models/Order.js";
+import { User } from "../models/User.js";
+import { Subscription } from "../models/Subscription.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/index.js";
+import { getPaymentProvider } from "../providers/paymentProvider.js";
+import { getNextCreditNoteNumber } from "../utils/invoiceNumber.js";
+import { processAndSendCreditNote } from "./invoiceService.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import logger from "../utils/logger.js";
+
+export const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+
+// Amounts are major units – allow for float noise when comparing
+const EPSILON = 0.005;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Everything already refunded or still in flight
+const committedRefundTotal = (transaction) =>
+  transaction.refunds.filter((r) => r.status !== "failed").reduce((sum, r) => sum + r.amount, 0);
+
+const committedRefundTotalExpr = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$refunds", []] },
+          cond: { $ne: ["$$this.status", "failed"] },
+        },
+      },
+      in: "$$this.amount",
+    },
+  },
+};
+
+/**
+ * Take away what the transaction granted: the purchased song / album,
+ * or the subscription period it paid for. Written with the refund's session.
+ * @returns {Promise<object|null>} { gateway, externalSubscriptionId } still to be cancelled at the gateway
+ */
+const revokeAccess = async (transaction, session) => {
+  switch (transaction.itemType) {
+    case "song":
+      await User.updateOne({ _id: transaction.userId }, { $pull: { purchasedSongs: transaction.itemId } }, { session });
+      return null;
+
+    case "album":
+      await User.updateOne({ _id: transaction.userId }, { $pull: { purchasedAlbums: transaction.itemId } }, { session });
+      return null;
+
+    case "artist-subscription": {
+      const subscription = await Subscription.findOne({
+        userId: transaction.userId,
+        artistId: transaction.artistId,
+      }).session(session);
+      // A refund of an older period must not end a newer one
+      if (!subscription || (subscription.transactionId && !subscription.transactionId.equals(transaction._id))) {
+        return null;
+      }
+
+      const now = new Date();
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { status: "cancelled", validUntil: now, cancelledAt: now, isRecurring: false } },
+        { session }
+      );
+
+      const stillBilling = ["active", "trialing", "past_due"].includes(subscription.status) && subscription.isRecurring;
+      return stillBilling
+        ? { gateway: subscription.gateway, externalSubscriptionId: subscription.externalSubscriptionId }
+        : null;
+    }
+
+    default:
+      logger.warn(`⚠️ Unknown itemType on refunded transaction ${transaction._id}: ${transaction.itemType}`);
+      return null;
+  }
+};
+
+/**
+ * Outbox subscriber for PURCHASE_REFUNDED: stop the gateway billing a refunded subscription.
+ * Runs after the refund committed – a gateway call can't be part of the database transaction.
+ */
+export const cancelRefundedSubscription = async ({ gatewaySubscription }) => {
+  if (!gatewaySubscription) return;
+  const { gateway, externalSubscriptionId } = gatewaySubscription;
+  await getPaymentProvider(gateway).cancelSubscription(externalSubscriptionId, { atPeriodEnd: false });
+  logger.info(`🚫 Cancelled refunded ${gateway} subscription ${externalSubscriptionId}`);
+};
+
+/**
+ * Mark a refund as succeeded exactly once, update the transaction totals,
+ * issue the credit note and revoke access when the purchase is fully refunded.
+ * Needs a replica set (see database/withTransaction.js).
+ * @returns {Promise<{ transaction, refund } | null>} null if it was already completed
+ */
+const completeRefund = async (transactionId, refundEntryId) => {
+  const entry = await Transaction.findOne(
+    { _id: transactionId, "refunds._id": refundEntryId },
+    { "refunds.$": 1 }
+  ).lean();
+  if (!entry) return null;
+  const { amount } = entry.refunds[0];
+
+  // Claim, credit note number, refunded state, revoked access and events commit together –
+  // a crash leaves the refund pending, not half-done. Cancelling a refunded subscription at the
+  // gateway and emailing the credit note happen after the commit (outbox / best-effort).
+  const completed = await withTransaction(async (session) => {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, refunds: { $elemMatch: { _id: refundEntryId, status: { $ne: "succeeded" } } } },
+      {
+        $set: { "refunds.$.status": "succeeded", "refunds.$.completedAt": new Date() },
+        $inc: { refundedAmount: amount },
+      },
+      { new: true, session }
+    );
+    if (!transaction) return null; // another webhook / request got here first
+
+    const refund = transaction.refunds.id(refundEntryId);
+    refund.creditNoteNumber = await getNextCreditNoteNumber(session);
+    const fullyRefunded = transaction.refundedAmount >= transaction.amount - EPSILON;
+    transaction.status = fullyRefunded ? "refunded" : "partially_refunded";
+    await transaction.save({ session });
+
+    await publishEvent(
+      PAYMENT_EVENTS.REFUND_ISSUED,
+      {
+        transactionId: transaction._id,
+        userId: transaction.userId,
+        refundId: refund.refundId,
+        refundEntryId: refund._id,
+        amount: refund.amount,
+        currency: transaction.currency,
+      },
+      { session }
+    );
+    // Partial refunds are goodwill credits – the customer keeps access
+    if (fullyRefunded) {
+      const gatewaySubscription = await revokeAccess(transaction, session);
+      await publishEvent(
+        PAYMENT_EVENTS.PURCHASE_REFUNDED,
+        {
+          transactionId: transaction._id,
+          userId: transaction.userId,
+          itemType: transaction.itemType,
+          itemId: transaction.itemId,
+          gatewaySubscription,
+        },
+        { session }
+      );
+    }
+    return { transaction, refund };
+  });
+  if (!completed) return null;
+  const { transaction, refund } = completed;
+
+  try {
+    await processAndSendCreditNote(transaction, refund);
+  } catch (err) {
+    logger.error(`❌ Failed to send credit note ${refund.creditNoteNumber}: ${err.message}`);
+  }
+
+  return { transaction, refund };
+};
+
+/**
+ * Admin refund through the gateway the transaction was paid with.
+ * The amount is reserved atomically first so concurrent refunds can't exceed what was paid.
+ * @param {object} params
+ * @param {string} params.transactionId
+ * @param {number} [params.amount] - major units; defaults to everything still refundable
+ * @param {string} [params.reason]
+ * @param {string} [params.adminId]
+ * @returns {Promise<{ transaction, refund }>} refund.status is "pending" until the gateway confirms
+ */
+export const issueRefund = async ({ transactionId, amount, reason = "", adminId }) => {
+  const transaction = await Transaction.findById(transactionId);
+  if (!transaction) throw new NotFoundError("Transaction not found");
+  if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+    throw new BadRequestError(`Only paid transactions can be refunded (status: ${transaction.status})`);
+  }
+
+  const remaining = round2(transaction.amount - committedRefundTotal(transaction));
+  const refundAmount = amount === undefined ? remaining : round2(amount);
+  if (refundAmount <= 0) throw new BadRequestError("Nothing left to refund on this transaction");
+  if (refundAmount > remaining + EPSILON) {
+    throw new BadRequestError(`Refund exceeds the refundable amount (${remaining} ${transaction.currency})`);
+  }
+
+  const reserved = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: { $lte: [{ $add: [committedRefundTotalExpr, refundAmount] }, { $add: ["$amount", EPSILON] }] },
+    },
+    {
+      $push: {
+        refunds: {
+          amount: refundAmount,
+          currency: transaction.currency,
+          reason,
+          source: "admin",
+          initiatedBy: adminId,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ConflictError("Another refund changed this transaction. Reload it and try again.", {
+      code: "REFUND_CONFLICT",
+    });
+  }
+  const refund = reserved.refunds[reserved.refunds.length - 1];
+
+  let result;
+  try {
+    result = await getPaymentProvider(reserved.gateway).refund({ transaction: reserved, amount: refundAmount, reason });
+  } catch (err) {
+    refund.status = "failed";
+    refund.error = err.message;
+    await reserved.save();
+    throw err;
+  }
+
+  refund.refundId = result.refundId;
+  if (result.status === "failed") refund.status = "failed";
+  await reserved.save();
+
+  if (result.status === "succeeded") {
+    return (await completeRefund(reserved._id, refund._id)) || { transaction: await Transaction.findById(reserved._id), refund };
+  }
+  return { transaction: reserved, refund };
+};
+
+// Record a gateway-reported refund on one transaction and complete it
+const applyGatewayRefund = async (transaction, { refundId, amount, currency, status, reason }) => {
+  let refund =
+    transaction.refunds.find((r) => r.refundId === refundId) ||
+    transaction.refunds.find((r) => !r.refundId && r.status === "pending" && Math.abs(r.amount - amount) < EPSILON);
+
+  if (status === "failed") {
+    if (refund && refund.status !== "succeeded") {
+      refund.status = "failed";
+      refund.refundId = refundId;
+      await transaction.save();
+    }
+    return { transaction, refund };
+  }
+
+  if (!refund) {
+    transaction.refunds.push({
+      refundId,
+      amount: round2(amount),
+      currency: currency?.toUpperCase() || transaction.currency,
+      reason: reason || "Issued from gateway dashboard",
+      source: "gateway",
+    });
+    refund = transaction.refunds[transaction.refunds.length - 1];
+  } else if (refund.status === "succeeded") {
+    return { transaction, refund }; // duplicate delivery
+  } else {
+    refund.refundId = refundId;
+  }
+  await transaction.save();
+
+  return completeRefund(transaction._id, refund._id);
+};
+
+// 🛒 Cart order lines share the order's payment, so the gateway can't say which line was refunded.
+// A refund started on one line (webhook beat our save) goes to that line; a dashboard refund of
+// everything still refundable is split across the lines, one of exactly one line's remainder goes
+// to it. Anything else is ambiguous – flagged on the order for an admin instead of guessed.
+const recordOrderRefund = async (order, { refundId, amount, currency, status, reason }) => {
+  const lines = await Transaction.find({ orderId: order._id });
+
+  const started = lines.find((line) =>
+    line.refunds.some((r) => !r.refundId && r.status === "pending" && Math.abs(r.amount - amount) < EPSILON)
+  );
+  if (started) return [await applyGatewayRefund(started, { refundId, amount, currency, status, reason })];
+  if (status === "failed") return []; // a failed dashboard refund changed nothing of ours
+
+  // Per-line refund IDs keep redeliveries idempotent; a line's share ignores this refund's own entries
+  const lineRefundId = (line) => `${refundId}:${line._id}`;
+  const shares = lines
+    .filter(
+      (line) => REFUNDABLE_STATUSES.includes(line.status) || line.refunds.some((r) => r.refundId === lineRefundId(line))
+    )
+    .map((line) => ({
+      line,
+      share: round2(
+        line.amount -
+          line.refunds
+            .filter((r) => r.status !== "failed" && r.refundId !== lineRefundId(line))
+            .reduce((sum, r) => sum + r.amount, 0)
+      ),
+    }))
+    .filter(({ share }) => share > EPSILON);
+
+  const total = shares.reduce((sum, { share }) => sum + share, 0);
+  const single = shares.filter(({ share }) => Math.abs(share - amount) < EPSILON);
+  let targets;
+  if (Math.abs(total - amount) < EPSILON) targets = shares;
+  else if (single.length === 1) targets = single;
+  else {
+    logger.error(
+      `❌ ${order.gateway} refund ${refundId} of ${amount} on order ${order._id} matches no line – flagged for review`
+    );
+    await Order.updateOne(
+      { _id: order._id, "metadata.unmatchedRefunds.refundId": { $ne: refundId } },
+      { $push: { "metadata.unmatchedRefunds": { refundId, amount, currency, at: new Date() } } }
+    );
+    return [];
+  }
+
+  const results = [];
+  for (const { line, share } of targets) {
+    results.push(
+      await applyGatewayRefund(line, { refundId: lineRefundId(line), amount: share, currency, status, reason })
+    );
+  }
+  return results;
+};
+
+/**
+ * Apply a refund reported by a gateway webhook. Covers refunds started through
+ * issueRefund (matched by refundId, or by amount if the webhook beat our save)
+ * and refunds issued straight from the gateway dashboard – for a cart order those are
+ * split across its lines (see recordOrderRefund).
+ * @param {object} params - { gateway, refundId, paymentId, amount, currency?, status: "succeeded"|"failed", reason? }
+ * @returns {Promise<object|object[]|null>} { transaction, refund }, one per line for a cart order
+ */
+export const recordGatewayRefund = async ({ gateway, refundId, paymentId, amount, currency, status, reason = "" }) => {
+  const refundParams = { refundId, amount, currency, status, reason };
+  const matched = await Transaction.findOne({ "refunds.refundId": refundId });
+  if (matched) return applyGatewayRefund(matched, refundParams);
+
+  const paymentRef = { gateway, $or: [{ paymentId }, { paymentIntentId: paymentId }] };
+  const order = paymentId && (await Order.findOne(paymentRef));
+  if (order) return recordOrderRefund(order, refundParams);
+
+  const transaction = paymentId && (await Transaction.findOne({ ...paymentRef, orderId: { $exists: false } }));
+  if (!transaction) {
+    logger.warn(`⚠️ No transaction found for ${gateway} refund ${refundId} (payment ${paymentId})`);
+    return null;
+  }
+  return applyGatewayRefund(transaction, refundParams);
+};
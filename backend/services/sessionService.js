@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import Session from "../models/Session.js";
+
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 7; // 7d expiry
+
+// SHA256 (not bcrypt) so a session can be looked up by its token
+export const hashSessionToken = (rawToken) =>
+  crypto.createHash("sha256").update(rawToken).digest("hex");
+
+/**
+ * Persist a login session for the issued JWT.
+ */
+export const createSession = async ({ userId, rawToken, req }) =>
+  Session.create({
+    userId,
+    token: hashSessionToken(rawToken),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+
+/**
+ * Find the live session a raw token belongs to.
+ * Older logins stored bcrypt hashes – those are matched once and migrated to SHA256.
+ */
+export const findSessionByToken = async (userId, rawToken) => {
+  if (!rawToken) return null;
+
+  const now = new Date();
+  const session = await Session.findOne({
+    userId,
+    token: hashSessionToken(rawToken),
+    expiresAt: { $gt: now },
+  });
+  if (session) return session;
+
+  const legacySessions = await Session.find({
+    userId,
+    token: /^\$2[aby]\$/,
+    expiresAt: { $gt: now },
+  });
+  for (const legacy of legacySessions) {
+    if (await bcrypt.compare(rawToken, legacy.token)) {
+      legacy.token = hashSessionToken(rawToken);
+      await legacy.save();
+      return legacy;
+    }
+  }
+
+  return null;
+};
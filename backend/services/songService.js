@@ -1,6 +1,10 @@
 import { Song } from "../models/Song.js";
 import { Album } from "../models/Album.js";
 import mongoose from "mongoose";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { startPreviewRender, startTranscode } from "./transcodeService.js";
+import { recordTranscodeFailure } from "./hlsService.js";
+import logger from "../utils/logger.js";
 // import { songDeletionQueue } from "../queue/songDeletionQueue.js";
 
 export const calculatePrice = ({ accessType, basePrice, albumOnly }) => {
@@ -30,6 +34,7 @@ export const createSong = async ({ data, audioUrl, coverImageUrl }) => {
       audioUrl,
       convertedPrices: data.convertedPrices || [],
       audioKey: audioUrl.split("/").pop().replace(/\.[^/.]+$/, ""),
+      ...(data.preview && { preview: data.preview }),
     }], { session });
     console.log("New Song Created:", newSong);
     if (data.album) {
@@ -55,8 +60,10 @@ export const updateSong = async ({ songId, data, coverImageUrl, audioUrl }) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let song;
+  let audioChanged = false;
   try {
-    const song = await Song.findById(songId).session(session);
+    song = await Song.findById(songId).session(session);
     if (!song) throw new Error("Song not found");
 
     const oldAlbumId = song.album?.toString();
@@ -73,10 +80,24 @@ export const updateSong = async ({ songId, data, coverImageUrl, audioUrl }) => {
     song.album = newAlbumId;
 
     if (coverImageUrl) song.coverImage = coverImageUrl;
+    const previousAudioKey = song.audioKey;
     if (audioUrl) {
       song.audioUrl = audioUrl;
       song.audioKey = audioUrl.split("/").pop().replace(/\.[^/.]+$/, "");
     }
+    // 🎚️ New audio – the old renditions and preview belong to the old file
+    audioChanged = song.audioKey !== previousAudioKey;
+    if (audioChanged) {
+      song.hlsReady = false;
+      song.hlsUrl = undefined;
+      song.renditions = [];
+      song.preview.ready = false;
+      song.preview.key = "";
+      song.preview.rendered = undefined;
+      song.preview.pendingJobId = undefined;
+      song.transcode.status = "pending";
+      song.transcode.error = "";
+    }
 
     await song.save({ session });
 
@@ -91,13 +112,24 @@ export const updateSong = async ({ songId, data, coverImageUrl, audioUrl }) => {
 
     await session.commitTransaction();
     session.endSession();
-
-    return song;
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
     throw error;
   }
+
+  // After the commit, so the job never points at audio that was rolled back. The update
+  // itself has succeeded by now – a failed submission is left for an admin to retry
+  if (audioChanged) {
+    try {
+      await startTranscode(song);
+    } catch (err) {
+      logger.error(`❌ Failed to start transcode for updated song ${song._id}: ${err.message}`);
+      await recordTranscodeFailure({ audioKey: song.audioKey, error: err.message }).catch(() => {});
+    }
+  }
+
+  return song;
 };
 
 // export const deleteSong = async (songId) => {
@@ -123,4 +155,28 @@ export const updateSong = async ({ songId, data, coverImageUrl, audioUrl }) => {
 //   await song.deleteOne();
 
 //   return { message: "Song deleted successfully" };
-// };
\ No newline at end of file
+// };
+
+// 🎧 Change the preview window and re-render the clip; the current clip is served until the new one is ready
+export const updateSongPreview = async (songId, { startOffset, duration }) => {
+  const song = await Song.findById(songId);
+  if (!song) throw new NotFoundError("Song not found");
+
+  const nextOffset = startOffset ?? song.preview?.startOffset ?? 0;
+  const nextDuration = duration ?? song.preview?.duration ?? 30;
+  if (song.duration && nextOffset + nextDuration > song.duration) {
+    throw new BadRequestError("Preview window must end before the song does");
+  }
+
+  const changed = nextOffset !== song.preview.startOffset || nextDuration !== song.preview.duration;
+  song.preview.startOffset = nextOffset;
+  song.preview.duration = nextDuration;
+  await song.save();
+
+  if (changed && song.audioKey) {
+    const job = await startPreviewRender(song);
+    song.preview.pendingJobId = job.status === "failed" ? undefined : job._id;
+  }
+
+  return song;
+};
@@ -0,0 +1,163 @@
+import redis from "../utils/redisClient.js";
+import Session from "../models/Session.js";
+import { ConflictError, NotFoundError, UnauthenticatedError } from "../errors/index.js";
+import { findSessionByToken } from "./sessionService.js";
+import { resolveUserTier } from "./userTierService.js";
+
+// Simultaneous streams per tier (0 = unlimited)
+export const STREAM_LIMITS = {
+  free: Number(process.env.STREAM_LIMIT_FREE ?? 1),
+  subscriber: Number(process.env.STREAM_LIMIT_SUBSCRIBER ?? 2),
+  admin: Number(process.env.STREAM_LIMIT_ADMIN ?? 0),
+};
+
+// A lease dies unless the player heartbeats within this window
+export const LEASE_TTL_SECONDS = Number(process.env.STREAM_LEASE_TTL_SECONDS) || 90;
+export const HEARTBEAT_INTERVAL_SECONDS = Math.floor(LEASE_TTL_SECONDS / 3);
+
+const leasesKey = (userId) => `stream:leases:${userId}`; // ZSET sessionId -> expiry (ms)
+const leaseInfoKey = (userId) => `stream:lease-info:${userId}`; // HASH sessionId -> JSON
+
+// Prune expired leases, then take/renew this session's lease unless the limit is reached
+redis.defineCommand("acquireStreamLease", {
+  numberOfKeys: 2,
+  lua: `
+    local now = tonumber(ARGV[1])
+    local expiresAt = tonumber(ARGV[2])
+    local limit = tonumber(ARGV[3])
+    local member = ARGV[4]
+
+    local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now)
+    if #expired > 0 then
+      redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+      redis.call('HDEL', KEYS[2], unpack(expired))
+    end
+
+    local held = redis.call('ZSCORE', KEYS[1], member)
+    if not held and limit > 0 and redis.call('ZCARD', KEYS[1]) >= limit then
+      return 0
+    end
+
+    redis.call('ZADD', KEYS[1], expiresAt, member)
+    redis.call('HSET', KEYS[2], member, ARGV[5])
+    redis.call('PEXPIRE', KEYS[1], ARGV[6])
+    redis.call('PEXPIRE', KEYS[2], ARGV[6])
+    return 1
+  `,
+});
+
+const resolveSession = async (user, token) => {
+  const session = await findSessionByToken(user._id, token);
+  if (!session) throw new UnauthenticatedError("Session has ended. Please login again.");
+  return session;
+};
+
+/**
+ * Active leases for a user, joined with the device info of their sessions.
+ */
+export const listActiveStreams = async (userId, currentSessionId = null) => {
+  const now = Date.now();
+  const entries = await redis.zrangebyscore(leasesKey(userId), now, "+inf", "WITHSCORES");
+  if (!entries.length) return [];
+
+  const sessionIds = entries.filter((_, i) => i % 2 === 0);
+  const [infos, sessions] = await Promise.all([
+    redis.hmget(leaseInfoKey(userId), ...sessionIds),
+    Session.find({ _id: { $in: sessionIds }, userId }).select("userAgent ip createdAt").lean(),
+  ]);
+  const sessionsById = new Map(sessions.map((s) => [s._id.toString(), s]));
+
+  return sessionIds.map((sessionId, i) => {
+    const info = infos[i] ? JSON.parse(infos[i]) : {};
+    const session = sessionsById.get(sessionId);
+    return {
+      sessionId,
+      userAgent: session?.userAgent || null,
+      ip: session?.ip || null,
+      loggedInAt: session?.createdAt || null,
+      songId: info.songId || null,
+      albumId: info.albumId || null,
+      startedAt: info.startedAt || null,
+      expiresAt: new Date(Number(entries[i * 2 + 1])),
+      current: sessionId === currentSessionId?.toString(),
+    };
+  });
+};
+
+/**
+ * Acquire (or renew) the stream lease for the session behind `token`.
+ * Throws a 409 listing the active devices once the tier limit is reached.
+ * @returns {Promise<{ sessionId, expiresAt, heartbeatInterval }>}
+ */
+export const acquireStreamLease = async ({ user, token, songId = null, albumId = null }) => {
+  const session = await resolveSession(user, token);
+  const sessionId = session._id.toString();
+  const tier = await resolveUserTier(user);
+  const limit = STREAM_LIMITS[tier] ?? STREAM_LIMITS.free;
+
+  // Keep the original start time across heartbeats for the same track
+  const previous = await redis.hget(leaseInfoKey(user._id), sessionId);
+  const prevInfo = previous ? JSON.parse(previous) : null;
+  const sameTrack = prevInfo && (songId ? prevInfo.songId === String(songId) : true);
+
+  const now = Date.now();
+  const ttlMs = LEASE_TTL_SECONDS * 1000;
+  const info = {
+    songId: songId ? String(songId) : prevInfo?.songId || null,
+    albumId: albumId ? String(albumId) : prevInfo?.albumId || null,
+    startedAt: sameTrack ? prevInfo.startedAt : new Date(now).toISOString(),
+  };
+
+  const acquired = await redis.acquireStreamLease(
+    leasesKey(user._id),
+    leaseInfoKey(user._id),
+    now,
+    now + ttlMs,
+    limit,
+    sessionId,
+    JSON.stringify(info),
+    ttlMs
+  );
+
+  if (!acquired) {
+    const devices = await listActiveStreams(user._id, sessionId);
+    throw new ConflictError(
+      `You can stream on ${limit} device${limit === 1 ? "" : "s"} at a time. Stop playback on another device to continue.`,
+      { code: "STREAM_LIMIT_REACHED", tier, limit, devices }
+    );
+  }
+
+  return {
+    sessionId,
+    expiresAt: new Date(now + ttlMs),
+    heartbeatInterval: HEARTBEAT_INTERVAL_SECONDS,
+  };
+};
+
+/**
+ * Drop a session's lease (playback stopped, logout or kick).
+ */
+export const releaseStreamLease = async (userId, sessionId) => {
+  const member = sessionId.toString();
+  await redis
+    .multi()
+    .zrem(leasesKey(userId), member)
+    .hdel(leaseInfoKey(userId), member)
+    .exec();
+};
+
+export const releaseCurrentStreamLease = async (user, token) => {
+  const session = await resolveSession(user, token);
+  await releaseStreamLease(user._id, session._id);
+};
+
+/**
+ * Kick another device: its lease is dropped and its session ended,
+ * so it cannot silently re-acquire a lease on the next heartbeat.
+ */
+export const kickDevice = async (user, sessionId) => {
+  const session = await Session.findOneAndDelete({ _id: sessionId, userId: user._id });
+  if (!session) throw new NotFoundError("Device session not found");
+
+  await releaseStreamLease(user._id, session._id);
+};
@@ -0,0 +1,193 @@
+import { TaxRule } from "../models/TaxRule.js";
+import { LedgerEntry } from "../models/LedgerEntry.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { formatAmount } from "../utils/convertCurrencies.js";
+
+// ---------------------------
+// 🧮 Tax on digital sales. Catalog prices are tax-inclusive: the tax is worked out of
+// the amount charged, never added on top, so gateway amounts don't change.
+// Rule lookup: admin TaxRule for the buyer's state → for the country → built-in rules.
+// ---------------------------
+
+// The seller is GST-registered in India
+export const SELLER_COUNTRY = (process.env.SELLER_COUNTRY || "IN").toUpperCase();
+export const SELLER_STATE = (process.env.SELLER_STATE || "DL").toUpperCase();
+export const GST_RATE = Number(process.env.GST_RATE ?? 18); // OIDAR services
+
+// EU standard VAT rates – B2C digital services are taxed at the buyer's country rate (OSS)
+export const EU_VAT_RATES = {
+  AT: 20, BE: 21, BG: 20, CY: 19, CZ: 21, DE: 19, DK: 25, EE: 24, ES: 21,
+  FI: 25.5, FR: 20, GR: 24, HR: 25, HU: 27, IE: 23, IT: 22, LT: 21, LU: 17,
+  LV: 21, MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SE: 25, SI: 22, SK: 23,
+};
+
+const normalizeCode = (code) => (typeof code === "string" ? code.trim().toUpperCase() : "");
+
+const builtinRule = ({ country, state }) => {
+  if (country === "IN") {
+    // Intra-state supply splits GST into CGST + SGST; inter-state is IGST
+    if (state === SELLER_STATE) {
+      return {
+        rule: "builtin:in-gst",
+        regime: "gst",
+        components: [
+          { name: "CGST", rate: GST_RATE / 2 },
+          { name: "SGST", rate: GST_RATE / 2 },
+        ],
+      };
+    }
+    return { rule: "builtin:in-gst", regime: "gst", components: [{ name: "IGST", rate: GST_RATE }] };
+  }
+  if (EU_VAT_RATES[country] !== undefined) {
+    return { rule: "builtin:eu-oss-vat", regime: "vat", components: [{ name: `VAT (${country})`, rate: EU_VAT_RATES[country] }] };
+  }
+  return null;
+};
+
+/**
+ * Where the buyer is, for tax: billing address first, then the IP country.
+ * Unknown → the seller's own location (place of supply defaults to the supplier).
+ * An Indian buyer without a state is treated the same way.
+ * @param {object|null} [location] - { country?, state?, source? }
+ * @returns {{ country: string, state: string, source: "billing"|"ip"|"seller" }}
+ */
+export const normalizeTaxLocation = (location) => {
+  const { country, state, source } = location || {};
+  const normalizedCountry = normalizeCode(country);
+  if (!/^[A-Z]{2}$/.test(normalizedCountry)) {
+    return { country: SELLER_COUNTRY, state: SELLER_STATE, source: "seller" };
+  }
+  let normalizedState = normalizeCode(state);
+  if (normalizedCountry === SELLER_COUNTRY && !normalizedState) normalizedState = SELLER_STATE;
+  return { country: normalizedCountry, state: normalizedState, source: source || "billing" };
+};
+
+const findRule = async ({ country, state }) => {
+  const rules = await TaxRule.find({ country, state: { $in: [...new Set([state, ""])] }, active: true }).lean();
+  const rule = (state && rules.find((r) => r.state === state)) || rules.find((r) => r.state === "");
+  if (rule) return { rule: `rule:${rule._id}`, regime: rule.regime, components: rule.components };
+  return builtinRule({ country, state });
+};
+
+/**
+ * Tax contained in a tax-inclusive amount.
+ * @param {object} params
+ * @param {number} params.amount - what the buyer pays
+ * @param {string} params.currency
+ * @param {object} [params.location] - { country, state, source }
+ * @returns {Promise<object>} the shape stored on Transaction.tax
+ */
+export const calculateTax = async ({ amount, currency, location }) => {
+  const { country, state, source } = normalizeTaxLocation(location);
+  const round = (n) => formatAmount(n, currency);
+  const base = { country, state, locationSource: source };
+
+  const rule = await findRule({ country, state });
+  const rate = rule ? rule.components.reduce((sum, c) => sum + c.rate, 0) : 0;
+  if (!rule || !rate || !amount) {
+    return { ...base, regime: rule?.regime || "none", rule: rule?.rule || "none", rate: 0, taxableAmount: round(amount || 0), amount: 0, lines: [] };
+  }
+
+  const taxableAmount = round(amount / (1 + rate / 100));
+  const taxAmount = round(amount - taxableAmount);
+
+  // Split across components by rate; the last one takes the rounding remainder
+  let allocated = 0;
+  const lines = rule.components.map((component, i) => {
+    const isLast = i === rule.components.length - 1;
+    const lineAmount = isLast ? round(taxAmount - allocated) : round((taxAmount * component.rate) / rate);
+    allocated += lineAmount;
+    return { name: component.name, rate: component.rate, amount: lineAmount };
+  });
+
+  return { ...base, regime: rule.regime, rule: rule.rule, rate, taxableAmount, amount: taxAmount, lines };
+};
+
+/**
+ * Scale a transaction's tax to part of its amount (refunds, credit notes).
+ * @returns {{ amount: number, lines: { name, rate, amount }[] }}
+ */
+export const proportionalTax = (tax, ratio, currency) => {
+  if (!tax?.amount) return { amount: 0, lines: [] };
+  const round = (n) => formatAmount(n, currency);
+  const amount = round(tax.amount * ratio);
+  let allocated = 0;
+  const lines = tax.lines.map((line, i) => {
+    const lineAmount = i === tax.lines.length - 1 ? round(amount - allocated) : round(line.amount * ratio);
+    allocated += lineAmount;
+    return { name: line.name, rate: line.rate, amount: lineAmount };
+  });
+  return { amount, lines };
+};
+
+// ---------------------------------------------------------------------------
+// Admin
+// ---------------------------------------------------------------------------
+
+export const listTaxRules = async ({ country, active } = {}) => {
+  const query = {};
+  if (country) query.country = normalizeCode(country);
+  if (active !== undefined) query.active = active;
+  const rules = await TaxRule.find(query).sort({ country: 1, state: 1 }).lean();
+  return { rules, builtin: { seller: { country: SELLER_COUNTRY, state: SELLER_STATE }, gstRate: GST_RATE, euVatRates: EU_VAT_RATES } };
+};
+
+export const createTaxRule = async (fields, adminId) => {
+  try {
+    return await TaxRule.create({ ...fields, state: normalizeCode(fields.state), updatedBy: adminId });
+  } catch (err) {
+    if (err.code === 11000) throw new BadRequestError("A tax rule for this country / state already exists");
+    throw err;
+  }
+};
+
+export const updateTaxRule = async (ruleId, fields, adminId) => {
+  const rule = await TaxRule.findById(ruleId);
+  if (!rule) throw new NotFoundError("Tax rule not found");
+  for (const key of ["name", "regime", "components", "active", "notes"]) {
+    if (fields[key] !== undefined) rule[key] = fields[key];
+  }
+  rule.updatedBy = adminId;
+  await rule.save();
+  return rule;
+};
+
+export const deleteTaxRule = async (ruleId) => {
+  const rule = await TaxRule.findByIdAndDelete(ruleId);
+  if (!rule) throw new NotFoundError("Tax rule not found");
+  return rule;
+};
+
+/**
+ * Tax collected per country, regime, component and currency, net of refunds – from the revenue ledger.
+ * @param {object} [range] - { from, to } on when the sale / refund happened
+ */
+export const getTaxReport = async ({ from, to } = {}) => {
+  const match = { kind: { $in: ["sale", "refund"] }, "tax.lines.0": { $exists: true } };
+  if (from || to) {
+    match.occurredAt = {};
+    if (from) match.occurredAt.$gte = new Date(from);
+    if (to) match.occurredAt.$lt = new Date(to);
+  }
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: "$tax.lines" },
+    {
+      $group: {
+        _id: {
+          country: "$tax.country",
+          state: "$tax.state",
+          regime: "$tax.regime",
+          component: "$tax.lines.name",
+          currency: "$currency",
+        },
+        amount: { $sum: "$tax.lines.amount" },
+        entries: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.country": 1, "_id.state": 1, "_id.component": 1, "_id.currency": 1 } },
+  ]);
+
+  return rows.map(({ _id, amount, entries }) => ({ ..._id, amount: formatAmount(amount, _id.currency), entries }));
+};
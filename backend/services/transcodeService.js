@@ -0,0 +1,283 @@
+import { Song } from "../models/Song.js";
+import { TranscodeJob } from "../models/TranscodeJob.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import eventDispatcher from "../core/events/eventDispatcher.js";
+import { MEDIA_EVENTS } from "../core/events/eventTypes.js";
+import { getTranscodeProvider } from "../providers/transcodeProvider.js";
+import { getOutputLayout, getPreviewKey, getSourceKey } from "../utils/transcodeLayout.js";
+import {
+  recordHlsCompletion,
+  recordPreviewCompletion,
+  recordPreviewRender,
+  recordTranscodeFailure,
+  requestTranscodeRetry,
+} from "./hlsService.js";
+import logger from "../utils/logger.js";
+
+const RECENT_JOBS_LIMIT = 10;
+
+/**
+ * Create a TranscodeJob for a song and hand it to the configured provider.
+ * Submission errors don't throw – they are recorded as a failed transcode
+ * so the upload itself still succeeds and an admin can retry.
+ * @returns {Promise<object>} the TranscodeJob
+ */
+export const startTranscode = async (song) => {
+  const provider = getTranscodeProvider();
+  const attempt = (await TranscodeJob.countDocuments({ songId: song._id, kind: { $ne: "preview" } })) + 1;
+
+  const job = await TranscodeJob.create({
+    songId: song._id,
+    audioKey: song.audioKey,
+    sourceKey: getSourceKey(song.audioUrl),
+    provider: provider.name,
+    attempt,
+    outputs: getOutputLayout(song.audioKey, provider.qualities),
+    preview: {
+      startOffset: song.preview?.startOffset ?? 0,
+      duration: song.preview?.duration ?? 30,
+    },
+  });
+
+  try {
+    const { externalJobIds, status } = await provider.submit({ job, song });
+    job.externalJobIds = externalJobIds;
+    job.status = status;
+    job.startedAt = new Date();
+    await job.save();
+
+    await Song.updateOne({ _id: song._id }, { $set: { "transcode.status": "processing" } });
+  } catch (err) {
+    logger.error(`❌ Failed to submit transcode for song ${song._id}: ${err.message}`);
+    job.status = "failed";
+    job.error = err.message;
+    await job.save();
+
+    await recordTranscodeFailure({ audioKey: song.audioKey, error: err.message });
+  }
+
+  return job;
+};
+
+/**
+ * Put a failed song back to pending and submit a new transcode for it straight away –
+ * SONG_TRANSCODE_RETRY_REQUESTED is only an announcement, nothing enqueues on it.
+ * @returns {Promise<{ song, job }>}
+ */
+export const retryTranscode = async (songId) => {
+  const song = await requestTranscodeRetry(songId);
+  const job = await startTranscode(song);
+  return { song, job };
+};
+
+// The current clip stays live – only the job and the pending marker change
+const failPreviewRender = async (job, error) => {
+  job.status = "failed";
+  job.previewStatus = "failed";
+  job.error = String(error || "Unknown transcoding error").slice(0, 1000);
+  job.completedAt = new Date();
+  await job.save();
+
+  return Song.findOneAndUpdate(
+    { _id: job.songId, "preview.pendingJobId": job._id },
+    { $unset: { "preview.pendingJobId": "" } },
+    { new: true }
+  );
+};
+
+/**
+ * Re-render only the preview clip after its window changed.
+ * The clip gets a new key, so the current one keeps being served until the new one is
+ * recorded; a later window change supersedes a render still in flight.
+ * @returns {Promise<object>} the TranscodeJob
+ */
+export const startPreviewRender = async (song) => {
+  const provider = getTranscodeProvider();
+
+  const job = new TranscodeJob({
+    songId: song._id,
+    audioKey: song.audioKey,
+    sourceKey: getSourceKey(song.audioUrl),
+    provider: provider.name,
+    kind: "preview",
+    preview: {
+      startOffset: song.preview?.startOffset ?? 0,
+      duration: song.preview?.duration ?? 30,
+    },
+  });
+  job.outputs = { previewKey: getPreviewKey(song.audioKey, job._id) };
+  await job.save();
+
+  await Song.updateOne({ _id: song._id }, { $set: { "preview.pendingJobId": job._id } });
+
+  try {
+    const { externalJobIds, status } = await provider.submitPreview({ job, song });
+    job.externalJobIds = externalJobIds;
+    job.status = status;
+    job.startedAt = new Date();
+    await job.save();
+  } catch (err) {
+    logger.error(`❌ Failed to submit preview render for song ${song._id}: ${err.message}`);
+    await failPreviewRender(job, err.message);
+  }
+
+  return job;
+};
+
+const findJobForResult = async ({ jobId, audioKey }) =>
+  jobId
+    ? TranscodeJob.findById(jobId)
+    : // Preview re-renders always report their jobId
+      TranscodeJob.findOne({ audioKey, kind: { $ne: "preview" } }).sort({ createdAt: -1 });
+
+/**
+ * Apply a provider's result (local worker or media callback) to the song and its job.
+ * Missing renditions / URLs fall back to the layout recorded when the job was submitted.
+ * @param {object} result - { jobId?, audioKey, kind?: "full"|"preview", status: "complete"|"failed", hlsUrl?, duration?, renditions?, previewKey?, previewError?, error? }
+ * @returns {Promise<{ song, job, status }>} song is null when a preview re-render was superseded
+ */
+export const handleTranscodeResult = async (result) => {
+  const { audioKey, kind = "full", status } = result;
+  const job = await findJobForResult(result);
+  if (job && job.audioKey !== audioKey) throw new NotFoundError("Transcode job does not match audioKey");
+
+  if (job?.kind === "preview") {
+    if (status === "failed") {
+      logger.error(`❌ Preview render failed for song ${job.songId} (${audioKey}): ${result.error}`);
+      return { song: await failPreviewRender(job, result.error), job, status };
+    }
+
+    const song = await recordPreviewRender({
+      audioKey,
+      jobId: job._id,
+      previewKey: result.previewKey || job.outputs.previewKey,
+      previewWindow: job.preview,
+    });
+    job.status = "complete";
+    job.previewStatus = "complete";
+    job.error = "";
+    job.completedAt = new Date();
+    await job.save();
+    return { song, job, status };
+  }
+
+  if (kind === "preview") {
+    const previewKey = status === "complete" ? result.previewKey || job?.outputs?.previewKey : null;
+    const song = await recordPreviewCompletion({ audioKey, previewKey, previewWindow: job?.preview });
+    if (job) {
+      job.previewStatus = previewKey ? "complete" : "failed";
+      job.previewError = previewKey ? "" : String(result.error || "Unknown transcoding error").slice(0, 1000);
+      await job.save();
+    }
+    return { song, job, status };
+  }
+
+  if (status === "failed") {
+    const song = await recordTranscodeFailure({ audioKey, error: result.error });
+    logger.error(`❌ Transcode failed for song ${song._id} (${audioKey}): ${song.transcode.error}`);
+
+    if (job) {
+      job.status = "failed";
+      job.error = song.transcode.error;
+      job.completedAt = new Date();
+      await job.save();
+    }
+
+    eventDispatcher.dispatch(MEDIA_EVENTS.SONG_TRANSCODE_FAILED, {
+      songId: song._id,
+      audioKey,
+      error: song.transcode.error,
+    });
+    return { song, job, status };
+  }
+
+  // Callbacks may be delivered more than once – only announce the first completion
+  const wasReady = await Song.exists({ audioKey, hlsReady: true });
+
+  const outputs = job?.outputs;
+  const hlsUrl =
+    result.hlsUrl || (outputs?.hlsKey && `https://${process.env.CLOUDFRONT_DOMAIN}/${outputs.hlsKey}`);
+  if (!hlsUrl) throw new BadRequestError("hlsUrl is required when no transcode job is on record");
+
+  const song = await recordHlsCompletion({
+    audioKey,
+    hlsUrl,
+    duration: result.duration,
+    renditions: result.renditions?.length ? result.renditions : outputs?.renditions || [],
+    previewKey: result.previewKey,
+    previewWindow: job?.preview,
+  });
+
+  if (job) {
+    job.status = "complete";
+    job.error = "";
+    job.completedAt = new Date();
+    if (result.previewError) {
+      job.previewStatus = "failed";
+      job.previewError = String(result.previewError).slice(0, 1000);
+    } else if (result.previewKey !== undefined) {
+      job.previewStatus = result.previewKey ? "complete" : "skipped";
+    }
+    await job.save();
+  }
+
+  if (!wasReady) {
+    eventDispatcher.dispatch(MEDIA_EVENTS.SONG_READY, {
+      songId: song._id,
+      artistId: song.artist,
+      albumId: song.album,
+      title: song.title,
+      hlsUrl: song.hlsUrl,
+    });
+  }
+
+  return { song, job, status };
+};
+
+/**
+ * BullMQ processor for TRANSCODE_PROVIDER=local.
+ */
+export const runLocalTranscode = async (transcodeJobId) => {
+  const job = await TranscodeJob.findById(transcodeJobId);
+  if (!job) throw new NotFoundError(`Transcode job ${transcodeJobId} not found`);
+
+  job.status = "processing";
+  job.startedAt = new Date();
+  await job.save();
+
+  const provider = getTranscodeProvider("local");
+  let result;
+  try {
+    result = await (job.kind === "preview" ? provider.renderPreview(job) : provider.transcode(job));
+  } catch (err) {
+    result = { jobId: job._id, audioKey: job.audioKey, status: "failed", error: err.message };
+  }
+
+  const { status } = await handleTranscodeResult(result);
+  return { songId: job.songId.toString(), status };
+};
+
+/**
+ * Current transcode state of a song plus its most recent jobs.
+ */
+export const getTranscodeStatus = async (songId) => {
+  const song = await Song.findById(songId)
+    .select("title audioKey hlsReady hlsUrl transcode renditions preview")
+    .lean();
+  if (!song) throw new NotFoundError("Song not found");
+
+  const jobs = await TranscodeJob.find({ songId })
+    .sort({ createdAt: -1 })
+    .limit(RECENT_JOBS_LIMIT)
+    .lean();
+
+  return {
+    songId: song._id,
+    hlsReady: song.hlsReady,
+    hlsUrl: song.hlsUrl,
+    transcode: song.transcode,
+    renditions: (song.renditions || []).map((r) => r.quality),
+    previewReady: song.preview?.ready || false,
+    jobs,
+  };
+};
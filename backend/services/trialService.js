@@ -0,0 +1,119 @@
+import { TrialUsage } from "../models/TrialUsage.js";
+import { Transaction } from "../models/Transaction.js";
+import { Subscription } from "../models/Subscription.js";
+import { withTransaction } from "../database/withTransaction.js";
+import { publishEvent } from "../core/events/outbox.js";
+import { PAYMENT_EVENTS } from "../core/events/eventTypes.js";
+import logger from "../utils/logger.js";
+
+// A claim from an abandoned checkout is given up after this long
+export const TRIAL_CLAIM_MINUTES = Number(process.env.TRIAL_CLAIM_MINUTES) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where each gateway's subscription id lives on the transaction
+const SUBSCRIPTION_REF = {
+  stripe: (id) => ({ stripeSubscriptionId: id }),
+  razorpay: (id) => ({ "metadata.razorpaySubscriptionId": id }),
+  paypal: (id) => ({ "metadata.paypalSubscriptionId": id }),
+  mock: (id) => ({ "metadata.mockSubscriptionId": id }),
+};
+
+/**
+ * Has the user already had (or is about to start) a trial with this artist?
+ */
+export const hasUsedTrial = async (userId, artistId) => !!(await TrialUsage.exists({ userId, artistId }));
+
+/**
+ * Reserve the user's one trial with this artist for a checkout.
+ * Takes over a stale pending claim; any other existing claim means no trial.
+ * @returns {Promise<boolean>} true if this checkout gets the trial
+ */
+export const claimTrial = async ({ userId, artistId, transactionId, gateway, trialDays }) => {
+  const staleBefore = new Date(Date.now() - TRIAL_CLAIM_MINUTES * 60 * 1000);
+  try {
+    await TrialUsage.findOneAndUpdate(
+      { userId, artistId, status: "pending", updatedAt: { $lt: staleBefore } },
+      { $set: { transactionId, gateway, trialDays } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false; // already used, or another checkout holds it
+    throw err;
+  }
+};
+
+/**
+ * Checkout never reached the gateway – give the trial back.
+ */
+export const releaseTrial = async (transactionId) => {
+  await TrialUsage.deleteOne({ transactionId, status: "pending" });
+};
+
+/**
+ * The gateway confirmed a trialing subscription (card authorised, nothing charged yet).
+ * The checkout transaction stays pending until the first real charge marks it paid.
+ * @param {object} params
+ * @param {string} params.gateway
+ * @param {string} params.subscriptionId - gateway subscription ID
+ * @param {Date} [params.trialEndsAt] - gateway's trial end, defaults to now + trialDays
+ * @returns {Promise<object|null>} the subscription, or null if the checkout had no trial
+ */
+export const startTrial = async ({ gateway, subscriptionId, trialEndsAt }) => {
+  const ref = SUBSCRIPTION_REF[gateway];
+  if (!ref || !subscriptionId) return null;
+
+  const transaction = await Transaction.findOne({
+    ...ref(subscriptionId),
+    status: "pending",
+    "metadata.trialDays": { $gt: 0 },
+  });
+  if (!transaction) return null;
+
+  const now = new Date();
+  const endsAt = trialEndsAt || new Date(now.getTime() + transaction.metadata.trialDays * DAY_MS);
+
+  const subscription = await withTransaction(async (session) => {
+    const trialing = await Subscription.findOneAndUpdate(
+      { userId: transaction.userId, artistId: transaction.artistId },
+      {
+        $set: {
+          status: "trialing",
+          cycle: transaction.metadata.cycle,
+          startedAt: now,
+          validUntil: endsAt,
+          trialEndsAt: endsAt,
+          isRecurring: true,
+          gateway,
+          externalSubscriptionId: subscriptionId,
+          transactionId: transaction._id,
+        },
+        $unset: { cancelledAt: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, session }
+    );
+
+    await TrialUsage.updateOne(
+      { transactionId: transaction._id },
+      { $set: { status: "used", startedAt: now, endsAt } },
+      { session }
+    );
+
+    await publishEvent(
+      PAYMENT_EVENTS.SUBSCRIPTION_TRIAL_STARTED,
+      {
+        subscriptionId: trialing._id,
+        userId: transaction.userId,
+        artistId: transaction.artistId,
+        gateway,
+        trialEndsAt: endsAt,
+      },
+      { session }
+    );
+    return trialing;
+  });
+  logger.info(`🎁 Trial started for ${gateway} subscription ${subscriptionId} until ${endsAt.toISOString()}`);
+
+  return subscription;
+};
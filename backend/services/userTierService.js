@@ -0,0 +1,21 @@
+import { Subscription } from "../models/Subscription.js";
+import { isAdmin } from "../utils/authHelper.js";
+import { subscriptionAccessFilter } from "../helpers/accessControl.js";
+
+export const USER_TIERS = ["free", "subscriber", "admin"];
+
+/**
+ * Account tier used for playback limits.
+ * "subscriber" = at least one artist subscription (trials included) still within its access period or grace window.
+ * @returns {Promise<"free"|"subscriber"|"admin">}
+ */
+export const resolveUserTier = async (user) => {
+  if (isAdmin(user)) return "admin";
+
+  const hasSubscription = await Subscription.exists({
+    userId: user._id,
+    ...subscriptionAccessFilter(),
+  });
+
+  return hasSubscription ? "subscriber" : "free";
+};
@@ -0,0 +1,169 @@
+import { WebhookInboxEvent } from "../models/WebhookInboxEvent.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { webhookProcessors } from "./webhookProcessors.js";
+import logger from "../utils/logger.js";
+
+// Attempts per delivery (or replay) before an event is dead-lettered
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+const MINUTE_MS = 60 * 1000;
+// Processing that started this long ago belongs to a worker that died
+const STALE_LOCK_MS = 10 * MINUTE_MS;
+// Received but never picked up (e.g. Redis was down when it arrived)
+const STRANDED_AFTER_MS = 5 * MINUTE_MS;
+const MAX_FAILURES_KEPT = 20;
+
+/**
+ * Persist a verified webhook before acknowledging it.
+ * @returns {Promise<{ event: object|null, duplicate: boolean }>} event is null for a redelivery
+ */
+export const recordWebhookEvent = async ({ gateway, eventId, type, payload, rawBody }) => {
+  try {
+    const event = await WebhookInboxEvent.create({
+      gateway,
+      eventId,
+      type,
+      payload,
+      rawBody: Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : rawBody,
+    });
+    return { event, duplicate: false };
+  } catch (err) {
+    if (err.code === 11000) return { event: null, duplicate: true };
+    throw err;
+  }
+};
+
+/**
+ * Run the gateway processor for one inbox event. Throws when processing fails so the
+ * queue retries; the last attempt moves the event to the dead-letter state instead.
+ * @param {string} inboxEventId
+ * @param {object} [options]
+ * @param {boolean} [options.finalAttempt]
+ * @returns {Promise<string|null>} processor outcome, or null if there was nothing to claim
+ */
+export const processInboxEvent = async (inboxEventId, { finalAttempt = false } = {}) => {
+  const now = new Date();
+  const event = await WebhookInboxEvent.findOneAndUpdate(
+    {
+      _id: inboxEventId,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        { status: "processing", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!event) return null; // already processed, dead-lettered or being processed
+
+  const processor = webhookProcessors[event.gateway];
+  try {
+    const result = await processor(event.payload);
+    await WebhookInboxEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          status: "processed",
+          processedAt: new Date(),
+          durationMs: Date.now() - now.getTime(),
+          result: result || "processed",
+          lastError: null,
+        },
+      }
+    );
+    return result;
+  } catch (err) {
+    const status = finalAttempt ? "dead" : "failed";
+    await WebhookInboxEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: { status, lastError: err.message, ...(finalAttempt && { deadAt: new Date() }) },
+        $push: {
+          failures: { $each: [{ attempt: event.attempts, message: err.message }], $slice: -MAX_FAILURES_KEPT },
+        },
+      }
+    );
+    const summary = `${event.gateway} webhook ${event.eventId} (${event.type}) attempt ${event.attempts}: ${err.message}`;
+    if (finalAttempt) logger.error(`☠️ Dead-lettered ${summary}`);
+    else logger.warn(`⚠️ Retrying ${summary}`);
+    throw err;
+  }
+};
+
+/**
+ * Events that never reached the queue, or whose worker died mid-processing.
+ * @returns {Promise<string[]>} inbox event IDs to enqueue again
+ */
+export const findStrandedWebhookEvents = async (limit = 200) => {
+  const now = Date.now();
+  const events = await WebhookInboxEvent.find({
+    $or: [
+      { status: "received", updatedAt: { $lt: new Date(now - STRANDED_AFTER_MS) } },
+      { status: "processing", lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } },
+    ],
+  })
+    .select("_id")
+    .limit(limit)
+    .lean();
+  return events.map((e) => String(e._id));
+};
+
+// ---------------------------------------------------------------------------
+// Admin
+// ---------------------------------------------------------------------------
+
+export const listWebhookEvents = async ({ gateway, status, type, page = 1, limit = 20 }) => {
+  const query = {};
+  if (gateway) query.gateway = gateway;
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const [events, total, byStatus] = await Promise.all([
+    WebhookInboxEvent.find(query)
+      .select("-payload -rawBody -failures")
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookInboxEvent.countDocuments(query),
+    WebhookInboxEvent.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+  ]);
+
+  return {
+    events,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    statusCounts: Object.fromEntries(byStatus.map((s) => [s._id, s.count])),
+  };
+};
+
+export const getWebhookEvent = async (inboxEventId) => {
+  const event = await WebhookInboxEvent.findById(inboxEventId).populate("replays.replayedBy", "name email").lean();
+  if (!event) throw new NotFoundError("Webhook event not found");
+  return event;
+};
+
+/**
+ * Put an event back in the inbox for another round of attempts.
+ * Processed events are only replayed with `force` – handlers are idempotent, but it's still a re-run.
+ */
+export const replayWebhookEvent = async (inboxEventId, { adminId, force = false } = {}) => {
+  const event = await WebhookInboxEvent.findById(inboxEventId).select("status").lean();
+  if (!event) throw new NotFoundError("Webhook event not found");
+  if (event.status === "processing") throw new BadRequestError("This event is being processed right now");
+  if (event.status === "processed" && !force) {
+    throw new BadRequestError("This event was already processed – pass force: true to run it again");
+  }
+
+  const replayed = await WebhookInboxEvent.findOneAndUpdate(
+    { _id: inboxEventId, status: event.status },
+    {
+      $set: { status: "received", lockedAt: null, deadAt: null },
+      $push: { replays: { replayedBy: adminId, previousStatus: event.status } },
+    },
+    { new: true }
+  );
+  if (!replayed) throw new BadRequestError("The event changed while replaying – try again");
+  return replayed;
+};
@@ -0,0 +1,643 @@
+import Razorpay from "razorpay";
+import { Transaction } from "../models/Transaction.js";
+import { Subscription } from "../models/Subscription.js";
+import {
+  markTransactionPaid,
+  markOrderPaid,
+  markOrderFailed,
+  recordFirstSubscriptionCharge,
+} from "./paymentService.js";
+import { processAndSendInvoice, processAndSendOrderInvoice } from "./invoiceService.js";
+import { recordGatewayRefund } from "./refundService.js";
+import { releaseCouponRedemption } from "./couponService.js";
+import { startTrial } from "./trialService.js";
+import { applyDuePlanChanges, confirmPlanChangeApproval } from "./planChangeService.js";
+import { markSubscriptionPastDue, recordSuccessfulRenewal } from "./dunningService.js";
+import { fromMinorUnits } from "../utils/convertCurrencies.js";
+
+// Business handling of verified gateway events, run by the webhook inbox worker.
+// Handlers throw to get retried, so every step must be safe to run twice.
+// The returned string is kept on the inbox event as the outcome.
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+// A mail failure must not retry the event – the payment is already recorded
+const sendInvoice = async (transaction) => {
+  if (!transaction) return;
+  try {
+    await processAndSendInvoice(transaction);
+  } catch (err) {
+    console.error(`❌ Failed to send invoice for transaction ${transaction._id}:`, err.message);
+  }
+};
+
+// 🛒 Cart checkouts: one payment settles every line of the order, with one combined invoice.
+// Returns null when the payment isn't for an order, so the single-item flow handles it.
+// Pass the charged amount and currency – a payment that doesn't match the order unlocks nothing.
+const settleOrder = async (reference, { emailInvoice = true } = {}) => {
+  const order = await markOrderPaid(reference);
+  if (!order || !emailInvoice || order.status !== "paid") return order;
+  try {
+    await processAndSendOrderInvoice(order);
+  } catch (err) {
+    console.error(`❌ Failed to send invoice for order ${order._id}:`, err.message);
+  }
+  return order;
+};
+
+// ---------------------------
+// ✅ STRIPE
+// ---------------------------
+
+const processStripeEvent = async (event) => {
+  const eventType = event.type;
+  const data = event.data.object;
+  console.log(`📥 Stripe event received: ${eventType}`);
+
+  switch (eventType) {
+    // ✅ One-time payments: songs or albums
+    case "payment_intent.succeeded": {
+      const metadata = data.metadata || {};
+      const transactionId = metadata.transactionId;
+
+      // 🛑 Skip if this is a subscription invoice
+      if (data.invoice) {
+        console.log("ℹ️ Skipping payment_intent for subscription invoice:", data.id);
+        break;
+      }
+
+      const order = await settleOrder({
+        gateway: "stripe",
+        paymentIntentId: data.id,
+        chargeId: data.id,
+        amount: fromMinorUnits(data.amount_received, data.currency),
+        currency: data.currency,
+      });
+      if (order) {
+        console.log("✅ Order payment processed:", data.id);
+        break;
+      }
+
+      if (!transactionId) {
+        console.warn("⚠️ Missing transactionId in metadata. Skipping.");
+        break;
+      }
+
+      const transaction = await markTransactionPaid({
+        gateway: "stripe",
+        paymentIntentId: data.id,
+        chargeId: data.id,
+      });
+
+      if (transaction) {
+        console.log("✅ One-time payment processed:", data.id);
+      } else {
+        console.warn("⚠️ Transaction not found or already processed:", transactionId);
+      }
+      break;
+    }
+
+    // ✅ Subscription payment succeeded
+    case "invoice.payment_succeeded": {
+      const subscriptionId = data.subscription;
+
+      // 🎁 $0 first invoice = free trial started; the checkout is paid by the first real invoice
+      if (data.billing_reason === "subscription_create" && data.amount_paid === 0) {
+        const periodEnd = data.lines?.data?.[0]?.period?.end;
+        await startTrial({
+          gateway: "stripe",
+          subscriptionId,
+          trialEndsAt: periodEnd ? new Date(periodEnd * 1000) : undefined,
+        });
+        break;
+      }
+
+      // Prorated plan switches are settled synchronously by the plan change service
+      if (data.billing_reason === "subscription_update") break;
+
+      const periodEnd = data.lines?.data?.[0]?.period?.end;
+      const renewal = {
+        gateway: "stripe",
+        externalSubscriptionId: subscriptionId,
+        chargeId: data.payment_intent,
+        periodEnd: periodEnd ? new Date(periodEnd * 1000) : undefined,
+      };
+
+      // 🔀 Renewal that starts a scheduled plan change
+      if (data.billing_reason === "subscription_cycle") {
+        const switched = await applyDuePlanChanges({ ...renewal, amount: fromMinorUnits(data.amount_paid, data.currency) });
+        if (switched) break;
+      }
+
+      const transaction = await markTransactionPaid({
+        gateway: "stripe",
+        stripeSubscriptionId: subscriptionId,
+        chargeId: data.payment_intent,
+      });
+
+      if (transaction) {
+        console.log("✅ Subscription payment succeeded:", subscriptionId);
+      } else if (data.billing_reason === "subscription_cycle") {
+        // 🔁 Plain renewal (or a successful dunning retry) – extend the period
+        await recordSuccessfulRenewal(renewal);
+      } else {
+        console.warn("⚠️ No matching transaction for subscription invoice:", subscriptionId);
+      }
+      break;
+    }
+
+    // ❌ Subscription payment failed – past due; Stripe keeps retrying (Smart Retries)
+    case "invoice.payment_failed": {
+      const subscriptionId = data.subscription;
+      await markSubscriptionPastDue({
+        gateway: "stripe",
+        externalSubscriptionId: subscriptionId,
+        reason: data.last_finalization_error?.code || data.billing_reason,
+        nextRetryAt: data.next_payment_attempt ? new Date(data.next_payment_attempt * 1000) : undefined,
+      });
+      console.warn("❌ Subscription payment failed:", subscriptionId);
+      break;
+    }
+
+    // 🚫 Subscription cancelled (manually or due to end of billing)
+    case "customer.subscription.deleted": {
+      const subscriptionId = data.id;
+      await Subscription.findOneAndUpdate(
+        { externalSubscriptionId: subscriptionId, status: { $ne: "expired" } }, // dunning already ended it
+        { status: "cancelled" }
+      );
+      console.warn("❌ Subscription cancelled by user or Stripe:", subscriptionId);
+      break;
+    }
+
+    // ❌ One-time payment failed
+    case "payment_intent.payment_failed": {
+      const paymentIntentId = data.id;
+
+      console.warn("❌ Stripe: Payment failed for PaymentIntent ID:", paymentIntentId);
+
+      if (await markOrderFailed({ gateway: "stripe", paymentIntentId })) break;
+
+      const updated = await Transaction.findOneAndUpdate(
+        { paymentIntentId },
+        { status: "failed" },
+        { new: true }
+      );
+
+      if (updated) {
+        console.log("🟥 Transaction marked as failed:", updated._id);
+        await releaseCouponRedemption(updated._id);
+      } else {
+        console.warn("⚠️ Failed transaction not found in DB:", paymentIntentId);
+      }
+      break;
+    }
+
+    // 💸 Refund created / settled / failed (admin API or Stripe dashboard)
+    case "refund.created":
+    case "refund.updated":
+    case "refund.failed": {
+      const status = data.status === "succeeded" ? "succeeded" : ["failed", "canceled"].includes(data.status) ? "failed" : null;
+      if (!status) break; // still pending at Stripe
+
+      await recordGatewayRefund({
+        gateway: "stripe",
+        refundId: data.id,
+        paymentId: data.payment_intent,
+        amount: fromMinorUnits(data.amount, data.currency),
+        currency: data.currency,
+        status,
+        reason: data.metadata?.reason,
+      });
+      console.log(`💸 Stripe refund ${status}:`, data.id);
+      break;
+    }
+
+    default:
+      console.log("ℹ️ Unhandled Stripe event:", eventType);
+      return "ignored";
+  }
+
+  return "processed";
+};
+
+// ---------------------------
+// ✅ RAZORPAY
+// ---------------------------
+
+const processRazorpayEvent = async (eventData) => {
+  const event = eventData.event;
+  console.log(`📥 Razorpay event received: ${event}`);
+
+  // ---------------------------
+  // 2️⃣ Payment Captured (One-time or subscription)
+  // ---------------------------
+  if (event === "payment.captured") {
+    const paymentEntity = eventData.payload.payment.entity;
+    const paymentId = paymentEntity.id;
+    const razorpayOrderId = paymentEntity.order_id;
+
+    const fullPayment = await razorpay.payments.fetch(paymentId);
+    let subscriptionId = null;
+
+    if (fullPayment.invoice_id) {
+      const invoice = await razorpay.invoices.fetch(fullPayment.invoice_id);
+      subscriptionId = invoice.subscription_id;
+    }
+
+    if (subscriptionId) {
+      // Subscription payment
+      const transaction = await markTransactionPaid({
+        gateway: "razorpay",
+        paymentId,
+        subscriptionId,
+        razorpayOrderId,
+        chargeId: paymentId,
+      });
+
+      if (transaction) {
+        console.log("✅ Subscription payment processed:", subscriptionId);
+      } else {
+        // 🔀 Renewal – applies a scheduled plan change if one is due, otherwise extends the period
+        const renewal = { gateway: "razorpay", externalSubscriptionId: subscriptionId, chargeId: paymentId };
+        const switched = await applyDuePlanChanges({
+          ...renewal,
+          amount: fromMinorUnits(paymentEntity.amount, paymentEntity.currency),
+        });
+        if (!switched) await recordSuccessfulRenewal(renewal);
+      }
+      await sendInvoice(transaction);
+      console.log("📧 Invoice emailed to user for subscription:", subscriptionId);
+
+      return "subscription payment processed";
+    }
+
+    const order = await settleOrder({
+      gateway: "razorpay",
+      razorpayOrderId,
+      chargeId: paymentId,
+      amount: fromMinorUnits(paymentEntity.amount, paymentEntity.currency),
+      currency: paymentEntity.currency,
+    });
+    if (order) {
+      console.log("✅ Order payment processed:", razorpayOrderId);
+      return "order payment processed";
+    }
+
+    // One-time payment
+    const { itemType: type, itemId, userId } = fullPayment.notes || {};
+    if (type && itemId && userId) {
+      const transaction = await markTransactionPaid({
+        gateway: "razorpay",
+        paymentId,
+        userId,
+        itemId,
+        type,
+        razorpayOrderId,
+        chargeId: paymentId,
+      });
+
+      if (transaction) {
+        console.log("✅ One-time purchase completed:", type, itemId);
+        await sendInvoice(transaction);
+        console.log("📧 Invoice emailed to user for one-time purchase:", type, itemId);
+      }
+    } else {
+      console.warn("⚠️ Missing metadata for one-time payment.");
+    }
+
+    return "payment processed";
+  }
+
+  // ---------------------------
+  // 3️⃣ Subscription events
+  // ---------------------------
+  const subscriptionEvents = [
+    "subscription.activated",
+    "subscription.charged",
+    "subscription.cancelled",
+    "subscription.halted",
+    "subscription.pending",
+    "subscription.completed",
+    "subscription.authenticated",
+  ];
+
+  if (subscriptionEvents.includes(event)) {
+    const subId = eventData.payload.subscription.entity.id;
+
+    // Fetch latest subscription from Razorpay to get ground-truth status
+    const subEntity = await razorpay.subscriptions.fetch(subId);
+    const status = subEntity.status; // "active", "completed", "cancelled", "halted", etc.
+
+    switch (status) {
+      case "active":
+        await Subscription.findOneAndUpdate(
+          { externalSubscriptionId: subId },
+          { status: "active" }
+        );
+        console.log("✅ Subscription active:", subId);
+        break;
+
+      // 🎁 Card authorised, first charge deferred to start_at (free trial)
+      case "authenticated":
+        if (subEntity.start_at && subEntity.start_at * 1000 > Date.now()) {
+          await startTrial({ gateway: "razorpay", subscriptionId: subId, trialEndsAt: new Date(subEntity.start_at * 1000) });
+        }
+        break;
+
+      case "completed":
+        await Subscription.findOneAndUpdate(
+          { externalSubscriptionId: subId },
+          { status: "completed" }
+        );
+        console.log("✅ Subscription lifecycle completed:", subId);
+        break;
+
+      // 💳 Renewal failed – "pending" while Razorpay retries, "halted" once it gives up.
+      // Either way the subscriber keeps access until the grace window closes.
+      case "pending":
+      case "halted":
+        await markSubscriptionPastDue({
+          gateway: "razorpay",
+          externalSubscriptionId: subId,
+          reason: status,
+          nextRetryAt: status === "pending" && subEntity.charge_at ? new Date(subEntity.charge_at * 1000) : undefined,
+        });
+        console.log("💳 Subscription past due:", subId, "status:", status);
+        break;
+
+      case "cancelled":
+        await Subscription.findOneAndUpdate(
+          { externalSubscriptionId: subId, status: { $ne: "expired" } },
+          { status: "cancelled" }
+        );
+        console.log("❌ Subscription cancelled:", subId);
+        break;
+
+      default:
+        console.log("ℹ️ Subscription event ignored:", subId, "status:", status);
+    }
+
+    return "subscription event processed";
+  }
+
+  // ---------------------------
+  // 💸 Refunds (admin API or Razorpay dashboard)
+  // ---------------------------
+  if (event === "refund.processed" || event === "refund.failed") {
+    const refundEntity = eventData.payload.refund.entity;
+    await recordGatewayRefund({
+      gateway: "razorpay",
+      refundId: refundEntity.id,
+      paymentId: refundEntity.payment_id,
+      amount: fromMinorUnits(refundEntity.amount, refundEntity.currency),
+      currency: refundEntity.currency,
+      status: event === "refund.processed" ? "succeeded" : "failed",
+      reason: refundEntity.notes?.reason,
+    });
+    return "refund processed";
+  }
+
+  // ---------------------------
+  // 4️⃣ Ignore unknown events
+  // ---------------------------
+  console.log("⚠️ Ignored unknown event:", event);
+  return "ignored";
+};
+
+// ---------------------------
+// ✅ PAYPAL
+// ---------------------------
+
+const processPaypalEvent = async (webhookEvent) => {
+  const eventType = webhookEvent.event_type;
+  console.log(`inbox_tray: PayPal event received: ${eventType}`);
+  // :repeat: Subscription flow
+  if (eventType === "BILLING.SUBSCRIPTION.ACTIVATED" || eventType === "BILLING.SUBSCRIPTION.RENEWED") {
+    const subscriptionId = webhookEvent.resource.id;
+
+    // 🎁 Trial plans activate without a payment – the first PAYMENT.SALE.COMPLETED pays the checkout
+    if (eventType === "BILLING.SUBSCRIPTION.ACTIVATED") {
+      const trial = await startTrial({
+        gateway: "paypal",
+        subscriptionId,
+        trialEndsAt: webhookEvent.resource.billing_info?.next_billing_time
+          ? new Date(webhookEvent.resource.billing_info.next_billing_time)
+          : undefined,
+      });
+      if (trial) return "trial started";
+    }
+
+    const transaction = await markTransactionPaid({
+      gateway: "paypal",
+      subscriptionId,
+    });
+    if (transaction) {
+      await sendInvoice(transaction);
+      console.log(":white_tick: PayPal subscription activated/renewed");
+    }
+    return "subscription processed";
+  }
+  // First charge after a trial, the first charge of a subscription ACTIVATED already paid, or a renewal
+  if (eventType === "PAYMENT.SALE.COMPLETED" && webhookEvent.resource.billing_agreement_id) {
+    const subscriptionId = webhookEvent.resource.billing_agreement_id;
+    const chargeId = webhookEvent.resource.id;
+    const transaction = await markTransactionPaid({ gateway: "paypal", subscriptionId, chargeId });
+    if (transaction) {
+      await sendInvoice(transaction);
+    } else if (await recordFirstSubscriptionCharge({ gateway: "paypal", subscriptionId, chargeId })) {
+      console.log("ℹ️ First PayPal sale recorded for subscription:", subscriptionId);
+    } else {
+      // 🔀 Renewal – applies a scheduled plan change if one is due, otherwise extends the period
+      const renewal = { gateway: "paypal", externalSubscriptionId: subscriptionId, chargeId: webhookEvent.resource.id };
+      const switched = await applyDuePlanChanges({
+        ...renewal,
+        amount: Number(webhookEvent.resource.amount?.total) || undefined,
+      });
+      if (!switched) await recordSuccessfulRenewal(renewal);
+    }
+    return "subscription payment processed";
+  }
+  // :credit_card: One-time payment flow – an approved order isn't paid yet; it is settled once
+  // its capture completes (this webhook, or the capture endpoint – whichever lands first)
+  if (eventType === "CHECKOUT.ORDER.APPROVED") {
+    return "awaiting capture";
+  }
+  if (eventType === "PAYMENT.CAPTURE.COMPLETED") {
+    const capture = webhookEvent.resource;
+    // The capture links back to the PayPal order we stored at checkout
+    const paymentId = capture.supplementary_data?.related_ids?.order_id;
+    if (!paymentId) {
+      console.warn(":warning: PayPal capture without an order ID:", capture.id);
+      return "skipped";
+    }
+    const reference = { gateway: "paypal", paymentId, chargeId: capture.id };
+    const charged = capture.amount ? { amount: Number(capture.amount.value), currency: capture.amount.currency_code } : {};
+    if (await settleOrder({ ...reference, ...charged })) return "order processed";
+
+    const transaction = await markTransactionPaid(reference);
+    if (transaction) {
+      await sendInvoice(transaction);
+      console.log("white_tick: One-time PayPal purchase completed:", transaction.itemType, transaction.itemId);
+    }
+    return "purchase processed";
+  }
+
+   // 🔹 Step 3: Invoice service
+
+  // 🔀 Customer approved a plan revision
+  if (eventType === "BILLING.SUBSCRIPTION.UPDATED") {
+    await confirmPlanChangeApproval({ gateway: "paypal", externalSubscriptionId: webhookEvent.resource.id });
+    return "ok";
+  }
+  // 💳 Renewal failed (PayPal retries) or suspended after too many failures
+  if (eventType === "BILLING.SUBSCRIPTION.PAYMENT.FAILED" || eventType === "BILLING.SUBSCRIPTION.SUSPENDED") {
+    const nextBilling = webhookEvent.resource.billing_info?.next_billing_time;
+    await markSubscriptionPastDue({
+      gateway: "paypal",
+      externalSubscriptionId: webhookEvent.resource.id,
+      reason: eventType === "BILLING.SUBSCRIPTION.SUSPENDED" ? "suspended" : "payment_failed",
+      nextRetryAt: eventType === "BILLING.SUBSCRIPTION.PAYMENT.FAILED" && nextBilling ? new Date(nextBilling) : undefined,
+    });
+    return "ok";
+  }
+  // :x: Subscription ended/cancelled
+  if (eventType === "BILLING.SUBSCRIPTION.CANCELLED" || eventType === "BILLING.SUBSCRIPTION.EXPIRED") {
+    await Subscription.findOneAndUpdate(
+      { externalSubscriptionId: webhookEvent.resource.id, status: { $ne: "expired" } },
+      { status: "cancelled" }
+    );
+    console.log(":x: PayPal subscription cancelled/expired.");
+    return "ok";
+  }
+  // 💸 Refund completed (admin API or PayPal dashboard)
+  if (eventType === "PAYMENT.CAPTURE.REFUNDED") {
+    const refund = webhookEvent.resource;
+    // The refund links back to its capture: .../v2/payments/captures/{captureId}
+    const captureHref = refund.links?.find((l) => l.rel === "up")?.href || "";
+    await recordGatewayRefund({
+      gateway: "paypal",
+      refundId: refund.id,
+      paymentId: captureHref.split("/").pop(),
+      amount: Number(refund.amount?.value),
+      currency: refund.amount?.currency_code,
+      status: "succeeded",
+      reason: refund.note_to_payer,
+    });
+    return "refund processed";
+  }
+  // :arrows_anticlockwise: Default → just log
+  console.log(":information_source: Ignored PayPal event:", eventType);
+  return "ignored";
+};
+
+// ---------------------------
+// ✅ MOCK GATEWAY (local development)
+// ---------------------------
+
+const processMockEvent = async (event) => {
+  const { data } = event;
+  console.log(`📥 Mock gateway event received: ${event.type}`);
+
+  switch (event.type) {
+    case "order.paid": {
+      // No invoice email – mock flows must run without network access
+      const order = await settleOrder(
+        {
+          gateway: "mock",
+          mockOrderId: data.orderId,
+          chargeId: data.paymentId,
+          amount: data.amount,
+          currency: data.currency,
+        },
+        { emailInvoice: false }
+      );
+      if (order) break;
+
+      // No invoice email – mock flows must run without network access
+      await markTransactionPaid({
+        gateway: "mock",
+        mockOrderId: data.orderId,
+        chargeId: data.paymentId,
+      });
+      break;
+    }
+
+    case "order.failed": {
+      if (await markOrderFailed({ gateway: "mock", mockOrderId: data.orderId })) break;
+
+      const failed = await Transaction.findOneAndUpdate(
+        { "metadata.mockOrderId": data.orderId, status: "pending" },
+        { status: "failed" }
+      );
+      if (failed) await releaseCouponRedemption(failed._id);
+      break;
+    }
+
+    case "subscription.charged": {
+      const transaction = await markTransactionPaid({
+        gateway: "mock",
+        subscriptionId: data.subscriptionId,
+        chargeId: data.paymentId,
+      });
+      if (!transaction) {
+        const renewal = {
+          gateway: "mock",
+          externalSubscriptionId: data.subscriptionId,
+          chargeId: data.paymentId,
+          periodEnd: new Date(data.currentPeriodEnd),
+        };
+        const switched = await applyDuePlanChanges({ ...renewal, amount: data.amount });
+        if (!switched) await recordSuccessfulRenewal(renewal);
+      }
+      break;
+    }
+
+    case "subscription.payment_failed":
+      await markSubscriptionPastDue({ gateway: "mock", externalSubscriptionId: data.subscriptionId, reason: data.reason });
+      break;
+
+    // Immediate plan switches are settled synchronously by the plan change service
+    case "subscription.plan_changed":
+      break;
+
+    case "subscription.trial_started":
+      await startTrial({ gateway: "mock", subscriptionId: data.subscriptionId, trialEndsAt: new Date(data.trialEndsAt) });
+      break;
+
+    case "subscription.cancelled":
+      await Subscription.findOneAndUpdate(
+        { externalSubscriptionId: data.subscriptionId, status: { $ne: "expired" } },
+        { status: "cancelled" }
+      );
+      break;
+
+    case "refund.succeeded":
+      await recordGatewayRefund({
+        gateway: "mock",
+        refundId: data.refundId,
+        paymentId: data.paymentId,
+        amount: data.amount,
+        currency: data.currency,
+        status: "succeeded",
+        reason: data.reason,
+      });
+      break;
+
+    default:
+      console.log("ℹ️ Unhandled mock gateway event:", event.type);
+      return "ignored";
+  }
+
+  return "processed";
+};
+
+export const webhookProcessors = {
+  stripe: processStripeEvent,
+  razorpay: processRazorpayEvent,
+  paypal: processPaypalEvent,
+  mock: processMockEvent,
+};
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+// Runs the real webhook processors against MongoDB – transactions need a replica set,
+// e.g. MONGO_TEST_URL=mongodb://localhost:27017/tests?replicaSet=rs0
+const { MONGO_TEST_URL } = process.env;
+const skip = !MONGO_TEST_URL && "set MONGO_TEST_URL (replica set) to run";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const paypalEvent = (event_type, resource) => ({ id: `WH-${event_type}-${resource.id}`, event_type, resource });
+
+test("PayPal ACTIVATED then the first SALE.COMPLETED pays for one period only", { skip }, async (t) => {
+  // Stand-ins so the gateway SDK clients can be constructed; nothing is sent to a gateway
+  process.env.RAZORPAY_KEY_ID ||= "rzp_test_key";
+  process.env.RAZORPAY_KEY_SECRET ||= "rzp_test_secret";
+  process.env.DOCUMENT_STORAGE ||= "local";
+
+  const { webhookProcessors } = await import("../services/webhookProcessors.js");
+  const { Transaction } = await import("../models/Transaction.js");
+  const { Subscription } = await import("../models/Subscription.js");
+  const { User } = await import("../models/User.js");
+
+  await mongoose.connect(MONGO_TEST_URL);
+  t.after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  const userId = new mongoose.Types.ObjectId();
+  const artistId = new mongoose.Types.ObjectId();
+  const paypalSubscriptionId = `I-${userId}`;
+  await User.collection.insertOne({ _id: userId, name: "Listener", email: `${userId}@example.com` });
+  const checkout = await Transaction.create({
+    userId,
+    itemType: "artist-subscription",
+    itemId: artistId,
+    artistId,
+    amount: 10,
+    currency: "USD",
+    gateway: "paypal",
+    metadata: { cycle: "1m", paypalSubscriptionId },
+  });
+
+  await webhookProcessors.paypal(paypalEvent("BILLING.SUBSCRIPTION.ACTIVATED", { id: paypalSubscriptionId }));
+  const activated = await Subscription.findOne({ userId, artistId }).lean();
+  assert.equal(activated.status, "active");
+
+  const sale = { id: "SALE-1", billing_agreement_id: paypalSubscriptionId, amount: { total: "10.00" } };
+  await webhookProcessors.paypal(paypalEvent("PAYMENT.SALE.COMPLETED", sale));
+  // Redelivered by PayPal
+  await webhookProcessors.paypal(paypalEvent("PAYMENT.SALE.COMPLETED", sale));
+
+  const afterSale = await Subscription.findOne({ userId, artistId }).lean();
+  assert.equal(afterSale.validUntil.getTime(), activated.validUntil.getTime(), "first sale must not add a period");
+  assert.equal(afterSale.lastRenewalChargeId, "SALE-1");
+  assert.equal((await Transaction.findById(checkout._id).lean()).paymentId, "SALE-1");
+
+  // The next cycle's sale is a real renewal
+  await webhookProcessors.paypal(paypalEvent("PAYMENT.SALE.COMPLETED", { ...sale, id: "SALE-2" }));
+  const renewed = await Subscription.findOne({ userId, artistId }).lean();
+  assert.equal(renewed.validUntil.getTime(), activated.validUntil.getTime() + 30 * DAY_MS);
+  assert.equal(renewed.lastRenewalChargeId, "SALE-2");
+});
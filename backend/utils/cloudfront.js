@@ -13,16 +13,13 @@ const privateKey = fs.readFileSync(
 const keyPairId = process.env.CLOUDFRONT_KEY_PAIR_ID;
 const domain = process.env.CLOUDFRONT_DOMAIN;
 
-export const getSignedCloudFrontUrl = (uuid, expiresInSeconds = 3600) => {
-  const m3u8Url = `https://${domain}/songs-hls/${uuid}/${uuid}_hls.m3u8`;
-  const wildcardResource = `https://${domain}/${uuid}/*`;
-
+const signWithPolicy = (url, resource, expiresInSeconds) => {
   const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
 
   const policy = JSON.stringify({
     Statement: [
       {
-        Resource: wildcardResource,
+        Resource: resource,
         Condition: {
           DateLessThan: {
             "AWS:EpochTime": expires,
@@ -33,10 +30,25 @@ export const getSignedCloudFrontUrl = (uuid, expiresInSeconds = 3600) => {
   });
 
   return getSignedUrl({
-    url: m3u8Url,
+    url,
     keyPairId,
     privateKey,
     policy,
   });
 };
 
+export const getSignedCloudFrontUrl = (uuid, expiresInSeconds = 3600) => {
+  const m3u8Url = `https://${domain}/songs-hls/${uuid}/${uuid}_hls.m3u8`;
+  const wildcardResource = `https://${domain}/${uuid}/*`;
+
+  return signWithPolicy(m3u8Url, wildcardResource, expiresInSeconds);
+};
+
+// Preview clips: the policy only covers the preview folder, never the full track
+export const getSignedPreviewUrl = (uuid, previewKey = "", expiresInSeconds = 600) => {
+  const key = previewKey || `songs-hls/${uuid}/preview/${uuid}_preview.m3u8`;
+  const previewUrl = `https://${domain}/${key}`;
+  const previewResource = `https://${domain}/${key.substring(0, key.lastIndexOf("/"))}/*`;
+
+  return signWithPolicy(previewUrl, previewResource, expiresInSeconds);
+};
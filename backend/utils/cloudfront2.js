@@ -9,8 +9,12 @@ const privateKey = fs.readFileSync(path.resolve("cloudfront-private.pem"), "utf8
 const keyPairId = process.env.CLOUDFRONT_KEY_PAIR_ID;
 const domain = process.env.CLOUDFRONT_DOMAIN;
 
-export const getSignedCloudFrontCookies = (uuid, expiresInSeconds = 3600) => {
-  const wildcardResource = `https://${domain}/${uuid}/*`;
+export const getSignedCloudFrontCookies = (uuid, expiresInSeconds = 3600) =>
+  getSignedCookiesForPath(uuid, expiresInSeconds);
+
+// Cookies covering everything under a path prefix (e.g. one song's rendition folder)
+export const getSignedCookiesForPath = (pathPrefix, expiresInSeconds = 3600) => {
+  const wildcardResource = `https://${domain}/${pathPrefix}/*`;
   const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
 
   const policy = JSON.stringify({
@@ -1,23 +1,8 @@
 import fetch from "node-fetch";
 
-const SUPPORTED_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "INR"];
-const ZERO_DECIMAL_CURRENCIES = ["JPY", "KRW", "HUF", "VND"];
+export const SUPPORTED_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "INR"];
+export const ZERO_DECIMAL_CURRENCIES = ["JPY", "KRW", "HUF", "VND"];
 
-const HARDCODED_RATES = {
-  USD: { EUR: 0.84, GBP: 0.73, JPY: 146.65, INR: 87.84 },
-  EUR: { USD: 1.09, GBP: 0.86, JPY: 160, INR: 90 },
-  GBP: { USD: 1.27, EUR: 1.16, JPY: 186, INR: 106 },
-  JPY: { USD: 0.0068, EUR: 0.0063, GBP: 0.0054, INR: 0.57 },
-  INR: { USD: 0.012, EUR: 0.011, GBP: 0.0094, JPY: 1.76 },
-};
-
-export const EXCHANGE_RATES = {
-  USD: 1,          // base
-  INR: 0.012,      // 1 INR ≈ 0.012 USD
-  GBP: 1.24,       // 1 GBP ≈ 1.24 USD
-  EUR: 1.07,       // 1 EUR ≈ 1.07 USD
-  JPY: 0.0067      // 1 JPY ≈ 0.0067 USD
-};
 // import { getCached, setCached } from "../utils/cache.js";
 // // import { SUPPORTED_CURRENCIES } from "../constants/currencies.js";
 
@@ -89,7 +74,7 @@ export const EXCHANGE_RATES = {
 //  * @returns {Array<{ currency: string, amount: number }>}
 //  */
 // Format according to currency rules
-function formatAmount(amount, currency) {
+export function formatAmount(amount, currency) {
   if (ZERO_DECIMAL_CURRENCIES.includes(currency)) {
     return Math.round(amount); // no decimals allowed
   }
@@ -97,22 +82,21 @@ function formatAmount(amount, currency) {
 }
 
 /**
- * Convert amount from baseCurrency to supported currencies
+ * Convert a major-unit amount (e.g. 199.5 INR) to the smallest unit gateways expect (paise, cents)
  */
-export async function convertCurrencies(baseCurrency, amount) {
-  console.log("Converting", amount, baseCurrency);
-  if (!HARDCODED_RATES[baseCurrency]) {
-    throw new Error(`Unsupported base currency: ${baseCurrency}`);
+export function toMinorUnits(amount, currency) {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency?.toUpperCase())) {
+    return Math.round(amount);
   }
+  return Math.round(amount * 100);
+}
 
-  return SUPPORTED_CURRENCIES.filter((c) => c !== baseCurrency).map((currency) => {
-    const rate = HARDCODED_RATES[baseCurrency][currency];
-    if (!rate) {
-      return { currency, amount: null };
-    }
-    return {
-      currency,
-      amount: formatAmount(amount * rate, currency),
-    };
-  });
+/**
+ * Inverse of toMinorUnits – gateway amounts (paise, cents) back to major units
+ */
+export function fromMinorUnits(amount, currency) {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency?.toUpperCase())) {
+    return Number(amount);
+  }
+  return Number(amount) / 100;
 }
@@ -26,3 +26,27 @@ export const sendInvoiceEmail = async (to, invoiceData) => {
 
   await transporter.sendMail(mailOptions);
 };
+
+// Renewal failed / subscription lapsed notices sent during dunning
+export const sendDunningEmail = async (to, { subject, heading, message, actionUrl }) => {
+  const transporter = nodemailer.createTransport({
+    service: "Gmail",
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+
+  await transporter.sendMail({
+    from: `"MyApp" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html: `
+      <h2>${heading}</h2>
+      <p>${message}</p>
+      ${actionUrl ? `<p><a href="${actionUrl}">Update your payment method</a></p>` : ""}
+    `,
+  });
+};
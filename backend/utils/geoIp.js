@@ -0,0 +1,126 @@
+// utils/geoIp.js
+import fs from "fs/promises";
+import net from "net";
+import logger from "./logger.js";
+
+// Country headers added by the CDN in front of the API, resolved from the viewer IP
+const COUNTRY_HEADERS = ["cloudfront-viewer-country", "cf-ipcountry", "x-country-code"];
+
+// ---------------------------
+// 🌍 Local IP-to-country database – fallback when no CDN header is present.
+// CSV rows of `start,end,country` (DB-IP "country lite" format, IPv4 and IPv6);
+// IP2Location LITE rows with numeric IPv4 bounds work too.
+// ---------------------------
+
+const ipv4Ranges = { starts: [], ends: [], countries: [] };
+const ipv6Ranges = { starts: [], ends: [], countries: [] };
+
+const ipv4ToNumber = (ip) => ip.split(".").reduce((n, octet) => n * 256 + Number(octet), 0);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+  // Embedded IPv4 tail (::ffff:1.2.3.4) → two hex groups
+  const v4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = ipv4ToNumber(v4[1]);
+    address = address.replace(v4[1], `${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`);
+  }
+  const [head, tail = ""] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = address.includes("::") ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...Array(missing).fill("0"), ...tailGroups];
+  return groups.reduce((n, group) => (n << 16n) + BigInt(parseInt(group || "0", 16)), 0n);
+};
+
+// IPv4-mapped IPv6 addresses (how Node reports IPv4 clients on dual-stack sockets) are IPv4
+const parseIp = (ip) => {
+  const address = String(ip || "").trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+  if (net.isIPv4(address)) return { family: 4, value: ipv4ToNumber(address) };
+  if (net.isIPv6(address)) return { family: 6, value: ipv6ToBigInt(address) };
+  if (/^\d+$/.test(address)) return { family: 4, value: Number(address) };
+  return null;
+};
+
+const findRange = ({ starts, ends, countries }, value) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (value < starts[mid]) high = mid - 1;
+    else if (value > ends[mid]) low = mid + 1;
+    else return countries[mid];
+  }
+  return null;
+};
+
+/**
+ * Load the IP-to-country CSV into memory (call once at startup).
+ * @param {string} [file] - defaults to GEOIP_DB_FILE; nothing is loaded without one
+ * @returns {Promise<number>} ranges loaded
+ */
+export const loadGeoIpDatabase = async (file = process.env.GEOIP_DB_FILE) => {
+  if (!file) return 0;
+  const content = await fs.readFile(file, "utf8");
+
+  const rows = { 4: [], 6: [] };
+  for (const line of content.split(/\r?\n/)) {
+    const [start, end, country] = line.split(",").map((cell) => cell?.trim().replace(/^"|"$/g, ""));
+    if (!start || !end || !/^[A-Za-z]{2}$/.test(country || "") || country === "ZZ" || country === "-") continue;
+    const from = parseIp(start);
+    const to = parseIp(end);
+    if (!from || !to || from.family !== to.family) continue;
+    rows[from.family].push([from.value, to.value, country.toUpperCase()]);
+  }
+
+  for (const [family, ranges] of [[4, ipv4Ranges], [6, ipv6Ranges]]) {
+    const sorted = rows[family].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    ranges.starts = sorted.map((r) => r[0]);
+    ranges.ends = sorted.map((r) => r[1]);
+    ranges.countries = sorted.map((r) => r[2]);
+  }
+
+  const total = rows[4].length + rows[6].length;
+  logger.info(`🌍 Loaded ${total} IP ranges from ${file}`);
+  return total;
+};
+
+/**
+ * Country of an IP address from the loaded database.
+ * @returns {string|null} ISO 3166-1 alpha-2, or null when unknown / not loaded
+ */
+export const lookupIpCountry = (ip) => {
+  const parsed = parseIp(ip);
+  if (!parsed) return null;
+  return findRange(parsed.family === 4 ? ipv4Ranges : ipv6Ranges, parsed.value);
+};
+
+/**
+ * Resolve the caller's ISO 3166-1 alpha-2 country from the request:
+ * CDN country header first, then the IP database.
+ * @param {import("express").Request} req
+ * @returns {string|null} e.g. "IN", or null when unknown
+ */
+export const resolveCountry = (req) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.headers?.[header];
+    if (typeof value === "string" && /^[A-Za-z]{2}$/.test(value) && value.toUpperCase() !== "XX") {
+      return value.toUpperCase();
+    }
+  }
+  return lookupIpCountry(req.ip);
+};
+
+/**
+ * Buyer location for tax: the checkout's validated `billingAddress.country/state`, else the IP country.
+ * Other body fields (e.g. the card address Stripe checkouts pass to the gateway) are never trusted here.
+ * @returns {{ country: string, state?: string, source: "billing"|"ip" } | null}
+ */
+export const resolveBuyerLocation = (req) => {
+  const billing = req.body?.billingAddress || {};
+  if (typeof billing.country === "string" && /^[A-Za-z]{2}$/.test(billing.country.trim())) {
+    return { country: billing.country.trim().toUpperCase(), state: billing.state, source: "billing" };
+  }
+  const country = resolveCountry(req);
+  return country ? { country, source: "ip" } : null;
+};
@@ -61,9 +61,24 @@ export const createPayPalProduct = async (artistName) => {
 };
 
 // create plan for recurring billing
-export const createPayPalPlan = async ({ productId, price, intervalUnit, intervalCount, currency = "USD" }) => {
+// trialDays > 0 adds a free TRIAL cycle before the regular one
+export const createPayPalPlan = async ({ productId, price, intervalUnit, intervalCount, currency = "USD", trialDays = 0 }) => {
   const token = await getPayPalAccessToken();
-  console.log("Creating PayPal plan with:", { productId, price, intervalUnit, intervalCount, currency });
+  console.log("Creating PayPal plan with:", { productId, price, intervalUnit, intervalCount, currency, trialDays });
+
+  const trialCycles = trialDays > 0
+    ? [
+        {
+          frequency: { interval_unit: "DAY", interval_count: trialDays },
+          tenure_type: "TRIAL",
+          sequence: 1,
+          total_cycles: 1,
+          pricing_scheme: {
+            fixed_price: { value: "0", currency_code: currency },
+          },
+        },
+      ]
+    : [];
 
   const response = await fetch(`${PAYPAL_API}/v1/billing/plans`, {
     method: "POST",
@@ -73,12 +88,13 @@ export const createPayPalPlan = async ({ productId, price, intervalUnit, interva
     },
     body: JSON.stringify({
       product_id: productId,
-      name: `Plan ${intervalCount} ${intervalUnit} @ ${price} ${currency}`,
+      name: `Plan ${intervalCount} ${intervalUnit} @ ${price} ${currency}${trialDays > 0 ? ` (${trialDays}-day trial)` : ""}`,
       billing_cycles: [
+        ...trialCycles,
         {
           frequency: { interval_unit: intervalUnit, interval_count: intervalCount },
           tenure_type: "REGULAR",
-          sequence: 1,
+          sequence: trialCycles.length + 1,
           total_cycles: 0,
           pricing_scheme: {
             fixed_price: { value: price.toString(), currency_code: currency },
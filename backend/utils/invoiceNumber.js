@@ -1,11 +1,13 @@
 import { Counter } from "../models/Counter.js";
 
-export const getNextInvoiceNumber = async () => {
+// Pass the session of the payment that takes the number, so a payment that rolls back (or lost
+// the race to a duplicate webhook) gives it back – invoice numbers must have no gaps
+export const getNextInvoiceNumber = async (session = null) => {
   try {
     const counter = await Counter.findOneAndUpdate(
       { name: "invoice" },
       { $inc: { seq: 1 } },
-      { new: true, upsert: true }
+      { new: true, upsert: true, session }
     );
 
     const year = new Date().getFullYear();
@@ -13,7 +15,21 @@ export const getNextInvoiceNumber = async () => {
 
     return `INV-${year}-${paddedSeq}`; // INV-2025-001001
   } catch (err) {
+    if (session) throw err; // write conflicts must reach withTransaction so it retries
     console.error("Failed to generate invoice number:", err);
     throw new Error("Could not generate invoice number");
   }
 };
+
+
+// Pass the session of the refund that takes the number, so an aborted refund gives it back
+export const getNextCreditNoteNumber = async (session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "credit-note" },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  const year = new Date().getFullYear();
+  return `CN-${year}-${String(counter.seq).padStart(6, "0")}`; // CN-2025-000001
+};
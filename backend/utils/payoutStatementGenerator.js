@@ -0,0 +1,132 @@
+// utils/payoutStatementGenerator.js
+import PDFDocument from "pdfkit";
+
+const CSV_COLUMNS = [
+  ["Date", (e) => formatDate(e.occurredAt)],
+  ["Type", (e) => e.kind],
+  ["Transaction", (e) => e.transactionId],
+  ["Item", (e) => e.itemType],
+  ["Gateway", (e) => e.gateway],
+  ["Gross", (e) => e.breakdown.gross],
+  ["Gateway fee", (e) => e.breakdown.gatewayFee],
+  ["Tax", (e) => e.breakdown.tax],
+  ["Platform share", (e) => e.breakdown.platformShare],
+  ["Artist share", (e) => e.breakdown.artistShare],
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+const money = (amount, currency) => `${Number(amount || 0).toFixed(2)} ${currency}`;
+
+// One row per ledger entry, then the statement totals
+export const generatePayoutStatementCsv = (statement, entries) => {
+  const rows = [CSV_COLUMNS.map(([header]) => header)];
+  for (const entry of entries) rows.push(CSV_COLUMNS.map(([, value]) => value(entry)));
+
+  const { totals } = statement;
+  rows.push([]);
+  rows.push(["Totals", "", "", "", "", totals.gross, totals.gatewayFees, totals.tax, totals.platformShare, totals.artistShare]);
+  rows.push(["Opening balance", "", "", "", "", "", "", "", "", statement.openingBalance]);
+  rows.push(["Amount due", "", "", "", "", "", "", "", "", statement.amountDue]);
+
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+export const generatePayoutStatementPdf = (statement, entries) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, size: "A4" });
+      const buffers = [];
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+
+      const { currency, totals } = statement;
+      const startX = doc.page.margins.left;
+      const endX = doc.page.width - doc.page.margins.right;
+
+      // ------------------- Header -------------------
+      doc.fontSize(20).font("Helvetica-Bold").text("Reset Music", startX, doc.y);
+      doc.fontSize(14).text("Payout Statement", { align: "right" });
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`Artist: ${statement.artistId?.name || statement.artistId}`, { align: "right" });
+      doc.text(`Period: ${statement.period} (${currency})`, { align: "right" });
+      doc.text(`Status: ${statement.status.replace("_", " ")}`, { align: "right" });
+      if (statement.settlement?.settledAt) {
+        doc.text(`Paid: ${formatDate(statement.settlement.settledAt)} ${statement.settlement.reference || ""}`, {
+          align: "right",
+        });
+      }
+      doc.moveDown();
+      doc.strokeColor("#aaaaaa").lineWidth(1).moveTo(startX, doc.y).lineTo(endX, doc.y).stroke();
+      doc.moveDown();
+
+      // ------------------- Summary -------------------
+      const summary = [
+        ["Sales", `${totals.sales}`],
+        ["Refunds", `${totals.refunds}`],
+        ["Gross", money(totals.gross, currency)],
+        ["Gateway fees", money(totals.gatewayFees, currency)],
+        ["Tax", money(totals.tax, currency)],
+        ["Platform share", money(totals.platformShare, currency)],
+        ["Artist share", money(totals.artistShare, currency)],
+        ["Opening balance", money(statement.openingBalance, currency)],
+      ];
+      for (const [label, value] of summary) {
+        const y = doc.y;
+        doc.text(label, startX, y);
+        doc.text(value, startX, y, { width: endX - startX, align: "right" });
+      }
+      doc.font("Helvetica-Bold");
+      const dueY = doc.y;
+      doc.text("Amount due", startX, dueY);
+      doc.text(money(statement.amountDue, currency), startX, dueY, { width: endX - startX, align: "right" });
+      doc.font("Helvetica").moveDown(2);
+
+      // ------------------- Entries -------------------
+      const columns = [
+        ["Date", startX, 70],
+        ["Type", 120, 50],
+        ["Item", 170, 110],
+        ["Gross", 280, 60],
+        ["Fee", 340, 50],
+        ["Tax", 390, 50],
+        ["Platform", 440, 50],
+        ["Artist", 490, 55],
+      ];
+      const row = (values, bold = false) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        values.forEach((value, i) => {
+          const [, x, width] = columns[i];
+          doc.text(String(value), x, y, { width, align: i >= 3 ? "right" : "left" });
+        });
+        doc.moveDown(0.3);
+      };
+
+      row(columns.map(([header]) => header), true);
+      for (const entry of entries) {
+        const { breakdown } = entry;
+        row([
+          formatDate(entry.occurredAt),
+          entry.kind,
+          entry.itemType || "",
+          breakdown.gross.toFixed(2),
+          breakdown.gatewayFee.toFixed(2),
+          breakdown.tax.toFixed(2),
+          breakdown.platformShare.toFixed(2),
+          breakdown.artistShare.toFixed(2),
+        ]);
+      }
+      if (!entries.length) doc.text("No sales or refunds in this statement.", startX);
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+};
@@ -1,8 +0,0 @@
-// utils/currencyRates.js
-export const EXCHANGE_RATES = {
-  USD: 1,          // base
-  INR: 0.012,      // 1 INR ≈ 0.012 USD
-  GBP: 1.24,       // 1 GBP ≈ 1.24 USD
-  EUR: 1.07,       // 1 EUR ≈ 1.07 USD
-  JPY: 0.0067      // 1 JPY ≈ 0.0067 USD
-};
\ No newline at end of file
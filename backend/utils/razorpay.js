@@ -1,4 +1,5 @@
 import Razorpay from "razorpay";
+import { toMinorUnits } from "./convertCurrencies.js";
 
 export const razorpay = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID,
@@ -7,15 +8,16 @@ export const razorpay = new Razorpay({
 
 /**
  * Creates a Razorpay order with optional metadata.
- * @param {number} amount - in INR (e.g., 199).
+ * @param {number} amount - in major units of `currency` (e.g., 199).
  * @param {string} userId - MongoDB ObjectId.
  * @param {object} metadata - Optional: { itemType, itemId }.
+ * @param {string} currency - ISO currency code (default INR).
  * @returns Razorpay Order
  */
-export const createRazorpayOrder = async (amount, userId, itemType, itemId, metadata = {}, currency) => {
+export const createRazorpayOrder = async (amount, userId, itemType, itemId, metadata = {}, currency = "INR") => {
   const order = await razorpay.orders.create({
-    amount: amount * 100, // Razorpay expects amount in paise
-    currency: "INR",
+    amount: toMinorUnits(amount, currency), // Razorpay expects amount in paise
+    currency,
     receipt: `receipt_${Date.now()}`,
     notes: {
       userId,
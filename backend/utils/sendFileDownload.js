@@ -0,0 +1,8 @@
+import { StatusCodes } from "http-status-codes";
+
+// Send a generated file (statement export, invoice PDF) as a download
+export const sendFileDownload = (res, { filename, contentType, body }) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(StatusCodes.OK).send(body);
+};
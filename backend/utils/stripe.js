@@ -1,4 +1,5 @@
 import Stripe from "stripe";
+import { toMinorUnits } from "./convertCurrencies.js";
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 /**
@@ -26,15 +27,16 @@ export const createArtistStripeSubscriptionPrice = async (artistName, priceInRup
 
 /**
  * 💰 Creates a Stripe PaymentIntent with optional metadata.
- * @param {number} amount - in INR (e.g., 199)
+ * @param {number} amount - in major units of `currency` (e.g., 199)
  * @param {string} userId - MongoDB ObjectId
  * @param {object} metadata - Optional: { itemType, itemId, transactionId }
+ * @param {string} currency - ISO currency code (default INR)
  * @returns Stripe PaymentIntent
  */
-export const createStripePaymentIntent = async (amount, userId, metadata = {}) => {
+export const createStripePaymentIntent = async (amount, userId, metadata = {}, currency = "INR") => {
   const paymentIntent = await stripe.paymentIntents.create({
-    amount: amount * 100,
-    currency: "inr",
+    amount: toMinorUnits(amount, currency),
+    currency: currency.toLowerCase(),
     description: "Artist Subscription Payment",
     statement_descriptor: "Streamify Music",
     shipping: {
@@ -0,0 +1,32 @@
+const BITRATES = { 64: 64, 128: 128, 256: 256 };
+
+// Re-rendered previews get a versioned key so the current clip stays valid until the new one is ready
+export const getPreviewKey = (audioKey, version) =>
+  `songs-hls/${audioKey}/preview/${audioKey}_preview${version ? `_${version}` : ""}.m3u8`;
+
+/**
+ * Output keys shared by every provider, so playback URLs don't depend on who transcoded:
+ *   songs-hls/{audioKey}/{audioKey}_hls.m3u8                     master playlist
+ *   songs-hls/{audioKey}/{suffix}/{audioKey}_hls_{suffix}.m3u8   one folder per rendition (64k … lossless)
+ *   songs-hls/{audioKey}/preview/{audioKey}_preview.m3u8
+ * Separate folders let a signed cookie cover exactly the renditions a listener may play.
+ */
+export const getOutputLayout = (audioKey, qualities) => {
+  const base = `songs-hls/${audioKey}`;
+  return {
+    hlsKey: `${base}/${audioKey}_hls.m3u8`,
+    previewKey: getPreviewKey(audioKey),
+    renditions: qualities.map((quality) => {
+      const suffix = quality === "lossless" ? "lossless" : `${quality}k`;
+      return {
+        quality,
+        bitrate: BITRATES[quality] ?? null,
+        codec: quality === "lossless" ? "fLaC" : "mp4a.40.2",
+        playlistKey: `${base}/${suffix}/${audioKey}_hls_${suffix}.m3u8`,
+      };
+    }),
+  };
+};
+
+// S3 key of the original upload from its public location URL
+export const getSourceKey = (audioUrl) => decodeURIComponent(new URL(audioUrl).pathname.slice(1));
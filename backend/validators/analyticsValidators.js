@@ -0,0 +1,39 @@
+import { param, query } from "express-validator";
+
+const rangeRules = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  query("granularity")
+    .optional()
+    .isIn(["day", "week", "month"])
+    .withMessage("granularity must be day, week or month"),
+  query("from").optional().isISO8601().withMessage("from must be an ISO date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO date"),
+];
+
+export const analyticsRangeValidator = rangeRules;
+
+export const songAnalyticsValidator = [
+  ...rangeRules,
+  param("songId").isMongoId().withMessage("Invalid song ID"),
+];
+
+export const albumAnalyticsValidator = [
+  ...rangeRules,
+  param("albumId").isMongoId().withMessage("Invalid album ID"),
+];
+
+export const topSongsValidator = [
+  ...rangeRules,
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+export const skipRatesValidator = [
+  ...rangeRules,
+  query("minStarts").optional().isInt({ min: 0 }).toInt(),
+];
+
+export const atRiskSubscribersValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
@@ -7,6 +7,10 @@ export const createArtistValidator = [
   body("subscriptionPrice")
     .optional()
     .isNumeric().withMessage("Subscription price must be a number"),
+  body("trialDays")
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage("Trial must be between 0 and 90 days")
+    .toInt(),
 ];
 
 export const updateArtistValidator = [
@@ -17,6 +21,10 @@ export const updateArtistValidator = [
   body("subscriptionPrice")
     .optional()
     .isNumeric().withMessage("Subscription price must be a number"),
+  body("trialDays")
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage("Trial must be between 0 and 90 days")
+    .toInt(),
 ];
 
 export const artistIdValidator = [
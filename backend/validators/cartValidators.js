@@ -0,0 +1,16 @@
+import { body, param } from "express-validator";
+import { CART_ITEM_TYPES } from "../services/cartService.js";
+
+export const addCartItemValidator = [
+  body("itemType")
+    .isIn(CART_ITEM_TYPES)
+    .withMessage(`itemType must be one of: ${CART_ITEM_TYPES.join(", ")}`),
+  body("itemId").isMongoId().withMessage("Invalid item ID"),
+];
+
+export const cartItemParamsValidator = [
+  param("itemType")
+    .isIn(CART_ITEM_TYPES)
+    .withMessage(`itemType must be one of: ${CART_ITEM_TYPES.join(", ")}`),
+  param("itemId").isMongoId().withMessage("Invalid item ID"),
+];
@@ -0,0 +1,61 @@
+import { body, param, query } from "express-validator";
+
+const ITEM_TYPES = ["song", "album", "artist-subscription"];
+
+const couponIdRule = param("id").isMongoId().withMessage("Invalid coupon ID");
+
+// Fields an admin may change after the coupon is created
+const mutableRules = [
+  body("description").optional().isString().trim().isLength({ max: 500 }).withMessage("description is limited to 500 characters"),
+  body("active").optional().isBoolean().withMessage("active must be a boolean").toBoolean(),
+  body("startsAt").optional({ nullable: true }).isISO8601().withMessage("startsAt must be a date").toDate(),
+  body("expiresAt").optional({ nullable: true }).isISO8601().withMessage("expiresAt must be a date").toDate(),
+  body("maxRedemptions")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("maxRedemptions must be a positive integer")
+    .toInt(),
+  body("perUserLimit").optional().isInt({ min: 1 }).withMessage("perUserLimit must be a positive integer").toInt(),
+  body("minAmount").optional().isFloat({ min: 0 }).withMessage("minAmount must be 0 or more").toFloat(),
+  body("currencies").optional().isArray().withMessage("currencies must be an array"),
+  body("currencies.*")
+    .isString()
+    .isLength({ min: 3, max: 3 })
+    .withMessage("currencies must be 3-letter ISO codes")
+    .toUpperCase(),
+  body("razorpayOfferId").optional({ nullable: true }).isString().trim(),
+];
+
+export const createCouponValidator = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage("code must be 3-32 letters, digits, - or _"),
+  body("discountType").isIn(["percent", "fixed"]).withMessage("discountType must be percent or fixed"),
+  body("value").isFloat({ gt: 0 }).withMessage("value must be greater than 0").toFloat(),
+  body("currency")
+    .if(body("discountType").equals("fixed"))
+    .isString()
+    .withMessage("currency is required for fixed discounts")
+    .isLength({ min: 3, max: 3 })
+    .withMessage("currency is required for fixed discounts")
+    .toUpperCase(),
+  body("artistId").optional({ nullable: true }).isMongoId().withMessage("Invalid artist ID"),
+  body("itemTypes").optional().isArray().withMessage("itemTypes must be an array"),
+  body("itemTypes.*").isIn(ITEM_TYPES).withMessage(`itemTypes must be any of: ${ITEM_TYPES.join(", ")}`),
+  body("itemIds").optional().isArray().withMessage("itemIds must be an array"),
+  body("itemIds.*").isMongoId().withMessage("Invalid item ID"),
+  ...mutableRules,
+];
+
+export const updateCouponValidator = [couponIdRule, ...mutableRules];
+
+export const couponIdValidator = [couponIdRule];
+
+export const listCouponsValidator = [
+  query("active").optional().isBoolean().withMessage("active must be true or false").toBoolean(),
+  query("artistId").optional().isMongoId().withMessage("Invalid artist ID"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
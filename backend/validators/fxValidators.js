@@ -0,0 +1,27 @@
+import { body, param, query } from "express-validator";
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const currencyParam = param("currency")
+  .isLength({ min: 3, max: 3 })
+  .withMessage("currency must be a 3-letter code")
+  .isAlpha()
+  .withMessage("currency must be a 3-letter code")
+  .toUpperCase();
+
+export const listRatesValidator = [
+  query("date").optional().matches(DATE_FORMAT).withMessage("date must be YYYY-MM-DD"),
+];
+
+export const rateHistoryValidator = [
+  currencyParam,
+  query("from").optional().matches(DATE_FORMAT).withMessage("from must be YYYY-MM-DD"),
+  query("to").optional().matches(DATE_FORMAT).withMessage("to must be YYYY-MM-DD"),
+];
+
+export const overrideRateValidator = [
+  currencyParam,
+  body("rate").isFloat({ gt: 0 }).withMessage("rate must be a positive number").toFloat(),
+  body("date").optional().matches(DATE_FORMAT).withMessage("date must be YYYY-MM-DD"),
+  body("note").optional().isString().trim().isLength({ max: 500 }).withMessage("note is too long"),
+];
@@ -0,0 +1,22 @@
+import { body } from "express-validator";
+import { QUALITY_LADDER } from "../services/hlsService.js";
+
+export const transcodeCompleteValidator = [
+  body("audioKey").isString().trim().notEmpty().withMessage("audioKey is required"),
+  body("status").isIn(["complete", "failed"]).withMessage("status must be complete or failed"),
+  body("jobId").optional().isMongoId().withMessage("Invalid transcode job ID"),
+  body("kind").optional().isIn(["full", "preview"]).withMessage("kind must be full or preview"),
+  body("hlsUrl").optional().isString().trim(),
+  body("duration").optional().isFloat({ min: 0 }).withMessage("duration must be >= 0").toFloat(),
+  body("renditions").optional().isArray().withMessage("renditions must be an array"),
+  body("renditions.*.quality")
+    .isIn(QUALITY_LADDER)
+    .withMessage(`quality must be one of: ${QUALITY_LADDER.join(", ")}`),
+  body("renditions.*.playlistKey").isString().trim().notEmpty().withMessage("playlistKey is required"),
+  body("renditions.*.bitrate").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+  body("renditions.*.bandwidth").optional().isInt({ min: 1 }).toInt(),
+  body("renditions.*.codec").optional().isString().trim(),
+  body("previewKey").optional({ values: "null" }).isString().trim(),
+  body("previewError").optional().isString(),
+  body("error").optional().isString(),
+];
@@ -0,0 +1,37 @@
+import { body, param, query } from "express-validator";
+
+const kindValidator = query("kind")
+  .optional()
+  .isIn(["invoice", "credit_note"])
+  .withMessage("kind must be invoice or credit_note");
+
+const paginationValidators = [
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+// User dashboard
+export const userInvoicesValidator = [kindValidator, ...paginationValidators];
+
+export const userInvoiceIdValidator = [param("invoiceId").isMongoId().withMessage("Invalid invoice ID")];
+
+// Admin
+export const listInvoicesValidator = [
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+  query("transactionId").optional().isMongoId().withMessage("Invalid transaction ID"),
+  query("orderId").optional().isMongoId().withMessage("Invalid order ID"),
+  query("number").optional().isString().trim().isLength({ max: 40 }).withMessage("Invalid invoice number"),
+  kindValidator,
+  ...paginationValidators,
+];
+
+export const invoiceIdValidator = [param("id").isMongoId().withMessage("Invalid invoice ID")];
+
+export const resendInvoiceValidator = [
+  ...invoiceIdValidator,
+  body("email").optional().isEmail().withMessage("email must be a valid address").normalizeEmail(),
+];
+
+export const issueTransactionDocumentsValidator = [
+  param("transactionId").isMongoId().withMessage("Invalid transaction ID"),
+];
@@ -0,0 +1,123 @@
+import { body, param } from "express-validator";
+import { PAYMENT_GATEWAYS } from "../providers/paymentProvider.js";
+import { SUBSCRIPTION_CYCLES } from "../services/checkoutService.js";
+
+const ITEM_TYPES = ["song", "album", "artist-subscription"];
+
+const currencyRule = body("currency")
+  .optional()
+  .isString()
+  .isLength({ min: 3, max: 3 })
+  .withMessage("currency must be a 3-letter ISO code")
+  .toUpperCase();
+
+const couponCodeRule = body("couponCode")
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 3, max: 32 })
+  .withMessage("couponCode must be 3-32 characters");
+
+// Where the buyer is, for tax (falls back to the IP country)
+const billingAddressRules = [
+  body("billingAddress.country")
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage("billingAddress.country must be a 2-letter ISO country code")
+    .toUpperCase(),
+  body("billingAddress.state")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage("billingAddress.state must be a state / province code")
+    .toUpperCase(),
+];
+
+export const cartCheckoutValidator = [
+  param("gateway")
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  currencyRule,
+  ...billingAddressRules,
+];
+
+export const createOrderValidator = [
+  param("gateway")
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  body("itemType")
+    .isIn(ITEM_TYPES)
+    .withMessage(`itemType must be one of: ${ITEM_TYPES.join(", ")}`),
+  body("itemId").isMongoId().withMessage("Invalid item ID"),
+  currencyRule,
+  body("cycle").optional().isIn(SUBSCRIPTION_CYCLES).withMessage("Invalid subscription cycle"),
+  couponCodeRule,
+  ...billingAddressRules,
+];
+
+export const couponPreviewValidator = [
+  body("gateway")
+    .optional()
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  body("itemType")
+    .isIn(ITEM_TYPES)
+    .withMessage(`itemType must be one of: ${ITEM_TYPES.join(", ")}`),
+  body("itemId").isMongoId().withMessage("Invalid item ID"),
+  currencyRule,
+  body("cycle").optional().isIn(SUBSCRIPTION_CYCLES).withMessage("Invalid subscription cycle"),
+  body("couponCode").isString().trim().notEmpty().withMessage("couponCode is required"),
+  ...billingAddressRules,
+];
+
+export const createSubscriptionValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  param("gateway")
+    .optional()
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  body("gateway")
+    .optional()
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  body("cycle")
+    .isIn(SUBSCRIPTION_CYCLES)
+    .withMessage(`cycle must be one of: ${SUBSCRIPTION_CYCLES.join(", ")}`),
+  currencyRule,
+  couponCodeRule,
+  ...billingAddressRules,
+];
+
+export const changePlanValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  body("cycle")
+    .isIn(SUBSCRIPTION_CYCLES)
+    .withMessage(`cycle must be one of: ${SUBSCRIPTION_CYCLES.join(", ")}`),
+  body("timing")
+    .optional()
+    .isIn(["immediate", "period_end"])
+    .withMessage("timing must be immediate or period_end"),
+];
+
+export const transactionIdValidator = [
+  param("id").isMongoId().withMessage("Invalid transaction ID"),
+];
+
+export const mockCheckoutValidator = [
+  param("id").isString().trim().notEmpty().withMessage("Checkout ID is required"),
+  body("outcome")
+    .optional()
+    .isIn(["success", "failure"])
+    .withMessage("outcome must be success or failure"),
+];
+
+export const refundValidator = [
+  param("id").isMongoId().withMessage("Invalid transaction ID"),
+  body("amount")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("amount must be greater than 0")
+    .toFloat(),
+  body("reason").optional().isString().trim().isLength({ max: 500 }).withMessage("reason is limited to 500 characters"),
+];
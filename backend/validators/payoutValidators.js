@@ -0,0 +1,54 @@
+import { body, param, query } from "express-validator";
+
+const PERIOD_FORMAT = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export const generatePayoutStatementsValidator = [
+  body("period").optional().matches(PERIOD_FORMAT).withMessage("period must be YYYY-MM"),
+];
+
+export const listPayoutStatementsValidator = [
+  query("artistId").optional().isMongoId().withMessage("Invalid artist ID"),
+  query("status")
+    .optional()
+    .isIn(["pending", "settled", "carried_forward"])
+    .withMessage("status must be pending, settled or carried_forward"),
+  query("period").optional().matches(PERIOD_FORMAT).withMessage("period must be YYYY-MM"),
+  query("currency").optional().isLength({ min: 3, max: 3 }).withMessage("currency must be a 3-letter code").toUpperCase(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+export const payoutStatementIdValidator = [param("id").isMongoId().withMessage("Invalid statement ID")];
+
+const formatValidator = query("format").optional().isIn(["csv", "pdf"]).withMessage("format must be csv or pdf");
+
+export const downloadPayoutStatementValidator = [...payoutStatementIdValidator, formatValidator];
+
+export const settlePayoutStatementValidator = [
+  ...payoutStatementIdValidator,
+  body("reference").optional().isString().trim().isLength({ max: 200 }).withMessage("reference is too long"),
+  body("note").optional().isString().trim().isLength({ max: 1000 }).withMessage("note is too long"),
+];
+
+// Artist dashboard
+export const artistPayoutStatementsValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  query("status")
+    .optional()
+    .isIn(["pending", "settled", "carried_forward"])
+    .withMessage("status must be pending, settled or carried_forward"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+export const artistPayoutStatementDownloadValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  param("statementId").isMongoId().withMessage("Invalid statement ID"),
+  formatValidator,
+];
+
+export const revenueSummaryValidator = [
+  param("artistId").isMongoId().withMessage("Invalid artist ID"),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+];
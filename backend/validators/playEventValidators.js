@@ -0,0 +1,22 @@
+import { body, query } from "express-validator";
+
+export const recordPlayEventsValidator = [
+  body("events").isArray({ min: 1, max: 100 }).withMessage("events must be an array of 1-100 items"),
+  body("events.*.eventId").isString().trim().notEmpty().isLength({ max: 64 }).withMessage("eventId is required"),
+  body("events.*.playId").isString().trim().notEmpty().isLength({ max: 64 }).withMessage("playId is required"),
+  body("events.*.songId").isMongoId().withMessage("Invalid song ID"),
+  body("events.*.type")
+    .isIn(["start", "progress", "skip", "complete"])
+    .withMessage("type must be start, progress, skip or complete"),
+  body("events.*.position").optional().isFloat({ min: 0 }).withMessage("position must be >= 0"),
+  body("events.*.listened")
+    .optional()
+    .isFloat({ min: 0, max: 3600 })
+    .withMessage("listened must be between 0 and 3600 seconds"),
+  body("events.*.occurredAt").optional().isISO8601().withMessage("occurredAt must be an ISO date"),
+];
+
+export const listeningHistoryValidator = [
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
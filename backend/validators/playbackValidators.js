@@ -0,0 +1,16 @@
+import { body } from "express-validator";
+
+export const updatePlaybackValidator = [
+  body("version").optional().isInt({ min: 0 }).withMessage("version must be a non-negative integer").toInt(),
+  body("queue").optional().isArray({ max: 1000 }).withMessage("queue must be an array of up to 1000 songs"),
+  body("queue.*").isMongoId().withMessage("Invalid song ID in queue"),
+  body("currentIndex").optional().isInt({ min: 0 }).toInt(),
+  body("songId").optional({ values: "null" }).isMongoId().withMessage("Invalid song ID"),
+  body("context.type").optional().isIn(["album", "playlist", "artist", "queue"]),
+  body("context.id").optional({ values: "null" }).isMongoId().withMessage("Invalid context ID"),
+  body("position").optional().isFloat({ min: 0 }).withMessage("position must be >= 0").toFloat(),
+  body("shuffle").optional().isBoolean().toBoolean(),
+  body("repeat").optional().isIn(["off", "one", "all"]).withMessage("repeat must be off, one or all"),
+  body("isPlaying").optional().isBoolean().toBoolean(),
+  body("deviceId").optional().isString().trim().isLength({ max: 128 }),
+];
@@ -0,0 +1,15 @@
+import { body, param } from "express-validator";
+
+export const regionalPricesValidator = [
+  param("id").isMongoId().withMessage("Invalid item ID"),
+  body("prices").isArray({ max: 250 }).withMessage("prices must be a list (empty to clear)"),
+  body("prices.*.country")
+    .isISO31661Alpha2()
+    .withMessage("Each price needs a 2-letter ISO country code")
+    .toUpperCase(),
+  body("prices.*.currency")
+    .isLength({ min: 3, max: 3 })
+    .withMessage("Each price needs a 3-letter currency code")
+    .toUpperCase(),
+  body("prices.*.amount").isFloat({ gt: 0 }).withMessage("Each price needs a positive amount").toFloat(),
+];
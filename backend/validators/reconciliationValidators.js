@@ -0,0 +1,16 @@
+import { param, query } from "express-validator";
+
+export const listReconciliationReportsValidator = [
+  query("status")
+    .optional()
+    .isIn(["running", "completed", "failed"])
+    .withMessage("status must be running, completed or failed"),
+  query("trigger")
+    .optional()
+    .isIn(["scheduled", "manual"])
+    .withMessage("trigger must be scheduled or manual"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+export const reconciliationReportIdValidator = [param("id").isMongoId().withMessage("Invalid report ID")];
@@ -8,6 +8,11 @@ export const createSongValidator = [
   body("accessType").notEmpty().withMessage("adminAccess is required"),
   body("releaseDate").optional().isISO8601().toDate().withMessage("Invalid release date"),
   body("album").optional().isMongoId().withMessage("Invalid album ID"),
+  body("previewStart").optional().isFloat({ min: 0 }).withMessage("previewStart must be >= 0"),
+  body("previewDuration")
+    .optional()
+    .isFloat({ min: 5, max: 60 })
+    .withMessage("previewDuration must be between 5 and 60 seconds"),
 ];
 
 export const updateSongValidator = [
@@ -25,4 +30,14 @@ export const updateSongValidator = [
 
 export const songIdValidator = [
   param("id").isMongoId().withMessage("Invalid song ID"),
-];
\ No newline at end of file
+];
+
+export const songPreviewValidator = [
+  param("id").isMongoId().withMessage("Invalid song ID"),
+  body("startOffset").optional().isFloat({ min: 0 }).withMessage("startOffset must be >= 0").toFloat(),
+  body("duration")
+    .optional()
+    .isFloat({ min: 5, max: 60 })
+    .withMessage("duration must be between 5 and 60 seconds")
+    .toFloat(),
+];
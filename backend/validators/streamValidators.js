@@ -0,0 +1,41 @@
+import { body, param, query } from "express-validator";
+import { QUALITY_LADDER, DEVICE_MAX_QUALITY } from "../services/hlsService.js";
+
+export const heartbeatValidator = [
+  body("songId").optional().isMongoId().withMessage("Invalid song ID"),
+];
+
+export const kickDeviceValidator = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+];
+
+export const masterPlaylistValidator = [
+  param("id").isMongoId().withMessage("Invalid song ID"),
+  query("maxQuality")
+    .optional()
+    .isIn(QUALITY_LADDER)
+    .withMessage(`maxQuality must be one of: ${QUALITY_LADDER.join(", ")}`),
+  query("device")
+    .optional()
+    .isIn(Object.keys(DEVICE_MAX_QUALITY))
+    .withMessage(`device must be one of: ${Object.keys(DEVICE_MAX_QUALITY).join(", ")}`),
+];
+
+const deviceIdRule = (location) =>
+  location("deviceId").isString().trim().notEmpty().isLength({ max: 128 }).withMessage("deviceId is required");
+
+export const offlineLicenseValidator = [
+  param("id").isMongoId().withMessage("Invalid song ID"),
+  deviceIdRule(body),
+  body("deviceName").optional().isString().trim().isLength({ max: 100 }),
+];
+
+export const offlineCheckInValidator = [deviceIdRule(body)];
+
+export const offlineLicensesValidator = [
+  query("deviceId").optional().isString().trim().isLength({ max: 128 }),
+];
+
+export const offlineLicenseIdValidator = [
+  param("licenseId").isMongoId().withMessage("Invalid license ID"),
+];
@@ -0,0 +1,51 @@
+import { body, param, query } from "express-validator";
+
+const TAX_REGIMES = ["gst", "vat", "sales_tax", "other"];
+
+const componentRules = (optional) => [
+  (optional ? body("components").optional() : body("components"))
+    .isArray({ min: 1, max: 5 })
+    .withMessage("components must list 1-5 tax components"),
+  body("components.*.name").isString().trim().notEmpty().withMessage("Each component needs a name"),
+  body("components.*.rate")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Each component rate must be a percentage between 0 and 100")
+    .toFloat(),
+];
+
+export const createTaxRuleValidator = [
+  body("country").isISO31661Alpha2().withMessage("country must be a 2-letter ISO country code").toUpperCase(),
+  body("state")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage("state must be a state / province code")
+    .toUpperCase(),
+  body("name").isString().trim().notEmpty().withMessage("name is required"),
+  body("regime").optional().isIn(TAX_REGIMES).withMessage(`regime must be one of: ${TAX_REGIMES.join(", ")}`),
+  ...componentRules(false),
+  body("active").optional().isBoolean().withMessage("active must be true or false").toBoolean(),
+  body("notes").optional().isString().trim().isLength({ max: 500 }),
+];
+
+export const updateTaxRuleValidator = [
+  param("id").isMongoId().withMessage("Invalid tax rule ID"),
+  body("name").optional().isString().trim().notEmpty().withMessage("name cannot be empty"),
+  body("regime").optional().isIn(TAX_REGIMES).withMessage(`regime must be one of: ${TAX_REGIMES.join(", ")}`),
+  ...componentRules(true),
+  body("active").optional().isBoolean().withMessage("active must be true or false").toBoolean(),
+  body("notes").optional().isString().trim().isLength({ max: 500 }),
+];
+
+export const taxRuleIdValidator = [param("id").isMongoId().withMessage("Invalid tax rule ID")];
+
+export const listTaxRulesValidator = [
+  query("country").optional().isISO31661Alpha2().withMessage("country must be a 2-letter ISO country code"),
+  query("active").optional().isBoolean().withMessage("active must be true or false").toBoolean(),
+];
+
+export const taxReportValidator = [
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+];
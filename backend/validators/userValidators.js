@@ -24,4 +24,16 @@ export const likeSongValidation = [
 export const resetPasswordValidation = [
   param("token").isHexadecimal().withMessage("Invalid token"),
   body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
-];
\ No newline at end of file
+];
+
+// null clears the field
+export const updateLocaleValidation = [
+  body("billingCountry")
+    .optional({ values: "undefined" })
+    .custom((value) => value === null || /^[A-Za-z]{2}$/.test(value))
+    .withMessage("billingCountry must be a 2-letter ISO country code or null"),
+  body("preferredCurrency")
+    .optional({ values: "undefined" })
+    .custom((value) => value === null || /^[A-Za-z]{3}$/.test(value))
+    .withMessage("preferredCurrency must be a 3-letter currency code or null"),
+];
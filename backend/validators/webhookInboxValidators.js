@@ -0,0 +1,27 @@
+import { body, param, query } from "express-validator";
+import { PAYMENT_GATEWAYS } from "../providers/paymentProvider.js";
+
+const STATUSES = ["received", "processing", "processed", "failed", "dead"];
+
+const eventIdRule = param("id").isMongoId().withMessage("Invalid webhook event ID");
+
+export const listWebhookEventsValidator = [
+  query("gateway")
+    .optional()
+    .isIn(PAYMENT_GATEWAYS)
+    .withMessage(`gateway must be one of: ${PAYMENT_GATEWAYS.join(", ")}`),
+  query("status")
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`status must be one of: ${STATUSES.join(", ")}`),
+  query("type").optional().isString().trim(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+export const webhookEventIdValidator = [eventIdRule];
+
+export const replayWebhookEventValidator = [
+  eventIdRule,
+  body("force").optional().isBoolean().withMessage("force must be true or false").toBoolean(),
+];